@@ -0,0 +1,81 @@
+require('dotenv').config();
+
+// OpenID Connect issuers staff can sign in with. Configured as a JSON array in
+// OIDC_PROVIDERS, e.g.
+//
+//   [{
+//     "id": "campus",                      // used in URLs and stored on linked identities
+//     "name": "Campus Google",             // button label
+//     "issuer": "https://accounts.google.com",
+//     "clientId": "...",
+//     "clientSecret": "...",
+//     "scopes": "openid email profile",
+//     "roleClaim": "groups",               // claim holding a string or array of values
+//     "roleMapping": { "staff-admins": "admin", "teaching-staff": "tutor" },
+//     "defaultRole": null,                 // role when nothing maps; null refuses sign-up
+//     "allowSignup": true,                 // create accounts on first sign-in
+//     "allowedDomains": ["campus.edu"],    // restrict by email domain (optional)
+//     "trustEmailVerified": false          // treat emails as verified when the IdP omits email_verified
+//   }]
+//
+// roleMapping is checked in order and the first match wins. Super admins are
+// never created from claims.
+const PROVISIONABLE_ROLES = ['student', 'tutor', 'admin'];
+
+const parseProviders = (raw) => {
+  if (!raw) return [];
+
+  let list;
+  try {
+    list = JSON.parse(raw);
+  } catch (error) {
+    console.error('OIDC_PROVIDERS is not valid JSON; single sign-on is disabled');
+    return [];
+  }
+
+  if (!Array.isArray(list)) list = [list];
+
+  return list
+    .filter(provider => {
+      const valid = provider && provider.id && provider.issuer && provider.clientId;
+      if (!valid) {
+        console.error('Ignoring OIDC provider without id, issuer and clientId:', provider && provider.id);
+      }
+      return valid;
+    })
+    .map(provider => {
+      const roleMapping = {};
+      Object.entries(provider.roleMapping || {}).forEach(([value, role]) => {
+        if (PROVISIONABLE_ROLES.includes(role)) {
+          roleMapping[value] = role;
+        } else {
+          console.error(`Ignoring OIDC role mapping ${value} -> ${role} for ${provider.id}`);
+        }
+      });
+
+      return {
+        id: String(provider.id),
+        name: provider.name || provider.id,
+        issuer: provider.issuer.replace(/\/+$/, ''),
+        clientId: provider.clientId,
+        clientSecret: provider.clientSecret || null,
+        scopes: provider.scopes || 'openid email profile',
+        roleClaim: provider.roleClaim || 'roles',
+        roleMapping,
+        defaultRole: PROVISIONABLE_ROLES.includes(provider.defaultRole) ? provider.defaultRole : null,
+        allowSignup: provider.allowSignup !== false,
+        allowedDomains: (provider.allowedDomains || []).map(domain => domain.toLowerCase()),
+        trustEmailVerified: provider.trustEmailVerified === true
+      };
+    });
+};
+
+const OIDC_PROVIDERS = parseProviders(process.env.OIDC_PROVIDERS);
+
+const getOidcProvider = (id) => OIDC_PROVIDERS.find(provider => provider.id === id) || null;
+
+module.exports = {
+  OIDC_PROVIDERS,
+  PROVISIONABLE_ROLES,
+  getOidcProvider
+};
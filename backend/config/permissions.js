@@ -0,0 +1,128 @@
+// Named permissions checked by requirePermission(). Keys are stable identifiers
+// stored in roles.permissions; descriptions are shown in the admin UI.
+//
+// Naming: <resource>.<action>[.own|.any]. A grant of `.any` also satisfies the
+// matching `.own` check, `<resource>.*` grants every action on a resource and
+// `*` grants everything.
+const PERMISSIONS = {
+  'users.view': 'View user accounts',
+  'users.create': 'Create user accounts',
+  'users.update': 'Edit other users\' profiles',
+  'users.suspend': 'Suspend user accounts',
+  'users.unlock': 'Unlock accounts locked by failed logins',
+  'users.revoke_tokens': 'Sign a user out of every device',
+  'users.role.assign': 'Change a user\'s role',
+  'invitations.manage': 'Invite, resend and revoke staff invitations',
+  'roles.manage': 'Edit the permissions granted to each role',
+  'api_keys.manage': 'Create and revoke API keys for integrations',
+
+  'sessions.view.own': 'View sessions you teach or attend',
+  'sessions.view.any': 'View every session',
+  'sessions.create': 'Create sessions',
+  'sessions.update.own': 'Edit sessions you teach',
+  'sessions.update.any': 'Edit any session',
+  'sessions.cancel.own': 'Cancel sessions you teach',
+  'sessions.cancel.any': 'Cancel any session',
+  'sessions.override_conflicts': 'Schedule sessions despite conflicts, giving a reason',
+  'sessions.join': 'Book a seat in a session',
+  'sessions.book': 'Book a one-on-one session in a tutor\'s open slot',
+  'availability.manage.own': 'Set your own weekly hours and time off',
+  'availability.manage.any': 'Set any tutor\'s weekly hours and time off',
+
+  'attendance.mark': 'Mark attendance for sessions you teach',
+  'attendance.view.any': 'View attendance for every session',
+
+  'payments.view.own': 'View your own payments',
+  'payments.view.any': 'View every payment',
+  'payments.create': 'Make payments',
+  'payments.refund': 'Refund payments',
+
+  'syllabus.manage': 'Create and edit syllabus content',
+  'feedback.submit': 'Submit session feedback',
+  'feedback.view.any': 'View all feedback',
+  'notifications.send': 'Send announcements and notifications',
+  'analytics.view': 'View analytics dashboards',
+  'audit.view': 'View the audit log',
+  'settings.manage': 'Change organization settings'
+};
+
+// Built-in permission sets, used to seed the roles table and as a fallback
+// when a role has no row yet
+const DEFAULT_ROLE_PERMISSIONS = {
+  student: [
+    'sessions.view.own',
+    'sessions.join',
+    'sessions.book',
+    'payments.view.own',
+    'payments.create',
+    'feedback.submit'
+  ],
+  tutor: [
+    'sessions.view.own',
+    'sessions.create',
+    'sessions.update.own',
+    'sessions.cancel.own',
+    'availability.manage.own',
+    'attendance.mark',
+    'syllabus.manage'
+  ],
+  admin: Object.keys(PERMISSIONS).filter(permission => !['roles.manage', 'settings.manage'].includes(permission)),
+  super_admin: ['*']
+};
+
+// Scopes an API key can be given, each a bundle of permissions. A key can
+// only use a permission that is in its scopes and still held by its creator.
+const API_KEY_SCOPES = {
+  'users:read': {
+    description: 'Read user accounts',
+    permissions: ['users.view']
+  },
+  // Creating accounts and assigning roles stay with signed-in admins, so a
+  // leaked key can't mint privileged accounts
+  'users:write': {
+    description: 'Edit and suspend user accounts',
+    permissions: ['users.view', 'users.update', 'users.suspend']
+  },
+  'sessions:read': {
+    description: 'Read every session',
+    permissions: ['sessions.view.any']
+  },
+  'sessions:write': {
+    description: 'Create, edit and cancel sessions',
+    permissions: ['sessions.view.any', 'sessions.create', 'sessions.update.any', 'sessions.cancel.any']
+  },
+  'attendance:read': {
+    description: 'Read attendance records',
+    permissions: ['attendance.view.any']
+  },
+  'attendance:write': {
+    description: 'Mark attendance',
+    permissions: ['attendance.view.any', 'attendance.mark']
+  },
+  'payments:read': {
+    description: 'Read every payment',
+    permissions: ['payments.view.any']
+  },
+  'payments:write': {
+    description: 'Record and refund payments',
+    permissions: ['payments.view.any', 'payments.create', 'payments.refund']
+  },
+  'feedback:read': {
+    description: 'Read all feedback',
+    permissions: ['feedback.view.any']
+  },
+  'analytics:read': {
+    description: 'Read analytics',
+    permissions: ['analytics.view']
+  },
+  'audit:read': {
+    description: 'Read the audit log',
+    permissions: ['audit.view']
+  }
+};
+
+module.exports = {
+  PERMISSIONS,
+  DEFAULT_ROLE_PERMISSIONS,
+  API_KEY_SCOPES
+};
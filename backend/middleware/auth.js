@@ -1,11 +1,78 @@
 const jwt = require('jsonwebtoken');
+const { v4: uuidv4 } = require('uuid');
 const User = require('../models/User');
+const RevokedToken = require('../models/RevokedToken');
+const OrganizationSetting = require('../models/OrganizationSetting');
+const LoginSession = require('../models/LoginSession');
+const { requestHasPermission } = require('../services/permissionService');
+const { recordAudit } = require('../services/auditService');
+const { touchLoginSession } = require('../services/loginSessionService');
+const { authenticateApiKey } = require('../services/apiKeyService');
+
+// Fields never copied into the audit trail
+const SENSITIVE_FIELDS = ['password', 'currentPassword', 'newPassword', 'token', 'refreshToken', 'code', 'recoveryCode'];
+
+// Audit a request once its response is sent, with credentials redacted from the body
+const auditRequestOnFinish = (req, res, action) => {
+  res.on('finish', () => {
+    const body = { ...(req.body || {}) };
+    SENSITIVE_FIELDS.forEach(field => {
+      if (body[field] !== undefined) body[field] = '[REDACTED]';
+    });
+
+    recordAudit({
+      action,
+      entityType: 'request',
+      newValues: {
+        method: req.method,
+        path: req.originalUrl,
+        statusCode: res.statusCode,
+        body
+      }
+    }, req);
+  });
+};
+
+// Record every write made while impersonating, attributed to the real actor
+const auditImpersonatedWrite = (req, res) => {
+  if (['GET', 'HEAD', 'OPTIONS'].includes(req.method)) return;
+  auditRequestOnFinish(req, res, 'impersonation.write');
+};
+
+// Authenticate an `Authorization: ApiKey <key>` header. Every call is audited.
+const authenticateWithApiKey = async (key, req, res, next) => {
+  try {
+    const { apiKey, user } = await authenticateApiKey(key, req);
+
+    req.user = user;
+    req.apiKey = apiKey;
+    auditRequestOnFinish(req, res, 'api_key.request');
+    next();
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message
+      });
+    }
 
-// Middleware to authenticate JWT token
+    console.error('API key authentication error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Authentication error'
+    });
+  }
+};
+
+// Middleware to authenticate JWT token (or an API key for integrations)
 const authenticateToken = async (req, res, next) => {
   try {
     const authHeader = req.headers['authorization'];
-    const token = authHeader && authHeader.split(' ')[1]; // Bearer TOKEN
+    const [scheme, token] = authHeader ? authHeader.split(' ') : []; // Bearer TOKEN or ApiKey KEY
+
+    if (scheme && scheme.toLowerCase() === 'apikey' && token) {
+      return authenticateWithApiKey(token, req, res, next);
+    }
 
     if (!token) {
       return res.status(401).json({
@@ -15,6 +82,15 @@ const authenticateToken = async (req, res, next) => {
     }
 
     const decoded = jwt.verify(token, process.env.JWT_SECRET);
+
+    // Purpose-specific tokens (MFA challenges, password resets) are not access tokens
+    if (decoded.type) {
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid token type'
+      });
+    }
+
     const user = await User.findByPk(decoded.userId);
 
     if (!user) {
@@ -31,7 +107,47 @@ const authenticateToken = async (req, res, next) => {
       });
     }
 
+    // Reject tokens revoked individually (logout) or in bulk (logout all devices)
+    if (user.isTokenRevoked(decoded) || await RevokedToken.isRevoked(decoded.jti)) {
+      return res.status(401).json({
+        success: false,
+        message: 'Token has been revoked'
+      });
+    }
+
+    // Access tokens from a login carry its id in `sid`; revoking the login revokes them
+    if (decoded.sid) {
+      const loginSession = await LoginSession.findByPk(decoded.sid);
+      if (!loginSession || loginSession.revokedAt) {
+        return res.status(401).json({
+          success: false,
+          message: 'Token has been revoked'
+        });
+      }
+
+      touchLoginSession(loginSession, req).catch(error => {
+        console.error('Login session update failed:', error);
+      });
+    }
+
+    // Impersonation tokens carry the real super admin in the `act` claim
+    if (decoded.act) {
+      const impersonator = await User.findByPk(decoded.act.userId);
+
+      if (!impersonator || impersonator.status !== 'active' || !impersonator.isSuperAdmin() ||
+          impersonator.isTokenRevoked(decoded.act)) {
+        return res.status(401).json({
+          success: false,
+          message: 'Impersonation session is no longer valid'
+        });
+      }
+
+      req.impersonator = impersonator;
+      auditImpersonatedWrite(req, res);
+    }
+
     req.user = user;
+    req.tokenPayload = decoded;
     next();
   } catch (error) {
     if (error.name === 'TokenExpiredError') {
@@ -66,6 +182,14 @@ const requireRole = (roles) => {
       });
     }
 
+    // API keys are limited to their scopes, which only permission checks understand
+    if (req.apiKey) {
+      return res.status(403).json({
+        success: false,
+        message: 'This endpoint is not available to API keys'
+      });
+    }
+
     const userRole = req.user.role;
     const allowedRoles = Array.isArray(roles) ? roles : [roles];
 
@@ -92,8 +216,10 @@ const requireAdmin = requireRole(['admin', 'super_admin']);
 // Middleware to check if user is super admin
 const requireSuperAdmin = requireRole('super_admin');
 
-// Middleware to check if user can access resource (owner or admin)
-const requireOwnershipOrAdmin = (resourceModel, resourceIdField = 'id') => {
+// Middleware to check if user has every listed permission (granted through their role)
+const requirePermission = (permissions) => {
+  const required = Array.isArray(permissions) ? permissions : [permissions];
+
   return async (req, res, next) => {
     try {
       if (!req.user) {
@@ -103,16 +229,51 @@ const requireOwnershipOrAdmin = (resourceModel, resourceIdField = 'id') => {
         });
       }
 
-      // Super admins can access everything
-      if (req.user.isSuperAdmin()) {
-        return next();
+      for (const permission of required) {
+        if (!(await requestHasPermission(req, permission))) {
+          return res.status(403).json({
+            success: false,
+            message: 'Insufficient permissions',
+            permission
+          });
+        }
+      }
+
+      next();
+    } catch (error) {
+      console.error('Permission check error:', error);
+      return res.status(500).json({
+        success: false,
+        message: 'Error checking permissions'
+      });
+    }
+  };
+};
+
+// Middleware to check if user owns the resource or holds a permission covering any resource
+const requireOwnershipOrPermission = (resourceModel, permission, resourceIdField = 'id') => {
+  return async (req, res, next) => {
+    try {
+      if (!req.user) {
+        return res.status(401).json({
+          success: false,
+          message: 'Authentication required'
+        });
       }
 
-      // Admins can access everything
-      if (req.user.isAdmin()) {
+      if (await requestHasPermission(req, permission)) {
         return next();
       }
 
+      // An API key acts on the whole organization or not at all
+      if (req.apiKey) {
+        return res.status(403).json({
+          success: false,
+          message: 'Insufficient permissions',
+          permission
+        });
+      }
+
       // Get resource ID from request
       const resourceId = req.params[resourceIdField] || req.body[resourceIdField];
       
@@ -190,11 +351,18 @@ const requireSessionAccess = async (req, res, next) => {
       });
     }
 
-    // Super admins and admins can access everything
-    if (req.user.isAdmin()) {
+    // Staff (and API keys) with oversight of every session
+    if (await requestHasPermission(req, 'sessions.view.any')) {
       return next();
     }
 
+    if (req.apiKey) {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied - insufficient permissions for this session'
+      });
+    }
+
     // Tutors can access their own sessions
     if (req.user.isTutor() && session.tutorId === req.user.id) {
       return next();
@@ -205,7 +373,8 @@ const requireSessionAccess = async (req, res, next) => {
       const enrollment = await SessionStudent.findOne({
         where: {
           sessionId: sessionId,
-          studentId: req.user.id
+          studentId: req.user.id,
+          status: SessionStudent.HELD_STATUSES
         }
       });
 
@@ -227,28 +396,141 @@ const requireSessionAccess = async (req, res, next) => {
   }
 };
 
-// Generate JWT token
-const generateToken = (user) => {
+// Middleware to keep impersonators away from the impersonated user's credentials
+const forbidDuringImpersonation = (req, res, next) => {
+  if (req.impersonator) {
+    return res.status(403).json({
+      success: false,
+      message: 'This action is not available while impersonating a user'
+    });
+  }
+
+  next();
+};
+
+// Middleware for user-only endpoints (own credentials, devices, API key management)
+const forbidApiKey = (req, res, next) => {
+  if (req.apiKey) {
+    return res.status(403).json({
+      success: false,
+      message: 'This endpoint is not available to API keys'
+    });
+  }
+
+  next();
+};
+
+// Middleware to block unverified emails from booking and paying when the org requires it
+const requireVerifiedEmail = async (req, res, next) => {
+  try {
+    if (!req.user) {
+      return res.status(401).json({
+        success: false,
+        message: 'Authentication required'
+      });
+    }
+
+    if (req.user.emailVerified) {
+      return next();
+    }
+
+    const required = await OrganizationSetting.getValue('require_email_verification', false);
+    if (!required) {
+      return next();
+    }
+
+    return res.status(403).json({
+      success: false,
+      code: 'EMAIL_NOT_VERIFIED',
+      message: 'Please verify your email address before continuing'
+    });
+  } catch (error) {
+    console.error('Email verification check error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Error checking email verification'
+    });
+  }
+};
+
+// Generate JWT token (sessionId is the login / refresh token family it belongs to)
+const generateToken = (user, sessionId) => {
+  const payload = {
+    userId: user.id,
+    email: user.email,
+    role: user.role,
+    ver: user.tokenVersion
+  };
+
+  if (sessionId) {
+    payload.sid = sessionId;
+  }
+
+  return jwt.sign(payload, process.env.JWT_SECRET, {
+    expiresIn: process.env.JWT_EXPIRES_IN || '24h',
+    jwtid: uuidv4()
+  });
+};
+
+// Generate impersonation access token: acts as the target user, names the real actor in `act`.
+// No refresh token is issued, so impersonation ends when it expires.
+const generateImpersonationToken = (user, impersonator) => {
   const payload = {
     userId: user.id,
     email: user.email,
-    role: user.role
+    role: user.role,
+    ver: user.tokenVersion,
+    act: {
+      userId: impersonator.id,
+      email: impersonator.email,
+      ver: impersonator.tokenVersion
+    }
   };
 
   return jwt.sign(payload, process.env.JWT_SECRET, {
-    expiresIn: process.env.JWT_EXPIRES_IN || '24h'
+    expiresIn: process.env.IMPERSONATION_EXPIRES_IN || '1h',
+    jwtid: uuidv4()
   });
 };
 
-// Generate refresh token
-const generateRefreshToken = (user) => {
+// Generate refresh token (familyId groups every token rotated from one login)
+const generateRefreshToken = (user, familyId) => {
   const payload = {
     userId: user.id,
-    type: 'refresh'
+    type: 'refresh',
+    familyId,
+    ver: user.tokenVersion
   };
 
   return jwt.sign(payload, process.env.JWT_REFRESH_SECRET, {
-    expiresIn: process.env.JWT_REFRESH_EXPIRES_IN || '7d'
+    expiresIn: process.env.JWT_REFRESH_EXPIRES_IN || '7d',
+    jwtid: uuidv4()
+  });
+};
+
+// Generate short-lived MFA challenge token, exchanged for real tokens after the second factor
+const generateMfaChallengeToken = (user) => {
+  const payload = {
+    userId: user.id,
+    type: 'mfa_challenge'
+  };
+
+  return jwt.sign(payload, process.env.JWT_SECRET, {
+    expiresIn: process.env.MFA_CHALLENGE_EXPIRES_IN || '5m',
+    jwtid: uuidv4()
+  });
+};
+
+// Generate signed email verification token (bound to the address it was sent to)
+const generateEmailVerificationToken = (user) => {
+  const payload = {
+    userId: user.id,
+    email: user.email,
+    type: 'email_verification'
+  };
+
+  return jwt.sign(payload, process.env.JWT_SECRET, {
+    expiresIn: process.env.EMAIL_VERIFICATION_EXPIRES_IN || '24h'
   });
 };
 
@@ -259,8 +541,15 @@ module.exports = {
   requireTutor,
   requireAdmin,
   requireSuperAdmin,
-  requireOwnershipOrAdmin,
+  requirePermission,
+  requireOwnershipOrPermission,
   requireSessionAccess,
+  requireVerifiedEmail,
+  forbidDuringImpersonation,
+  forbidApiKey,
   generateToken,
-  generateRefreshToken
+  generateImpersonationToken,
+  generateRefreshToken,
+  generateMfaChallengeToken,
+  generateEmailVerificationToken
 };
\ No newline at end of file
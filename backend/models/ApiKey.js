@@ -0,0 +1,106 @@
+const crypto = require('crypto');
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+// Keys for machine-to-machine integrations. Only a hash of the key is stored;
+// the plain key is shown once when it is created.
+const ApiKey = sequelize.define('ApiKey', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  name: {
+    type: DataTypes.STRING(100),
+    allowNull: false
+  },
+  prefix: {
+    type: DataTypes.STRING(16),
+    allowNull: false,
+    comment: 'Start of the key, shown so admins can tell keys apart'
+  },
+  keyHash: {
+    type: DataTypes.STRING(64),
+    allowNull: false,
+    unique: true
+  },
+  scopes: {
+    type: DataTypes.JSON,
+    allowNull: false,
+    defaultValue: []
+  },
+  allowedIps: {
+    type: DataTypes.JSON,
+    allowNull: true,
+    comment: 'IP addresses or CIDR ranges; empty allows any address'
+  },
+  expiresAt: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  lastUsedAt: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  lastUsedIp: {
+    type: DataTypes.STRING(45),
+    allowNull: true
+  },
+  createdBy: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    references: {
+      model: 'users',
+      key: 'id'
+    }
+  },
+  revokedAt: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  revokedBy: {
+    type: DataTypes.UUID,
+    allowNull: true,
+    references: {
+      model: 'users',
+      key: 'id'
+    }
+  }
+}, {
+  tableName: 'api_keys',
+  indexes: [
+    {
+      unique: true,
+      fields: ['keyHash']
+    },
+    {
+      fields: ['createdBy']
+    }
+  ]
+});
+
+// Instance methods
+ApiKey.prototype.isExpired = function() {
+  return !!this.expiresAt && new Date() >= new Date(this.expiresAt);
+};
+
+ApiKey.prototype.isActive = function() {
+  return !this.revokedAt && !this.isExpired();
+};
+
+ApiKey.prototype.getStatus = function() {
+  if (this.revokedAt) return 'revoked';
+  if (this.isExpired()) return 'expired';
+  return 'active';
+};
+
+// Class methods
+ApiKey.hashKey = function(key) {
+  return crypto.createHash('sha256').update(String(key)).digest('hex');
+};
+
+ApiKey.findByKey = function(key) {
+  return this.findOne({ where: { keyHash: this.hashKey(key) } });
+};
+
+module.exports = ApiKey;
@@ -1,5 +1,7 @@
 const { DataTypes } = require('sequelize');
 const { sequelize } = require('../config/database');
+const Session = require('./Session');
+const User = require('./User');
 
 const Attendance = sequelize.define('Attendance', {
   id: {
@@ -92,6 +94,9 @@ const Attendance = sequelize.define('Attendance', {
   ]
 });
 
+Attendance.belongsTo(Session, { foreignKey: 'sessionId', as: 'session' });
+Attendance.belongsTo(User, { foreignKey: 'studentId', as: 'student' });
+
 // Instance methods
 Attendance.prototype.isPresent = function() {
   return this.status === 'present';
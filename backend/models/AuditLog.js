@@ -0,0 +1,97 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+const AuditLog = sequelize.define('AuditLog', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  userId: {
+    type: DataTypes.UUID,
+    allowNull: true,
+    references: {
+      model: 'users',
+      key: 'id'
+    },
+    comment: 'User who performed the action'
+  },
+  impersonatedUserId: {
+    type: DataTypes.UUID,
+    allowNull: true,
+    references: {
+      model: 'users',
+      key: 'id'
+    },
+    comment: 'User being impersonated when the action was performed'
+  },
+  apiKeyId: {
+    type: DataTypes.UUID,
+    allowNull: true,
+    comment: 'API key the request was made with'
+  },
+  action: {
+    type: DataTypes.STRING(100),
+    allowNull: false
+  },
+  entityType: {
+    type: DataTypes.STRING(50),
+    allowNull: false
+  },
+  entityId: {
+    type: DataTypes.UUID,
+    allowNull: true
+  },
+  oldValues: {
+    type: DataTypes.JSON,
+    allowNull: true
+  },
+  newValues: {
+    type: DataTypes.JSON,
+    allowNull: true
+  },
+  ipAddress: {
+    type: DataTypes.STRING(45),
+    allowNull: true
+  },
+  userAgent: {
+    type: DataTypes.TEXT,
+    allowNull: true
+  }
+}, {
+  tableName: 'audit_logs',
+  updatedAt: false,
+  indexes: [
+    {
+      fields: ['userId']
+    },
+    {
+      fields: ['impersonatedUserId']
+    },
+    {
+      fields: ['apiKeyId']
+    },
+    {
+      fields: ['action']
+    },
+    {
+      fields: ['entityType']
+    },
+    {
+      fields: ['entityId']
+    },
+    {
+      fields: ['createdAt']
+    }
+  ]
+});
+
+// Class methods
+AuditLog.findForEntity = function(entityType, entityId) {
+  return this.findAll({
+    where: { entityType, entityId },
+    order: [['createdAt', 'DESC']]
+  });
+};
+
+module.exports = AuditLog;
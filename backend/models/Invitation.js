@@ -0,0 +1,183 @@
+const crypto = require('crypto');
+const { DataTypes, Op } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+const Invitation = sequelize.define('Invitation', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  email: {
+    type: DataTypes.STRING(255),
+    allowNull: false,
+    validate: {
+      isEmail: true
+    }
+  },
+  phone: {
+    type: DataTypes.STRING(20),
+    allowNull: true
+  },
+  firstName: {
+    type: DataTypes.STRING(100),
+    allowNull: true
+  },
+  lastName: {
+    type: DataTypes.STRING(100),
+    allowNull: true
+  },
+  role: {
+    type: DataTypes.ENUM('student', 'tutor', 'admin', 'super_admin'),
+    allowNull: false
+  },
+  channel: {
+    type: DataTypes.ENUM('email', 'whatsapp'),
+    allowNull: false,
+    defaultValue: 'email'
+  },
+  tokenHash: {
+    type: DataTypes.STRING(64),
+    allowNull: false,
+    unique: true
+  },
+  invitedBy: {
+    type: DataTypes.UUID,
+    allowNull: true,
+    references: {
+      model: 'users',
+      key: 'id'
+    }
+  },
+  expiresAt: {
+    type: DataTypes.DATE,
+    allowNull: false
+  },
+  sendCount: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 1
+  },
+  lastSentAt: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  acceptedAt: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  acceptedUserId: {
+    type: DataTypes.UUID,
+    allowNull: true,
+    references: {
+      model: 'users',
+      key: 'id'
+    }
+  },
+  revokedAt: {
+    type: DataTypes.DATE,
+    allowNull: true
+  }
+}, {
+  tableName: 'invitations',
+  indexes: [
+    {
+      unique: true,
+      fields: ['tokenHash']
+    },
+    {
+      fields: ['email']
+    },
+    {
+      fields: ['invitedBy']
+    },
+    {
+      fields: ['expiresAt']
+    }
+  ]
+});
+
+// Instance methods
+Invitation.prototype.isExpired = function() {
+  return new Date() > new Date(this.expiresAt);
+};
+
+Invitation.prototype.isPending = function() {
+  return !this.acceptedAt && !this.revokedAt && !this.isExpired();
+};
+
+Invitation.prototype.getStatus = function() {
+  if (this.acceptedAt) return 'accepted';
+  if (this.revokedAt) return 'revoked';
+  if (this.isExpired()) return 'expired';
+  return 'pending';
+};
+
+/**
+ * Atomically mark a pending invitation accepted. Returns false if it was
+ * accepted, revoked or expired in the meantime.
+ * @param {string} userId - Account created from the invitation
+ * @param {object} options - Sequelize options (e.g. transaction)
+ * @returns {Promise<boolean>} - Whether this call accepted it
+ */
+Invitation.prototype.markAccepted = async function(userId, options = {}) {
+  const [affected] = await Invitation.update(
+    { acceptedAt: new Date(), acceptedUserId: userId },
+    {
+      where: {
+        id: this.id,
+        acceptedAt: null,
+        revokedAt: null,
+        expiresAt: {
+          [Op.gt]: new Date()
+        }
+      },
+      ...options
+    }
+  );
+  return affected === 1;
+};
+
+// Class methods
+
+// Only the hash is stored; the plain token lives in the invite link
+Invitation.hashToken = function(token) {
+  return crypto.createHash('sha256').update(String(token)).digest('hex');
+};
+
+Invitation.findByToken = function(token) {
+  return this.findOne({ where: { tokenHash: this.hashToken(token) } });
+};
+
+Invitation.findPendingForEmail = function(email) {
+  return this.findOne({
+    where: {
+      email,
+      acceptedAt: null,
+      revokedAt: null,
+      expiresAt: {
+        [Op.gt]: new Date()
+      }
+    },
+    order: [['createdAt', 'DESC']]
+  });
+};
+
+// Status filters for listing, expressed as where clauses
+Invitation.statusWhere = function(status) {
+  const now = new Date();
+  switch (status) {
+    case 'pending':
+      return { acceptedAt: null, revokedAt: null, expiresAt: { [Op.gt]: now } };
+    case 'accepted':
+      return { acceptedAt: { [Op.ne]: null } };
+    case 'revoked':
+      return { revokedAt: { [Op.ne]: null } };
+    case 'expired':
+      return { acceptedAt: null, revokedAt: null, expiresAt: { [Op.lte]: now } };
+    default:
+      return {};
+  }
+};
+
+module.exports = Invitation;
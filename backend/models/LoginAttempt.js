@@ -0,0 +1,79 @@
+const { DataTypes, Op } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+const LoginAttempt = sequelize.define('LoginAttempt', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  email: {
+    type: DataTypes.STRING(255),
+    allowNull: true
+  },
+  userId: {
+    type: DataTypes.UUID,
+    allowNull: true,
+    references: {
+      model: 'users',
+      key: 'id'
+    }
+  },
+  ipAddress: {
+    type: DataTypes.STRING(45),
+    allowNull: false
+  },
+  successful: {
+    type: DataTypes.BOOLEAN,
+    allowNull: false,
+    defaultValue: false
+  },
+  userAgent: {
+    type: DataTypes.TEXT,
+    allowNull: true
+  }
+}, {
+  tableName: 'login_attempts',
+  updatedAt: false,
+  indexes: [
+    {
+      fields: ['ipAddress', 'createdAt']
+    },
+    {
+      fields: ['userId']
+    },
+    {
+      fields: ['createdAt']
+    }
+  ]
+});
+
+// Class methods
+LoginAttempt.getRecentFailuresByIp = async function(ipAddress, since) {
+  const where = {
+    ipAddress,
+    successful: false,
+    createdAt: {
+      [Op.gte]: since
+    }
+  };
+
+  const [count, latest] = await Promise.all([
+    this.count({ where }),
+    this.findOne({ where, order: [['createdAt', 'DESC']] })
+  ]);
+
+  return { count, lastFailedAt: latest ? latest.createdAt : null };
+};
+
+LoginAttempt.purgeOlderThan = function(date) {
+  return this.destroy({
+    where: {
+      createdAt: {
+        [Op.lt]: date
+      }
+    }
+  });
+};
+
+module.exports = LoginAttempt;
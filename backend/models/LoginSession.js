@@ -0,0 +1,114 @@
+const { DataTypes, Op } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+// One row per sign-in. The id is the refresh token family id, and access
+// tokens carry it in their `sid` claim.
+const LoginSession = sequelize.define('LoginSession', {
+  id: {
+    type: DataTypes.UUID,
+    primaryKey: true,
+    comment: 'Refresh token family id'
+  },
+  userId: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    references: {
+      model: 'users',
+      key: 'id'
+    }
+  },
+  deviceName: {
+    type: DataTypes.STRING(100),
+    allowNull: true
+  },
+  userAgent: {
+    type: DataTypes.TEXT,
+    allowNull: true
+  },
+  ipAddress: {
+    type: DataTypes.STRING(45),
+    allowNull: true,
+    comment: 'IP address at sign-in'
+  },
+  lastIpAddress: {
+    type: DataTypes.STRING(45),
+    allowNull: true
+  },
+  lastSeenAt: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  expiresAt: {
+    type: DataTypes.DATE,
+    allowNull: false,
+    comment: 'Expiry of the newest refresh token in the family'
+  },
+  revokedAt: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  revokedReason: {
+    type: DataTypes.STRING(100),
+    allowNull: true
+  }
+}, {
+  tableName: 'login_sessions',
+  indexes: [
+    {
+      fields: ['userId']
+    },
+    {
+      fields: ['expiresAt']
+    }
+  ]
+});
+
+// Instance methods
+LoginSession.prototype.isActive = function() {
+  return !this.revokedAt && new Date() < new Date(this.expiresAt);
+};
+
+// Class methods
+LoginSession.findActiveForUser = function(userId) {
+  return this.findAll({
+    where: {
+      userId,
+      revokedAt: null,
+      expiresAt: {
+        [Op.gt]: new Date()
+      }
+    },
+    order: [['lastSeenAt', 'DESC']]
+  });
+};
+
+LoginSession.revokeById = function(id, reason = 'logout') {
+  return this.update(
+    { revokedAt: new Date(), revokedReason: reason },
+    { where: { id, revokedAt: null } }
+  );
+};
+
+LoginSession.revokeAllForUser = function(userId, reason = 'logout_all', exceptId = null) {
+  const where = { userId, revokedAt: null };
+  if (exceptId) {
+    where.id = { [Op.ne]: exceptId };
+  }
+
+  return this.update(
+    { revokedAt: new Date(), revokedReason: reason },
+    { where }
+  );
+};
+
+LoginSession.purgeExpired = function() {
+  return this.destroy({
+    where: {
+      expiresAt: {
+        [Op.lt]: new Date()
+      }
+    }
+  });
+};
+
+module.exports = LoginSession;
@@ -0,0 +1,105 @@
+const crypto = require('crypto');
+const { DataTypes, Op } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+// One row per redirect to an identity provider. Holds the PKCE verifier and
+// nonce until the provider sends the user back with a code.
+const OidcLoginRequest = sequelize.define('OidcLoginRequest', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  providerId: {
+    type: DataTypes.STRING(50),
+    allowNull: false
+  },
+  stateHash: {
+    type: DataTypes.STRING(64),
+    allowNull: false,
+    unique: true
+  },
+  nonce: {
+    type: DataTypes.STRING(64),
+    allowNull: false
+  },
+  codeVerifier: {
+    type: DataTypes.STRING(128),
+    allowNull: false
+  },
+  redirectUri: {
+    type: DataTypes.STRING(500),
+    allowNull: false
+  },
+  expiresAt: {
+    type: DataTypes.DATE,
+    allowNull: false
+  },
+  usedAt: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  ipAddress: {
+    type: DataTypes.STRING(45),
+    allowNull: true
+  }
+}, {
+  tableName: 'oidc_login_requests',
+  indexes: [
+    {
+      unique: true,
+      fields: ['stateHash']
+    },
+    {
+      fields: ['expiresAt']
+    }
+  ]
+});
+
+// Instance methods
+OidcLoginRequest.prototype.isUsable = function() {
+  return !this.usedAt && new Date() < new Date(this.expiresAt);
+};
+
+/**
+ * Atomically mark the request used so a callback can only be redeemed once
+ * @returns {Promise<boolean>} - Whether this call consumed the request
+ */
+OidcLoginRequest.prototype.consume = async function() {
+  const [affected] = await OidcLoginRequest.update(
+    { usedAt: new Date() },
+    {
+      where: {
+        id: this.id,
+        usedAt: null,
+        expiresAt: {
+          [Op.gt]: new Date()
+        }
+      }
+    }
+  );
+  return affected === 1;
+};
+
+// Class methods
+
+// Only the hash is stored; the plain state travels through the browser
+OidcLoginRequest.hashState = function(state) {
+  return crypto.createHash('sha256').update(String(state)).digest('hex');
+};
+
+OidcLoginRequest.findByState = function(state) {
+  return this.findOne({ where: { stateHash: this.hashState(state) } });
+};
+
+OidcLoginRequest.purgeExpired = function() {
+  return this.destroy({
+    where: {
+      expiresAt: {
+        [Op.lt]: new Date()
+      }
+    }
+  });
+};
+
+module.exports = OidcLoginRequest;
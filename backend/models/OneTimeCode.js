@@ -0,0 +1,124 @@
+const { DataTypes, Op } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+const OneTimeCode = sequelize.define('OneTimeCode', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  userId: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    references: {
+      model: 'users',
+      key: 'id'
+    }
+  },
+  purpose: {
+    type: DataTypes.ENUM('phone_verification', 'login_link', 'login_code'),
+    allowNull: false
+  },
+  target: {
+    type: DataTypes.STRING(255),
+    allowNull: false,
+    comment: 'Phone number or email the code was sent to'
+  },
+  codeHash: {
+    type: DataTypes.STRING(64),
+    allowNull: false
+  },
+  attempts: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 0
+  },
+  maxAttempts: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 5
+  },
+  expiresAt: {
+    type: DataTypes.DATE,
+    allowNull: false
+  },
+  consumedAt: {
+    type: DataTypes.DATE,
+    allowNull: true
+  }
+}, {
+  tableName: 'one_time_codes',
+  indexes: [
+    {
+      fields: ['userId', 'purpose']
+    },
+    {
+      fields: ['expiresAt']
+    }
+  ]
+});
+
+// Instance methods
+OneTimeCode.prototype.isExpired = function() {
+  return new Date() > new Date(this.expiresAt);
+};
+
+OneTimeCode.prototype.isExhausted = function() {
+  return this.attempts >= this.maxAttempts;
+};
+
+OneTimeCode.prototype.isUsable = function() {
+  return !this.consumedAt && !this.isExpired() && !this.isExhausted();
+};
+
+// Class methods
+OneTimeCode.findLatestActive = function(userId, purpose) {
+  return this.findOne({
+    where: {
+      userId,
+      purpose,
+      consumedAt: null,
+      expiresAt: {
+        [Op.gt]: new Date()
+      }
+    },
+    order: [['createdAt', 'DESC']]
+  });
+};
+
+OneTimeCode.countSentSince = function(userId, purpose, since) {
+  return this.count({
+    where: {
+      userId,
+      purpose,
+      createdAt: {
+        [Op.gte]: since
+      }
+    }
+  });
+};
+
+// Issuing a new code invalidates any earlier unused ones
+OneTimeCode.invalidateActive = function(userId, purpose) {
+  return this.update(
+    { consumedAt: new Date() },
+    { where: { userId, purpose, consumedAt: null } }
+  );
+};
+
+// Codes sent in the last hour are kept, expired or not, because they still
+// count towards the hourly send limit (countSentSince)
+OneTimeCode.purgeExpired = function() {
+  return this.destroy({
+    where: {
+      expiresAt: {
+        [Op.lt]: new Date()
+      },
+      createdAt: {
+        [Op.lt]: new Date(Date.now() - 60 * 60 * 1000)
+      }
+    }
+  });
+};
+
+module.exports = OneTimeCode;
@@ -0,0 +1,93 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+const OrganizationSetting = sequelize.define('OrganizationSetting', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  settingKey: {
+    type: DataTypes.STRING(100),
+    allowNull: false,
+    unique: true
+  },
+  settingValue: {
+    type: DataTypes.TEXT,
+    allowNull: true
+  },
+  settingType: {
+    type: DataTypes.ENUM('string', 'number', 'boolean', 'json', 'date'),
+    allowNull: false,
+    defaultValue: 'string'
+  },
+  description: {
+    type: DataTypes.TEXT,
+    allowNull: true
+  },
+  isPublic: {
+    type: DataTypes.BOOLEAN,
+    defaultValue: false
+  },
+  createdBy: {
+    type: DataTypes.UUID,
+    allowNull: true,
+    references: {
+      model: 'users',
+      key: 'id'
+    }
+  }
+}, {
+  tableName: 'organization_settings',
+  indexes: [
+    {
+      unique: true,
+      fields: ['settingKey']
+    },
+    {
+      fields: ['isPublic']
+    }
+  ]
+});
+
+// Instance methods
+OrganizationSetting.prototype.getParsedValue = function() {
+  const value = this.settingValue;
+  if (value === null || value === undefined) return null;
+
+  switch (this.settingType) {
+    case 'number':
+      return Number(value);
+    case 'boolean':
+      return value === 'true' || value === '1';
+    case 'json':
+      try {
+        return JSON.parse(value);
+      } catch (error) {
+        console.error(`Invalid JSON in organization setting ${this.settingKey}:`, error);
+        return null;
+      }
+    case 'date':
+      return new Date(value);
+    default:
+      return value;
+  }
+};
+
+// Class methods
+OrganizationSetting.getValue = async function(key, defaultValue = null) {
+  const setting = await this.findOne({ where: { settingKey: key } });
+  if (!setting) return defaultValue;
+
+  const value = setting.getParsedValue();
+  return value === null ? defaultValue : value;
+};
+
+OrganizationSetting.findPublic = function() {
+  return this.findAll({
+    where: { isPublic: true },
+    order: [['settingKey', 'ASC']]
+  });
+};
+
+module.exports = OrganizationSetting;
@@ -0,0 +1,70 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+// Never keep more than this many hashes per user, whatever the policy says
+const MAX_HISTORY = 24;
+
+// Hashes of passwords a user has had, newest first, for the reuse check
+const PasswordHistory = sequelize.define('PasswordHistory', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  userId: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    references: {
+      model: 'users',
+      key: 'id'
+    }
+  },
+  passwordHash: {
+    type: DataTypes.STRING(255),
+    allowNull: false
+  }
+}, {
+  tableName: 'password_history',
+  updatedAt: false,
+  indexes: [
+    {
+      fields: ['userId', 'createdAt']
+    }
+  ]
+});
+
+// Class methods
+PasswordHistory.MAX_HISTORY = MAX_HISTORY;
+
+PasswordHistory.findRecentForUser = function(userId, limit) {
+  return this.findAll({
+    where: { userId },
+    order: [['createdAt', 'DESC']],
+    limit
+  });
+};
+
+/**
+ * Remember a new password hash and drop the oldest beyond MAX_HISTORY
+ * @param {string} userId - Owner of the password
+ * @param {string} passwordHash - bcrypt hash that was just stored
+ * @param {object} options - Sequelize options (e.g. transaction)
+ * @returns {Promise<void>}
+ */
+PasswordHistory.record = async function(userId, passwordHash, options = {}) {
+  await this.create({ userId, passwordHash }, options);
+
+  const expired = await this.findAll({
+    where: { userId },
+    order: [['createdAt', 'DESC']],
+    offset: MAX_HISTORY,
+    attributes: ['id'],
+    ...options
+  });
+
+  if (expired.length) {
+    await this.destroy({ where: { id: expired.map(entry => entry.id) }, ...options });
+  }
+};
+
+module.exports = PasswordHistory;
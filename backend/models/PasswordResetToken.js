@@ -0,0 +1,119 @@
+const crypto = require('crypto');
+const { DataTypes, Op } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+const PasswordResetToken = sequelize.define('PasswordResetToken', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  userId: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    references: {
+      model: 'users',
+      key: 'id'
+    }
+  },
+  tokenHash: {
+    type: DataTypes.STRING(64),
+    allowNull: false,
+    unique: true
+  },
+  expiresAt: {
+    type: DataTypes.DATE,
+    allowNull: false
+  },
+  usedAt: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  invalidatedAt: {
+    type: DataTypes.DATE,
+    allowNull: true,
+    comment: 'Set when a newer token was issued'
+  },
+  ipAddress: {
+    type: DataTypes.STRING(45),
+    allowNull: true
+  },
+  userAgent: {
+    type: DataTypes.TEXT,
+    allowNull: true
+  }
+}, {
+  tableName: 'password_reset_tokens',
+  indexes: [
+    {
+      unique: true,
+      fields: ['tokenHash']
+    },
+    {
+      fields: ['userId']
+    },
+    {
+      fields: ['expiresAt']
+    }
+  ]
+});
+
+// Instance methods
+PasswordResetToken.prototype.isUsable = function() {
+  return !this.usedAt && !this.invalidatedAt && new Date() < new Date(this.expiresAt);
+};
+
+/**
+ * Atomically mark the token used. Returns false if it was used,
+ * invalidated or expired in the meantime.
+ * @param {object} options - Sequelize options (e.g. transaction)
+ * @returns {Promise<boolean>} - Whether this call consumed the token
+ */
+PasswordResetToken.prototype.consume = async function(options = {}) {
+  const [affected] = await PasswordResetToken.update(
+    { usedAt: new Date() },
+    {
+      where: {
+        id: this.id,
+        usedAt: null,
+        invalidatedAt: null,
+        expiresAt: {
+          [Op.gt]: new Date()
+        }
+      },
+      ...options
+    }
+  );
+  return affected === 1;
+};
+
+// Class methods
+
+// Only the hash is stored; the plain token lives in the reset link
+PasswordResetToken.hashToken = function(token) {
+  return crypto.createHash('sha256').update(String(token)).digest('hex');
+};
+
+PasswordResetToken.findByToken = function(token) {
+  return this.findOne({ where: { tokenHash: this.hashToken(token) } });
+};
+
+// Issuing a new token invalidates any earlier unused ones
+PasswordResetToken.invalidateActive = function(userId, options = {}) {
+  return this.update(
+    { invalidatedAt: new Date() },
+    { where: { userId, usedAt: null, invalidatedAt: null }, ...options }
+  );
+};
+
+PasswordResetToken.purgeExpired = function() {
+  return this.destroy({
+    where: {
+      expiresAt: {
+        [Op.lt]: new Date()
+      }
+    }
+  });
+};
+
+module.exports = PasswordResetToken;
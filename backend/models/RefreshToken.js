@@ -0,0 +1,130 @@
+const { DataTypes, Op } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+const RefreshToken = sequelize.define('RefreshToken', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  jti: {
+    type: DataTypes.STRING(64),
+    allowNull: false,
+    unique: true
+  },
+  familyId: {
+    type: DataTypes.UUID,
+    allowNull: false
+  },
+  userId: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    references: {
+      model: 'users',
+      key: 'id'
+    }
+  },
+  expiresAt: {
+    type: DataTypes.DATE,
+    allowNull: false
+  },
+  usedAt: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  replacedBy: {
+    type: DataTypes.STRING(64),
+    allowNull: true
+  },
+  revokedAt: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  revokedReason: {
+    type: DataTypes.STRING(100),
+    allowNull: true
+  },
+  ipAddress: {
+    type: DataTypes.STRING(45),
+    allowNull: true
+  },
+  userAgent: {
+    type: DataTypes.TEXT,
+    allowNull: true
+  }
+}, {
+  tableName: 'refresh_tokens',
+  indexes: [
+    {
+      unique: true,
+      fields: ['jti']
+    },
+    {
+      fields: ['familyId']
+    },
+    {
+      fields: ['userId']
+    },
+    {
+      fields: ['expiresAt']
+    }
+  ]
+});
+
+// Instance methods
+RefreshToken.prototype.isUsed = function() {
+  return !!this.usedAt;
+};
+
+RefreshToken.prototype.isRevoked = function() {
+  return !!this.revokedAt;
+};
+
+RefreshToken.prototype.isExpired = function() {
+  return new Date() > new Date(this.expiresAt);
+};
+
+/**
+ * Atomically mark this token as used. Returns false if another request
+ * already consumed it, which callers must treat as reuse.
+ * @param {string} replacedBy - jti of the token issued in its place
+ * @returns {Promise<boolean>} - Whether this call consumed the token
+ */
+RefreshToken.prototype.consume = async function(replacedBy) {
+  const [affected] = await RefreshToken.update(
+    { usedAt: new Date(), replacedBy },
+    { where: { id: this.id, usedAt: null, revokedAt: null } }
+  );
+  return affected === 1;
+};
+
+// Class methods
+RefreshToken.findByJti = function(jti) {
+  return this.findOne({ where: { jti } });
+};
+
+RefreshToken.revokeFamily = function(familyId, reason = 'logout') {
+  return this.update(
+    { revokedAt: new Date(), revokedReason: reason },
+    { where: { familyId, revokedAt: null } }
+  );
+};
+
+RefreshToken.revokeAllForUser = function(userId, reason = 'logout_all') {
+  return this.update(
+    { revokedAt: new Date(), revokedReason: reason },
+    { where: { userId, revokedAt: null } }
+  );
+};
+
+RefreshToken.purgeExpired = function() {
+  return this.destroy({
+    where: {
+      expiresAt: {
+        [Op.lt]: new Date()
+      }
+    }
+  });
+};
+
+module.exports = RefreshToken;
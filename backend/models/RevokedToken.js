@@ -0,0 +1,93 @@
+const { DataTypes, Op } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+const RevokedToken = sequelize.define('RevokedToken', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  jti: {
+    type: DataTypes.STRING(64),
+    allowNull: false,
+    unique: true
+  },
+  userId: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    references: {
+      model: 'users',
+      key: 'id'
+    }
+  },
+  tokenType: {
+    type: DataTypes.ENUM('access', 'refresh'),
+    allowNull: false,
+    defaultValue: 'access'
+  },
+  reason: {
+    type: DataTypes.STRING(100),
+    allowNull: true
+  },
+  expiresAt: {
+    type: DataTypes.DATE,
+    allowNull: false
+  }
+}, {
+  tableName: 'revoked_tokens',
+  updatedAt: false,
+  indexes: [
+    {
+      unique: true,
+      fields: ['jti']
+    },
+    {
+      fields: ['userId']
+    },
+    {
+      fields: ['expiresAt']
+    }
+  ]
+});
+
+// Class methods
+RevokedToken.isRevoked = async function(jti) {
+  if (!jti) return false;
+  const count = await this.count({ where: { jti } });
+  return count > 0;
+};
+
+/**
+ * Revoke a single decoded JWT until it would have expired anyway
+ * @param {object} decoded - Decoded token payload (must carry jti, userId, exp)
+ * @param {string} tokenType - 'access' or 'refresh'
+ * @param {string} reason - Why the token was revoked
+ * @returns {Promise<RevokedToken|null>} - Revocation record
+ */
+RevokedToken.revoke = async function(decoded, tokenType = 'access', reason = 'logout') {
+  if (!decoded || !decoded.jti) return null;
+
+  const [record] = await this.findOrCreate({
+    where: { jti: decoded.jti },
+    defaults: {
+      userId: decoded.userId,
+      tokenType,
+      reason,
+      expiresAt: new Date(decoded.exp * 1000)
+    }
+  });
+
+  return record;
+};
+
+RevokedToken.purgeExpired = function() {
+  return this.destroy({
+    where: {
+      expiresAt: {
+        [Op.lt]: new Date()
+      }
+    }
+  });
+};
+
+module.exports = RevokedToken;
@@ -0,0 +1,53 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+const Role = sequelize.define('Role', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  name: {
+    type: DataTypes.STRING(50),
+    allowNull: false,
+    unique: true
+  },
+  description: {
+    type: DataTypes.TEXT,
+    allowNull: true
+  },
+  permissions: {
+    type: DataTypes.JSON,
+    allowNull: false,
+    defaultValue: []
+  },
+  isLocked: {
+    type: DataTypes.BOOLEAN,
+    allowNull: false,
+    defaultValue: false,
+    comment: 'Locked roles cannot be edited through the API'
+  },
+  updatedBy: {
+    type: DataTypes.UUID,
+    allowNull: true,
+    references: {
+      model: 'users',
+      key: 'id'
+    }
+  }
+}, {
+  tableName: 'roles',
+  indexes: [
+    {
+      unique: true,
+      fields: ['name']
+    }
+  ]
+});
+
+// Class methods
+Role.findByName = function(name) {
+  return this.findOne({ where: { name } });
+};
+
+module.exports = Role;
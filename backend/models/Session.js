@@ -1,5 +1,6 @@
 const { DataTypes } = require('sequelize');
 const { sequelize } = require('../config/database');
+const User = require('./User');
 
 const Session = sequelize.define('Session', {
   id: {
@@ -57,7 +58,8 @@ const Session = sequelize.define('Session', {
     }
   },
   status: {
-    type: DataTypes.ENUM('scheduled', 'ongoing', 'completed', 'cancelled', 'rescheduled'),
+    // 'requested' is a student's booking waiting for the tutor to approve it
+    type: DataTypes.ENUM('requested', 'scheduled', 'ongoing', 'completed', 'cancelled', 'rescheduled'),
     allowNull: false,
     defaultValue: 'scheduled'
   },
@@ -137,6 +139,29 @@ const Session = sequelize.define('Session', {
     type: DataTypes.JSON,
     allowNull: true,
     defaultValue: {}
+  },
+  timezone: {
+    type: DataTypes.STRING(64),
+    allowNull: false,
+    defaultValue: 'UTC',
+    comment: 'IANA timezone the session is scheduled in, shown to people without their own'
+  },
+  tutorId: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    references: {
+      model: 'users',
+      key: 'id'
+    }
+  },
+  seriesId: {
+    type: DataTypes.UUID,
+    allowNull: true,
+    comment: 'Recurring series this session is an occurrence of',
+    references: {
+      model: 'session_series',
+      key: 'id'
+    }
   }
 }, {
   tableName: 'sessions',
@@ -152,11 +177,26 @@ const Session = sequelize.define('Session', {
     },
     {
       fields: ['topic']
+    },
+    {
+      fields: ['seriesId', 'startTime']
+    }
+  ],
+  hooks: {
+    // Services check transitions first and answer 409; this catches any that don't
+    beforeUpdate: (session) => {
+      if (session.changed('status') && !Session.canTransition(session.previous('status'), session.status)) {
+        throw new Error(`A ${session.previous('status')} session can't become ${session.status}`);
+      }
     }
-  ]
+  }
 });
 
+Session.belongsTo(User, { foreignKey: 'tutorId', as: 'tutor' });
+
 // Instance methods
+
+// From the stored counter, for display; bookings recount seats under a row lock
 Session.prototype.isFull = function() {
   return this.currentStudents >= this.maxStudents;
 };
@@ -174,7 +214,28 @@ Session.prototype.isRecurringActive = function() {
   return new Date() <= new Date(this.recurringEndDate);
 };
 
+Session.prototype.canTransitionTo = function(status) {
+  return Session.canTransition(this.status, status);
+};
+
 // Class methods
+
+// The statuses a session can move to from each status. Sessions start and
+// end on their own (see services/sessionLifecycleService.js); completed and
+// cancelled sessions stay that way.
+Session.TRANSITIONS = {
+  requested: ['scheduled', 'cancelled'],
+  scheduled: ['ongoing', 'rescheduled', 'cancelled'],
+  rescheduled: ['scheduled', 'ongoing', 'cancelled'],
+  ongoing: ['completed', 'cancelled'],
+  completed: [],
+  cancelled: []
+};
+
+Session.canTransition = function(from, to) {
+  return (Session.TRANSITIONS[from] || []).includes(to);
+};
+
 Session.findUpcoming = function() {
   return this.findAll({
     where: {
@@ -187,6 +248,11 @@ Session.findUpcoming = function() {
   });
 };
 
+// Lock the row until the transaction ends; seat changes take this lock first
+Session.lockForUpdate = function(id, transaction) {
+  return this.findByPk(id, { transaction, lock: transaction.LOCK.UPDATE });
+};
+
 Session.findByTutor = function(tutorId) {
   return this.findAll({
     where: { tutorId },
@@ -0,0 +1,116 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+const Session = require('./Session');
+const User = require('./User');
+
+const WEEKDAYS = ['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA'];
+
+// The recurrence rule behind a set of sessions. Occurrences are created as
+// ordinary sessions up front (see services/seriesService.js) and point back
+// here through sessions.series_id.
+const SessionSeries = sequelize.define('SessionSeries', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  tutorId: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    references: {
+      model: 'users',
+      key: 'id'
+    }
+  },
+  title: {
+    type: DataTypes.STRING(255),
+    allowNull: false
+  },
+  startTime: {
+    type: DataTypes.DATE,
+    allowNull: false,
+    comment: 'Start of the first occurrence (DTSTART)'
+  },
+  duration: {
+    type: DataTypes.INTEGER, // in minutes
+    allowNull: false
+  },
+  timezone: {
+    type: DataTypes.STRING(64),
+    allowNull: false,
+    defaultValue: 'UTC',
+    comment: 'IANA timezone the rule repeats in, so occurrences keep their clock time across DST changes'
+  },
+  frequency: {
+    type: DataTypes.ENUM('daily', 'weekly', 'monthly'),
+    allowNull: false
+  },
+  interval: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 1,
+    validate: {
+      min: 1,
+      max: 52
+    }
+  },
+  byWeekday: {
+    type: DataTypes.JSON,
+    allowNull: true,
+    comment: 'Weekly rules only, e.g. ["MO", "WE"]'
+  },
+  count: {
+    type: DataTypes.INTEGER,
+    allowNull: true
+  },
+  until: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  status: {
+    type: DataTypes.ENUM('active', 'cancelled'),
+    allowNull: false,
+    defaultValue: 'active'
+  },
+  parentSeriesId: {
+    type: DataTypes.UUID,
+    allowNull: true,
+    comment: 'Series this one was split from by a "this and following" edit',
+    references: {
+      model: 'session_series',
+      key: 'id'
+    }
+  }
+}, {
+  tableName: 'session_series',
+  indexes: [
+    {
+      fields: ['tutorId']
+    },
+    {
+      fields: ['status']
+    }
+  ]
+});
+
+SessionSeries.belongsTo(User, { foreignKey: 'tutorId', as: 'tutor' });
+SessionSeries.hasMany(Session, { foreignKey: 'seriesId', as: 'occurrences' });
+Session.belongsTo(SessionSeries, { foreignKey: 'seriesId', as: 'series' });
+
+// Instance methods
+
+// The rule as an iCalendar RRULE, e.g. FREQ=WEEKLY;INTERVAL=1;BYDAY=MO,WE;COUNT=10
+SessionSeries.prototype.toRRule = function() {
+  const parts = [`FREQ=${this.frequency.toUpperCase()}`, `INTERVAL=${this.interval}`];
+  if (this.frequency === 'weekly' && this.byWeekday && this.byWeekday.length) {
+    parts.push(`BYDAY=${this.byWeekday.join(',')}`);
+  }
+  if (this.count) parts.push(`COUNT=${this.count}`);
+  if (this.until) parts.push(`UNTIL=${new Date(this.until).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '')}`);
+  return parts.join(';');
+};
+
+// Class methods
+SessionSeries.WEEKDAYS = WEEKDAYS;
+
+module.exports = SessionSeries;
@@ -0,0 +1,89 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+const Session = require('./Session');
+const User = require('./User');
+
+// A student's seat in a session. Leaving keeps the row as 'cancelled' so
+// rejoining reuses it (one row per session and student).
+const SessionStudent = sequelize.define('SessionStudent', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  sessionId: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    references: {
+      model: 'sessions',
+      key: 'id'
+    }
+  },
+  studentId: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    references: {
+      model: 'users',
+      key: 'id'
+    }
+  },
+  enrollmentDate: {
+    type: DataTypes.DATE,
+    allowNull: false,
+    defaultValue: DataTypes.NOW
+  },
+  status: {
+    type: DataTypes.ENUM('enrolled', 'attended', 'cancelled', 'no_show'),
+    allowNull: false,
+    defaultValue: 'enrolled'
+  },
+  notes: {
+    type: DataTypes.TEXT,
+    allowNull: true
+  }
+}, {
+  tableName: 'session_students',
+  indexes: [
+    {
+      unique: true,
+      fields: ['sessionId', 'studentId']
+    },
+    {
+      fields: ['studentId']
+    },
+    {
+      fields: ['status']
+    }
+  ]
+});
+
+SessionStudent.belongsTo(Session, { foreignKey: 'sessionId', as: 'session' });
+SessionStudent.belongsTo(User, { foreignKey: 'studentId', as: 'student' });
+Session.hasMany(SessionStudent, { foreignKey: 'sessionId' });
+
+// Instance methods
+SessionStudent.prototype.isEnrolled = function() {
+  return this.status === 'enrolled';
+};
+
+// Class methods
+// Every status except 'cancelled' means the student kept their seat
+SessionStudent.HELD_STATUSES = ['enrolled', 'attended', 'no_show'];
+
+SessionStudent.findEnrollment = function(sessionId, studentId, options = {}) {
+  return this.findOne({ where: { sessionId, studentId }, ...options });
+};
+
+SessionStudent.countHeldSeats = function(sessionId, options = {}) {
+  return this.count({ where: { sessionId, status: SessionStudent.HELD_STATUSES }, ...options });
+};
+
+SessionStudent.findEnrolledSessionIds = async function(studentId) {
+  const rows = await this.findAll({
+    where: { studentId, status: SessionStudent.HELD_STATUSES },
+    attributes: ['sessionId']
+  });
+  return rows.map(row => row.sessionId);
+};
+
+module.exports = SessionStudent;
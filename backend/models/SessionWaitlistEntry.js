@@ -0,0 +1,126 @@
+const { DataTypes, Op } = require('sequelize');
+const { sequelize } = require('../config/database');
+const Session = require('./Session');
+const User = require('./User');
+
+// A student's place in the queue for a full group session or workshop. When a
+// seat frees up the next entry is 'offered' it and has until offerExpiresAt
+// to claim it by joining. One row per session and student; rejoining the
+// queue reuses it at the back.
+const SessionWaitlistEntry = sequelize.define('SessionWaitlistEntry', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  sessionId: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    references: {
+      model: 'sessions',
+      key: 'id'
+    }
+  },
+  studentId: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    references: {
+      model: 'users',
+      key: 'id'
+    }
+  },
+  position: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    comment: 'Queue order within the session; lower goes first'
+  },
+  status: {
+    type: DataTypes.ENUM('waiting', 'offered', 'claimed', 'expired', 'withdrawn', 'cancelled'),
+    allowNull: false,
+    defaultValue: 'waiting'
+  },
+  offeredAt: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  offerExpiresAt: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  respondedAt: {
+    type: DataTypes.DATE,
+    allowNull: true
+  }
+}, {
+  tableName: 'session_waitlist',
+  indexes: [
+    {
+      unique: true,
+      fields: ['sessionId', 'studentId']
+    },
+    {
+      fields: ['sessionId', 'status', 'position']
+    },
+    {
+      fields: ['studentId', 'status']
+    },
+    {
+      fields: ['status', 'offerExpiresAt']
+    }
+  ]
+});
+
+SessionWaitlistEntry.belongsTo(Session, { foreignKey: 'sessionId', as: 'session' });
+SessionWaitlistEntry.belongsTo(User, { foreignKey: 'studentId', as: 'student' });
+
+// Instance methods
+SessionWaitlistEntry.prototype.isOfferOpen = function() {
+  return this.status === 'offered' && new Date(this.offerExpiresAt) > new Date();
+};
+
+SessionWaitlistEntry.prototype.isActive = function() {
+  return this.status === 'waiting' || this.isOfferOpen();
+};
+
+// Class methods
+
+// Entries still in the queue or holding an offer
+SessionWaitlistEntry.ACTIVE_STATUSES = ['waiting', 'offered'];
+
+SessionWaitlistEntry.findEntry = function(sessionId, studentId, options = {}) {
+  return this.findOne({ where: { sessionId, studentId }, ...options });
+};
+
+SessionWaitlistEntry.countOpenOffers = function(sessionId, options = {}) {
+  return this.count({
+    where: { sessionId, status: 'offered', offerExpiresAt: { [Op.gt]: new Date() } },
+    ...options
+  });
+};
+
+SessionWaitlistEntry.findNextWaiting = function(sessionId, limit, options = {}) {
+  return this.findAll({
+    where: { sessionId, status: 'waiting' },
+    order: [['position', 'ASC']],
+    limit,
+    ...options
+  });
+};
+
+SessionWaitlistEntry.nextPosition = async function(sessionId, options = {}) {
+  const last = await this.max('position', { where: { sessionId }, ...options });
+  return (last || 0) + 1;
+};
+
+// 1 for the front of the queue; null once the entry has left it
+SessionWaitlistEntry.getQueuePosition = async function(entry, options = {}) {
+  if (entry.status !== 'waiting') return null;
+
+  const ahead = await this.count({
+    where: { sessionId: entry.sessionId, status: 'waiting', position: { [Op.lt]: entry.position } },
+    ...options
+  });
+  return ahead + 1;
+};
+
+module.exports = SessionWaitlistEntry;
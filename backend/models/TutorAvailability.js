@@ -0,0 +1,97 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+const User = require('./User');
+
+const DAYS_OF_WEEK = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+
+// A tutor's recurring weekly hours, as wall-clock times in the row's
+// timezone. Rows with isAvailable false block time out inside the hours a
+// tutor is available; date-specific changes are TutorAvailabilityExceptions.
+const TutorAvailability = sequelize.define('TutorAvailability', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  tutorId: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    references: {
+      model: 'users',
+      key: 'id'
+    }
+  },
+  dayOfWeek: {
+    type: DataTypes.ENUM('monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday', 'sunday'),
+    allowNull: false
+  },
+  startTime: {
+    type: DataTypes.TIME,
+    allowNull: false
+  },
+  endTime: {
+    type: DataTypes.TIME,
+    allowNull: false
+  },
+  isAvailable: {
+    type: DataTypes.BOOLEAN,
+    defaultValue: true
+  },
+  timezone: {
+    type: DataTypes.STRING(64),
+    allowNull: false,
+    defaultValue: 'UTC',
+    comment: 'IANA timezone startTime and endTime are read in'
+  },
+  notes: {
+    type: DataTypes.TEXT,
+    allowNull: true
+  }
+}, {
+  tableName: 'tutor_availability',
+  indexes: [
+    {
+      unique: true,
+      fields: ['tutorId', 'dayOfWeek', 'startTime']
+    },
+    {
+      fields: ['tutorId']
+    },
+    {
+      fields: ['dayOfWeek']
+    },
+    {
+      fields: ['isAvailable']
+    }
+  ]
+});
+
+TutorAvailability.belongsTo(User, { foreignKey: 'tutorId', as: 'tutor' });
+
+// Instance methods
+
+// Minutes after midnight; an end of 00:00 means the end of the day
+TutorAvailability.prototype.getStartMinutes = function() {
+  const [hours, minutes] = String(this.startTime).split(':').map(Number);
+  return hours * 60 + minutes;
+};
+
+TutorAvailability.prototype.getEndMinutes = function() {
+  const [hours, minutes] = String(this.endTime).split(':').map(Number);
+  return (hours * 60 + minutes) || 24 * 60;
+};
+
+// Class methods
+
+// Indexed like Date#getDay()
+TutorAvailability.DAYS_OF_WEEK = DAYS_OF_WEEK;
+
+TutorAvailability.findByTutor = function(tutorId, options = {}) {
+  return this.findAll({
+    where: { tutorId },
+    order: [['dayOfWeek', 'ASC'], ['startTime', 'ASC']],
+    ...options
+  });
+};
+
+module.exports = TutorAvailability;
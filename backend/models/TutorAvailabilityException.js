@@ -0,0 +1,70 @@
+const { DataTypes, Op } = require('sequelize');
+const { sequelize } = require('../config/database');
+const User = require('./User');
+
+// A date-specific change to a tutor's weekly hours: time off (holidays, sick
+// days) when isAvailable is false, or extra hours when it is true. Stored as
+// instants, so it needs no timezone of its own.
+const TutorAvailabilityException = sequelize.define('TutorAvailabilityException', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  tutorId: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    references: {
+      model: 'users',
+      key: 'id'
+    }
+  },
+  startTime: {
+    type: DataTypes.DATE,
+    allowNull: false
+  },
+  endTime: {
+    type: DataTypes.DATE,
+    allowNull: false
+  },
+  isAvailable: {
+    type: DataTypes.BOOLEAN,
+    allowNull: false,
+    defaultValue: false
+  },
+  reason: {
+    type: DataTypes.ENUM('holiday', 'sick', 'personal', 'training', 'other'),
+    allowNull: true
+  },
+  notes: {
+    type: DataTypes.TEXT,
+    allowNull: true
+  }
+}, {
+  tableName: 'tutor_availability_exceptions',
+  indexes: [
+    {
+      fields: ['tutorId', 'startTime']
+    },
+    {
+      fields: ['tutorId', 'endTime']
+    }
+  ]
+});
+
+TutorAvailabilityException.belongsTo(User, { foreignKey: 'tutorId', as: 'tutor' });
+
+// Class methods
+TutorAvailabilityException.findOverlapping = function(tutorId, from, to, options = {}) {
+  return this.findAll({
+    where: {
+      tutorId,
+      startTime: { [Op.lt]: to },
+      endTime: { [Op.gt]: from }
+    },
+    order: [['startTime', 'ASC']],
+    ...options
+  });
+};
+
+module.exports = TutorAvailabilityException;
@@ -0,0 +1,107 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+const Session = require('./Session');
+const User = require('./User');
+
+// What a tutor is owed for a completed session, after the organization's
+// commission. One row per session, created when the session completes.
+const TutorEarning = sequelize.define('TutorEarning', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  tutorId: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    references: {
+      model: 'users',
+      key: 'id'
+    }
+  },
+  sessionId: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    references: {
+      model: 'sessions',
+      key: 'id'
+    }
+  },
+  amount: {
+    type: DataTypes.DECIMAL(10, 2),
+    allowNull: false,
+    validate: {
+      min: 0
+    }
+  },
+  currency: {
+    type: DataTypes.STRING(3),
+    allowNull: false,
+    defaultValue: 'USD'
+  },
+  commissionRate: {
+    type: DataTypes.DECIMAL(5, 2),
+    allowNull: false,
+    defaultValue: 0.00,
+    comment: 'Percentage of amount kept by the organization'
+  },
+  commissionAmount: {
+    type: DataTypes.DECIMAL(10, 2),
+    allowNull: false,
+    defaultValue: 0.00
+  },
+  netAmount: {
+    type: DataTypes.DECIMAL(10, 2),
+    allowNull: false
+  },
+  status: {
+    type: DataTypes.ENUM('pending', 'paid', 'cancelled'),
+    allowNull: false,
+    defaultValue: 'pending'
+  },
+  paidAt: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  paymentMethod: {
+    type: DataTypes.STRING(50),
+    allowNull: true
+  },
+  notes: {
+    type: DataTypes.TEXT,
+    allowNull: true
+  }
+}, {
+  tableName: 'tutor_earnings',
+  indexes: [
+    {
+      fields: ['tutorId']
+    },
+    {
+      unique: true,
+      fields: ['sessionId']
+    },
+    {
+      fields: ['status']
+    }
+  ]
+});
+
+TutorEarning.belongsTo(User, { foreignKey: 'tutorId', as: 'tutor' });
+TutorEarning.belongsTo(Session, { foreignKey: 'sessionId', as: 'session' });
+
+// Instance methods
+TutorEarning.prototype.isPaid = function() {
+  return this.status === 'paid';
+};
+
+// Class methods
+TutorEarning.findByTutor = function(tutorId, options = {}) {
+  return this.findAll({
+    where: { tutorId },
+    order: [['createdAt', 'DESC']],
+    ...options
+  });
+};
+
+module.exports = TutorEarning;
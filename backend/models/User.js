@@ -1,6 +1,8 @@
-const { DataTypes } = require('sequelize');
+const { DataTypes, Op } = require('sequelize');
 const bcrypt = require('bcryptjs');
 const { sequelize } = require('../config/database');
+const { verifyCode, hashRecoveryCode } = require('../services/totpService');
+const PasswordHistory = require('./PasswordHistory');
 
 const User = sequelize.define('User', {
   id: {
@@ -93,10 +95,27 @@ const User = sequelize.define('User', {
     type: DataTypes.DATE,
     allowNull: true
   },
+  failedLoginAttempts: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 0
+  },
+  lastFailedLoginAt: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  lockedUntil: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
   emailVerified: {
     type: DataTypes.BOOLEAN,
     defaultValue: false
   },
+  emailVerificationSentAt: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
   phoneVerified: {
     type: DataTypes.BOOLEAN,
     defaultValue: false
@@ -105,6 +124,39 @@ const User = sequelize.define('User', {
     type: DataTypes.BOOLEAN,
     defaultValue: false
   },
+  twoFactorSecret: {
+    type: DataTypes.STRING(64),
+    allowNull: true
+  },
+  twoFactorRecoveryCodes: {
+    type: DataTypes.JSON,
+    allowNull: true,
+    defaultValue: []
+  },
+  twoFactorLastUsedStep: {
+    type: DataTypes.INTEGER,
+    allowNull: true
+  },
+  tokensRevokedAt: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  tokenVersion: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 0,
+    comment: 'Carried in every token as `ver`; revokeAllTokens bumps it'
+  },
+  timezone: {
+    type: DataTypes.STRING(64),
+    allowNull: true,
+    comment: 'IANA timezone times are shown in; null uses the session\'s or the default'
+  },
+  locale: {
+    type: DataTypes.STRING(35),
+    allowNull: true,
+    comment: 'BCP 47 locale dates are written in, e.g. en-GB'
+  },
   preferences: {
     type: DataTypes.JSON,
     allowNull: true,
@@ -118,23 +170,23 @@ const User = sequelize.define('User', {
         const salt = await bcrypt.genSalt(parseInt(process.env.BCRYPT_ROUNDS) || 12);
         user.password = await bcrypt.hash(user.password, salt);
       }
-      
-      // Auto-assign role based on email domain
-      if (!user.role) {
-        if (user.email.endsWith('@std.com')) {
-          user.role = 'student';
-        } else if (user.email.endsWith('@tut.com')) {
-          user.role = 'tutor';
-        } else if (user.email.endsWith('@adm.com')) {
-          user.role = 'admin';
-        }
-      }
     },
     beforeUpdate: async (user) => {
+      // A new number has to be verified again before it gets alerts
+      if (user.changed('phone')) {
+        user.phoneVerified = false;
+      }
+
       if (user.changed('password')) {
         const salt = await bcrypt.genSalt(parseInt(process.env.BCRYPT_ROUNDS) || 12);
         user.password = await bcrypt.hash(user.password, salt);
       }
+    },
+    afterSave: async (user, options) => {
+      // Every password an account has had is kept (hashed) for the reuse check
+      if (user.changed('password')) {
+        await PasswordHistory.record(user.id, user.password, { transaction: options.transaction });
+      }
     }
   }
 });
@@ -164,6 +216,83 @@ User.prototype.isSuperAdmin = function() {
   return this.role === 'super_admin';
 };
 
+User.prototype.isLocked = function() {
+  return !!this.lockedUntil && new Date() < new Date(this.lockedUntil);
+};
+
+// Invalidate every token issued to this user so far ("log out all devices").
+// Tokens carry the version they were issued under, so a token issued right
+// after this call, even within the same second, stays valid. The version is
+// bumped in SQL so two revocations at once both take effect.
+User.prototype.revokeAllTokens = async function() {
+  this.tokensRevokedAt = new Date();
+  this.tokenVersion = sequelize.literal('token_version + 1');
+  await this.save();
+  return await this.reload({ attributes: ['tokenVersion'] });
+};
+
+// `claims` is a decoded token, or its `act` claim for the impersonator
+User.prototype.isTokenRevoked = function(claims) {
+  return (claims.ver || 0) < this.tokenVersion;
+};
+
+// Check a TOTP code, rejecting replays of a code that was already accepted.
+// The step is claimed with a conditional update, so of two logins racing
+// with the same code only one gets it.
+User.prototype.verifyTwoFactorCode = async function(code) {
+  const step = verifyCode(this.twoFactorSecret, code, {
+    lastUsedStep: this.twoFactorLastUsedStep
+  });
+  if (step === null) return false;
+
+  const [claimed] = await User.update(
+    { twoFactorLastUsedStep: step },
+    {
+      where: {
+        id: this.id,
+        [Op.or]: [
+          { twoFactorLastUsedStep: null },
+          { twoFactorLastUsedStep: { [Op.lt]: step } }
+        ]
+      }
+    }
+  );
+  await this.reload({ attributes: ['twoFactorLastUsedStep'] });
+  return claimed === 1;
+};
+
+// Consume a one-time recovery code, under a lock on the user's row so the
+// same code can't be spent twice at once
+User.prototype.useRecoveryCode = async function(code) {
+  const hash = hashRecoveryCode(code);
+
+  const used = await sequelize.transaction(async (transaction) => {
+    const locked = await User.findByPk(this.id, {
+      attributes: ['id', 'twoFactorRecoveryCodes'],
+      transaction,
+      lock: transaction.LOCK.UPDATE
+    });
+    const remaining = locked.twoFactorRecoveryCodes || [];
+    if (!remaining.includes(hash)) return false;
+
+    await User.update(
+      { twoFactorRecoveryCodes: remaining.filter(stored => stored !== hash) },
+      { where: { id: this.id }, transaction }
+    );
+    return true;
+  });
+
+  await this.reload({ attributes: ['twoFactorRecoveryCodes'] });
+  return used;
+};
+
+// Accept either an authenticator code or a recovery code
+User.prototype.verifySecondFactor = async function({ code, recoveryCode }) {
+  if (code) return await this.verifyTwoFactorCode(code);
+  if (recoveryCode) return await this.useRecoveryCode(recoveryCode);
+  return false;
+};
+
 // Class methods
 User.findByEmail = function(email) {
   return this.findOne({ where: { email } });
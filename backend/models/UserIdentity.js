@@ -0,0 +1,56 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+// Links a local account to an external identity (OIDC issuer + subject)
+const UserIdentity = sequelize.define('UserIdentity', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  userId: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    references: {
+      model: 'users',
+      key: 'id'
+    }
+  },
+  provider: {
+    type: DataTypes.STRING(50),
+    allowNull: false,
+    comment: 'Provider id from OIDC_PROVIDERS'
+  },
+  subject: {
+    type: DataTypes.STRING(255),
+    allowNull: false,
+    comment: 'The provider\'s stable "sub" claim'
+  },
+  email: {
+    type: DataTypes.STRING(255),
+    allowNull: true,
+    comment: 'Email the provider reported at last sign-in'
+  },
+  lastLoginAt: {
+    type: DataTypes.DATE,
+    allowNull: true
+  }
+}, {
+  tableName: 'user_identities',
+  indexes: [
+    {
+      unique: true,
+      fields: ['provider', 'subject']
+    },
+    {
+      fields: ['userId']
+    }
+  ]
+});
+
+// Class methods
+UserIdentity.findBySubject = function(provider, subject) {
+  return this.findOne({ where: { provider, subject } });
+};
+
+module.exports = UserIdentity;
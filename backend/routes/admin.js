@@ -0,0 +1,878 @@
+const express = require('express');
+const { body, query, validationResult } = require('express-validator');
+const User = require('../models/User');
+const {
+  requirePermission,
+  requireSuperAdmin,
+  forbidApiKey,
+  generateImpersonationToken
+} = require('../middleware/auth');
+const { revokeAllUserTokens } = require('../services/tokenService');
+const { unlockAccount } = require('../services/loginProtectionService');
+const { ALL_ROLES, canAssignRole } = require('../services/rolePolicyService');
+const { assertPasswordAllowed } = require('../services/passwordPolicyService');
+const Invitation = require('../models/Invitation');
+const {
+  serializeInvitation,
+  createInvitation,
+  resendInvitation,
+  revokeInvitation
+} = require('../services/invitationService');
+const Role = require('../models/Role');
+const { PERMISSIONS, DEFAULT_ROLE_PERMISSIONS, API_KEY_SCOPES } = require('../config/permissions');
+const {
+  getPermissionsForRole,
+  userHasPermission,
+  invalidatePermissionCache,
+  findUnknownPermissions
+} = require('../services/permissionService');
+const { recordAudit } = require('../services/auditService');
+const LoginSession = require('../models/LoginSession');
+const ApiKey = require('../models/ApiKey');
+const { serializeApiKey, createApiKey, revokeApiKey } = require('../services/apiKeyService');
+const { revokeUserLogin, serializeLoginSession } = require('../services/loginSessionService');
+
+const router = express.Router();
+
+// Each admin route requires its own permission (see config/permissions.js)
+
+// Validation rules
+const createUserValidation = [
+  body('email').isEmail().normalizeEmail(),
+  body('password').isString(),
+  body('firstName').trim().isLength({ min: 2, max: 100 }),
+  body('lastName').trim().isLength({ min: 2, max: 100 }),
+  body('phone').optional().matches(/^\+?[\d\s\-\(\)]+$/),
+  body('role').isIn(ALL_ROLES)
+];
+
+const changeRoleValidation = [
+  body('role').isIn(ALL_ROLES)
+];
+
+const createInvitationValidation = [
+  body('email').isEmail().normalizeEmail(),
+  body('phone').optional().matches(/^\+?[\d\s\-\(\)]+$/),
+  body('firstName').optional().trim().isLength({ min: 2, max: 100 }),
+  body('lastName').optional().trim().isLength({ min: 2, max: 100 }),
+  body('role').isIn(ALL_ROLES),
+  body('channel').optional().isIn(['email', 'whatsapp'])
+];
+
+const listInvitationsValidation = [
+  query('status').optional().isIn(['pending', 'accepted', 'revoked', 'expired']),
+  query('page').optional().isInt({ min: 1 }),
+  query('limit').optional().isInt({ min: 1, max: 100 })
+];
+
+const updateRoleValidation = [
+  body('permissions').isArray(),
+  body('permissions.*').isString(),
+  body('description').optional().trim().isLength({ max: 500 })
+];
+
+const createApiKeyValidation = [
+  body('name').trim().isLength({ min: 1, max: 100 }),
+  body('scopes').isArray({ min: 1 }),
+  body('scopes.*').isIn(Object.keys(API_KEY_SCOPES)),
+  body('allowedIps').optional().isArray({ max: 50 }),
+  body('allowedIps.*').isString(),
+  body('expiresAt').optional({ nullable: true }).isISO8601()
+];
+
+// Load the target user and make sure the caller may manage them
+const loadManagedUser = async (req, res) => {
+  const user = await User.findByPk(req.params.userId);
+  if (!user) {
+    res.status(404).json({
+      success: false,
+      message: 'User not found'
+    });
+    return null;
+  }
+
+  if (user.id === req.user.id) {
+    res.status(400).json({
+      success: false,
+      message: 'You cannot perform this action on your own account'
+    });
+    return null;
+  }
+
+  // An API key acts as the admin who made it, so a super admin's key would
+  // otherwise pass; super admins are only managed by a signed-in super admin
+  if (user.isSuperAdmin() && (!req.user.isSuperAdmin() || req.apiKey)) {
+    res.status(403).json({
+      success: false,
+      message: 'Only a super admin can manage another super admin'
+    });
+    return null;
+  }
+
+  return user;
+};
+
+// Create an account with any role the caller may grant (the admin path for staff accounts)
+router.post('/users', forbidApiKey, requirePermission('users.create'), createUserValidation, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    const { email, password, firstName, lastName, phone, role } = req.body;
+
+    if (!(await canAssignRole(req.user, role))) {
+      return res.status(403).json({
+        success: false,
+        message: 'You are not allowed to create accounts with this role'
+      });
+    }
+
+    const existingUser = await User.findByEmail(email);
+    if (existingUser) {
+      return res.status(409).json({
+        success: false,
+        message: 'User with this email already exists'
+      });
+    }
+
+    await assertPasswordAllowed(password);
+
+    const user = await User.create({
+      email,
+      password,
+      firstName,
+      lastName,
+      phone,
+      role,
+      status: 'active'
+    });
+
+    await recordAudit({
+      action: 'user.created',
+      entityType: 'user',
+      entityId: user.id,
+      newValues: { email: user.email, role: user.role, status: user.status }
+    }, req);
+
+    res.status(201).json({
+      success: true,
+      message: 'User created successfully',
+      data: {
+        user: {
+          id: user.id,
+          email: user.email,
+          firstName: user.firstName,
+          lastName: user.lastName,
+          role: user.role,
+          status: user.status
+        }
+      }
+    });
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message,
+        errors: error.errors
+      });
+    }
+
+    console.error('Create user error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to create user'
+    });
+  }
+});
+
+// Change a user's role; existing tokens carry the old role, so they are revoked
+router.put('/users/:userId/role', forbidApiKey, requirePermission('users.role.assign'), changeRoleValidation, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    const user = await loadManagedUser(req, res);
+    if (!user) return;
+
+    // Both the current and the new role must be within the caller's own permissions
+    if (!(await canAssignRole(req.user, user.role)) || !(await canAssignRole(req.user, req.body.role))) {
+      return res.status(403).json({
+        success: false,
+        message: 'You are not allowed to assign this role'
+      });
+    }
+
+    const oldRole = user.role;
+    user.role = req.body.role;
+    await revokeAllUserTokens(user, 'role_changed');
+
+    await recordAudit({
+      action: 'user.role_changed',
+      entityType: 'user',
+      entityId: user.id,
+      oldValues: { role: oldRole },
+      newValues: { role: user.role }
+    }, req);
+
+    res.json({
+      success: true,
+      message: 'Role updated',
+      data: {
+        user: {
+          id: user.id,
+          email: user.email,
+          role: user.role
+        }
+      }
+    });
+  } catch (error) {
+    console.error('Change role error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to change role'
+    });
+  }
+});
+
+// Suspend a user and kill every token issued to them
+router.post('/users/:userId/suspend', requirePermission('users.suspend'), async (req, res) => {
+  try {
+    const user = await loadManagedUser(req, res);
+    if (!user) return;
+
+    const oldStatus = user.status;
+    user.status = 'suspended';
+    await revokeAllUserTokens(user, 'suspended');
+
+    await recordAudit({
+      action: 'user.suspended',
+      entityType: 'user',
+      entityId: user.id,
+      oldValues: { status: oldStatus },
+      newValues: { status: user.status, tokensRevokedAt: user.tokensRevokedAt }
+    }, req);
+
+    res.json({
+      success: true,
+      message: 'User suspended and all tokens revoked',
+      data: {
+        user: {
+          id: user.id,
+          email: user.email,
+          status: user.status,
+          tokensRevokedAt: user.tokensRevokedAt
+        }
+      }
+    });
+  } catch (error) {
+    console.error('Suspend user error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to suspend user'
+    });
+  }
+});
+
+// Revoke every token for a user without changing their status
+router.post('/users/:userId/revoke-tokens', requirePermission('users.revoke_tokens'), async (req, res) => {
+  try {
+    const user = await loadManagedUser(req, res);
+    if (!user) return;
+
+    const oldRevokedAt = user.tokensRevokedAt;
+    await revokeAllUserTokens(user, 'admin_revoked');
+
+    await recordAudit({
+      action: 'user.tokens_revoked',
+      entityType: 'user',
+      entityId: user.id,
+      oldValues: { tokensRevokedAt: oldRevokedAt },
+      newValues: { tokensRevokedAt: user.tokensRevokedAt }
+    }, req);
+
+    res.json({
+      success: true,
+      message: 'All tokens revoked',
+      data: {
+        user: {
+          id: user.id,
+          email: user.email,
+          tokensRevokedAt: user.tokensRevokedAt
+        }
+      }
+    });
+  } catch (error) {
+    console.error('Revoke user tokens error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to revoke tokens'
+    });
+  }
+});
+
+// Lift a temporary login lock before it expires
+router.post('/users/:userId/unlock', requirePermission('users.unlock'), async (req, res) => {
+  try {
+    const user = await loadManagedUser(req, res);
+    if (!user) return;
+
+    const oldLockedUntil = user.lockedUntil;
+    const oldFailedAttempts = user.failedLoginAttempts;
+    await unlockAccount(user);
+
+    await recordAudit({
+      action: 'user.unlocked',
+      entityType: 'user',
+      entityId: user.id,
+      oldValues: { lockedUntil: oldLockedUntil, failedLoginAttempts: oldFailedAttempts },
+      newValues: { lockedUntil: null, failedLoginAttempts: 0 }
+    }, req);
+
+    res.json({
+      success: true,
+      message: 'Account unlocked',
+      data: {
+        user: {
+          id: user.id,
+          email: user.email,
+          lockedUntil: user.lockedUntil
+        }
+      }
+    });
+  } catch (error) {
+    console.error('Unlock user error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to unlock account'
+    });
+  }
+});
+
+// Devices a user is signed in on
+router.get('/users/:userId/devices', requirePermission('users.view'), async (req, res) => {
+  try {
+    const user = await User.findByPk(req.params.userId);
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    const sessions = await LoginSession.findActiveForUser(user.id);
+
+    res.json({
+      success: true,
+      data: {
+        devices: sessions.map(session => serializeLoginSession(session))
+      }
+    });
+  } catch (error) {
+    console.error('List user devices error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to load devices'
+    });
+  }
+});
+
+// Sign a user out of one device
+router.delete('/users/:userId/devices/:deviceId', requirePermission('users.revoke_tokens'), async (req, res) => {
+  try {
+    const user = await loadManagedUser(req, res);
+    if (!user) return;
+
+    await revokeUserLogin(user.id, req.params.deviceId, 'admin_revoked');
+
+    await recordAudit({
+      action: 'user.device_revoked',
+      entityType: 'user',
+      entityId: user.id,
+      newValues: { loginId: req.params.deviceId }
+    }, req);
+
+    res.json({
+      success: true,
+      message: 'Device signed out'
+    });
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    console.error('Revoke user device error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to sign out device'
+    });
+  }
+});
+
+// Sign in as a student or tutor to see exactly what they see (super admins only)
+router.post('/users/:userId/impersonate', requireSuperAdmin, async (req, res) => {
+  try {
+    const user = await loadManagedUser(req, res);
+    if (!user) return;
+
+    if (!['student', 'tutor'].includes(user.role)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Only student and tutor accounts can be impersonated'
+      });
+    }
+
+    if (user.status !== 'active') {
+      return res.status(400).json({
+        success: false,
+        message: 'Only active accounts can be impersonated'
+      });
+    }
+
+    const accessToken = generateImpersonationToken(user, req.user);
+
+    await recordAudit({
+      action: 'impersonation.started',
+      entityType: 'user',
+      entityId: user.id,
+      newValues: { impersonatedUserId: user.id, role: user.role }
+    }, req);
+
+    res.json({
+      success: true,
+      message: `Now impersonating ${user.firstName} ${user.lastName}`,
+      data: {
+        user: {
+          id: user.id,
+          email: user.email,
+          firstName: user.firstName,
+          lastName: user.lastName,
+          role: user.role,
+          profilePicture: user.profilePicture,
+          phone: user.phone,
+          status: user.status,
+          emailVerified: user.emailVerified,
+          permissions: await getPermissionsForRole(user.role)
+        },
+        impersonator: {
+          id: req.user.id,
+          email: req.user.email,
+          firstName: req.user.firstName,
+          lastName: req.user.lastName
+        },
+        accessToken,
+        expiresIn: process.env.IMPERSONATION_EXPIRES_IN || '1h'
+      }
+    });
+  } catch (error) {
+    console.error('Impersonate user error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to impersonate user'
+    });
+  }
+});
+
+// Invite a tutor or admin to create their own account with a pre-assigned role
+router.post('/invitations', requirePermission('invitations.manage'), createInvitationValidation, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    const invitation = await createInvitation(req.user, req.body, req);
+
+    res.status(201).json({
+      success: true,
+      message: 'Invitation sent',
+      data: {
+        invitation: serializeInvitation(invitation)
+      }
+    });
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    console.error('Create invitation error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to send invitation'
+    });
+  }
+});
+
+// List invitations, newest first
+router.get('/invitations', requirePermission('invitations.manage'), listInvitationsValidation, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 20;
+
+    const { count, rows } = await Invitation.findAndCountAll({
+      where: Invitation.statusWhere(req.query.status),
+      order: [['createdAt', 'DESC']],
+      limit,
+      offset: (page - 1) * limit
+    });
+
+    res.json({
+      success: true,
+      data: {
+        invitations: rows.map(serializeInvitation),
+        pagination: {
+          page,
+          limit,
+          total: count,
+          pages: Math.ceil(count / limit)
+        }
+      }
+    });
+  } catch (error) {
+    console.error('List invitations error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to load invitations'
+    });
+  }
+});
+
+// Send an invitation again with a fresh link and expiry
+router.post('/invitations/:invitationId/resend', requirePermission('invitations.manage'), async (req, res) => {
+  try {
+    const invitation = await Invitation.findByPk(req.params.invitationId);
+    if (!invitation) {
+      return res.status(404).json({
+        success: false,
+        message: 'Invitation not found'
+      });
+    }
+
+    await resendInvitation(invitation, req.user, req);
+
+    res.json({
+      success: true,
+      message: 'Invitation resent',
+      data: {
+        invitation: serializeInvitation(invitation)
+      }
+    });
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    console.error('Resend invitation error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to resend invitation'
+    });
+  }
+});
+
+// Revoke a pending invitation
+router.delete('/invitations/:invitationId', requirePermission('invitations.manage'), async (req, res) => {
+  try {
+    const invitation = await Invitation.findByPk(req.params.invitationId);
+    if (!invitation) {
+      return res.status(404).json({
+        success: false,
+        message: 'Invitation not found'
+      });
+    }
+
+    await revokeInvitation(invitation, req.user, req);
+
+    res.json({
+      success: true,
+      message: 'Invitation revoked',
+      data: {
+        invitation: serializeInvitation(invitation)
+      }
+    });
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    console.error('Revoke invitation error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to revoke invitation'
+    });
+  }
+});
+
+// Permission catalog, for building role editors
+router.get('/permissions', requirePermission('roles.manage'), (req, res) => {
+  res.json({
+    success: true,
+    data: {
+      permissions: Object.entries(PERMISSIONS).map(([key, description]) => ({ key, description }))
+    }
+  });
+});
+
+// Every role with the permissions it currently grants
+router.get('/roles', requirePermission('roles.manage'), async (req, res) => {
+  try {
+    const rows = await Role.findAll({ order: [['name', 'ASC']] });
+    const roles = await Promise.all(ALL_ROLES.map(async (name) => {
+      const row = rows.find(role => role.name === name);
+      return {
+        name,
+        description: row ? row.description : null,
+        permissions: await getPermissionsForRole(name),
+        isLocked: row ? row.isLocked : name === 'super_admin',
+        updatedAt: row ? row.updatedAt : null
+      };
+    }));
+
+    res.json({
+      success: true,
+      data: { roles }
+    });
+  } catch (error) {
+    console.error('List roles error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to load roles'
+    });
+  }
+});
+
+// Replace the permission set granted to a role
+router.put('/roles/:roleName', requirePermission('roles.manage'), updateRoleValidation, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    const { roleName } = req.params;
+    if (!ALL_ROLES.includes(roleName)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Role not found'
+      });
+    }
+
+    const permissions = [...new Set(req.body.permissions)];
+    const unknown = findUnknownPermissions(permissions);
+    if (unknown.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: `Unknown permissions: ${unknown.join(', ')}`
+      });
+    }
+
+    let role = await Role.findByName(roleName);
+    if ((role && role.isLocked) || (!role && roleName === 'super_admin')) {
+      return res.status(403).json({
+        success: false,
+        message: 'This role cannot be edited'
+      });
+    }
+
+    const oldPermissions = role ? role.permissions : DEFAULT_ROLE_PERMISSIONS[roleName];
+
+    // Otherwise an admin could widen their own role, or hand any role more than they hold
+    if (roleName === req.user.role && !req.user.isSuperAdmin()) {
+      return res.status(403).json({
+        success: false,
+        message: 'You can\'t edit your own role'
+      });
+    }
+    for (const permission of permissions.filter(p => !oldPermissions.includes(p))) {
+      if (!(await userHasPermission(req.user, permission))) {
+        return res.status(403).json({
+          success: false,
+          message: `You can't grant permissions you don't have (${permission})`
+        });
+      }
+    }
+
+    if (!role) {
+      role = Role.build({ name: roleName });
+    }
+    role.permissions = permissions;
+    if (req.body.description !== undefined) {
+      role.description = req.body.description;
+    }
+    role.updatedBy = req.user.id;
+    await role.save();
+
+    invalidatePermissionCache(roleName);
+
+    await recordAudit({
+      action: 'role.permissions_updated',
+      entityType: 'role',
+      entityId: role.id,
+      oldValues: { permissions: oldPermissions },
+      newValues: { permissions }
+    }, req);
+
+    res.json({
+      success: true,
+      message: 'Role updated',
+      data: {
+        role: {
+          name: role.name,
+          description: role.description,
+          permissions: role.permissions,
+          isLocked: role.isLocked,
+          updatedAt: role.updatedAt
+        }
+      }
+    });
+  } catch (error) {
+    console.error('Update role error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update role'
+    });
+  }
+});
+
+// Scopes an API key can be given
+router.get('/api-keys/scopes', forbidApiKey, requirePermission('api_keys.manage'), (req, res) => {
+  res.json({
+    success: true,
+    data: {
+      scopes: Object.entries(API_KEY_SCOPES).map(([key, scope]) => ({
+        key,
+        description: scope.description,
+        permissions: scope.permissions
+      }))
+    }
+  });
+});
+
+// Every API key, newest first
+router.get('/api-keys', forbidApiKey, requirePermission('api_keys.manage'), async (req, res) => {
+  try {
+    const apiKeys = await ApiKey.findAll({ order: [['createdAt', 'DESC']] });
+
+    res.json({
+      success: true,
+      data: {
+        apiKeys: apiKeys.map(serializeApiKey)
+      }
+    });
+  } catch (error) {
+    console.error('List API keys error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to load API keys'
+    });
+  }
+});
+
+// Create an API key; the key itself is only ever returned here
+router.post('/api-keys', forbidApiKey, requirePermission('api_keys.manage'), createApiKeyValidation, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    const { apiKey, key } = await createApiKey(req.user, req.body, req);
+
+    res.status(201).json({
+      success: true,
+      message: 'API key created. Copy it now; it will not be shown again.',
+      data: {
+        apiKey: serializeApiKey(apiKey),
+        key
+      }
+    });
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    console.error('Create API key error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to create API key'
+    });
+  }
+});
+
+// Revoke an API key
+router.delete('/api-keys/:apiKeyId', forbidApiKey, requirePermission('api_keys.manage'), async (req, res) => {
+  try {
+    const apiKey = await ApiKey.findByPk(req.params.apiKeyId);
+    if (!apiKey) {
+      return res.status(404).json({
+        success: false,
+        message: 'API key not found'
+      });
+    }
+
+    await revokeApiKey(apiKey, req.user, req);
+
+    res.json({
+      success: true,
+      message: 'API key revoked',
+      data: {
+        apiKey: serializeApiKey(apiKey)
+      }
+    });
+  } catch (error) {
+    console.error('Revoke API key error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to revoke API key'
+    });
+  }
+});
+
+module.exports = router;
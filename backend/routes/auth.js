@@ -1,28 +1,139 @@
 const express = require('express');
+const rateLimit = require('express-rate-limit');
 const { body, validationResult } = require('express-validator');
 const bcrypt = require('bcryptjs');
 const jwt = require('jsonwebtoken');
 const User = require('../models/User');
-const { generateToken, generateRefreshToken } = require('../middleware/auth');
-const { sendWhatsAppMessage } = require('../services/whatsappService');
-const { sendEmail } = require('../services/emailService');
+const RevokedToken = require('../models/RevokedToken');
+const {
+  authenticateToken,
+  forbidApiKey,
+  forbidDuringImpersonation,
+  generateMfaChallengeToken,
+  generateEmailVerificationToken
+} = require('../middleware/auth');
+const {
+  issueTokenPair,
+  rotateRefreshToken,
+  revokeRefreshTokenFamily,
+  revokeAllUserTokens
+} = require('../services/tokenService');
+const { sendWhatsAppMessage, sendPhoneVerificationCode } = require('../services/whatsappService');
+const {
+  sendEmail,
+  sendWelcomeEmail,
+  sendEmailVerificationEmail
+} = require('../services/emailService');
+const { generateSecret, buildOtpauthUrl, generateRecoveryCodes } = require('../services/totpService');
+const { issueOneTimeCode, verifyOneTimeCode } = require('../services/otpService');
+const { ALL_ROLES, resolveSelfRegistrationRole } = require('../services/rolePolicyService');
+const { assertPasswordAllowed } = require('../services/passwordPolicyService');
+const { findPendingInvitation, acceptInvitation } = require('../services/invitationService');
+const { requestPasswordReset, resetPassword } = require('../services/passwordResetService');
+const {
+  startPasswordlessLogin,
+  verifyPasswordlessLogin
+} = require('../services/passwordlessLoginService');
+const {
+  listOidcProviders,
+  startOidcLogin,
+  completeOidcLogin
+} = require('../services/oidcService');
+const { getPermissionsForRole } = require('../services/permissionService');
+const { recordAudit } = require('../services/auditService');
+const LoginSession = require('../models/LoginSession');
+const {
+  revokeLogin,
+  revokeUserLogin,
+  revokeOtherLogins,
+  serializeLoginSession
+} = require('../services/loginSessionService');
+const {
+  assertLoginAllowed,
+  recordFailedLogin,
+  recordSuccessfulLogin
+} = require('../services/loginProtectionService');
 const { errorHandler } = require('../middleware/errorHandler');
 
 const router = express.Router();
 
+// Tighter per-IP limits for sensitive endpoints, on top of the global /api limiter
+const passwordResetLimiter = rateLimit({
+  windowMs: parseInt(process.env.PASSWORD_RESET_RATE_LIMIT_WINDOW_MS) || 60 * 60 * 1000,
+  max: parseInt(process.env.PASSWORD_RESET_RATE_LIMIT_MAX) || 5,
+  standardHeaders: true,
+  legacyHeaders: false,
+  message: {
+    success: false,
+    message: 'Too many password reset requests, please try again later.'
+  }
+});
+
+const passwordlessLimiter = rateLimit({
+  windowMs: parseInt(process.env.PASSWORDLESS_RATE_LIMIT_WINDOW_MS) || 60 * 60 * 1000,
+  max: parseInt(process.env.PASSWORDLESS_RATE_LIMIT_MAX) || 10,
+  standardHeaders: true,
+  legacyHeaders: false,
+  message: {
+    success: false,
+    message: 'Too many sign-in link requests, please try again later.'
+  }
+});
+
+const refreshTokenLimiter = rateLimit({
+  windowMs: parseInt(process.env.REFRESH_TOKEN_RATE_LIMIT_WINDOW_MS) || 15 * 60 * 1000,
+  max: parseInt(process.env.REFRESH_TOKEN_RATE_LIMIT_MAX) || 30,
+  standardHeaders: true,
+  legacyHeaders: false,
+  message: {
+    success: false,
+    message: 'Too many token refresh requests, please try again later.'
+  }
+});
+
 // Validation rules
 const loginValidation = [
   body('email').isEmail().normalizeEmail(),
   body('password').isLength({ min: 6 })
 ];
 
+const passwordlessStartValidation = [
+  body('email').isEmail().normalizeEmail(),
+  body('channel').optional().isIn(['email', 'whatsapp'])
+];
+
+const passwordlessVerifyValidation = [
+  body('email').isEmail().normalizeEmail(),
+  body('token').optional().isHexadecimal().isLength({ min: 64, max: 64 }),
+  body('code').optional().isLength({ min: 6, max: 6 }).isNumeric(),
+  body().custom(value => {
+    if (!value.token === !value.code) {
+      throw new Error('Provide either a sign-in link token or a code');
+    }
+    return true;
+  })
+];
+
+const oidcCallbackValidation = [
+  body('code').isString().isLength({ min: 1, max: 2048 }),
+  body('state').isString().isLength({ min: 20, max: 100 })
+];
+
 const registerValidation = [
   body('email').isEmail().normalizeEmail(),
-  body('password').isLength({ min: 6 }),
+  body('password').isString(),
   body('firstName').trim().isLength({ min: 2, max: 100 }),
   body('lastName').trim().isLength({ min: 2, max: 100 }),
   body('phone').optional().matches(/^\+?[\d\s\-\(\)]+$/),
-  body('role').optional().isIn(['student', 'tutor', 'admin', 'super_admin'])
+  body('role').optional().isIn(ALL_ROLES)
+];
+
+const acceptInviteValidation = [
+  body('token').notEmpty(),
+  body('password').isString(),
+  body('firstName').optional().trim().isLength({ min: 2, max: 100 }),
+  body('lastName').optional().trim().isLength({ min: 2, max: 100 }),
+  body('phone').optional().matches(/^\+?[\d\s\-\(\)]+$/)
 ];
 
 const forgotPasswordValidation = [
@@ -31,9 +142,122 @@ const forgotPasswordValidation = [
 
 const resetPasswordValidation = [
   body('token').notEmpty(),
-  body('password').isLength({ min: 6 })
+  body('password').isString()
+];
+
+const verifyEmailValidation = [
+  body('token').notEmpty()
+];
+
+const sendPhoneOtpValidation = [
+  body('phone').optional().matches(/^\+?[\d\s\-\(\)]+$/)
+];
+
+const verifyPhoneOtpValidation = [
+  body('code').trim().matches(/^\d{6}$/)
+];
+
+const secondFactorValidation = [
+  body('code').optional().trim().matches(/^\d{6}$/),
+  body('recoveryCode').optional().trim().isLength({ min: 6, max: 20 }),
+  body().custom(value => {
+    if (!value.code && !value.recoveryCode) {
+      throw new Error('An authenticator code or recovery code is required');
+    }
+    return true;
+  })
+];
+
+const mfaLoginValidation = [
+  body('mfaToken').notEmpty(),
+  ...secondFactorValidation
+];
+
+const twoFactorConfirmValidation = [
+  body('code').trim().matches(/^\d{6}$/)
+];
+
+const twoFactorDisableValidation = [
+  body('password').notEmpty(),
+  ...secondFactorValidation
 ];
 
+// Minimum time between verification emails for one user
+const EMAIL_VERIFICATION_RESEND_INTERVAL_MS =
+  parseInt(process.env.EMAIL_VERIFICATION_RESEND_INTERVAL_MS) || 60 * 1000;
+
+// Build the signed link the user clicks to verify their email
+const buildEmailVerificationUrl = (user) => {
+  const token = generateEmailVerificationToken(user);
+  return `${process.env.FRONTEND_URL || 'http://localhost:3000'}/verify-email?token=${token}`;
+};
+
+// Issue tokens and send the standard login response
+const completeLogin = async (user, req, res) => {
+  // Update last login and clear failed-login counters
+  await recordSuccessfulLogin(user, req);
+  user.lastLoginAt = new Date();
+  await user.save();
+
+  // Generate tokens
+  const { accessToken, refreshToken } = await issueTokenPair(user, req);
+
+  // Send welcome WhatsApp message for new users with a verified number
+  if (user.phoneVerified && user.createdAt.getTime() > Date.now() - 24 * 60 * 60 * 1000) { // Within 24 hours
+    try {
+      await sendWhatsAppMessage(
+        user.phone,
+        `Welcome to Education Management System! 🎓\n\nHi ${user.firstName}, your account has been created successfully.\n\nRole: ${user.role.charAt(0).toUpperCase() + user.role.slice(1)}\nEmail: ${user.email}\n\nYou can now log in to your dashboard.`
+      );
+    } catch (error) {
+      console.error('WhatsApp welcome message failed:', error);
+    }
+  }
+
+  // Return user data and tokens
+  res.json({
+    success: true,
+    message: 'Login successful',
+    data: {
+      user: {
+        id: user.id,
+        email: user.email,
+        firstName: user.firstName,
+        lastName: user.lastName,
+        role: user.role,
+        profilePicture: user.profilePicture,
+        phone: user.phone,
+        status: user.status,
+        emailVerified: user.emailVerified,
+        permissions: await getPermissionsForRole(user.role)
+      },
+      accessToken,
+      refreshToken,
+      expiresIn: process.env.JWT_EXPIRES_IN || '24h'
+    }
+  });
+};
+
+// After the first factor: 2FA accounts get a short-lived challenge instead of real tokens
+const completeFirstFactor = async (user, req, res) => {
+  if (user.twoFactorEnabled) {
+    // Keep changes made while checking the first factor (e.g. email verified by a link)
+    await user.save();
+
+    return res.json({
+      success: true,
+      message: 'Two-factor authentication required',
+      data: {
+        mfaRequired: true,
+        mfaToken: generateMfaChallengeToken(user),
+        expiresIn: process.env.MFA_CHALLENGE_EXPIRES_IN || '5m'
+      }
+    });
+  }
+
+  await completeLogin(user, req, res);
+};
+
 // Login route
 router.post('/login', loginValidation, async (req, res) => {
   try {
@@ -41,191 +265,998 @@ router.post('/login', loginValidation, async (req, res) => {
     if (!errors.isEmpty()) {
       return res.status(400).json({
         success: false,
-        message: 'Validation errors',
-        errors: errors.array()
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    const { email, password } = req.body;
+
+    // Find user by email
+    const user = await User.findByEmail(email);
+
+    // Throttled or locked attempts are rejected before the password is checked
+    await assertLoginAllowed(user, req.ip);
+
+    if (!user) {
+      await recordFailedLogin(null, email, req);
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid credentials'
+      });
+    }
+
+    // Check if user is active
+    if (user.status !== 'active') {
+      return res.status(403).json({
+        success: false,
+        message: 'Account is not active. Please contact support.'
+      });
+    }
+
+    // Validate password
+    const isValidPassword = await user.validatePassword(password);
+    if (!isValidPassword) {
+      await recordFailedLogin(user, email, req);
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid credentials'
+      });
+    }
+
+    await completeFirstFactor(user, req, res);
+  } catch (error) {
+    if (error.statusCode) {
+      res.set('Retry-After', String(error.retryAfter));
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message,
+        retryAfter: error.retryAfter
+      });
+    }
+
+    console.error('Login error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Login failed'
+    });
+  }
+});
+
+// Second login step for accounts with 2FA enabled
+router.post('/login/2fa', mfaLoginValidation, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    const { mfaToken, code, recoveryCode } = req.body;
+
+    let decoded;
+    try {
+      decoded = jwt.verify(mfaToken, process.env.JWT_SECRET);
+    } catch (error) {
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid or expired challenge. Please log in again.'
+      });
+    }
+
+    if (decoded.type !== 'mfa_challenge') {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid token type'
+      });
+    }
+
+    const user = await User.findByPk(decoded.userId);
+    if (!user || user.status !== 'active' || !user.twoFactorEnabled) {
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid or expired challenge. Please log in again.'
+      });
+    }
+
+    // Code guesses count against the same lockout as password guesses
+    await assertLoginAllowed(user, req.ip);
+
+    const isValidCode = await user.verifySecondFactor({ code, recoveryCode });
+    if (!isValidCode) {
+      await recordFailedLogin(user, user.email, req);
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid authentication code'
+      });
+    }
+
+    await completeLogin(user, req, res);
+  } catch (error) {
+    if (error.statusCode) {
+      res.set('Retry-After', String(error.retryAfter));
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message,
+        retryAfter: error.retryAfter
+      });
+    }
+
+    console.error('2FA login error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Login failed'
+    });
+  }
+});
+
+// Passwordless login, step 1: email a one-time link or WhatsApp a code
+router.post('/passwordless/start', passwordlessLimiter, passwordlessStartValidation, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    const channel = req.body.channel || 'email';
+
+    try {
+      await startPasswordlessLogin(req.body.email, channel);
+    } catch (error) {
+      // Resend throttling is reported; anything else would reveal whether the account exists
+      if (error.statusCode === 429) {
+        res.set('Retry-After', String(error.retryAfter));
+        return res.status(429).json({
+          success: false,
+          message: error.message,
+          retryAfter: error.retryAfter
+        });
+      }
+      console.error('Passwordless login delivery failed:', error);
+    }
+
+    res.json({
+      success: true,
+      message: channel === 'whatsapp'
+        ? 'If an account with a verified WhatsApp number matches that email, a sign-in code has been sent.'
+        : 'If an account with that email exists, a sign-in link has been sent.'
+    });
+  } catch (error) {
+    console.error('Passwordless start error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to send sign-in link'
+    });
+  }
+});
+
+// Passwordless login, step 2: exchange the link token or code for the usual login response
+router.post('/passwordless/verify', passwordlessVerifyValidation, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    const { email, token, code } = req.body;
+
+    const user = await User.findByEmail(email);
+
+    // Same throttling as password logins
+    await assertLoginAllowed(user, req.ip);
+
+    if (!user || user.status !== 'active') {
+      await recordFailedLogin(user, email, req);
+      return res.status(401).json({
+        success: false,
+        message: token ? 'Sign-in link is invalid or has expired. Please request a new one.' : 'Invalid or expired code'
+      });
+    }
+
+    try {
+      await verifyPasswordlessLogin(user, { token, code });
+    } catch (error) {
+      if (error.statusCode) {
+        await recordFailedLogin(user, email, req);
+      }
+      throw error;
+    }
+
+    await completeFirstFactor(user, req, res);
+  } catch (error) {
+    if (error.statusCode) {
+      if (error.retryAfter) {
+        res.set('Retry-After', String(error.retryAfter));
+      }
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message,
+        retryAfter: error.retryAfter
+      });
+    }
+
+    console.error('Passwordless verify error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Login failed'
+    });
+  }
+});
+
+// Single sign-on providers shown on the login page
+router.get('/oidc/providers', (req, res) => {
+  res.json({
+    success: true,
+    data: {
+      providers: listOidcProviders()
+    }
+  });
+});
+
+// Single sign-on, step 1: get the provider URL to send the browser to
+router.post('/oidc/:providerId/start', async (req, res) => {
+  try {
+    const { authorizationUrl, state } = await startOidcLogin(req.params.providerId, req);
+
+    res.json({
+      success: true,
+      data: {
+        authorizationUrl,
+        state
+      }
+    });
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    console.error('OIDC start error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to start single sign-on'
+    });
+  }
+});
+
+// Single sign-on, step 2: the frontend posts back the code the provider redirected with
+router.post('/oidc/callback', oidcCallbackValidation, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    const user = await completeOidcLogin(req.body.code, req.body.state, req);
+
+    if (!user || user.status !== 'active') {
+      return res.status(403).json({
+        success: false,
+        message: 'Account is not active. Please contact support.'
+      });
+    }
+
+    await completeFirstFactor(user, req, res);
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    console.error('OIDC callback error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Single sign-on failed'
+    });
+  }
+});
+
+// Register route
+router.post('/register', registerValidation, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    const { email, password, firstName, lastName, phone, role } = req.body;
+
+    // Check if user already exists
+    const existingUser = await User.findByEmail(email);
+    if (existingUser) {
+      return res.status(409).json({
+        success: false,
+        message: 'User with this email already exists'
+      });
+    }
+
+    await assertPasswordAllowed(password);
+
+    // Public sign-up may only create roles the organization allows
+    const userRole = await resolveSelfRegistrationRole(email, role);
+
+    // Create user
+    const user = await User.create({
+      email,
+      password,
+      firstName,
+      lastName,
+      phone,
+      role: userRole,
+      status: 'active'
+    });
+
+    // Generate tokens
+    const { accessToken, refreshToken } = await issueTokenPair(user, req);
+
+    // Send welcome email with the verification link
+    try {
+      await sendWelcomeEmail(user.email, user, buildEmailVerificationUrl(user));
+      user.emailVerificationSentAt = new Date();
+      await user.save();
+    } catch (error) {
+      console.error('Welcome email failed:', error);
+    }
+
+    // Send a WhatsApp verification code if phone is provided
+    if (user.phone) {
+      try {
+        const code = await issueOneTimeCode(user, 'phone_verification', user.phone);
+        await sendPhoneVerificationCode(user.phone, code, user);
+      } catch (error) {
+        console.error('WhatsApp verification code failed:', error);
+      }
+    }
+
+    res.status(201).json({
+      success: true,
+      message: 'User registered successfully',
+      data: {
+        user: {
+          id: user.id,
+          email: user.email,
+          firstName: user.firstName,
+          lastName: user.lastName,
+          role: user.role,
+          status: user.status,
+          emailVerified: user.emailVerified,
+          permissions: await getPermissionsForRole(user.role)
+        },
+        accessToken,
+        refreshToken,
+        expiresIn: process.env.JWT_EXPIRES_IN || '24h'
+      }
+    });
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message,
+        errors: error.errors
+      });
+    }
+
+    console.error('Registration error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Registration failed'
+    });
+  }
+});
+
+// Show who an invitation is for before the invitee sets a password
+router.get('/invitations/:token', async (req, res) => {
+  try {
+    const invitation = await findPendingInvitation(req.params.token);
+
+    res.json({
+      success: true,
+      data: {
+        invitation: {
+          email: invitation.email,
+          firstName: invitation.firstName,
+          lastName: invitation.lastName,
+          role: invitation.role,
+          expiresAt: invitation.expiresAt
+        }
+      }
+    });
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    console.error('Get invitation error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to load invitation'
+    });
+  }
+});
+
+// Accept an invitation: create the account with the invited role
+router.post('/accept-invite', acceptInviteValidation, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    const { token, password, firstName, lastName, phone } = req.body;
+
+    const user = await acceptInvitation(token, { password, firstName, lastName, phone }, req);
+
+    // Generate tokens
+    const { accessToken, refreshToken } = await issueTokenPair(user, req);
+
+    // WhatsApp invitees still have to confirm their email address
+    if (!user.emailVerified) {
+      try {
+        await sendWelcomeEmail(user.email, user, buildEmailVerificationUrl(user));
+        user.emailVerificationSentAt = new Date();
+        await user.save();
+      } catch (error) {
+        console.error('Welcome email failed:', error);
+      }
+    }
+
+    res.status(201).json({
+      success: true,
+      message: 'Invitation accepted',
+      data: {
+        user: {
+          id: user.id,
+          email: user.email,
+          firstName: user.firstName,
+          lastName: user.lastName,
+          role: user.role,
+          status: user.status,
+          emailVerified: user.emailVerified,
+          permissions: await getPermissionsForRole(user.role)
+        },
+        accessToken,
+        refreshToken,
+        expiresIn: process.env.JWT_EXPIRES_IN || '24h'
+      }
+    });
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message,
+        errors: error.errors
+      });
+    }
+
+    console.error('Accept invitation error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to accept invitation'
+    });
+  }
+});
+
+// Verify email address from the signed link
+router.post('/verify-email', verifyEmailValidation, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    let decoded;
+    try {
+      decoded = jwt.verify(req.body.token, process.env.JWT_SECRET);
+    } catch (error) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid or expired verification link'
+      });
+    }
+
+    if (decoded.type !== 'email_verification') {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid token type'
+      });
+    }
+
+    const user = await User.findByPk(decoded.userId);
+
+    // A link sent to a previous address must not verify the current one
+    if (!user || user.email !== decoded.email) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid or expired verification link'
+      });
+    }
+
+    if (!user.emailVerified) {
+      user.emailVerified = true;
+      await user.save();
+    }
+
+    res.json({
+      success: true,
+      message: 'Email verified successfully'
+    });
+  } catch (error) {
+    console.error('Verify email error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Email verification failed'
+    });
+  }
+});
+
+// Resend the verification email (throttled per user)
+router.post('/resend-verification', authenticateToken, forbidApiKey, async (req, res) => {
+  try {
+    const user = req.user;
+
+    if (user.emailVerified) {
+      return res.status(400).json({
+        success: false,
+        message: 'Email is already verified'
+      });
+    }
+
+    if (user.emailVerificationSentAt) {
+      const elapsed = Date.now() - new Date(user.emailVerificationSentAt).getTime();
+      if (elapsed < EMAIL_VERIFICATION_RESEND_INTERVAL_MS) {
+        const retryAfter = Math.ceil((EMAIL_VERIFICATION_RESEND_INTERVAL_MS - elapsed) / 1000);
+        res.set('Retry-After', String(retryAfter));
+        return res.status(429).json({
+          success: false,
+          message: `Please wait ${retryAfter} seconds before requesting another email`,
+          retryAfter
+        });
+      }
+    }
+
+    user.emailVerificationSentAt = new Date();
+    await user.save();
+
+    try {
+      await sendEmailVerificationEmail(user.email, user, buildEmailVerificationUrl(user));
+    } catch (error) {
+      console.error('Verification email failed:', error);
+    }
+
+    res.json({
+      success: true,
+      message: 'Verification email sent'
+    });
+  } catch (error) {
+    console.error('Resend verification error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to resend verification email'
+    });
+  }
+});
+
+// Send a WhatsApp code to verify the user's phone number
+router.post('/phone/send-otp', authenticateToken, forbidApiKey, forbidDuringImpersonation, sendPhoneOtpValidation, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    const user = req.user;
+
+    // Allow supplying a new number here; it stays unverified until the code is confirmed
+    if (req.body.phone && req.body.phone !== user.phone) {
+      user.phone = req.body.phone;
+      await user.save();
+    }
+
+    if (!user.phone) {
+      return res.status(400).json({
+        success: false,
+        message: 'No phone number on your account'
+      });
+    }
+
+    if (user.phoneVerified) {
+      return res.status(400).json({
+        success: false,
+        message: 'Phone number is already verified'
+      });
+    }
+
+    const code = await issueOneTimeCode(user, 'phone_verification', user.phone);
+    await sendPhoneVerificationCode(user.phone, code, user);
+
+    res.json({
+      success: true,
+      message: 'Verification code sent via WhatsApp'
+    });
+  } catch (error) {
+    if (error.statusCode) {
+      if (error.retryAfter) res.set('Retry-After', String(error.retryAfter));
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message,
+        ...(error.retryAfter && { retryAfter: error.retryAfter })
+      });
+    }
+
+    console.error('Send phone OTP error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to send verification code'
+    });
+  }
+});
+
+// Confirm the WhatsApp code and mark the phone number verified
+router.post('/phone/verify-otp', authenticateToken, forbidApiKey, forbidDuringImpersonation, verifyPhoneOtpValidation, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    const user = req.user;
+    const record = await verifyOneTimeCode(user, 'phone_verification', req.body.code);
+
+    // The code only proves the number it was sent to
+    if (record.target !== user.phone) {
+      return res.status(400).json({
+        success: false,
+        message: 'Phone number changed since the code was sent. Please request a new code.'
+      });
+    }
+
+    user.phoneVerified = true;
+    await user.save();
+
+    res.json({
+      success: true,
+      message: 'Phone number verified successfully'
+    });
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    console.error('Verify phone OTP error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Phone verification failed'
+    });
+  }
+});
+
+// Forgot password route
+router.post('/forgot-password', passwordResetLimiter, forgotPasswordValidation, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    await requestPasswordReset(req.body.email, req);
+
+    // Same answer whether or not the account exists
+    res.json({
+      success: true,
+      message: 'If an account with that email exists, a password reset link has been sent.'
+    });
+  } catch (error) {
+    console.error('Forgot password error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Password reset request failed'
+    });
+  }
+});
+
+// Reset password route
+router.post('/reset-password', passwordResetLimiter, resetPasswordValidation, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    const { token, password } = req.body;
+
+    await resetPassword(token, password, req);
+
+    res.json({
+      success: true,
+      message: 'Password reset successful. Please log in with your new password.'
+    });
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message,
+        errors: error.errors
+      });
+    }
+
+    console.error('Reset password error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Password reset failed'
+    });
+  }
+});
+
+// Refresh token route
+router.post('/refresh-token', refreshTokenLimiter, async (req, res) => {
+  try {
+    const { refreshToken } = req.body;
+
+    if (!refreshToken) {
+      return res.status(400).json({
+        success: false,
+        message: 'Refresh token required'
+      });
+    }
+
+    // Rotate: the presented token is consumed and a new one issued in its family
+    const rotated = await rotateRefreshToken(refreshToken, req);
+
+    res.json({
+      success: true,
+      message: 'Token refreshed successfully',
+      data: {
+        accessToken: rotated.accessToken,
+        refreshToken: rotated.refreshToken,
+        expiresIn: process.env.JWT_EXPIRES_IN || '24h'
+      }
+    });
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message
       });
     }
 
-    const { email, password } = req.body;
+    console.error('Token refresh error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Token refresh failed'
+    });
+  }
+});
 
-    // Find user by email
-    const user = await User.findByEmail(email);
-    if (!user) {
-      return res.status(401).json({
-        success: false,
-        message: 'Invalid credentials'
-      });
+// Logout route
+router.post('/logout', authenticateToken, forbidApiKey, async (req, res) => {
+  try {
+    await RevokedToken.revoke(req.tokenPayload, 'access', 'logout');
+
+    // End this device's login; older access tokens without `sid` rely on the refresh token sent
+    if (req.tokenPayload.sid) {
+      await revokeLogin(req.tokenPayload.sid, 'logout');
     }
 
-    // Check if user is active
-    if (user.status !== 'active') {
-      return res.status(403).json({
-        success: false,
-        message: 'Account is not active. Please contact support.'
-      });
+    const { refreshToken } = req.body;
+    if (refreshToken) {
+      await revokeRefreshTokenFamily(refreshToken, req.user.id);
     }
 
-    // Validate password
-    const isValidPassword = await user.validatePassword(password);
-    if (!isValidPassword) {
-      return res.status(401).json({
+    res.json({
+      success: true,
+      message: 'Logout successful'
+    });
+  } catch (error) {
+    console.error('Logout error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Logout failed'
+    });
+  }
+});
+
+// Stop impersonating: the impersonation token is revoked and the client
+// goes back to the super admin's own tokens
+router.post('/impersonation/end', authenticateToken, forbidApiKey, async (req, res) => {
+  try {
+    if (!req.impersonator) {
+      return res.status(400).json({
         success: false,
-        message: 'Invalid credentials'
+        message: 'Not impersonating a user'
       });
     }
 
-    // Update last login
-    user.lastLoginAt = new Date();
-    await user.save();
+    await RevokedToken.revoke(req.tokenPayload, 'access', 'impersonation_ended');
 
-    // Generate tokens
-    const accessToken = generateToken(user);
-    const refreshToken = generateRefreshToken(user);
+    await recordAudit({
+      action: 'impersonation.ended',
+      entityType: 'user',
+      entityId: req.user.id
+    }, req);
 
-    // Send welcome WhatsApp message for new users
-    if (user.createdAt.getTime() > Date.now() - 24 * 60 * 60 * 1000) { // Within 24 hours
-      try {
-        await sendWhatsAppMessage(
-          user.phone,
-          `Welcome to Education Management System! 🎓\n\nHi ${user.firstName}, your account has been created successfully.\n\nRole: ${user.role.charAt(0).toUpperCase() + user.role.slice(1)}\nEmail: ${user.email}\n\nYou can now log in to your dashboard.`
-        );
-      } catch (error) {
-        console.error('WhatsApp welcome message failed:', error);
-      }
-    }
+    res.json({
+      success: true,
+      message: 'Impersonation ended'
+    });
+  } catch (error) {
+    console.error('End impersonation error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to end impersonation'
+    });
+  }
+});
+
+// Logout from all devices
+router.post('/logout-all', authenticateToken, forbidApiKey, forbidDuringImpersonation, async (req, res) => {
+  try {
+    await revokeAllUserTokens(req.user);
+
+    res.json({
+      success: true,
+      message: 'Logged out from all devices'
+    });
+  } catch (error) {
+    console.error('Logout all error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Logout from all devices failed'
+    });
+  }
+});
+
+// List the devices the user is signed in on
+router.get('/devices', authenticateToken, forbidApiKey, async (req, res) => {
+  try {
+    const sessions = await LoginSession.findActiveForUser(req.user.id);
 
-    // Return user data and tokens
     res.json({
       success: true,
-      message: 'Login successful',
       data: {
-        user: {
-          id: user.id,
-          email: user.email,
-          firstName: user.firstName,
-          lastName: user.lastName,
-          role: user.role,
-          profilePicture: user.profilePicture,
-          phone: user.phone,
-          status: user.status
-        },
-        accessToken,
-        refreshToken,
-        expiresIn: process.env.JWT_EXPIRES_IN || '24h'
+        devices: sessions.map(session => serializeLoginSession(session, req.tokenPayload.sid))
       }
     });
   } catch (error) {
-    console.error('Login error:', error);
+    console.error('List devices error:', error);
     res.status(500).json({
       success: false,
-      message: 'Login failed'
+      message: 'Failed to load devices'
     });
   }
 });
 
-// Register route
-router.post('/register', registerValidation, async (req, res) => {
+// Sign out every other device, keeping this one
+router.delete('/devices', authenticateToken, forbidApiKey, forbidDuringImpersonation, async (req, res) => {
   try {
-    const errors = validationResult(req);
-    if (!errors.isEmpty()) {
-      return res.status(400).json({
-        success: false,
-        message: 'Validation errors',
-        errors: errors.array()
-      });
-    }
+    const count = await revokeOtherLogins(req.user.id, req.tokenPayload.sid);
 
-    const { email, password, firstName, lastName, phone, role } = req.body;
+    res.json({
+      success: true,
+      message: `Signed out of ${count} other device${count === 1 ? '' : 's'}`,
+      data: { revoked: count }
+    });
+  } catch (error) {
+    console.error('Revoke other devices error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to sign out other devices'
+    });
+  }
+});
 
-    // Check if user already exists
-    const existingUser = await User.findByEmail(email);
-    if (existingUser) {
-      return res.status(409).json({
+// Sign out one device
+router.delete('/devices/:deviceId', authenticateToken, forbidApiKey, forbidDuringImpersonation, async (req, res) => {
+  try {
+    await revokeUserLogin(req.user.id, req.params.deviceId);
+
+    res.json({
+      success: true,
+      message: 'Device signed out'
+    });
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
         success: false,
-        message: 'User with this email already exists'
+        message: error.message
       });
     }
 
-    // Auto-assign role based on email domain if not specified
-    let userRole = role;
-    if (!userRole) {
-      if (email.endsWith('@std.com')) {
-        userRole = 'student';
-      } else if (email.endsWith('@tut.com')) {
-        userRole = 'tutor';
-      } else if (email.endsWith('@adm.com')) {
-        userRole = 'admin';
-      } else {
-        userRole = 'student'; // Default role
-      }
-    }
-
-    // Create user
-    const user = await User.create({
-      email,
-      password,
-      firstName,
-      lastName,
-      phone,
-      role: userRole,
-      status: 'active'
+    console.error('Revoke device error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to sign out device'
     });
+  }
+});
 
-    // Generate tokens
-    const accessToken = generateToken(user);
-    const refreshToken = generateRefreshToken(user);
+// Start 2FA enrollment: generate a secret for the authenticator app
+router.post('/2fa/setup', authenticateToken, forbidApiKey, forbidDuringImpersonation, async (req, res) => {
+  try {
+    const user = req.user;
 
-    // Send welcome email
-    try {
-      await sendEmail(
-        user.email,
-        'Welcome to Education Management System',
-        `Hi ${user.firstName},\n\nWelcome to our Education Management System! Your account has been created successfully.\n\nAccount Details:\n- Email: ${user.email}\n- Role: ${userRole.charAt(0).toUpperCase() + userRole.slice(1)}\n- Status: Active\n\nYou can now log in to your dashboard.\n\nBest regards,\nEducation Management Team`
-      );
-    } catch (error) {
-      console.error('Welcome email failed:', error);
+    if (user.twoFactorEnabled) {
+      return res.status(409).json({
+        success: false,
+        message: 'Two-factor authentication is already enabled'
+      });
     }
 
-    // Send WhatsApp welcome message if phone is provided
-    if (user.phone) {
-      try {
-        await sendWhatsAppMessage(
-          user.phone,
-          `Welcome to Education Management System! 🎓\n\nHi ${user.firstName}, your account has been created successfully.\n\nRole: ${userRole.charAt(0).toUpperCase() + userRole.slice(1)}\nEmail: ${user.email}\n\nYou can now log in to your dashboard.`
-        );
-      } catch (error) {
-        console.error('WhatsApp welcome message failed:', error);
-      }
-    }
+    user.twoFactorSecret = generateSecret();
+    user.twoFactorLastUsedStep = null;
+    await user.save();
 
-    res.status(201).json({
+    res.json({
       success: true,
-      message: 'User registered successfully',
+      message: 'Scan the QR code with your authenticator app, then confirm with a code',
       data: {
-        user: {
-          id: user.id,
-          email: user.email,
-          firstName: user.firstName,
-          lastName: user.lastName,
-          role: user.role,
-          status: user.status
-        },
-        accessToken,
-        refreshToken,
-        expiresIn: process.env.JWT_EXPIRES_IN || '24h'
+        secret: user.twoFactorSecret,
+        otpauthUrl: buildOtpauthUrl(user.twoFactorSecret, user.email)
       }
     });
   } catch (error) {
-    console.error('Registration error:', error);
+    console.error('2FA setup error:', error);
     res.status(500).json({
       success: false,
-      message: 'Registration failed'
+      message: 'Two-factor setup failed'
     });
   }
 });
 
-// Forgot password route
-router.post('/forgot-password', forgotPasswordValidation, async (req, res) => {
+// Finish 2FA enrollment and hand out recovery codes (shown only once)
+router.post('/2fa/confirm', authenticateToken, forbidApiKey, forbidDuringImpersonation, twoFactorConfirmValidation, async (req, res) => {
   try {
     const errors = validationResult(req);
     if (!errors.isEmpty()) {
@@ -236,61 +1267,63 @@ router.post('/forgot-password', forgotPasswordValidation, async (req, res) => {
       });
     }
 
-    const { email } = req.body;
+    const user = req.user;
 
-    // Find user
-    const user = await User.findByEmail(email);
-    if (!user) {
-      // Don't reveal if user exists or not
-      return res.json({
-        success: true,
-        message: 'If an account with that email exists, a password reset link has been sent.'
-      });
-    }
-
-    // Generate reset token
-    const resetToken = jwt.sign(
-      { userId: user.id, type: 'password_reset' },
-      process.env.JWT_SECRET,
-      { expiresIn: '1h' }
-    );
-
-    // Store reset token in user preferences (in production, use a separate table)
-    user.preferences = {
-      ...user.preferences,
-      resetToken,
-      resetTokenExpires: new Date(Date.now() + 60 * 60 * 1000) // 1 hour
-    };
+    if (user.twoFactorEnabled) {
+      return res.status(409).json({
+        success: false,
+        message: 'Two-factor authentication is already enabled'
+      });
+    }
+
+    if (!user.twoFactorSecret) {
+      return res.status(400).json({
+        success: false,
+        message: 'Start two-factor setup first'
+      });
+    }
+
+    const isValidCode = await user.verifyTwoFactorCode(req.body.code);
+    if (!isValidCode) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid authentication code'
+      });
+    }
+
+    const { codes, hashes } = generateRecoveryCodes();
+    user.twoFactorEnabled = true;
+    user.twoFactorRecoveryCodes = hashes;
     await user.save();
 
-    // Send reset email
-    const resetUrl = `${process.env.FRONTEND_URL || 'http://localhost:3000'}/reset-password?token=${resetToken}`;
-    
     try {
       await sendEmail(
         user.email,
-        'Password Reset Request',
-        `Hi ${user.firstName},\n\nYou requested a password reset for your account.\n\nClick the link below to reset your password:\n${resetUrl}\n\nThis link will expire in 1 hour.\n\nIf you didn't request this, please ignore this email.\n\nBest regards,\nEducation Management Team`
+        'Two-Factor Authentication Enabled',
+        `Hi ${user.firstName},\n\nTwo-factor authentication has been enabled on your account.\n\nIf you didn't make this change, please contact support immediately.\n\nBest regards,\nEducation Management Team`
       );
     } catch (error) {
-      console.error('Password reset email failed:', error);
+      console.error('2FA enabled email failed:', error);
     }
 
     res.json({
       success: true,
-      message: 'If an account with that email exists, a password reset link has been sent.'
+      message: 'Two-factor authentication enabled',
+      data: {
+        recoveryCodes: codes
+      }
     });
   } catch (error) {
-    console.error('Forgot password error:', error);
+    console.error('2FA confirm error:', error);
     res.status(500).json({
       success: false,
-      message: 'Password reset request failed'
+      message: 'Two-factor confirmation failed'
     });
   }
 });
 
-// Reset password route
-router.post('/reset-password', resetPasswordValidation, async (req, res) => {
+// Disable 2FA (requires password plus a current code or recovery code)
+router.post('/2fa/disable', authenticateToken, forbidApiKey, forbidDuringImpersonation, twoFactorDisableValidation, async (req, res) => {
   try {
     const errors = validationResult(req);
     if (!errors.isEmpty()) {
@@ -301,165 +1334,113 @@ router.post('/reset-password', resetPasswordValidation, async (req, res) => {
       });
     }
 
-    const { token, password } = req.body;
-
-    // Verify token
-    let decoded;
-    try {
-      decoded = jwt.verify(token, process.env.JWT_SECRET);
-    } catch (error) {
-      return res.status(400).json({
-        success: false,
-        message: 'Invalid or expired reset token'
-      });
-    }
+    const user = req.user;
+    const { password, code, recoveryCode } = req.body;
 
-    if (decoded.type !== 'password_reset') {
+    if (!user.twoFactorEnabled) {
       return res.status(400).json({
         success: false,
-        message: 'Invalid token type'
+        message: 'Two-factor authentication is not enabled'
       });
     }
 
-    // Find user
-    const user = await User.findByPk(decoded.userId);
-    if (!user) {
-      return res.status(404).json({
+    const isValidPassword = await user.validatePassword(password);
+    if (!isValidPassword) {
+      return res.status(401).json({
         success: false,
-        message: 'User not found'
+        message: 'Invalid password'
       });
     }
 
-    // Check if reset token is valid
-    if (!user.preferences?.resetToken || 
-        user.preferences.resetToken !== token ||
-        new Date(user.preferences.resetTokenExpires) < new Date()) {
-      return res.status(400).json({
+    const isValidCode = await user.verifySecondFactor({ code, recoveryCode });
+    if (!isValidCode) {
+      return res.status(401).json({
         success: false,
-        message: 'Invalid or expired reset token'
+        message: 'Invalid authentication code'
       });
     }
 
-    // Update password
-    user.password = password;
-    
-    // Clear reset token
-    user.preferences = {
-      ...user.preferences,
-      resetToken: null,
-      resetTokenExpires: null
-    };
-    
+    user.twoFactorEnabled = false;
+    user.twoFactorSecret = null;
+    user.twoFactorRecoveryCodes = [];
+    user.twoFactorLastUsedStep = null;
     await user.save();
 
-    // Send confirmation email
     try {
       await sendEmail(
         user.email,
-        'Password Reset Successful',
-        `Hi ${user.firstName},\n\nYour password has been reset successfully.\n\nYou can now log in with your new password.\n\nIf you didn't make this change, please contact support immediately.\n\nBest regards,\nEducation Management System`
+        'Two-Factor Authentication Disabled',
+        `Hi ${user.firstName},\n\nTwo-factor authentication has been disabled on your account.\n\nIf you didn't make this change, please contact support immediately.\n\nBest regards,\nEducation Management Team`
       );
     } catch (error) {
-      console.error('Password reset confirmation email failed:', error);
+      console.error('2FA disabled email failed:', error);
     }
 
     res.json({
       success: true,
-      message: 'Password reset successful'
+      message: 'Two-factor authentication disabled'
     });
   } catch (error) {
-    console.error('Reset password error:', error);
+    console.error('2FA disable error:', error);
     res.status(500).json({
       success: false,
-      message: 'Password reset failed'
+      message: 'Failed to disable two-factor authentication'
     });
   }
 });
 
-// Refresh token route
-router.post('/refresh-token', async (req, res) => {
+// Replace all recovery codes (invalidates the old set)
+router.post('/2fa/recovery-codes', authenticateToken, forbidApiKey, forbidDuringImpersonation, twoFactorConfirmValidation, async (req, res) => {
   try {
-    const { refreshToken } = req.body;
-
-    if (!refreshToken) {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
       return res.status(400).json({
         success: false,
-        message: 'Refresh token required'
+        message: 'Validation errors',
+        errors: errors.array()
       });
     }
 
-    // Verify refresh token
-    let decoded;
-    try {
-      decoded = jwt.verify(refreshToken, process.env.JWT_REFRESH_SECRET);
-    } catch (error) {
-      return res.status(401).json({
-        success: false,
-        message: 'Invalid refresh token'
-      });
-    }
+    const user = req.user;
 
-    if (decoded.type !== 'refresh') {
+    if (!user.twoFactorEnabled) {
       return res.status(400).json({
         success: false,
-        message: 'Invalid token type'
+        message: 'Two-factor authentication is not enabled'
       });
     }
 
-    // Find user
-    const user = await User.findByPk(decoded.userId);
-    if (!user || user.status !== 'active') {
+    const isValidCode = await user.verifyTwoFactorCode(req.body.code);
+    if (!isValidCode) {
       return res.status(401).json({
         success: false,
-        message: 'User not found or inactive'
+        message: 'Invalid authentication code'
       });
     }
 
-    // Generate new tokens
-    const newAccessToken = generateToken(user);
-    const newRefreshToken = generateRefreshToken(user);
+    const { codes, hashes } = generateRecoveryCodes();
+    user.twoFactorRecoveryCodes = hashes;
+    await user.save();
 
     res.json({
       success: true,
-      message: 'Token refreshed successfully',
+      message: 'Recovery codes regenerated',
       data: {
-        accessToken: newAccessToken,
-        refreshToken: newRefreshToken,
-        expiresIn: process.env.JWT_EXPIRES_IN || '24h'
+        recoveryCodes: codes
       }
     });
   } catch (error) {
-    console.error('Token refresh error:', error);
-    res.status(500).json({
-      success: false,
-      message: 'Token refresh failed'
-    });
-  }
-});
-
-// Logout route
-router.post('/logout', async (req, res) => {
-  try {
-    // In a real application, you might want to blacklist the token
-    // For now, we'll just return success
-    res.json({
-      success: true,
-      message: 'Logout successful'
-    });
-  } catch (error) {
-    console.error('Logout error:', error);
+    console.error('2FA recovery codes error:', error);
     res.status(500).json({
       success: false,
-      message: 'Logout failed'
+      message: 'Failed to regenerate recovery codes'
     });
   }
 });
 
 // Get current user profile
-router.get('/profile', async (req, res) => {
+router.get('/profile', authenticateToken, forbidApiKey, async (req, res) => {
   try {
-    // This route requires authentication, so it should be protected
-    // by the authenticateToken middleware in the main server.js
     if (!req.user) {
       return res.status(401).json({
         success: false,
@@ -490,8 +1471,17 @@ router.get('/profile', async (req, res) => {
           emailVerified: req.user.emailVerified,
           phoneVerified: req.user.phoneVerified,
           twoFactorEnabled: req.user.twoFactorEnabled,
-          preferences: req.user.preferences
-        }
+          timezone: req.user.timezone,
+          locale: req.user.locale,
+          preferences: req.user.preferences,
+          permissions: await getPermissionsForRole(req.user.role)
+        },
+        impersonator: req.impersonator ? {
+          id: req.impersonator.id,
+          email: req.impersonator.email,
+          firstName: req.impersonator.firstName,
+          lastName: req.impersonator.lastName
+        } : null
       }
     });
   } catch (error) {
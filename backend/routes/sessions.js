@@ -0,0 +1,972 @@
+const express = require('express');
+const { body, query, validationResult } = require('express-validator');
+const Session = require('../models/Session');
+const SessionSeries = require('../models/SessionSeries');
+const SessionStudent = require('../models/SessionStudent');
+const Attendance = require('../models/Attendance');
+const User = require('../models/User');
+const { requirePermission, requireSessionAccess, requireVerifiedEmail } = require('../middleware/auth');
+const { requestHasPermission } = require('../services/permissionService');
+const { isValidTimezone } = require('../services/timezoneService');
+const {
+  serializeSession,
+  canManageSession,
+  findNonParticipantIds,
+  listSessions,
+  getSessionDetails,
+  createSession,
+  updateSession,
+  cancelSession,
+  joinSession,
+  leaveSession
+} = require('../services/sessionService');
+const {
+  serializeWaitlistEntry,
+  joinWaitlist,
+  leaveWaitlist,
+  listSessionWaitlist,
+  listStudentWaitlists
+} = require('../services/waitlistService');
+const {
+  serializeSeries,
+  createSeries,
+  getSeries,
+  updateSeriesOccurrences,
+  cancelSeriesOccurrences,
+  joinSeries,
+  leaveSeries
+} = require('../services/seriesService');
+const { bookSession, approveBooking, declineBooking } = require('../services/bookingService');
+const { buildCalendar, findCalendarSessions } = require('../services/calendarService');
+const { transitionSession } = require('../services/sessionLifecycleService');
+
+const router = express.Router();
+
+// Every route here is mounted behind authenticateToken in server.js
+
+const SESSION_STATUSES = ['requested', 'scheduled', 'ongoing', 'completed', 'cancelled', 'rescheduled'];
+const SESSION_TYPES = ['one_on_one', 'group', 'workshop', 'assessment'];
+const SERIES_SCOPES = ['this', 'following', 'all'];
+
+// Validation rules
+const listSessionsValidation = [
+  query('tutorId').optional().isUUID(),
+  query('seriesId').optional().isUUID(),
+  query('topic').optional().trim().isLength({ min: 1, max: 255 }),
+  query('tags').optional(),
+  query('status').optional().custom(value => {
+    const statuses = (Array.isArray(value) ? value : [value]).flatMap(entry => String(entry).split(','));
+    return statuses.every(status => SESSION_STATUSES.includes(status.trim()));
+  }).withMessage(`status must be one or more of ${SESSION_STATUSES.join(', ')}`),
+  query('sessionType').optional().isIn(SESSION_TYPES),
+  query('from').optional().isISO8601(),
+  query('to').optional().isISO8601(),
+  query('mine').optional().isBoolean(),
+  query('order').optional().isIn(['asc', 'desc']),
+  query('cursor').optional().isString(),
+  query('limit').optional().isInt({ min: 1, max: 100 })
+];
+
+const sessionFieldsValidation = (optional) => {
+  const field = (rule) => (optional ? rule.optional() : rule);
+  return [
+    field(body('title')).trim().isLength({ min: 3, max: 255 }),
+    body('description').optional({ nullable: true }).isString(),
+    field(body('topic')).trim().isLength({ min: 1, max: 255 }),
+    field(body('startTime')).isISO8601(),
+    field(body('endTime')).isISO8601(),
+    body('sessionType').optional().isIn(SESSION_TYPES),
+    body('maxStudents').optional().isInt({ min: 1, max: 50 }).toInt(),
+    body('location').optional({ nullable: true }).trim().isLength({ max: 255 }),
+    body('meetingLink').optional({ nullable: true }).isURL(),
+    body('materials').optional().isArray(),
+    body('notes').optional({ nullable: true }).isString(),
+    body('price').optional().isFloat({ min: 0 }),
+    body('currency').optional().isISO4217(),
+    body('timezone').optional().custom(isValidTimezone).withMessage('timezone must be an IANA timezone such as Europe/London'),
+    body('tags').optional().isArray({ max: 20 }),
+    body('tags.*').isString().trim().isLength({ min: 1, max: 50 })
+  ];
+};
+
+// Staff with sessions.override_conflicts can schedule over conflicts, giving a reason
+const overrideConflictsValidation = [
+  body('overrideConflicts').optional().isBoolean().toBoolean(),
+  body('overrideReason').optional().trim().isLength({ min: 1, max: 500 })
+];
+
+const createSessionValidation = [
+  ...sessionFieldsValidation(false),
+  ...overrideConflictsValidation,
+  body('tutorId').optional().isUUID()
+];
+
+const createSeriesValidation = [
+  ...createSessionValidation,
+  body('recurrence.frequency').isIn(['daily', 'weekly', 'monthly']),
+  body('recurrence.interval').optional().isInt({ min: 1, max: 52 }).toInt(),
+  body('recurrence.byWeekday').optional().isArray({ min: 1, max: 7 }),
+  body('recurrence.byWeekday.*').isIn(SessionSeries.WEEKDAYS),
+  body('recurrence.count').optional().isInt({ min: 1 }).toInt(),
+  body('recurrence.until').optional().isISO8601()
+];
+
+// scope applies to sessions in a series: this occurrence, this and following, or all
+const updateSessionValidation = [
+  ...sessionFieldsValidation(true),
+  ...overrideConflictsValidation,
+  body('scope').optional().isIn(SERIES_SCOPES)
+];
+
+const cancelSessionValidation = [
+  body('reason').optional().trim().isLength({ max: 500 }),
+  body('scope').optional().isIn(SERIES_SCOPES)
+];
+
+// Students book a tutor's open slot; duration must be one the organization offers
+const bookSessionValidation = [
+  body('tutorId').isUUID(),
+  body('topic').trim().isLength({ min: 1, max: 255 }),
+  body('startTime').isISO8601(),
+  body('duration').isInt({ min: 15, max: 480 }).toInt(),
+  body('title').optional().trim().isLength({ min: 3, max: 255 }),
+  body('description').optional({ nullable: true }).isString(),
+  body('notes').optional({ nullable: true }).isString()
+];
+
+const declineBookingValidation = [
+  body('reason').optional().trim().isLength({ max: 500 })
+];
+
+// Cancelling goes through DELETE /:sessionId, which also releases seats
+const statusValidation = [
+  body('status').isIn(['ongoing', 'completed'])
+];
+
+// Whether an edit or cancellation reaches beyond the one occurrence
+const spansSeries = (session, scope) => !!session.seriesId && !!scope && scope !== 'this';
+
+// List sessions the caller can see, with filters and cursor pagination
+router.get('/', requirePermission('sessions.view.own'), listSessionsValidation, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    const limit = parseInt(req.query.limit) || 20;
+    const { sessions, nextCursor, openSessionIds } = await listSessions(req, {
+      ...req.query,
+      mine: req.query.mine === 'true',
+      limit
+    });
+
+    res.json({
+      success: true,
+      data: {
+        sessions: sessions.map(session => serializeSession(session, req.user, {
+          restricted: openSessionIds.includes(session.id)
+        })),
+        pagination: {
+          limit,
+          nextCursor,
+          hasMore: !!nextCursor
+        }
+      }
+    });
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    console.error('List sessions error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to load sessions'
+    });
+  }
+});
+
+// Schedule a session
+router.post('/', requirePermission('sessions.create'), createSessionValidation, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    const session = await createSession(req, req.body);
+
+    res.status(201).json({
+      success: true,
+      message: 'Session created successfully',
+      data: {
+        session: serializeSession(session, req.user)
+      }
+    });
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message,
+        conflicts: error.conflicts
+      });
+    }
+
+    console.error('Create session error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to create session'
+    });
+  }
+});
+
+// Waitlists the signed-in student is on, with their place in each queue
+router.get('/waitlist', requirePermission('sessions.join'), async (req, res) => {
+  try {
+    const entries = await listStudentWaitlists(req.user.id);
+
+    res.json({
+      success: true,
+      data: {
+        waitlist: await Promise.all(entries.map(serializeWaitlistEntry))
+      }
+    });
+  } catch (error) {
+    console.error('List waitlists error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to load waitlists'
+    });
+  }
+});
+
+// The caller's sessions as an iCalendar file, in their timezone
+router.get('/calendar.ics', requirePermission('sessions.view.own'), async (req, res) => {
+  try {
+    const sessions = await findCalendarSessions(req.user);
+
+    res.set('Content-Type', 'text/calendar; charset=utf-8');
+    res.set('Content-Disposition', 'attachment; filename="sessions.ics"');
+    res.send(buildCalendar(sessions, req.user, { name: 'My sessions' }));
+  } catch (error) {
+    console.error('Export calendar error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to export calendar'
+    });
+  }
+});
+
+// Book a one-on-one session in one of a tutor's open slots
+router.post('/book', requirePermission('sessions.book'), requireVerifiedEmail, bookSessionValidation, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    const { session, payment } = await bookSession(req, req.body);
+
+    res.status(201).json({
+      success: true,
+      message: session.status === 'requested'
+        ? 'Booking requested; the tutor will confirm it'
+        : 'Session booked',
+      data: {
+        session: serializeSession(session, req.user),
+        payment
+      }
+    });
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    console.error('Book session error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to book session'
+    });
+  }
+});
+
+// Schedule a recurring series; every occurrence is created as its own session
+router.post('/series', requirePermission('sessions.create'), createSeriesValidation, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    const { series, occurrences } = await createSeries(req, req.body);
+
+    res.status(201).json({
+      success: true,
+      message: `Series created with ${occurrences.length} sessions`,
+      data: {
+        series: serializeSeries(series),
+        occurrences: occurrences.map(occurrence => serializeSession(occurrence, req.user))
+      }
+    });
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message,
+        conflicts: error.conflicts
+      });
+    }
+
+    console.error('Create series error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to create series'
+    });
+  }
+});
+
+// A series and its occurrences
+router.get('/series/:seriesId', requirePermission('sessions.view.own'), async (req, res) => {
+  try {
+    const { series, occurrences } = await getSeries(req.params.seriesId);
+
+    const seesAll = await requestHasPermission(req, 'sessions.view.any');
+    const canSee = (!req.apiKey && series.tutorId === req.user.id)
+      || seesAll
+      || await requestHasPermission(req, 'sessions.join');
+    if (!canSee) {
+      return res.status(403).json({
+        success: false,
+        message: 'You are not allowed to view this series'
+      });
+    }
+
+    // Students browsing the series don't get the join details of occurrences they haven't booked
+    const restrictedIds = seesAll
+      ? []
+      : findNonParticipantIds(occurrences, req.user.id, await SessionStudent.findEnrolledSessionIds(req.user.id));
+
+    res.json({
+      success: true,
+      data: {
+        series: serializeSeries(series),
+        occurrences: occurrences.map(occurrence => serializeSession(occurrence, req.user, {
+          restricted: restrictedIds.includes(occurrence.id)
+        }))
+      }
+    });
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    console.error('Get series error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to load series'
+    });
+  }
+});
+
+// Book a seat in every upcoming occurrence of a series, or none if any is full
+router.post('/series/:seriesId/join', requirePermission('sessions.join'), requireVerifiedEmail, async (req, res) => {
+  try {
+    const series = await SessionSeries.findByPk(req.params.seriesId);
+    if (!series) {
+      return res.status(404).json({
+        success: false,
+        message: 'Series not found'
+      });
+    }
+
+    const enrollments = await joinSeries(series, req.user, req);
+
+    res.status(201).json({
+      success: true,
+      message: `You are booked into ${enrollments.length} sessions`,
+      data: {
+        series: serializeSeries(series),
+        enrollments
+      }
+    });
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    console.error('Join series error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to book series'
+    });
+  }
+});
+
+// Give up seats in every upcoming occurrence of a series
+router.post('/series/:seriesId/leave', requirePermission('sessions.join'), async (req, res) => {
+  try {
+    const series = await SessionSeries.findByPk(req.params.seriesId);
+    if (!series) {
+      return res.status(404).json({
+        success: false,
+        message: 'Series not found'
+      });
+    }
+
+    const released = await leaveSeries(series, req.user, req);
+
+    res.json({
+      success: true,
+      message: `You have left ${released} sessions`,
+      data: {
+        series: serializeSeries(series),
+        released
+      }
+    });
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    console.error('Leave series error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to leave series'
+    });
+  }
+});
+
+// Session details; its tutor and staff also get the roster
+router.get('/:sessionId', requireSessionAccess, async (req, res) => {
+  try {
+    const { session, students } = await getSessionDetails(req, req.params.sessionId);
+
+    res.json({
+      success: true,
+      data: {
+        session: serializeSession(session, req.user),
+        students
+      }
+    });
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    console.error('Get session error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to load session'
+    });
+  }
+});
+
+// One session as an iCalendar file, in the caller's timezone
+router.get('/:sessionId/calendar.ics', requireSessionAccess, async (req, res) => {
+  try {
+    const { session } = await getSessionDetails(req, req.params.sessionId);
+
+    res.set('Content-Type', 'text/calendar; charset=utf-8');
+    res.set('Content-Disposition', `attachment; filename="session-${session.id}.ics"`);
+    res.send(buildCalendar([session], req.user));
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    console.error('Export session calendar error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to export session'
+    });
+  }
+});
+
+// Edit a session, or with scope 'following'/'all' the rest of its series
+router.put('/:sessionId', requireSessionAccess, updateSessionValidation, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    const session = await Session.findByPk(req.params.sessionId);
+    if (!(await canManageSession(req, session, 'update'))) {
+      return res.status(403).json({
+        success: false,
+        message: 'You are not allowed to edit this session'
+      });
+    }
+
+    if (spansSeries(session, req.body.scope)) {
+      const { series, occurrences } = await updateSeriesOccurrences(session, req.body, req.body.scope, req);
+      return res.json({
+        success: true,
+        message: `${occurrences.length} sessions in the series updated`,
+        data: {
+          series: serializeSeries(series),
+          occurrences: occurrences.map(occurrence => serializeSession(occurrence, req.user))
+        }
+      });
+    }
+
+    await updateSession(session, req.body, req);
+
+    res.json({
+      success: true,
+      message: 'Session updated successfully',
+      data: {
+        session: serializeSession(session, req.user)
+      }
+    });
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message,
+        conflicts: error.conflicts
+      });
+    }
+
+    console.error('Update session error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update session'
+    });
+  }
+});
+
+// Cancel a session (or part of its series); booked seats are released
+router.delete('/:sessionId', requireSessionAccess, cancelSessionValidation, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    const session = await Session.findByPk(req.params.sessionId);
+    if (!(await canManageSession(req, session, 'cancel'))) {
+      return res.status(403).json({
+        success: false,
+        message: 'You are not allowed to cancel this session'
+      });
+    }
+
+    if (spansSeries(session, req.body.scope)) {
+      const { series, occurrences } = await cancelSeriesOccurrences(session, req.body.reason, req.body.scope, req);
+      return res.json({
+        success: true,
+        message: 'Series sessions cancelled',
+        data: {
+          series: serializeSeries(series),
+          occurrences: occurrences.map(occurrence => serializeSession(occurrence, req.user))
+        }
+      });
+    }
+
+    await cancelSession(session, req.body.reason, req);
+
+    res.json({
+      success: true,
+      message: 'Session cancelled',
+      data: {
+        session: serializeSession(session, req.user)
+      }
+    });
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    console.error('Cancel session error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to cancel session'
+    });
+  }
+});
+
+// Approve a student's booking request
+router.post('/:sessionId/approve', requireSessionAccess, async (req, res) => {
+  try {
+    const session = await Session.findByPk(req.params.sessionId);
+    if (!(await canManageSession(req, session, 'update'))) {
+      return res.status(403).json({
+        success: false,
+        message: 'You are not allowed to approve this booking'
+      });
+    }
+
+    await approveBooking(session, req);
+
+    res.json({
+      success: true,
+      message: 'Booking approved',
+      data: {
+        session: serializeSession(session, req.user)
+      }
+    });
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    console.error('Approve booking error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to approve booking'
+    });
+  }
+});
+
+// Decline a student's booking request; the session and its pending payment are cancelled
+router.post('/:sessionId/decline', requireSessionAccess, declineBookingValidation, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    const session = await Session.findByPk(req.params.sessionId);
+    if (!(await canManageSession(req, session, 'update'))) {
+      return res.status(403).json({
+        success: false,
+        message: 'You are not allowed to decline this booking'
+      });
+    }
+
+    await declineBooking(session, req.body.reason, req);
+
+    res.json({
+      success: true,
+      message: 'Booking declined',
+      data: {
+        session: serializeSession(session, req.user)
+      }
+    });
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    console.error('Decline booking error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to decline booking'
+    });
+  }
+});
+
+// Start or complete a session ahead of the scheduler, e.g. when a class
+// begins early or ends before its time
+router.post('/:sessionId/status', requireSessionAccess, statusValidation, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    const session = await Session.findByPk(req.params.sessionId);
+    if (!(await canManageSession(req, session, 'update'))) {
+      return res.status(403).json({
+        success: false,
+        message: 'You are not allowed to change this session\'s status'
+      });
+    }
+
+    await transitionSession(session, req.body.status, req);
+
+    res.json({
+      success: true,
+      message: `Session is now ${session.status}`,
+      data: {
+        session: serializeSession(session, req.user)
+      }
+    });
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    console.error('Change session status error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to change session status'
+    });
+  }
+});
+
+// Book a seat (students aren't enrolled yet, so this can't use requireSessionAccess)
+router.post('/:sessionId/join', requirePermission('sessions.join'), requireVerifiedEmail, async (req, res) => {
+  try {
+    const session = await Session.findByPk(req.params.sessionId);
+    if (!session) {
+      return res.status(404).json({
+        success: false,
+        message: 'Session not found'
+      });
+    }
+
+    const enrollment = await joinSession(session, req.user, req);
+
+    res.status(201).json({
+      success: true,
+      message: 'You are booked into this session',
+      data: {
+        session: serializeSession(session, req.user),
+        enrollment
+      }
+    });
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    console.error('Join session error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to book session'
+    });
+  }
+});
+
+// Give up a booked seat
+router.post('/:sessionId/leave', requireSessionAccess, async (req, res) => {
+  try {
+    const session = await Session.findByPk(req.params.sessionId);
+    const enrollment = await leaveSession(session, req.user, req);
+
+    res.json({
+      success: true,
+      message: 'You have left this session',
+      data: {
+        session: serializeSession(session, req.user),
+        enrollment
+      }
+    });
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    console.error('Leave session error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to leave session'
+    });
+  }
+});
+
+// Attendance for a session: everyone's for its tutor and staff, your own otherwise
+router.get('/:sessionId/attendance', requireSessionAccess, async (req, res) => {
+  try {
+    const session = await Session.findByPk(req.params.sessionId);
+    const seesAll = (!req.apiKey && session.tutorId === req.user.id)
+      || await requestHasPermission(req, 'attendance.view.any');
+
+    const where = { sessionId: session.id };
+    if (!seesAll) where.studentId = req.user.id;
+
+    const attendance = await Attendance.findAll({
+      where,
+      include: [{ model: User, as: 'student', attributes: ['id', 'firstName', 'lastName', 'email', 'profilePicture'] }],
+      order: [['createdAt', 'ASC']]
+    });
+
+    res.json({
+      success: true,
+      data: {
+        attendance
+      }
+    });
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    console.error('Session attendance error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to load attendance'
+    });
+  }
+});
+
+// Queue for a full group session or workshop
+router.post('/:sessionId/waitlist', requirePermission('sessions.join'), requireVerifiedEmail, async (req, res) => {
+  try {
+    const session = await Session.findByPk(req.params.sessionId);
+    if (!session) {
+      return res.status(404).json({
+        success: false,
+        message: 'Session not found'
+      });
+    }
+
+    const entry = await joinWaitlist(session, req.user, req);
+
+    res.status(201).json({
+      success: true,
+      message: 'You are on the waitlist for this session',
+      data: {
+        waitlistEntry: await serializeWaitlistEntry(entry)
+      }
+    });
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    console.error('Join waitlist error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to join waitlist'
+    });
+  }
+});
+
+// Leave a waitlist, declining any seat on offer
+router.delete('/:sessionId/waitlist', requirePermission('sessions.join'), async (req, res) => {
+  try {
+    const session = await Session.findByPk(req.params.sessionId);
+    if (!session) {
+      return res.status(404).json({
+        success: false,
+        message: 'Session not found'
+      });
+    }
+
+    const entry = await leaveWaitlist(session, req.user, req);
+
+    res.json({
+      success: true,
+      message: 'You have left the waitlist',
+      data: {
+        waitlistEntry: await serializeWaitlistEntry(entry)
+      }
+    });
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    console.error('Leave waitlist error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to leave waitlist'
+    });
+  }
+});
+
+// A session's waitlist, for its tutor and staff
+router.get('/:sessionId/waitlist', requireSessionAccess, async (req, res) => {
+  try {
+    const session = await Session.findByPk(req.params.sessionId);
+    const runsSession = (!req.apiKey && session.tutorId === req.user.id)
+      || await requestHasPermission(req, 'sessions.view.any');
+    if (!runsSession) {
+      return res.status(403).json({
+        success: false,
+        message: 'Only the session\'s tutor and staff can see its waitlist'
+      });
+    }
+
+    const entries = await listSessionWaitlist(session.id);
+
+    res.json({
+      success: true,
+      data: {
+        waitlist: await Promise.all(entries.map(serializeWaitlistEntry))
+      }
+    });
+  } catch (error) {
+    console.error('Session waitlist error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to load waitlist'
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,425 @@
+const express = require('express');
+const { body, query, validationResult } = require('express-validator');
+const User = require('../models/User');
+const TutorAvailability = require('../models/TutorAvailability');
+const TutorAvailabilityException = require('../models/TutorAvailabilityException');
+const { requirePermission } = require('../middleware/auth');
+const {
+  computeSlots,
+  findTutor,
+  canManageAvailability,
+  listWeeklyAvailability,
+  createWindow,
+  updateWindow,
+  deleteWindow,
+  listExceptions,
+  createException,
+  deleteException
+} = require('../services/availabilityService');
+const { resolveDisplaySettings, toZonedISOString } = require('../services/timezoneService');
+
+const router = express.Router();
+
+// Every route here is mounted behind authenticateToken in server.js
+
+const DAYS_OF_WEEK = ['monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday', 'sunday'];
+const EXCEPTION_REASONS = ['holiday', 'sick', 'personal', 'training', 'other'];
+const TIME_OF_DAY = /^([01]\d|2[0-3]):[0-5]\d(:[0-5]\d)?$/;
+
+// How far ahead availability lists exceptions when no range is given
+const DEFAULT_EXCEPTION_RANGE_DAYS = 90;
+
+// What people who can't manage a tutor's availability see of it: when the
+// tutor is free or away, without their notes or why they're off
+const publicWindow = (window) => ({
+  dayOfWeek: window.dayOfWeek,
+  startTime: window.startTime,
+  endTime: window.endTime,
+  isAvailable: window.isAvailable,
+  timezone: window.timezone
+});
+
+const publicException = (exception) => ({
+  startTime: exception.startTime,
+  endTime: exception.endTime,
+  isAvailable: exception.isAvailable
+});
+
+// Validation rules
+const windowValidation = (optional) => {
+  const field = (rule) => (optional ? rule.optional() : rule);
+  return [
+    field(body('dayOfWeek')).isIn(DAYS_OF_WEEK),
+    field(body('startTime')).matches(TIME_OF_DAY).withMessage('startTime must be HH:MM'),
+    field(body('endTime')).matches(TIME_OF_DAY).withMessage('endTime must be HH:MM'),
+    body('isAvailable').optional().isBoolean().toBoolean(),
+    body('timezone').optional().isString().trim().isLength({ min: 1, max: 64 }),
+    body('notes').optional({ nullable: true }).isString().isLength({ max: 500 })
+  ];
+};
+
+const exceptionValidation = [
+  body('startTime').isISO8601(),
+  body('endTime').isISO8601(),
+  body('isAvailable').optional().isBoolean().toBoolean(),
+  body('reason').optional({ nullable: true }).isIn(EXCEPTION_REASONS),
+  body('notes').optional({ nullable: true }).isString().isLength({ max: 500 })
+];
+
+const rangeValidation = [
+  query('from').optional().isISO8601(),
+  query('to').optional().isISO8601()
+];
+
+const slotsValidation = [
+  query('from').isISO8601(),
+  query('to').isISO8601(),
+  query('duration').isInt({ min: 15, max: 480 }).toInt(),
+  query('step').optional().isInt({ min: 5, max: 240 }).toInt()
+];
+
+// Active tutors students can book
+router.get('/', requirePermission('sessions.view.own'), async (req, res) => {
+  try {
+    const tutors = await User.findAll({
+      where: { role: 'tutor', status: 'active' },
+      attributes: ['id', 'firstName', 'lastName', 'profilePicture'],
+      order: [['firstName', 'ASC'], ['lastName', 'ASC']]
+    });
+
+    res.json({
+      success: true,
+      data: {
+        tutors
+      }
+    });
+  } catch (error) {
+    console.error('List tutors error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to load tutors'
+    });
+  }
+});
+
+// A tutor's weekly hours and the exceptions in a date range; notes and
+// time-off reasons only for those who manage the tutor's availability
+router.get('/:tutorId/availability', requirePermission('sessions.view.own'), rangeValidation, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    await findTutor(req.params.tutorId);
+
+    const from = req.query.from ? new Date(req.query.from) : new Date();
+    const to = req.query.to
+      ? new Date(req.query.to)
+      : new Date(from.getTime() + DEFAULT_EXCEPTION_RANGE_DAYS * 24 * 60 * 60 * 1000);
+
+    const weekly = await listWeeklyAvailability(req.params.tutorId);
+    const exceptions = await listExceptions(req.params.tutorId, from, to);
+    const manages = await canManageAvailability(req, req.params.tutorId);
+
+    res.json({
+      success: true,
+      data: {
+        timezone: weekly.length ? weekly[0].timezone : null,
+        weekly: manages ? weekly : weekly.map(publicWindow),
+        exceptions: manages ? exceptions : exceptions.map(publicException)
+      }
+    });
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    console.error('Get availability error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to load availability'
+    });
+  }
+});
+
+// Add weekly hours (or, with isAvailable false, block time out of them)
+router.post('/:tutorId/availability', requirePermission('availability.manage.own'), windowValidation(false), async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    await findTutor(req.params.tutorId);
+    if (!(await canManageAvailability(req, req.params.tutorId))) {
+      return res.status(403).json({
+        success: false,
+        message: 'You are not allowed to change this tutor\'s availability'
+      });
+    }
+
+    const window = await createWindow(req, req.params.tutorId, req.body);
+
+    res.status(201).json({
+      success: true,
+      message: 'Availability added',
+      data: {
+        availability: window
+      }
+    });
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    console.error('Create availability error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to add availability'
+    });
+  }
+});
+
+// Change weekly hours
+router.put('/:tutorId/availability/:availabilityId', requirePermission('availability.manage.own'), windowValidation(true), async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    if (!(await canManageAvailability(req, req.params.tutorId))) {
+      return res.status(403).json({
+        success: false,
+        message: 'You are not allowed to change this tutor\'s availability'
+      });
+    }
+
+    const window = await TutorAvailability.findOne({
+      where: { id: req.params.availabilityId, tutorId: req.params.tutorId }
+    });
+    if (!window) {
+      return res.status(404).json({
+        success: false,
+        message: 'Availability not found'
+      });
+    }
+
+    await updateWindow(req, window, req.body);
+
+    res.json({
+      success: true,
+      message: 'Availability updated',
+      data: {
+        availability: window
+      }
+    });
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    console.error('Update availability error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update availability'
+    });
+  }
+});
+
+// Remove weekly hours
+router.delete('/:tutorId/availability/:availabilityId', requirePermission('availability.manage.own'), async (req, res) => {
+  try {
+    if (!(await canManageAvailability(req, req.params.tutorId))) {
+      return res.status(403).json({
+        success: false,
+        message: 'You are not allowed to change this tutor\'s availability'
+      });
+    }
+
+    const window = await TutorAvailability.findOne({
+      where: { id: req.params.availabilityId, tutorId: req.params.tutorId }
+    });
+    if (!window) {
+      return res.status(404).json({
+        success: false,
+        message: 'Availability not found'
+      });
+    }
+
+    await deleteWindow(req, window);
+
+    res.json({
+      success: true,
+      message: 'Availability removed'
+    });
+  } catch (error) {
+    console.error('Delete availability error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to remove availability'
+    });
+  }
+});
+
+// Add time off (holidays, sick days) or extra hours on specific dates
+router.post('/:tutorId/availability/exceptions', requirePermission('availability.manage.own'), exceptionValidation, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    await findTutor(req.params.tutorId);
+    if (!(await canManageAvailability(req, req.params.tutorId))) {
+      return res.status(403).json({
+        success: false,
+        message: 'You are not allowed to change this tutor\'s availability'
+      });
+    }
+
+    const { exception, affectedSessions } = await createException(req, req.params.tutorId, req.body);
+
+    res.status(201).json({
+      success: true,
+      message: affectedSessions.length
+        ? `Time off added; ${affectedSessions.length} scheduled sessions fall in it and need to be moved`
+        : 'Availability exception added',
+      data: {
+        exception,
+        affectedSessions
+      }
+    });
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    console.error('Create availability exception error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to add availability exception'
+    });
+  }
+});
+
+// Remove an exception
+router.delete('/:tutorId/availability/exceptions/:exceptionId', requirePermission('availability.manage.own'), async (req, res) => {
+  try {
+    if (!(await canManageAvailability(req, req.params.tutorId))) {
+      return res.status(403).json({
+        success: false,
+        message: 'You are not allowed to change this tutor\'s availability'
+      });
+    }
+
+    const exception = await TutorAvailabilityException.findOne({
+      where: { id: req.params.exceptionId, tutorId: req.params.tutorId }
+    });
+    if (!exception) {
+      return res.status(404).json({
+        success: false,
+        message: 'Availability exception not found'
+      });
+    }
+
+    await deleteException(req, exception);
+
+    res.json({
+      success: true,
+      message: 'Availability exception removed'
+    });
+  } catch (error) {
+    console.error('Delete availability exception error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to remove availability exception'
+    });
+  }
+});
+
+// Open slots of a given length a tutor could be booked for
+router.get('/:tutorId/slots', requirePermission('sessions.view.own'), slotsValidation, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    await findTutor(req.params.tutorId);
+
+    const { timezone, slots } = await computeSlots(req.params.tutorId, {
+      from: req.query.from,
+      to: req.query.to,
+      duration: req.query.duration,
+      step: req.query.step
+    });
+
+    // Also in the caller's own timezone, for showing them
+    const display = resolveDisplaySettings(req.user, timezone);
+
+    res.json({
+      success: true,
+      data: {
+        timezone,
+        duration: req.query.duration,
+        slots: slots.map(slot => ({
+          ...slot,
+          local: {
+            timezone: display.timezone,
+            startTime: toZonedISOString(slot.startTime, display.timezone),
+            endTime: toZonedISOString(slot.endTime, display.timezone)
+          }
+        }))
+      }
+    });
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    console.error('Get slots error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to load open slots'
+    });
+  }
+});
+
+module.exports = router;
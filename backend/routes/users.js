@@ -0,0 +1,130 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const { forbidApiKey, forbidDuringImpersonation } = require('../middleware/auth');
+const { assertPasswordAllowed } = require('../services/passwordPolicyService');
+const { revokeOtherLogins } = require('../services/loginSessionService');
+const { recordAudit } = require('../services/auditService');
+const { isValidTimezone, isValidLocale } = require('../services/timezoneService');
+
+const router = express.Router();
+
+// Every route here is mounted behind authenticateToken in server.js
+
+// Validation rules
+const changePasswordValidation = [
+  body('currentPassword').notEmpty(),
+  body('newPassword').isString()
+];
+
+// null clears a preference, so times fall back to the session's zone or the default
+const preferencesValidation = [
+  body('timezone').optional({ nullable: true }).custom(isValidTimezone).withMessage('timezone must be an IANA timezone such as Europe/London'),
+  body('locale').optional({ nullable: true }).custom(isValidLocale).withMessage('locale must be a language tag such as en-GB')
+];
+
+// Change the signed-in user's password
+router.put('/change-password', forbidApiKey, forbidDuringImpersonation, changePasswordValidation, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    const { currentPassword, newPassword } = req.body;
+    const user = req.user;
+
+    if (!(await user.validatePassword(currentPassword))) {
+      return res.status(400).json({
+        success: false,
+        message: 'Current password is incorrect',
+        errors: [{ type: 'field', location: 'body', path: 'currentPassword', msg: 'Current password is incorrect' }]
+      });
+    }
+
+    await assertPasswordAllowed(newPassword, { user, field: 'newPassword' });
+
+    user.password = newPassword;
+    await user.save();
+
+    // Anyone holding the old password shouldn't stay signed in elsewhere
+    const revoked = await revokeOtherLogins(user.id, req.tokenPayload.sid, 'password_changed');
+
+    await recordAudit({
+      action: 'password.changed',
+      entityType: 'user',
+      entityId: user.id,
+      newValues: { otherDevicesSignedOut: revoked }
+    }, req);
+
+    res.json({
+      success: true,
+      message: 'Password changed successfully'
+    });
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message,
+        errors: error.errors
+      });
+    }
+
+    console.error('Change password error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to change password'
+    });
+  }
+});
+
+// Set the timezone and locale the signed-in user's times are shown in
+router.put('/preferences', forbidApiKey, preferencesValidation, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    const user = req.user;
+    const changes = {};
+    ['timezone', 'locale'].forEach(field => {
+      if (req.body[field] !== undefined) changes[field] = req.body[field];
+    });
+
+    const oldValues = { timezone: user.timezone, locale: user.locale };
+    await user.update(changes);
+
+    await recordAudit({
+      action: 'user.preferences_updated',
+      entityType: 'user',
+      entityId: user.id,
+      oldValues,
+      newValues: changes
+    }, req);
+
+    res.json({
+      success: true,
+      message: 'Preferences updated',
+      data: {
+        timezone: user.timezone,
+        locale: user.locale
+      }
+    });
+  } catch (error) {
+    console.error('Update preferences error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update preferences'
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,157 @@
+// Minimal OpenID Connect provider for trying single sign-on locally.
+//
+//   npm run oidc:mock
+//
+// then configure the backend with
+//
+//   OIDC_PROVIDERS=[{"id":"mock","name":"Mock Institution","issuer":"http://localhost:4000",
+//     "clientId":"ems-local","clientSecret":"ems-local-secret","roleClaim":"groups",
+//     "roleMapping":{"staff-admins":"admin","teaching-staff":"tutor"}}]
+//
+// The authorize page lets you type whatever identity and claims you want to
+// sign in as. Keys and codes live in memory and reset on restart.
+const crypto = require('crypto');
+const express = require('express');
+const jwt = require('jsonwebtoken');
+
+const PORT = parseInt(process.env.MOCK_OIDC_PORT) || 4000;
+const ISSUER = process.env.MOCK_OIDC_ISSUER || `http://localhost:${PORT}`;
+const CLIENT_ID = process.env.MOCK_OIDC_CLIENT_ID || 'ems-local';
+const CLIENT_SECRET = process.env.MOCK_OIDC_CLIENT_SECRET || 'ems-local-secret';
+const CODE_EXPIRY_MS = 60 * 1000;
+
+const { publicKey, privateKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+const KEY_ID = crypto.randomBytes(8).toString('hex');
+
+// Issued authorization codes: code -> { claims, clientId, redirectUri, codeChallenge, nonce, expiresAt }
+const codes = new Map();
+
+const escapeHtml = (value) => String(value || '').replace(/[&<>"']/g, (char) => ({
+  '&': '&amp;',
+  '<': '&lt;',
+  '>': '&gt;',
+  '"': '&quot;',
+  '\'': '&#39;'
+}[char]));
+
+const app = express();
+app.use(express.urlencoded({ extended: false }));
+
+app.get('/.well-known/openid-configuration', (req, res) => {
+  res.json({
+    issuer: ISSUER,
+    authorization_endpoint: `${ISSUER}/authorize`,
+    token_endpoint: `${ISSUER}/token`,
+    jwks_uri: `${ISSUER}/jwks`,
+    response_types_supported: ['code'],
+    subject_types_supported: ['public'],
+    id_token_signing_alg_values_supported: ['RS256'],
+    code_challenge_methods_supported: ['S256'],
+    token_endpoint_auth_methods_supported: ['client_secret_post', 'none'],
+    scopes_supported: ['openid', 'email', 'profile']
+  });
+});
+
+app.get('/jwks', (req, res) => {
+  res.json({
+    keys: [{ ...publicKey.export({ format: 'jwk' }), kid: KEY_ID, use: 'sig', alg: 'RS256' }]
+  });
+});
+
+app.get('/authorize', (req, res) => {
+  const { client_id: clientId, redirect_uri: redirectUri, code_challenge_method: method } = req.query;
+
+  if (clientId !== CLIENT_ID) {
+    return res.status(400).send('Unknown client_id');
+  }
+  if (!redirectUri || method !== 'S256' || !req.query.code_challenge) {
+    return res.status(400).send('redirect_uri and an S256 code_challenge are required');
+  }
+
+  const hidden = ['client_id', 'redirect_uri', 'state', 'nonce', 'code_challenge']
+    .map(name => `<input type="hidden" name="${name}" value="${escapeHtml(req.query[name])}">`)
+    .join('\n');
+
+  res.send(`<!doctype html>
+<html>
+<head><title>Mock OIDC sign-in</title></head>
+<body style="font-family: sans-serif; max-width: 420px; margin: 40px auto;">
+  <h2>Mock OIDC sign-in</h2>
+  <form method="post" action="/authorize">
+    ${hidden}
+    <p><label>Subject (sub)<br><input name="sub" value="mock-user-1" required></label></p>
+    <p><label>Email<br><input name="email" type="email" value="tutor@campus.edu" required></label></p>
+    <p><label><input name="email_verified" type="checkbox" checked> Email verified</label></p>
+    <p><label>Given name<br><input name="given_name" value="Mock"></label></p>
+    <p><label>Family name<br><input name="family_name" value="Tutor"></label></p>
+    <p><label>Groups (comma separated)<br><input name="groups" value="teaching-staff"></label></p>
+    <button type="submit">Sign in</button>
+  </form>
+</body>
+</html>`);
+});
+
+app.post('/authorize', (req, res) => {
+  const code = crypto.randomBytes(24).toString('base64url');
+
+  codes.set(code, {
+    clientId: req.body.client_id,
+    redirectUri: req.body.redirect_uri,
+    codeChallenge: req.body.code_challenge,
+    nonce: req.body.nonce,
+    expiresAt: Date.now() + CODE_EXPIRY_MS,
+    claims: {
+      sub: req.body.sub,
+      email: req.body.email,
+      email_verified: req.body.email_verified === 'on',
+      given_name: req.body.given_name || undefined,
+      family_name: req.body.family_name || undefined,
+      groups: (req.body.groups || '').split(',').map(group => group.trim()).filter(Boolean)
+    }
+  });
+
+  const redirect = new URL(req.body.redirect_uri);
+  redirect.searchParams.set('code', code);
+  if (req.body.state) redirect.searchParams.set('state', req.body.state);
+  res.redirect(redirect.toString());
+});
+
+app.post('/token', (req, res) => {
+  const { grant_type: grantType, code, redirect_uri: redirectUri, client_id: clientId, code_verifier: codeVerifier } = req.body;
+  const issued = codes.get(code);
+  codes.delete(code);
+
+  if (grantType !== 'authorization_code' || !issued || issued.expiresAt < Date.now()) {
+    return res.status(400).json({ error: 'invalid_grant' });
+  }
+  if (clientId !== issued.clientId || (CLIENT_SECRET && req.body.client_secret !== CLIENT_SECRET)) {
+    return res.status(401).json({ error: 'invalid_client' });
+  }
+  if (redirectUri !== issued.redirectUri) {
+    return res.status(400).json({ error: 'invalid_grant', error_description: 'redirect_uri mismatch' });
+  }
+
+  const challenge = crypto.createHash('sha256').update(String(codeVerifier || '')).digest('base64url');
+  if (challenge !== issued.codeChallenge) {
+    return res.status(400).json({ error: 'invalid_grant', error_description: 'PKCE verification failed' });
+  }
+
+  const idToken = jwt.sign({ ...issued.claims, nonce: issued.nonce }, privateKey, {
+    algorithm: 'RS256',
+    keyid: KEY_ID,
+    issuer: ISSUER,
+    audience: clientId,
+    expiresIn: '5m'
+  });
+
+  res.json({
+    access_token: crypto.randomBytes(24).toString('base64url'),
+    token_type: 'Bearer',
+    expires_in: 300,
+    id_token: idToken
+  });
+});
+
+app.listen(PORT, () => {
+  console.log(`🔐 Mock OIDC provider running at ${ISSUER} (client_id ${CLIENT_ID})`);
+});
@@ -4,8 +4,6 @@ const helmet = require('helmet');
 const morgan = require('morgan');
 const compression = require('compression');
 const rateLimit = require('express-rate-limit');
-const session = require('express-session');
-const MySQLStore = require('connect-mysql-simple')(session);
 const path = require('path');
 require('dotenv').config();
 
@@ -13,6 +11,7 @@ const { sequelize } = require('./config/database');
 const authRoutes = require('./routes/auth');
 const userRoutes = require('./routes/users');
 const sessionRoutes = require('./routes/sessions');
+const tutorRoutes = require('./routes/tutors');
 const attendanceRoutes = require('./routes/attendance');
 const paymentRoutes = require('./routes/payments');
 const syllabusRoutes = require('./routes/syllabus');
@@ -22,9 +21,15 @@ const adminRoutes = require('./routes/admin');
 const analyticsRoutes = require('./routes/analytics');
 const { errorHandler } = require('./middleware/errorHandler');
 const { authenticateToken } = require('./middleware/auth');
+const { processExpiredOffers } = require('./services/waitlistService');
+const { advanceSessions } = require('./services/sessionLifecycleService');
+const { purgeExpiredRecords } = require('./services/cleanupService');
 
 const app = express();
 const PORT = process.env.PORT || 5000;
+const WAITLIST_SWEEP_INTERVAL_MS = parseInt(process.env.WAITLIST_SWEEP_INTERVAL_MS) || 60 * 1000;
+const SESSION_LIFECYCLE_INTERVAL_MS = parseInt(process.env.SESSION_LIFECYCLE_INTERVAL_MS) || 60 * 1000;
+const CLEANUP_INTERVAL_MS = parseInt(process.env.CLEANUP_INTERVAL_MS) || 60 * 60 * 1000;
 
 // Security middleware
 app.use(helmet({
@@ -48,27 +53,6 @@ const limiter = rateLimit({
 });
 app.use('/api/', limiter);
 
-// Session configuration
-const sessionStore = new MySQLStore({
-  host: process.env.DB_HOST,
-  port: process.env.DB_PORT,
-  user: process.env.DB_USER,
-  password: process.env.DB_PASSWORD,
-  database: process.env.DB_NAME
-});
-
-app.use(session({
-  store: sessionStore,
-  secret: process.env.SESSION_SECRET || 'fallback-secret',
-  resave: false,
-  saveUninitialized: false,
-  cookie: {
-    secure: process.env.NODE_ENV === 'production',
-    httpOnly: true,
-    maxAge: parseInt(process.env.SESSION_COOKIE_MAX_AGE) || 24 * 60 * 60 * 1000
-  }
-}));
-
 // Middleware
 app.use(compression());
 app.use(morgan('combined'));
@@ -100,6 +84,7 @@ app.get('/health', (req, res) => {
 app.use('/api/auth', authRoutes);
 app.use('/api/users', authenticateToken, userRoutes);
 app.use('/api/sessions', authenticateToken, sessionRoutes);
+app.use('/api/tutors', authenticateToken, tutorRoutes);
 app.use('/api/attendance', authenticateToken, attendanceRoutes);
 app.use('/api/payments', authenticateToken, paymentRoutes);
 app.use('/api/syllabus', authenticateToken, syllabusRoutes);
@@ -137,6 +122,21 @@ async function startServer() {
       console.log(`🌍 Environment: ${process.env.ENVIRONMENT || 'development'}`);
       console.log(`📱 WhatsApp alerts: ${process.env.ENVIRONMENT === 'dev' ? 'Enabled (dev mode)' : 'Production mode'}`);
     });
+
+    // Seats whose waitlist offers ran out pass to the next student in line
+    setInterval(() => {
+      processExpiredOffers().catch(error => console.error('Waitlist sweep error:', error));
+    }, WAITLIST_SWEEP_INTERVAL_MS);
+
+    // Sessions start and complete on their own at their scheduled times
+    setInterval(() => {
+      advanceSessions().catch(error => console.error('Session lifecycle sweep error:', error));
+    }, SESSION_LIFECYCLE_INTERVAL_MS);
+
+    // Expired tokens, codes and devices are deleted so their tables don't grow forever
+    setInterval(() => {
+      purgeExpiredRecords().catch(error => console.error('Cleanup sweep error:', error));
+    }, CLEANUP_INTERVAL_MS);
   } catch (error) {
     console.error('❌ Database connection failed:', error);
     process.exit(1);
@@ -0,0 +1,239 @@
+const crypto = require('crypto');
+const net = require('net');
+const ApiKey = require('../models/ApiKey');
+const User = require('../models/User');
+const { API_KEY_SCOPES } = require('../config/permissions');
+const { getPermissionsForScopes, userHasPermission } = require('./permissionService');
+const { recordAudit } = require('./auditService');
+require('dotenv').config();
+
+// How often a key's "last used" is written; every request would be too many writes
+const API_KEY_TOUCH_INTERVAL_MS = parseInt(process.env.API_KEY_TOUCH_INTERVAL_MS) || 60 * 1000;
+
+/**
+ * Build an error carrying the HTTP status the route should answer with
+ * @param {number} statusCode - HTTP status code
+ * @param {string} message - Error message
+ * @returns {Error} - Error with statusCode
+ */
+const apiKeyError = (statusCode, message) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+/**
+ * Strip the IPv4-mapped IPv6 prefix Express reports on dual-stack servers
+ * @param {string} ip - Address from req.ip
+ * @returns {string} - Plain address
+ */
+const normalizeIp = (ip) => String(ip || '').replace(/^::ffff:(?=\d+\.\d+\.\d+\.\d+$)/, '');
+
+/**
+ * Validate an IP allowlist of addresses and CIDR ranges
+ * @param {Array<string>} entries - e.g. ['203.0.113.7', '10.0.0.0/8']
+ * @returns {Array<string>} - Trimmed entries
+ */
+const parseAllowedIps = (entries) => {
+  return (entries || []).map(entry => {
+    const value = String(entry).trim();
+    const [address, bits] = value.split('/');
+    const family = net.isIP(address);
+    const maxBits = family === 6 ? 128 : 32;
+
+    const validBits = bits === undefined || (/^\d+$/.test(bits) && parseInt(bits) <= maxBits);
+    if (!family || !validBits) {
+      throw apiKeyError(400, `Invalid IP address or range: ${value}`);
+    }
+    return value;
+  });
+};
+
+/**
+ * Whether a request address is on a key's allowlist (an empty list allows any)
+ * @param {object} apiKey - ApiKey instance
+ * @param {string} ip - Request address
+ * @returns {boolean}
+ */
+const isIpAllowed = (apiKey, ip) => {
+  const entries = apiKey.allowedIps || [];
+  if (!entries.length) return true;
+
+  const address = normalizeIp(ip);
+  const family = net.isIP(address) === 6 ? 'ipv6' : 'ipv4';
+  const list = new net.BlockList();
+
+  entries.forEach(entry => {
+    const [range, bits] = entry.split('/');
+    const type = net.isIP(range) === 6 ? 'ipv6' : 'ipv4';
+    if (bits === undefined) {
+      list.addAddress(range, type);
+    } else {
+      list.addSubnet(range, parseInt(bits), type);
+    }
+  });
+
+  return net.isIP(address) ? list.check(address, family) : false;
+};
+
+/**
+ * Public view of a key (never includes the key or its hash)
+ * @param {object} apiKey - ApiKey instance
+ * @returns {object} - Serialized key
+ */
+const serializeApiKey = (apiKey) => ({
+  id: apiKey.id,
+  name: apiKey.name,
+  prefix: apiKey.prefix,
+  scopes: apiKey.scopes,
+  allowedIps: apiKey.allowedIps || [],
+  status: apiKey.getStatus(),
+  expiresAt: apiKey.expiresAt,
+  lastUsedAt: apiKey.lastUsedAt,
+  lastUsedIp: apiKey.lastUsedIp,
+  createdBy: apiKey.createdBy,
+  createdAt: apiKey.createdAt,
+  revokedAt: apiKey.revokedAt
+});
+
+/**
+ * Create a key. The caller must hold every permission the scopes grant.
+ * @param {object} actor - Admin creating the key
+ * @param {object} data - { name, scopes, allowedIps, expiresAt }
+ * @param {Request} req - Express request (for the audit log)
+ * @returns {Promise<object>} - { apiKey, key } where key is the plain key, shown once
+ */
+const createApiKey = async (actor, data, req) => {
+  const scopes = [...new Set(data.scopes || [])];
+
+  const unknown = scopes.filter(scope => !API_KEY_SCOPES[scope]);
+  if (unknown.length) {
+    throw apiKeyError(400, `Unknown scopes: ${unknown.join(', ')}`);
+  }
+
+  for (const permission of getPermissionsForScopes(scopes)) {
+    if (!(await userHasPermission(actor, permission))) {
+      throw apiKeyError(403, `You can't create a key with permissions you don't have (${permission})`);
+    }
+  }
+
+  const expiresAt = data.expiresAt ? new Date(data.expiresAt) : null;
+  if (expiresAt && expiresAt <= new Date()) {
+    throw apiKeyError(400, 'Expiry must be in the future');
+  }
+
+  const allowedIps = parseAllowedIps(data.allowedIps);
+
+  const key = `ems_${crypto.randomBytes(32).toString('base64url')}`;
+  const apiKey = await ApiKey.create({
+    name: data.name,
+    prefix: key.slice(0, 12),
+    keyHash: ApiKey.hashKey(key),
+    scopes,
+    allowedIps,
+    expiresAt,
+    createdBy: actor.id
+  });
+
+  await recordAudit({
+    action: 'api_key.created',
+    entityType: 'api_key',
+    entityId: apiKey.id,
+    newValues: { name: apiKey.name, scopes, allowedIps, expiresAt }
+  }, req);
+
+  return { apiKey, key };
+};
+
+/**
+ * Revoke a key; requests using it fail from then on
+ * @param {object} apiKey - ApiKey instance
+ * @param {object} actor - Admin revoking it
+ * @param {Request} req - Express request (for the audit log)
+ * @returns {Promise<object>} - Updated ApiKey
+ */
+const revokeApiKey = async (apiKey, actor, req) => {
+  if (!apiKey.revokedAt) {
+    apiKey.revokedAt = new Date();
+    apiKey.revokedBy = actor.id;
+    await apiKey.save();
+
+    await recordAudit({
+      action: 'api_key.revoked',
+      entityType: 'api_key',
+      entityId: apiKey.id
+    }, req);
+  }
+
+  return apiKey;
+};
+
+/**
+ * Record when and from where a key was last used, at most once per interval
+ * @param {object} apiKey - ApiKey instance
+ * @param {string} ip - Request address
+ * @returns {Promise<void>}
+ */
+const touchApiKey = async (apiKey, ip) => {
+  const lastUsed = apiKey.lastUsedAt ? new Date(apiKey.lastUsedAt).getTime() : 0;
+  if (Date.now() - lastUsed < API_KEY_TOUCH_INTERVAL_MS && apiKey.lastUsedIp === ip) {
+    return;
+  }
+
+  apiKey.lastUsedAt = new Date();
+  apiKey.lastUsedIp = ip;
+  await apiKey.save();
+};
+
+/**
+ * Resolve the key from an `Authorization: ApiKey ...` header. The request
+ * runs as the admin who created the key, limited to the key's scopes.
+ * @param {string} key - Plain API key
+ * @param {Request} req - Express request
+ * @returns {Promise<object>} - { apiKey, user }
+ */
+const authenticateApiKey = async (key, req) => {
+  const apiKey = await ApiKey.findByKey(key);
+  if (!apiKey) {
+    throw apiKeyError(401, 'Invalid API key');
+  }
+
+  // Attempts with a real key that gets turned away are audited too
+  const reject = async (statusCode, message, reason) => {
+    await recordAudit({
+      userId: apiKey.createdBy,
+      action: 'api_key.rejected',
+      entityType: 'api_key',
+      entityId: apiKey.id,
+      newValues: { reason, method: req.method, path: req.originalUrl }
+    }, req);
+    return apiKeyError(statusCode, message);
+  };
+
+  if (!apiKey.isActive()) {
+    throw await reject(401, `API key has been ${apiKey.getStatus()}`, apiKey.getStatus());
+  }
+
+  if (!isIpAllowed(apiKey, req.ip)) {
+    throw await reject(403, 'API key is not allowed from this IP address', 'ip_not_allowed');
+  }
+
+  // A key stops working when the admin behind it does
+  const user = await User.findByPk(apiKey.createdBy);
+  if (!user || user.status !== 'active') {
+    throw apiKeyError(403, 'API key owner is not active');
+  }
+
+  touchApiKey(apiKey, normalizeIp(req.ip)).catch(error => {
+    console.error('API key usage update failed:', error);
+  });
+
+  return { apiKey, user };
+};
+
+module.exports = {
+  serializeApiKey,
+  createApiKey,
+  revokeApiKey,
+  authenticateApiKey
+};
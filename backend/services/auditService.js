@@ -0,0 +1,37 @@
+const AuditLog = require('../models/AuditLog');
+
+/**
+ * Write an audit log entry. Failures are logged, never thrown, so auditing
+ * can't break the action being audited.
+ * @param {object} entry - { action, entityType, entityId, oldValues, newValues, userId }
+ * @param {Request} req - Express request (actor, IP and user agent); optional.
+ *   During impersonation the entry is attributed to the impersonator; API key
+ *   calls are attributed to the key's creator and record the key.
+ * @returns {Promise<object|null>} - Created AuditLog or null on failure
+ */
+const recordAudit = async (entry, req = null) => {
+  try {
+    // While impersonating, the real actor is the super admin, not req.user
+    const actor = req ? (req.impersonator || req.user) : null;
+
+    return await AuditLog.create({
+      userId: entry.userId !== undefined ? entry.userId : (actor ? actor.id : null),
+      impersonatedUserId: req && req.impersonator ? req.user.id : null,
+      apiKeyId: req && req.apiKey ? req.apiKey.id : null,
+      action: entry.action,
+      entityType: entry.entityType,
+      entityId: entry.entityId || null,
+      oldValues: entry.oldValues || null,
+      newValues: entry.newValues || null,
+      ipAddress: req ? req.ip : null,
+      userAgent: req ? req.get('User-Agent') : null
+    });
+  } catch (error) {
+    console.error('Audit log write failed:', error);
+    return null;
+  }
+};
+
+module.exports = {
+  recordAudit
+};
@@ -0,0 +1,513 @@
+const { Op } = require('sequelize');
+const Session = require('../models/Session');
+const TutorAvailability = require('../models/TutorAvailability');
+const TutorAvailabilityException = require('../models/TutorAvailabilityException');
+const User = require('../models/User');
+const { requestHasPermission } = require('./permissionService');
+const {
+  DEFAULT_TIMEZONE,
+  isValidTimezone,
+  getZonedParts,
+  getOffsetMinutes,
+  zonedTimeToUtc
+} = require('./timezoneService');
+const { recordAudit } = require('./auditService');
+require('dotenv').config();
+
+// Time kept clear before and after a tutor's sessions when offering slots
+const SESSION_BUFFER_MINUTES = parseInt(process.env.SESSION_BUFFER_MINUTES) || 10;
+
+// Slots start on this grid in the tutor's timezone (e.g. on the hour and half hour)
+const SLOT_STEP_MINUTES = parseInt(process.env.SLOT_STEP_MINUTES) || 30;
+
+// Slots closer than this to now aren't offered
+const BOOKING_MIN_NOTICE_MINUTES = parseInt(process.env.BOOKING_MIN_NOTICE_MINUTES) || 120;
+
+// Longest range one slot search may cover
+const MAX_SLOT_RANGE_DAYS = parseInt(process.env.MAX_SLOT_RANGE_DAYS) || 31;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Sessions that still take up the time they are scheduled for, including
+// bookings waiting for the tutor's approval
+const BLOCKING_STATUSES = ['requested', 'scheduled', 'ongoing', 'rescheduled'];
+
+/**
+ * Build an error carrying the HTTP status the route should answer with
+ * @param {number} statusCode - HTTP status code
+ * @param {string} message - Error message
+ * @returns {Error} - Error with statusCode
+ */
+const availabilityError = (statusCode, message) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+/**
+ * Sort and join overlapping or touching intervals
+ * @param {Array<Array<number>>} intervals - [start, end] pairs in ms
+ * @returns {Array<Array<number>>} - Disjoint intervals, earliest first
+ */
+const mergeIntervals = (intervals) => {
+  const merged = [];
+  [...intervals].sort((a, b) => a[0] - b[0]).forEach(([start, end]) => {
+    const last = merged[merged.length - 1];
+    if (last && start <= last[1]) {
+      last[1] = Math.max(last[1], end);
+    } else {
+      merged.push([start, end]);
+    }
+  });
+  return merged;
+};
+
+/**
+ * Remove time from a set of intervals
+ * @param {Array<Array<number>>} intervals - Disjoint [start, end] pairs
+ * @param {Array<Array<number>>} removed - [start, end] pairs to take out
+ * @returns {Array<Array<number>>} - What is left
+ */
+const subtractIntervals = (intervals, removed) => {
+  const holes = mergeIntervals(removed);
+  const result = [];
+
+  intervals.forEach(([start, end]) => {
+    let cursor = start;
+    for (const [holeStart, holeEnd] of holes) {
+      if (holeEnd <= cursor || holeStart >= end) continue;
+      if (holeStart > cursor) result.push([cursor, holeStart]);
+      cursor = Math.max(cursor, holeEnd);
+    }
+    if (cursor < end) result.push([cursor, end]);
+  });
+
+  return result;
+};
+
+/**
+ * Whether the intervals cover a range without gaps
+ * @param {Array<Array<number>>} intervals - Merged [start, end] pairs
+ * @param {number} start - Range start (ms)
+ * @param {number} end - Range end (ms)
+ * @returns {boolean}
+ */
+const coversRange = (intervals, start, end) => {
+  return intervals.some(([from, to]) => from <= start && to >= end);
+};
+
+/**
+ * The instants a weekly row covers between two dates, reading its times on
+ * each local date in its timezone (so they follow DST changes)
+ * @param {object} window - TutorAvailability row
+ * @param {Date} from - Range start
+ * @param {Date} to - Range end
+ * @returns {Array<Array<number>>} - [start, end] pairs in ms
+ */
+const expandWindow = (window, from, to) => {
+  const timezone = window.timezone || 'UTC';
+  const first = getZonedParts(new Date(from.getTime() - DAY_MS), timezone);
+  const days = Math.ceil((to - from) / DAY_MS) + 3;
+  const intervals = [];
+
+  for (let offset = 0; offset < days; offset++) {
+    const date = new Date(Date.UTC(first.year, first.month - 1, first.day + offset));
+    if (TutorAvailability.DAYS_OF_WEEK[date.getUTCDay()] !== window.dayOfWeek) continue;
+
+    const local = { year: date.getUTCFullYear(), month: date.getUTCMonth() + 1, day: date.getUTCDate() };
+    const start = zonedTimeToUtc({ ...local, minute: window.getStartMinutes() }, timezone).getTime();
+    const end = zonedTimeToUtc({ ...local, minute: window.getEndMinutes() }, timezone).getTime();
+    if (end > from.getTime() && start < to.getTime()) intervals.push([start, end]);
+  }
+
+  return intervals;
+};
+
+/**
+ * A tutor's hours between two dates, with weekly hours and exceptions applied
+ * @param {string} tutorId - Tutor ID
+ * @param {Date} from - Range start
+ * @param {Date} to - Range end
+ * @param {object} options - Query options such as { transaction }
+ * @returns {Promise<object>} - { configured, timezone, open, blocked } where
+ *   configured is false for tutors who haven't set weekly hours, open holds
+ *   merged [start, end] pairs and blocked lists time out as
+ *   { startTime, endTime, kind: 'blocked_hours'|'time_off', reason, notes }
+ */
+const loadAvailability = async (tutorId, from, to, options = {}) => {
+  from = new Date(from);
+  to = new Date(to);
+
+  const windows = await TutorAvailability.findByTutor(tutorId, options);
+  const exceptions = await TutorAvailabilityException.findOverlapping(tutorId, from, to, options);
+
+  const open = [];
+  const blocked = [];
+
+  windows.forEach(window => expandWindow(window, from, to).forEach(([start, end]) => {
+    if (window.isAvailable) {
+      open.push([start, end]);
+    } else {
+      blocked.push({ startTime: new Date(start), endTime: new Date(end), kind: 'blocked_hours', reason: null, notes: window.notes });
+    }
+  }));
+
+  exceptions.forEach(exception => {
+    const start = new Date(exception.startTime).getTime();
+    const end = new Date(exception.endTime).getTime();
+    if (exception.isAvailable) {
+      open.push([start, end]);
+    } else {
+      blocked.push({ startTime: new Date(start), endTime: new Date(end), kind: 'time_off', reason: exception.reason, notes: exception.notes });
+    }
+  });
+
+  return {
+    configured: windows.some(window => window.isAvailable),
+    timezone: windows.length ? windows[0].timezone : 'UTC',
+    open: mergeIntervals(open),
+    blocked
+  };
+};
+
+/**
+ * The time a tutor could be booked for in a range. Weekly hours and extra
+ * hours are open; blocked hours, time off, the tutor's sessions (padded by
+ * SESSION_BUFFER_MINUTES) and anything within BOOKING_MIN_NOTICE_MINUTES of
+ * now are taken out.
+ * @param {string} tutorId - Tutor ID
+ * @param {Date} from - Range start
+ * @param {Date} to - Range end
+ * @param {object} options - Query options such as { transaction }
+ * @returns {Promise<object>} - { timezone, free } with free as [start, end] pairs
+ */
+const findFreeTime = async (tutorId, from, to, options = {}) => {
+  const earliest = new Date(Math.max(from.getTime(), Date.now() + BOOKING_MIN_NOTICE_MINUTES * 60000));
+  const availability = await loadAvailability(tutorId, earliest, to, options);
+  if (earliest >= to) {
+    return { timezone: availability.timezone, free: [] };
+  }
+
+  const buffer = SESSION_BUFFER_MINUTES * 60000;
+  const sessions = await Session.findAll({
+    where: {
+      tutorId,
+      status: BLOCKING_STATUSES,
+      startTime: { [Op.lt]: new Date(to.getTime() + buffer) },
+      endTime: { [Op.gt]: new Date(earliest.getTime() - buffer) }
+    },
+    attributes: ['startTime', 'endTime'],
+    ...options
+  });
+
+  const busy = [
+    ...availability.blocked.map(block => [block.startTime.getTime(), block.endTime.getTime()]),
+    ...sessions.map(session => [new Date(session.startTime).getTime() - buffer, new Date(session.endTime).getTime() + buffer])
+  ];
+  const free = subtractIntervals(
+    subtractIntervals(availability.open, [[-Infinity, earliest.getTime()], [to.getTime(), Infinity]]),
+    busy
+  );
+
+  return { timezone: availability.timezone, free };
+};
+
+/**
+ * Open slots of a given length a tutor could be booked for in a date range
+ * @param {string} tutorId - Tutor ID
+ * @param {object} options - { from, to, duration (minutes), step (minutes) }
+ * @returns {Promise<object>} - { timezone, slots: [{ startTime, endTime }] }
+ */
+const computeSlots = async (tutorId, { from, to, duration, step = SLOT_STEP_MINUTES }) => {
+  from = new Date(from);
+  to = new Date(to);
+  if (to <= from) {
+    throw availabilityError(400, 'to must be after from');
+  }
+  if (to - from > MAX_SLOT_RANGE_DAYS * DAY_MS) {
+    throw availabilityError(400, `Slots can be searched at most ${MAX_SLOT_RANGE_DAYS} days at a time`);
+  }
+
+  const { timezone, free } = await findFreeTime(tutorId, from, to);
+
+  // Slot starts sit on the step grid of the tutor's local clock
+  const stepMs = step * 60000;
+  const length = duration * 60000;
+  const slots = [];
+  free.forEach(([start, end]) => {
+    const offset = getOffsetMinutes(new Date(start), timezone) * 60000;
+    let slotStart = Math.ceil((start + offset) / stepMs) * stepMs - offset;
+    for (; slotStart + length <= end; slotStart += stepMs) {
+      slots.push({ startTime: new Date(slotStart), endTime: new Date(slotStart + length) });
+    }
+  });
+
+  return { timezone, slots };
+};
+
+/**
+ * Whether a tutor is free for the whole of a time range, by the same rules
+ * as computeSlots
+ * @param {string} tutorId - Tutor ID
+ * @param {Date} startTime - Range start
+ * @param {Date} endTime - Range end
+ * @param {object} options - Query options such as { transaction }
+ * @returns {Promise<boolean>}
+ */
+const isSlotOpen = async (tutorId, startTime, endTime, options = {}) => {
+  const { free } = await findFreeTime(tutorId, startTime, endTime, options);
+  return coversRange(free, startTime.getTime(), endTime.getTime());
+};
+
+/**
+ * Load a user and check they are a tutor whose hours can be looked up
+ * @param {string} tutorId - User ID
+ * @returns {Promise<object>} - User
+ */
+const findTutor = async (tutorId) => {
+  const tutor = await User.findByPk(tutorId);
+  if (!tutor || !tutor.isTutor()) {
+    throw availabilityError(404, 'Tutor not found');
+  }
+  return tutor;
+};
+
+/**
+ * Whether the caller may change a tutor's hours: `.any`, or `.own` for
+ * their own
+ * @param {Request} req - Express request after authenticateToken
+ * @param {string} tutorId - Tutor ID
+ * @returns {Promise<boolean>}
+ */
+const canManageAvailability = async (req, tutorId) => {
+  if (await requestHasPermission(req, 'availability.manage.any')) return true;
+  if (req.apiKey || tutorId !== req.user.id) return false;
+  return requestHasPermission(req, 'availability.manage.own');
+};
+
+/**
+ * Parse 'HH:MM' or 'HH:MM:SS' into a TIME value
+ * @param {string} value - Time of day
+ * @returns {string} - 'HH:MM:SS'
+ */
+const normalizeTime = (value) => {
+  const [hours, minutes] = String(value).split(':');
+  return `${hours.padStart(2, '0')}:${minutes.padStart(2, '0')}:00`;
+};
+
+/**
+ * Check a weekly row against the tutor's other rows. Rows of the same kind
+ * can't overlap on a day, and every row uses the tutor's one timezone.
+ * @param {object} values - { tutorId, dayOfWeek, startTime, endTime, isAvailable, timezone }
+ * @param {string} ignoreId - Row being edited, if any
+ * @returns {Promise<void>}
+ */
+const validateWindow = async (values, ignoreId = null) => {
+  const window = TutorAvailability.build(values);
+  if (window.getEndMinutes() <= window.getStartMinutes()) {
+    throw availabilityError(400, 'endTime must be after startTime');
+  }
+  if (!isValidTimezone(values.timezone)) {
+    throw availabilityError(400, 'timezone must be an IANA timezone such as Europe/London');
+  }
+
+  const others = (await TutorAvailability.findByTutor(values.tutorId)).filter(row => row.id !== ignoreId);
+
+  const otherZone = others.find(row => row.timezone !== values.timezone);
+  if (otherZone) {
+    throw availabilityError(400, `All weekly hours use one timezone; this tutor's are in ${otherZone.timezone}`);
+  }
+
+  const clash = others.find(row => row.dayOfWeek === values.dayOfWeek && (
+    row.getStartMinutes() === window.getStartMinutes()
+    || (row.isAvailable === window.isAvailable
+      && row.getStartMinutes() < window.getEndMinutes()
+      && row.getEndMinutes() > window.getStartMinutes())
+  ));
+  if (clash) {
+    throw availabilityError(409, `This overlaps the ${clash.startTime}-${clash.endTime} hours on ${clash.dayOfWeek}`);
+  }
+};
+
+/**
+ * A tutor's weekly hours
+ * @param {string} tutorId - Tutor ID
+ * @returns {Promise<Array<object>>} - TutorAvailability rows
+ */
+const listWeeklyAvailability = (tutorId) => {
+  return TutorAvailability.findByTutor(tutorId);
+};
+
+/**
+ * Add a weekly row. Without a timezone it takes the tutor's existing rows'
+ * one, or for their first row the timezone on their profile.
+ * @param {Request} req - Express request (for the audit log)
+ * @param {string} tutorId - Tutor ID
+ * @param {object} data - { dayOfWeek, startTime, endTime, isAvailable, timezone, notes }
+ * @returns {Promise<object>} - Created TutorAvailability
+ */
+const createWindow = async (req, tutorId, data) => {
+  const existing = await TutorAvailability.findOne({ where: { tutorId } });
+  const tutor = existing ? null : await User.findByPk(tutorId, { attributes: ['id', 'timezone'] });
+
+  const values = {
+    tutorId,
+    dayOfWeek: data.dayOfWeek,
+    startTime: normalizeTime(data.startTime),
+    endTime: normalizeTime(data.endTime),
+    isAvailable: data.isAvailable !== undefined ? data.isAvailable : true,
+    timezone: data.timezone || (existing ? existing.timezone : (tutor && tutor.timezone) || DEFAULT_TIMEZONE),
+    notes: data.notes || null
+  };
+  await validateWindow(values);
+
+  const window = await TutorAvailability.create(values);
+
+  await recordAudit({
+    action: 'availability.created',
+    entityType: 'tutor_availability',
+    entityId: window.id,
+    newValues: values
+  }, req);
+
+  return window;
+};
+
+/**
+ * Edit a weekly row
+ * @param {Request} req - Express request (for the audit log)
+ * @param {object} window - TutorAvailability row
+ * @param {object} data - Fields to change
+ * @returns {Promise<object>} - Updated TutorAvailability
+ */
+const updateWindow = async (req, window, data) => {
+  const changes = {};
+  ['dayOfWeek', 'isAvailable', 'timezone', 'notes'].forEach(field => {
+    if (data[field] !== undefined) changes[field] = data[field];
+  });
+  if (data.startTime !== undefined) changes.startTime = normalizeTime(data.startTime);
+  if (data.endTime !== undefined) changes.endTime = normalizeTime(data.endTime);
+
+  const values = { ...window.get({ plain: true }), ...changes };
+  await validateWindow(values, window.id);
+
+  const oldValues = {};
+  Object.keys(changes).forEach(field => { oldValues[field] = window[field]; });
+  await window.update(changes);
+
+  await recordAudit({
+    action: 'availability.updated',
+    entityType: 'tutor_availability',
+    entityId: window.id,
+    oldValues,
+    newValues: changes
+  }, req);
+
+  return window;
+};
+
+/**
+ * Remove a weekly row
+ * @param {Request} req - Express request (for the audit log)
+ * @param {object} window - TutorAvailability row
+ * @returns {Promise<void>}
+ */
+const deleteWindow = async (req, window) => {
+  await window.destroy();
+
+  await recordAudit({
+    action: 'availability.deleted',
+    entityType: 'tutor_availability',
+    entityId: window.id,
+    oldValues: { dayOfWeek: window.dayOfWeek, startTime: window.startTime, endTime: window.endTime, isAvailable: window.isAvailable }
+  }, req);
+};
+
+/**
+ * A tutor's exceptions that overlap a date range
+ * @param {string} tutorId - Tutor ID
+ * @param {Date} from - Range start
+ * @param {Date} to - Range end
+ * @returns {Promise<Array<object>>} - TutorAvailabilityException rows
+ */
+const listExceptions = (tutorId, from, to) => {
+  return TutorAvailabilityException.findOverlapping(tutorId, new Date(from), new Date(to));
+};
+
+/**
+ * Add time off or extra hours. Sessions the tutor already has during new
+ * time off are returned so they can be moved; they are not cancelled.
+ * @param {Request} req - Express request (for the audit log)
+ * @param {string} tutorId - Tutor ID
+ * @param {object} data - { startTime, endTime, isAvailable, reason, notes }
+ * @returns {Promise<object>} - { exception, affectedSessions }
+ */
+const createException = async (req, tutorId, data) => {
+  const startTime = new Date(data.startTime);
+  const endTime = new Date(data.endTime);
+  if (endTime <= startTime) {
+    throw availabilityError(400, 'endTime must be after startTime');
+  }
+
+  const exception = await TutorAvailabilityException.create({
+    tutorId,
+    startTime,
+    endTime,
+    isAvailable: !!data.isAvailable,
+    reason: data.reason || null,
+    notes: data.notes || null
+  });
+
+  const affectedSessions = exception.isAvailable ? [] : await Session.findAll({
+    where: {
+      tutorId,
+      status: BLOCKING_STATUSES,
+      startTime: { [Op.lt]: endTime },
+      endTime: { [Op.gt]: startTime }
+    },
+    attributes: ['id', 'title', 'startTime', 'endTime', 'status', 'currentStudents'],
+    order: [['startTime', 'ASC']]
+  });
+
+  await recordAudit({
+    action: 'availability_exception.created',
+    entityType: 'tutor_availability_exception',
+    entityId: exception.id,
+    newValues: { tutorId, startTime, endTime, isAvailable: exception.isAvailable, reason: exception.reason }
+  }, req);
+
+  return { exception, affectedSessions };
+};
+
+/**
+ * Remove an exception
+ * @param {Request} req - Express request (for the audit log)
+ * @param {object} exception - TutorAvailabilityException row
+ * @returns {Promise<void>}
+ */
+const deleteException = async (req, exception) => {
+  await exception.destroy();
+
+  await recordAudit({
+    action: 'availability_exception.deleted',
+    entityType: 'tutor_availability_exception',
+    entityId: exception.id,
+    oldValues: { startTime: exception.startTime, endTime: exception.endTime, isAvailable: exception.isAvailable, reason: exception.reason }
+  }, req);
+};
+
+module.exports = {
+  coversRange,
+  loadAvailability,
+  computeSlots,
+  isSlotOpen,
+  findTutor,
+  canManageAvailability,
+  listWeeklyAvailability,
+  createWindow,
+  updateWindow,
+  deleteWindow,
+  listExceptions,
+  createException,
+  deleteException
+};
@@ -0,0 +1,332 @@
+const { Op } = require('sequelize');
+const { sequelize } = require('../config/database');
+const Session = require('../models/Session');
+const SessionStudent = require('../models/SessionStudent');
+const Payment = require('../models/Payment');
+const User = require('../models/User');
+const OrganizationSetting = require('../models/OrganizationSetting');
+const {
+  sessionError,
+  resolveSessionTimezone,
+  validateSchedule,
+  lockSession,
+  syncSeatCount,
+  cancelLockedSession
+} = require('./sessionService');
+const { isSlotOpen } = require('./availabilityService');
+const {
+  sendBookingConfirmationEmail,
+  sendBookingRequestEmail,
+  sendSessionCancellationEmail
+} = require('./emailService');
+const {
+  sendBookingConfirmation,
+  sendBookingRequest,
+  sendSessionCancellation
+} = require('./whatsappService');
+const { recordAudit } = require('./auditService');
+
+// Used when the `self_booking` organization setting leaves a field out
+const DEFAULT_BOOKING_SETTINGS = {
+  requireApproval: false,
+  hourlyRate: 0,
+  currency: 'USD',
+  durations: [30, 60, 90]
+};
+
+/**
+ * The organization's rules for students booking tutors themselves
+ * (setting `self_booking`) over the defaults
+ * @returns {Promise<object>} - { requireApproval, hourlyRate, currency, durations }
+ */
+const getBookingSettings = async () => {
+  const configured = await OrganizationSetting.getValue('self_booking', {});
+  const settings = { ...DEFAULT_BOOKING_SETTINGS, ...(configured && typeof configured === 'object' ? configured : {}) };
+
+  return {
+    requireApproval: !!settings.requireApproval,
+    hourlyRate: Math.max(parseFloat(settings.hourlyRate) || 0, 0),
+    currency: settings.currency || DEFAULT_BOOKING_SETTINGS.currency,
+    durations: Array.isArray(settings.durations) && settings.durations.length
+      ? settings.durations.map(Number)
+      : DEFAULT_BOOKING_SETTINGS.durations
+  };
+};
+
+/**
+ * Send booking notices to the student and the tutor by email and WhatsApp.
+ * Delivery failures are logged, not thrown.
+ * @param {object} session - Booked session
+ * @param {object} student - Student who booked
+ * @param {object} tutor - Tutor booked
+ * @param {object} options - { payment, pendingApproval, notifyTutor }
+ * @returns {Promise<void>}
+ */
+const notifyBooking = async (session, student, tutor, options = {}) => {
+  try {
+    await sendBookingConfirmationEmail(student.email, session, student, tutor, options);
+    if (student.phone) {
+      await sendBookingConfirmation(student.phone, session, student, tutor, options);
+    }
+
+    if (options.notifyTutor) {
+      await sendBookingRequestEmail(tutor.email, session, student, tutor, options);
+      if (tutor.phone) {
+        await sendBookingRequest(tutor.phone, session, student, tutor, options);
+      }
+    }
+  } catch (error) {
+    console.error('Booking notification failed:', error);
+  }
+};
+
+/**
+ * Book the signed-in student into a one-on-one session in one of a tutor's
+ * open slots. The session and the student's seat are created together; a
+ * priced session also raises a pending payment. When the organization
+ * requires approval the session is 'requested' until the tutor approves it,
+ * but the slot is held meanwhile.
+ * @param {Request} req - Express request after authenticateToken
+ * @param {object} data - { tutorId, topic, startTime, duration, title, description, notes }
+ * @returns {Promise<object>} - { session, enrollment, payment }
+ */
+const bookSession = async (req, data) => {
+  const student = req.user;
+  const tutor = await User.findByPk(data.tutorId);
+  if (!tutor || !tutor.isTutor() || tutor.status !== 'active') {
+    throw sessionError(404, 'Tutor not found');
+  }
+  if (tutor.id === student.id) {
+    throw sessionError(400, 'You can\'t book a session with yourself');
+  }
+
+  const settings = await getBookingSettings();
+  const duration = parseInt(data.duration);
+  if (!settings.durations.includes(duration)) {
+    throw sessionError(400, `duration must be one of ${settings.durations.join(', ')} minutes`);
+  }
+
+  const startTime = new Date(data.startTime);
+  const endTime = new Date(startTime.getTime() + duration * 60000);
+  validateSchedule(startTime, endTime);
+
+  const price = Math.round(settings.hourlyRate * duration / 60 * 100) / 100;
+  const timezone = await resolveSessionTimezone(null, tutor.id);
+
+  const { session, enrollment, payment } = await sequelize.transaction(async (transaction) => {
+    // Bookings with one tutor go one at a time, so two students can't take the same slot
+    await User.findByPk(tutor.id, { transaction, lock: transaction.LOCK.UPDATE });
+
+    if (!(await isSlotOpen(tutor.id, startTime, endTime, { transaction }))) {
+      throw sessionError(409, 'This slot is no longer open; pick another');
+    }
+
+    const clash = await Session.findOne({
+      where: {
+        status: ['requested', 'scheduled', 'ongoing', 'rescheduled'],
+        startTime: { [Op.lt]: endTime },
+        endTime: { [Op.gt]: startTime }
+      },
+      include: [{ model: SessionStudent, where: { studentId: student.id, status: 'enrolled' }, attributes: [] }],
+      transaction
+    });
+    if (clash) {
+      throw sessionError(409, `You are already booked into "${clash.title}" at this time`);
+    }
+
+    const created = await Session.create({
+      title: data.title || `${data.topic} with ${tutor.firstName}`.slice(0, 255),
+      description: data.description || null,
+      topic: data.topic,
+      notes: data.notes || null,
+      startTime,
+      endTime,
+      duration,
+      sessionType: 'one_on_one',
+      maxStudents: 1,
+      price,
+      currency: settings.currency,
+      timezone,
+      tutorId: tutor.id,
+      status: settings.requireApproval ? 'requested' : 'scheduled',
+      metadata: { bookedBy: student.id, bookedAt: new Date() }
+    }, { transaction });
+
+    const seat = await SessionStudent.create({ sessionId: created.id, studentId: student.id }, { transaction });
+    await syncSeatCount(created, transaction);
+
+    const due = price > 0 ? await Payment.create({
+      studentId: student.id,
+      sessionId: created.id,
+      amount: price,
+      currency: settings.currency,
+      status: 'pending',
+      dueDate: startTime,
+      description: `One-on-one session: ${data.topic}`
+    }, { transaction }) : null;
+
+    return { session: created, enrollment: seat, payment: due };
+  });
+
+  await recordAudit({
+    action: 'session.booked',
+    entityType: 'session',
+    entityId: session.id,
+    newValues: { studentId: student.id, tutorId: tutor.id, startTime, endTime, price, status: session.status }
+  }, req);
+
+  await notifyBooking(session, student, tutor, {
+    payment,
+    pendingApproval: session.status === 'requested',
+    notifyTutor: true
+  });
+
+  return { session, enrollment, payment };
+};
+
+/**
+ * Approve a student's booking request
+ * @param {object} session - Session in 'requested'
+ * @param {Request} req - Express request (for the audit log)
+ * @returns {Promise<object>} - Updated Session
+ */
+const approveBooking = async (session, req) => {
+  await sequelize.transaction(async (transaction) => {
+    const locked = await lockSession(session.id, transaction);
+    if (locked.status !== 'requested') {
+      throw sessionError(409, 'This session is not waiting for approval');
+    }
+    if (new Date(locked.startTime) <= new Date()) {
+      throw sessionError(409, 'This request has expired; the session time has passed');
+    }
+    await locked.update({ status: 'scheduled' }, { transaction });
+  });
+  await session.reload();
+
+  await recordAudit({
+    action: 'session.booking_approved',
+    entityType: 'session',
+    entityId: session.id
+  }, req);
+
+  const seat = await SessionStudent.findOne({ where: { sessionId: session.id, status: 'enrolled' } });
+  const student = seat && await User.findByPk(seat.studentId);
+  if (student) {
+    const tutor = await User.findByPk(session.tutorId);
+    const payment = await Payment.findOne({ where: { sessionId: session.id, studentId: student.id, status: 'pending' } });
+    await notifyBooking(session, student, tutor, { payment });
+  }
+
+  return session;
+};
+
+// Reason given to students whose request ran out without an answer
+const EXPIRED_REQUEST_REASON = 'The tutor didn\'t approve the booking before the session time';
+
+/**
+ * Cancel a booking request that is still waiting for approval, along with
+ * its pending payment
+ * @param {object} session - Session in 'requested'
+ * @param {string} reason - Reason recorded on the session
+ * @param {object} options - { expiredOnly } to leave requests whose start
+ *   time hasn't passed alone
+ * @returns {Promise<Array<string>>} - IDs of the students who had booked
+ */
+const cancelBookingRequest = async (session, reason, options = {}) => {
+  const studentIds = await sequelize.transaction(async (transaction) => {
+    const locked = await lockSession(session.id, transaction);
+    if (locked.status !== 'requested') {
+      throw sessionError(409, 'This session is not waiting for approval');
+    }
+    if (options.expiredOnly && new Date(locked.startTime) > new Date()) {
+      throw sessionError(409, 'This request hasn\'t expired yet');
+    }
+
+    const seats = await SessionStudent.findAll({ where: { sessionId: locked.id, status: 'enrolled' }, transaction });
+    await cancelLockedSession(locked, reason, transaction);
+    await Payment.update(
+      { status: 'cancelled' },
+      { where: { sessionId: locked.id, status: 'pending' }, transaction }
+    );
+    return seats.map(seat => seat.studentId);
+  });
+  await session.reload();
+
+  return studentIds;
+};
+
+/**
+ * Tell students their booking request was cancelled. Delivery failures are
+ * logged, not thrown.
+ * @param {object} session - Cancelled session
+ * @param {Array<string>} studentIds - Students who had booked
+ * @param {string} reason - Reason passed on to them
+ * @returns {Promise<void>}
+ */
+const notifyCancelledRequest = async (session, studentIds, reason) => {
+  for (const studentId of studentIds) {
+    try {
+      const student = await User.findByPk(studentId);
+      if (!student) continue;
+
+      await sendSessionCancellationEmail(student.email, session, student, reason);
+      if (student.phone) {
+        await sendSessionCancellation(student.phone, session, student, reason);
+      }
+    } catch (error) {
+      console.error('Booking cancellation notification failed:', error);
+    }
+  }
+};
+
+/**
+ * Decline a student's booking request, cancelling the session and its
+ * pending payment
+ * @param {object} session - Session in 'requested'
+ * @param {string} reason - Optional reason, passed on to the student
+ * @param {Request} req - Express request (for the audit log)
+ * @returns {Promise<object>} - Updated Session
+ */
+const declineBooking = async (session, reason, req) => {
+  const studentIds = await cancelBookingRequest(session, reason);
+
+  await recordAudit({
+    action: 'session.booking_declined',
+    entityType: 'session',
+    entityId: session.id,
+    newValues: { reason: reason || null }
+  }, req);
+
+  await notifyCancelledRequest(session, studentIds, reason);
+
+  return session;
+};
+
+/**
+ * Cancel a booking request whose session time came before the tutor
+ * approved it, so it stops holding the slot and its payment
+ * @param {object} session - Session in 'requested' whose start time has passed
+ * @returns {Promise<object>} - Updated Session
+ */
+const expireBooking = async (session) => {
+  const studentIds = await cancelBookingRequest(session, EXPIRED_REQUEST_REASON, { expiredOnly: true });
+
+  await recordAudit({
+    action: 'session.booking_expired',
+    entityType: 'session',
+    entityId: session.id,
+    newValues: { reason: EXPIRED_REQUEST_REASON }
+  }, null);
+
+  await notifyCancelledRequest(session, studentIds, EXPIRED_REQUEST_REASON);
+
+  return session;
+};
+
+module.exports = {
+  getBookingSettings,
+  bookSession,
+  approveBooking,
+  declineBooking,
+  expireBooking
+};
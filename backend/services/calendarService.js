@@ -0,0 +1,246 @@
+const { Op } = require('sequelize');
+const Session = require('../models/Session');
+const SessionStudent = require('../models/SessionStudent');
+const User = require('../models/User');
+const { getZonedParts, getOffsetMinutes, resolveDisplaySettings } = require('./timezoneService');
+require('dotenv').config();
+
+// iCalendar (RFC 5545) export of sessions. Each event is written in the
+// reader's timezone, with a VTIMEZONE describing that zone's offsets over the
+// exported dates, so calendar apps show the same clock times as our emails.
+
+const PRODUCT_ID = '-//Education Management System//Sessions//EN';
+
+// A personal calendar covers this many days ahead, and the past week
+const CALENDAR_FEED_DAYS = parseInt(process.env.CALENDAR_FEED_DAYS) || 90;
+const CALENDAR_PAST_DAYS = 7;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const pad = (value, length = 2) => String(value).padStart(length, '0');
+
+/**
+ * Escape text for a property value
+ * @param {string} value - Text
+ * @returns {string}
+ */
+const escapeText = (value) => String(value)
+  .replace(/\\/g, '\\\\')
+  .replace(/;/g, '\\;')
+  .replace(/,/g, '\\,')
+  .replace(/\r?\n/g, '\\n');
+
+/**
+ * Fold a content line to at most 75 octets per line, continuing on lines
+ * that start with a space
+ * @param {string} line - Content line
+ * @returns {string}
+ */
+const foldLine = (line) => {
+  const lines = [];
+  let current = '';
+  let octets = 0;
+
+  for (const char of line) {
+    const size = Buffer.byteLength(char);
+    if (octets + size > (lines.length ? 74 : 75)) {
+      lines.push(current);
+      current = '';
+      octets = 0;
+    }
+    current += char;
+    octets += size;
+  }
+  lines.push(current);
+
+  return lines.join('\r\n ');
+};
+
+const formatUtc = (date) => {
+  const value = new Date(date);
+  return `${value.getUTCFullYear()}${pad(value.getUTCMonth() + 1)}${pad(value.getUTCDate())}`
+    + `T${pad(value.getUTCHours())}${pad(value.getUTCMinutes())}${pad(value.getUTCSeconds())}Z`;
+};
+
+const formatLocal = (date, timezone) => {
+  const parts = getZonedParts(date, timezone);
+  return `${parts.year}${pad(parts.month)}${pad(parts.day)}T${pad(parts.hour)}${pad(parts.minute)}${pad(parts.second)}`;
+};
+
+const formatOffset = (minutes) => {
+  const sign = minutes < 0 ? '-' : '+';
+  return `${sign}${pad(Math.floor(Math.abs(minutes) / 60))}${pad(Math.abs(minutes) % 60)}`;
+};
+
+/**
+ * The instants in a range where a timezone's offset changes, to the minute
+ * @param {string} timezone - IANA timezone name
+ * @param {number} from - Range start (ms)
+ * @param {number} to - Range end (ms)
+ * @returns {Array<object>} - [{ at, from, to }] with offsets in minutes
+ */
+const findTransitions = (timezone, from, to) => {
+  const transitions = [];
+  let previous = getOffsetMinutes(new Date(from), timezone);
+
+  for (let day = from; day < to; day += DAY_MS) {
+    const next = getOffsetMinutes(new Date(day + DAY_MS), timezone);
+    if (next === previous) continue;
+
+    // Narrow the change down to the minute it happens
+    let low = day;
+    let high = day + DAY_MS;
+    while (high - low > 60000) {
+      const middle = low + Math.floor((high - low) / 120000) * 60000;
+      if (getOffsetMinutes(new Date(middle), timezone) === previous) {
+        low = middle;
+      } else {
+        high = middle;
+      }
+    }
+
+    transitions.push({ at: high, from: previous, to: next });
+    previous = next;
+  }
+
+  return transitions;
+};
+
+/**
+ * A VTIMEZONE for a zone, with one observance for the offset at the start
+ * of the range and one for each change inside it
+ * @param {string} timezone - IANA timezone name
+ * @param {number} from - Range start (ms)
+ * @param {number} to - Range end (ms)
+ * @returns {Array<string>} - Content lines
+ */
+const buildTimezone = (timezone, from, to) => {
+  const initial = getOffsetMinutes(new Date(from), timezone);
+  const observances = [
+    { kind: 'STANDARD', start: from, offsetFrom: initial, offsetTo: initial },
+    ...findTransitions(timezone, from, to).map(transition => ({
+      kind: transition.to > transition.from ? 'DAYLIGHT' : 'STANDARD',
+      start: transition.at,
+      offsetFrom: transition.from,
+      offsetTo: transition.to
+    }))
+  ];
+
+  const lines = ['BEGIN:VTIMEZONE', `TZID:${timezone}`];
+  observances.forEach(observance => {
+    // An observance starts at the local time on the clock it replaces
+    const local = new Date(observance.start + observance.offsetFrom * 60000);
+    lines.push(
+      `BEGIN:${observance.kind}`,
+      `DTSTART:${formatUtc(local).slice(0, -1)}`,
+      `TZOFFSETFROM:${formatOffset(observance.offsetFrom)}`,
+      `TZOFFSETTO:${formatOffset(observance.offsetTo)}`,
+      `END:${observance.kind}`
+    );
+  });
+  lines.push('END:VTIMEZONE');
+
+  return lines;
+};
+
+/**
+ * A VEVENT for a session
+ * @param {object} session - Session instance, with its tutor loaded if available
+ * @param {string} timezone - Zone to write the times in
+ * @returns {Array<string>} - Content lines
+ */
+const buildEvent = (session, timezone) => {
+  const lines = [
+    'BEGIN:VEVENT',
+    `UID:session-${session.id}@education-management-system`,
+    `DTSTAMP:${formatUtc(session.updatedAt || new Date())}`,
+    `DTSTART;TZID=${timezone}:${formatLocal(session.startTime, timezone)}`,
+    `DTEND;TZID=${timezone}:${formatLocal(session.endTime, timezone)}`,
+    `SUMMARY:${escapeText(session.title)}`,
+    `STATUS:${session.status === 'cancelled' ? 'CANCELLED' : session.status === 'requested' ? 'TENTATIVE' : 'CONFIRMED'}`
+  ];
+
+  const description = [
+    session.topic && `Topic: ${session.topic}`,
+    session.tutor && `Tutor: ${session.tutor.firstName} ${session.tutor.lastName}`,
+    session.description,
+    session.meetingLink && `Join: ${session.meetingLink}`
+  ].filter(Boolean).join('\n');
+  if (description) lines.push(`DESCRIPTION:${escapeText(description)}`);
+  if (session.location) lines.push(`LOCATION:${escapeText(session.location)}`);
+  if (session.meetingLink) lines.push(`URL:${session.meetingLink}`);
+
+  lines.push('END:VEVENT');
+  return lines;
+};
+
+/**
+ * An iCalendar file of sessions, written for one reader: times are in the
+ * reader's timezone, or each session's own for readers who haven't set one
+ * @param {Array<object>} sessions - Session instances
+ * @param {object} reader - User the file is for
+ * @param {object} options - { name } calendar name shown by calendar apps
+ * @returns {string} - text/calendar body
+ */
+const buildCalendar = (sessions, reader, options = {}) => {
+  const zones = new Map();
+  const events = [];
+
+  sessions.forEach(session => {
+    const { timezone } = resolveDisplaySettings(reader, session.timezone);
+    const start = new Date(session.startTime).getTime();
+    const end = new Date(session.endTime).getTime();
+
+    const range = zones.get(timezone) || { from: start, to: end };
+    zones.set(timezone, { from: Math.min(range.from, start), to: Math.max(range.to, end) });
+    events.push(...buildEvent(session, timezone));
+  });
+
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    `PRODID:${PRODUCT_ID}`,
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH'
+  ];
+  if (options.name) lines.push(`X-WR-CALNAME:${escapeText(options.name)}`);
+
+  zones.forEach((range, timezone) => {
+    lines.push(...buildTimezone(timezone, range.from - DAY_MS, range.to + DAY_MS));
+  });
+  lines.push(...events, 'END:VCALENDAR');
+
+  return lines.map(foldLine).join('\r\n') + '\r\n';
+};
+
+/**
+ * The sessions on someone's personal calendar: those they teach or are
+ * booked into, from a week ago to CALENDAR_FEED_DAYS ahead. Occurrences of a
+ * series are listed one by one, so edits to single occurrences show up.
+ * @param {object} user - User the calendar is for
+ * @returns {Promise<Array<object>>} - Sessions with their tutor, earliest first
+ */
+const findCalendarSessions = async (user) => {
+  const now = Date.now();
+
+  return Session.findAll({
+    where: {
+      [Op.or]: [
+        { tutorId: user.id },
+        { id: await SessionStudent.findEnrolledSessionIds(user.id) }
+      ],
+      status: { [Op.ne]: 'cancelled' },
+      startTime: {
+        [Op.gte]: new Date(now - CALENDAR_PAST_DAYS * DAY_MS),
+        [Op.lte]: new Date(now + CALENDAR_FEED_DAYS * DAY_MS)
+      }
+    },
+    include: [{ model: User, as: 'tutor', attributes: ['id', 'firstName', 'lastName'] }],
+    order: [['startTime', 'ASC']]
+  });
+};
+
+module.exports = {
+  buildCalendar,
+  findCalendarSessions
+};
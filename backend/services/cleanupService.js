@@ -0,0 +1,58 @@
+const RevokedToken = require('../models/RevokedToken');
+const RefreshToken = require('../models/RefreshToken');
+const LoginSession = require('../models/LoginSession');
+const LoginAttempt = require('../models/LoginAttempt');
+const PasswordResetToken = require('../models/PasswordResetToken');
+const OneTimeCode = require('../models/OneTimeCode');
+const OidcLoginRequest = require('../models/OidcLoginRequest');
+require('dotenv').config();
+
+// Login attempts are kept this long as security history; throttling only
+// looks at the last LOGIN_IP_WINDOW_MS
+const LOGIN_ATTEMPT_RETENTION_DAYS = parseInt(process.env.LOGIN_ATTEMPT_RETENTION_DAYS) || 90;
+
+let sweeping = false;
+
+/**
+ * Delete the sign-in records nothing reads any more: revoked and refresh
+ * tokens past their expiry, expired devices, reset tokens, one-time codes
+ * and SSO requests, and login attempts older than the retention period.
+ * One table failing doesn't stop the others.
+ * @returns {Promise<object>} - Rows deleted per table
+ */
+const purgeExpiredRecords = async () => {
+  // A sweep still running when the next is due finishes alone
+  if (sweeping) return {};
+  sweeping = true;
+
+  const purges = {
+    revokedTokens: () => RevokedToken.purgeExpired(),
+    refreshTokens: () => RefreshToken.purgeExpired(),
+    loginSessions: () => LoginSession.purgeExpired(),
+    loginAttempts: () => LoginAttempt.purgeOlderThan(
+      new Date(Date.now() - LOGIN_ATTEMPT_RETENTION_DAYS * 24 * 60 * 60 * 1000)
+    ),
+    passwordResetTokens: () => PasswordResetToken.purgeExpired(),
+    oneTimeCodes: () => OneTimeCode.purgeExpired(),
+    oidcLoginRequests: () => OidcLoginRequest.purgeExpired()
+  };
+
+  const deleted = {};
+  try {
+    for (const [table, purge] of Object.entries(purges)) {
+      try {
+        deleted[table] = await purge();
+      } catch (error) {
+        console.error(`Failed to purge ${table}:`, error);
+      }
+    }
+  } finally {
+    sweeping = false;
+  }
+
+  return deleted;
+};
+
+module.exports = {
+  purgeExpiredRecords
+};
@@ -0,0 +1,192 @@
+const { Op } = require('sequelize');
+const Session = require('../models/Session');
+const SessionStudent = require('../models/SessionStudent');
+const { requestHasPermission } = require('./permissionService');
+const { coversRange, loadAvailability } = require('./availabilityService');
+const { recordAudit } = require('./auditService');
+
+// Sessions that still take up the time they are scheduled for, including
+// bookings waiting for the tutor's approval
+const BLOCKING_STATUSES = ['requested', 'scheduled', 'ongoing', 'rescheduled'];
+
+/**
+ * Build an error carrying the HTTP status the route should answer with, and
+ * the conflicts behind it
+ * @param {number} statusCode - HTTP status code
+ * @param {string} message - Error message
+ * @param {Array<object>} conflicts - Conflicts found
+ * @returns {Error} - Error with statusCode and conflicts
+ */
+const conflictError = (statusCode, message, conflicts) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  error.conflicts = conflicts;
+  return error;
+};
+
+const describeSession = (session) => ({
+  id: session.id,
+  title: session.title,
+  startTime: session.startTime,
+  endTime: session.endTime
+});
+
+/**
+ * Where a session falls outside a tutor's hours: outside their weekly or
+ * extra hours, or during hours they've blocked out or time off. Tutors who
+ * haven't set weekly hours are treated as always available, apart from
+ * their time off.
+ * @param {object} availability - Result of loadAvailability
+ * @param {Date} startTime - Session start
+ * @param {Date} endTime - Session end
+ * @returns {Array<object>} - Conflicts
+ */
+const checkAvailability = (availability, startTime, endTime) => {
+  const conflicts = [];
+
+  if (availability.configured && !coversRange(availability.open, startTime.getTime(), endTime.getTime())) {
+    conflicts.push({
+      type: 'outside_availability',
+      message: 'The tutor isn\'t available for all of this time',
+      startTime,
+      endTime
+    });
+  }
+
+  availability.blocked
+    .filter(block => block.startTime < endTime && block.endTime > startTime)
+    .forEach(block => conflicts.push({
+      type: block.kind === 'time_off' ? 'tutor_time_off' : 'outside_availability',
+      message: block.kind === 'time_off'
+        ? `The tutor is off${block.reason ? ` (${block.reason})` : ''} from ${block.startTime.toISOString()} to ${block.endTime.toISOString()}`
+        : `The tutor has blocked out this time${block.notes ? ` (${block.notes})` : ''}`,
+      startTime,
+      endTime,
+      blocked: { startTime: block.startTime, endTime: block.endTime }
+    }));
+
+  return conflicts;
+};
+
+/**
+ * Everything that clashes with holding a session at a given time: the
+ * tutor's other sessions, the tutor's hours and time off, and other
+ * sessions the session's students are booked into
+ * @param {object} slot - { tutorId, startTime, endTime, sessionId } where
+ *   sessionId is the session being moved, if it exists yet
+ * @param {object} options - { ignoreSessionIds } sessions that are moving
+ *   too (other occurrences of a series being edited together), and
+ *   { availability } from loadAvailability, when already loaded for a range
+ *   covering the slot
+ * @returns {Promise<Array<object>>} - Conflicts, empty when the slot is clear
+ */
+const findConflicts = async ({ tutorId, startTime, endTime, sessionId = null }, options = {}) => {
+  startTime = new Date(startTime);
+  endTime = new Date(endTime);
+  const ignored = [...(options.ignoreSessionIds || []), ...(sessionId ? [sessionId] : [])];
+
+  const overlapping = {
+    status: BLOCKING_STATUSES,
+    startTime: { [Op.lt]: endTime },
+    endTime: { [Op.gt]: startTime },
+    ...(ignored.length ? { id: { [Op.notIn]: ignored } } : {})
+  };
+
+  const conflicts = [];
+
+  const tutorSessions = await Session.findAll({
+    where: { ...overlapping, tutorId },
+    order: [['startTime', 'ASC']]
+  });
+  tutorSessions.forEach(session => conflicts.push({
+    type: 'tutor_double_booked',
+    message: `The tutor is already teaching "${session.title}" at this time`,
+    startTime,
+    endTime,
+    conflictingSession: describeSession(session)
+  }));
+
+  const availability = options.availability || await loadAvailability(tutorId, startTime, endTime);
+  conflicts.push(...checkAvailability(availability, startTime, endTime));
+
+  if (sessionId) {
+    const seats = await SessionStudent.findAll({
+      where: { sessionId, status: 'enrolled' },
+      attributes: ['studentId']
+    });
+    const studentIds = seats.map(seat => seat.studentId);
+
+    if (studentIds.length) {
+      const studentSessions = await Session.findAll({
+        where: overlapping,
+        include: [{
+          model: SessionStudent,
+          where: { studentId: studentIds, status: 'enrolled' },
+          attributes: ['studentId']
+        }],
+        order: [['startTime', 'ASC']]
+      });
+      studentSessions.forEach(session => session.SessionStudents.forEach(seat => conflicts.push({
+        type: 'student_double_booked',
+        message: `A booked student is already in "${session.title}" at this time`,
+        startTime,
+        endTime,
+        studentId: seat.studentId,
+        conflictingSession: describeSession(session)
+      })));
+    }
+  }
+
+  return conflicts;
+};
+
+/**
+ * Decide whether scheduling can go ahead despite conflicts. Callers with
+ * sessions.override_conflicts can go ahead by sending overrideConflicts and
+ * an overrideReason; everyone else gets a 409 listing the conflicts.
+ * @param {Request} req - Express request after authenticateToken
+ * @param {Array<object>} conflicts - Result of findConflicts
+ * @param {object} data - Request body ({ overrideConflicts, overrideReason })
+ * @returns {Promise<object|null>} - { reason, conflicts } to pass to
+ *   recordOverride once the change is saved, or null when there were none
+ */
+const resolveConflicts = async (req, conflicts, data = {}) => {
+  if (!conflicts.length) return null;
+
+  if (!data.overrideConflicts) {
+    throw conflictError(409, 'This time conflicts with other commitments', conflicts);
+  }
+  if (!(await requestHasPermission(req, 'sessions.override_conflicts'))) {
+    throw conflictError(403, 'You are not allowed to override scheduling conflicts', conflicts);
+  }
+  if (!data.overrideReason || !String(data.overrideReason).trim()) {
+    throw conflictError(400, 'overrideReason is required to override scheduling conflicts', conflicts);
+  }
+
+  return { reason: String(data.overrideReason).trim(), conflicts };
+};
+
+/**
+ * Write an overridden conflict to the audit log
+ * @param {Request} req - Express request
+ * @param {string} entityType - 'session' or 'session_series'
+ * @param {string} entityId - What was scheduled
+ * @param {object} override - Result of resolveConflicts
+ * @returns {Promise<void>}
+ */
+const recordOverride = async (req, entityType, entityId, override) => {
+  if (!override) return;
+
+  await recordAudit({
+    action: `${entityType}.conflicts_overridden`,
+    entityType,
+    entityId,
+    newValues: { reason: override.reason, conflicts: override.conflicts }
+  }, req);
+};
+
+module.exports = {
+  findConflicts,
+  resolveConflicts,
+  recordOverride
+};
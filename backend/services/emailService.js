@@ -1,4 +1,5 @@
 const nodemailer = require('nodemailer');
+const { formatDate, formatTime, formatDateTime } = require('./timezoneService');
 require('dotenv').config();
 
 // Create transporter
@@ -64,31 +65,306 @@ const sendEmail = async (to, subject, text, html = null, options = {}) => {
   }
 };
 
+/**
+ * Send welcome email with the email verification link
+ * @param {string} email - User email
+ * @param {object} user - User details
+ * @param {string} verificationUrl - Signed verification link
+ * @returns {Promise<object>} - Email result
+ */
+const sendWelcomeEmail = async (email, user, verificationUrl) => {
+  const role = user.role.charAt(0).toUpperCase() + user.role.slice(1);
+  const subject = 'Welcome to Education Management System';
+  const text = `Hi ${user.firstName},\n\nWelcome to our Education Management System! Your account has been created successfully.\n\nAccount Details:\n- Email: ${user.email}\n- Role: ${role}\n- Status: Active\n\nPlease verify your email address by opening the link below:\n${verificationUrl}\n\nThis link will expire in 24 hours.\n\nBest regards,\nEducation Management Team`;
+
+  const html = `
+    <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+      <h2 style="color: #2196F3;">🎓 Welcome to Education Management System</h2>
+      <p>Hi ${user.firstName},</p>
+      <p>Welcome to our Education Management System! Your account has been created successfully.</p>
+      <div style="background: #f5f5f5; padding: 20px; border-radius: 8px; margin: 20px 0;">
+        <p><strong>📧 Email:</strong> ${user.email}</p>
+        <p><strong>👤 Role:</strong> ${role}</p>
+        <p><strong>✅ Status:</strong> Active</p>
+      </div>
+      <p>Please verify your email address:</p>
+      <p><a href="${verificationUrl}" style="display: inline-block; background: #2196F3; color: #fff; padding: 12px 24px; border-radius: 8px; text-decoration: none;">Verify Email</a></p>
+      <p style="color: #757575; font-size: 12px;">This link will expire in 24 hours.</p>
+      <p>Best regards,<br>Education Management Team</p>
+    </div>
+  `;
+
+  return await sendEmail(email, subject, text, html);
+};
+
+/**
+ * Send email verification link (resend flow)
+ * @param {string} email - User email
+ * @param {object} user - User details
+ * @param {string} verificationUrl - Signed verification link
+ * @returns {Promise<object>} - Email result
+ */
+const sendEmailVerificationEmail = async (email, user, verificationUrl) => {
+  const subject = '📧 Verify Your Email Address';
+  const text = `Hi ${user.firstName},\n\nPlease verify your email address by opening the link below:\n${verificationUrl}\n\nThis link will expire in 24 hours.\n\nIf you didn't request this, please ignore this email.\n\nBest regards,\nEducation Management Team`;
+
+  const html = `
+    <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+      <h2 style="color: #2196F3;">📧 Verify Your Email Address</h2>
+      <p>Hi ${user.firstName},</p>
+      <p>Please verify your email address:</p>
+      <p><a href="${verificationUrl}" style="display: inline-block; background: #2196F3; color: #fff; padding: 12px 24px; border-radius: 8px; text-decoration: none;">Verify Email</a></p>
+      <p style="color: #757575; font-size: 12px;">This link will expire in 24 hours. If you didn't request this, please ignore this email.</p>
+      <p>Best regards,<br>Education Management Team</p>
+    </div>
+  `;
+
+  return await sendEmail(email, subject, text, html);
+};
+
+/**
+ * Send passwordless sign-in link email
+ * @param {string} email - User email
+ * @param {object} user - User details
+ * @param {string} loginUrl - One-time sign-in link
+ * @param {number} expiresInMinutes - Link lifetime
+ * @returns {Promise<object>} - Email result
+ */
+const sendMagicLinkEmail = async (email, user, loginUrl, expiresInMinutes) => {
+  const subject = '✨ Your Sign-In Link';
+  const text = `Hi ${user.firstName},\n\nClick the link below to sign in to your account:\n${loginUrl}\n\nThis link will expire in ${expiresInMinutes} minutes and can only be used once.\n\nIf you didn't request this, you can ignore this email.\n\nBest regards,\nEducation Management Team`;
+
+  const html = `
+    <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+      <h2 style="color: #2196F3;">✨ Your Sign-In Link</h2>
+      <p>Hi ${user.firstName},</p>
+      <p>Click the button below to sign in to your account:</p>
+      <p><a href="${loginUrl}" style="display: inline-block; background: #2196F3; color: #fff; padding: 12px 24px; border-radius: 8px; text-decoration: none;">Sign In</a></p>
+      <p style="color: #757575; font-size: 12px;">This link will expire in ${expiresInMinutes} minutes and can only be used once. If you didn't request this, you can ignore this email.</p>
+      <p>Best regards,<br>Education Management Team</p>
+    </div>
+  `;
+
+  return await sendEmail(email, subject, text, html);
+};
+
+/**
+ * Send password reset link email
+ * @param {string} email - User email
+ * @param {object} user - User details
+ * @param {string} resetUrl - Link to choose a new password
+ * @param {number} expiresInMinutes - Link lifetime
+ * @returns {Promise<object>} - Email result
+ */
+const sendPasswordResetEmail = async (email, user, resetUrl, expiresInMinutes) => {
+  const subject = '🔑 Password Reset Request';
+  const text = `Hi ${user.firstName},\n\nYou requested a password reset for your account.\n\nClick the link below to reset your password:\n${resetUrl}\n\nThis link will expire in ${expiresInMinutes} minutes and can only be used once.\n\nIf you didn't request this, please ignore this email.\n\nBest regards,\nEducation Management Team`;
+
+  const html = `
+    <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+      <h2 style="color: #2196F3;">🔑 Password Reset Request</h2>
+      <p>Hi ${user.firstName},</p>
+      <p>You requested a password reset for your account.</p>
+      <p><a href="${resetUrl}" style="display: inline-block; background: #2196F3; color: #fff; padding: 12px 24px; border-radius: 8px; text-decoration: none;">Reset Password</a></p>
+      <p style="color: #757575; font-size: 12px;">This link will expire in ${expiresInMinutes} minutes and can only be used once. If you didn't request this, please ignore this email.</p>
+      <p>Best regards,<br>Education Management Team</p>
+    </div>
+  `;
+
+  return await sendEmail(email, subject, text, html);
+};
+
+/**
+ * Send password reset confirmation email
+ * @param {string} email - User email
+ * @param {object} user - User details
+ * @returns {Promise<object>} - Email result
+ */
+const sendPasswordResetConfirmationEmail = async (email, user) => {
+  const subject = '✅ Password Reset Successful';
+  const text = `Hi ${user.firstName},\n\nYour password has been reset successfully and you have been signed out of every device.\n\nYou can now log in with your new password.\n\nIf you didn't make this change, please contact support immediately.\n\nBest regards,\nEducation Management Team`;
+
+  const html = `
+    <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+      <h2 style="color: #4CAF50;">✅ Password Reset Successful</h2>
+      <p>Hi ${user.firstName},</p>
+      <p>Your password has been reset successfully and you have been signed out of every device.</p>
+      <p>You can now log in with your new password.</p>
+      <p style="color: #757575; font-size: 12px;">If you didn't make this change, please contact support immediately.</p>
+      <p>Best regards,<br>Education Management Team</p>
+    </div>
+  `;
+
+  return await sendEmail(email, subject, text, html);
+};
+
+/**
+ * Send account locked notification email
+ * @param {string} email - User email
+ * @param {object} user - User details
+ * @param {Date} lockedUntil - When the lock expires
+ * @param {string} ipAddress - IP address of the last failed attempt
+ * @returns {Promise<object>} - Email result
+ */
+const sendAccountLockedEmail = async (email, user, lockedUntil, ipAddress) => {
+  const subject = '🔒 Account Temporarily Locked';
+  const text = `Hi ${user.firstName},\n\nYour account has been temporarily locked after several failed sign-in attempts.\n\n🔒 Locked until: ${formatDateTime(lockedUntil, user)}\n🌐 Last attempt from: ${ipAddress || 'unknown'}\n\nIf this was you, you can try again after the lock expires or reset your password. If it wasn't you, we recommend resetting your password and contacting support.\n\nBest regards,\nEducation Management Team`;
+
+  const html = `
+    <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+      <h2 style="color: #f44336;">🔒 Account Temporarily Locked</h2>
+      <p>Hi ${user.firstName},</p>
+      <p>Your account has been temporarily locked after several failed sign-in attempts.</p>
+      <div style="background: #ffebee; padding: 20px; border-radius: 8px; margin: 20px 0;">
+        <p><strong>🔒 Locked until:</strong> ${formatDateTime(lockedUntil, user)}</p>
+        <p><strong>🌐 Last attempt from:</strong> ${ipAddress || 'unknown'}</p>
+      </div>
+      <p>If this was you, you can try again after the lock expires or reset your password. If it wasn't you, we recommend resetting your password and contacting support.</p>
+      <p>Best regards,<br>Education Management Team</p>
+    </div>
+  `;
+
+  return await sendEmail(email, subject, text, html);
+};
+
+/**
+ * Send account invitation email
+ * @param {string} email - Invitee email
+ * @param {object} invitation - Invitation details
+ * @param {object} inviter - Admin who sent the invitation
+ * @param {string} inviteUrl - Link to accept the invitation and set a password
+ * @returns {Promise<object>} - Email result
+ */
+const sendAccountInvitationEmail = async (email, invitation, inviter, inviteUrl) => {
+  const roleLabel = invitation.role.charAt(0).toUpperCase() + invitation.role.slice(1).replace('_', ' ');
+  const greeting = invitation.firstName ? `Hi ${invitation.firstName}` : 'Hello';
+  const subject = `🎓 You're invited to join as ${roleLabel}`;
+  const text = `${greeting},\n\n${inviter.firstName} ${inviter.lastName} has invited you to join the Education Management System as ${roleLabel}.\n\nSet your password and activate your account here:\n${inviteUrl}\n\n⏰ This invitation expires on ${formatDateTime(invitation.expiresAt)} and can only be used once.\n\nIf you weren't expecting this, you can ignore this email.\n\nBest regards,\nEducation Management Team`;
+
+  const html = `
+    <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+      <h2 style="color: #2196F3;">🎓 You're Invited!</h2>
+      <p>${greeting},</p>
+      <p>${inviter.firstName} ${inviter.lastName} has invited you to join the Education Management System as <strong>${roleLabel}</strong>.</p>
+      <p><a href="${inviteUrl}" style="display: inline-block; background: #2196F3; color: #fff; padding: 12px 24px; border-radius: 8px; text-decoration: none;">Accept Invitation</a></p>
+      <p style="color: #757575; font-size: 12px;">This invitation expires on ${formatDateTime(invitation.expiresAt)} and can only be used once. If you weren't expecting this, you can ignore this email.</p>
+      <p>Best regards,<br>Education Management Team</p>
+    </div>
+  `;
+
+  return await sendEmail(email, subject, text, html);
+};
+
 /**
  * Send session invitation email
  * @param {string} email - Student email
  * @param {object} session - Session details
  * @param {object} student - Student details
  * @param {object} tutor - Tutor details
+ * @param {object} options - { claimBy } when offering a waitlisted student a seat
+ * @returns {Promise<object>} - Email result
+ */
+const sendSessionInvitationEmail = async (email, session, student, tutor, options = {}) => {
+  const subject = options.claimBy ? '🎓 A Seat Has Opened Up' : '🎓 New Session Invitation';
+  const intro = options.claimBy
+    ? 'A seat has opened up in a session you are waitlisted for:'
+    : 'You have been invited to a new session:';
+  const closing = options.claimBy
+    ? `Book it before ${formatDateTime(options.claimBy, student, session.timezone)} or it goes to the next student on the waitlist.`
+    : 'Please confirm your attendance.';
+
+  const text = `Hi ${student.firstName},\n\n${intro}\n\n📚 Topic: ${session.topic}\n👨‍🏫 Tutor: ${tutor.firstName} ${tutor.lastName}\n📅 Date: ${formatDate(session.startTime, student, session.timezone)}\n⏰ Time: ${formatTime(session.startTime, student, session.timezone)}\n⏱️ Duration: ${session.duration} minutes\n\n${closing}\n\nBest regards,\nEducation Management Team`;
+
+  const html = `
+    <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+      <h2 style="color: #2196F3;">${subject}</h2>
+      <p>Hi ${student.firstName},</p>
+      <p>${intro}</p>
+      <div style="background: #f5f5f5; padding: 20px; border-radius: 8px; margin: 20px 0;">
+        <p><strong>📚 Topic:</strong> ${session.topic}</p>
+        <p><strong>👨‍🏫 Tutor:</strong> ${tutor.firstName} ${tutor.lastName}</p>
+        <p><strong>📅 Date:</strong> ${formatDate(session.startTime, student, session.timezone)}</p>
+        <p><strong>⏰ Time:</strong> ${formatTime(session.startTime, student, session.timezone)}</p>
+        <p><strong>⏱️ Duration:</strong> ${session.duration} minutes</p>
+      </div>
+      <p>${closing}</p>
+      <p>Best regards,<br>Education Management Team</p>
+    </div>
+  `;
+
+  return await sendEmail(email, subject, text, html);
+};
+
+/**
+ * Send a student's booking confirmation (or, when the tutor must approve it,
+ * an acknowledgement of the request)
+ * @param {string} email - Student email
+ * @param {object} session - Session details
+ * @param {object} student - Student details
+ * @param {object} tutor - Tutor details
+ * @param {object} options - { payment } pending payment for the session,
+ *   { pendingApproval } when the tutor still has to approve
  * @returns {Promise<object>} - Email result
  */
-const sendSessionInvitationEmail = async (email, session, student, tutor) => {
-  const subject = '🎓 New Session Invitation';
-  const text = `Hi ${student.firstName},\n\nYou have been invited to a new session:\n\n📚 Topic: ${session.topic}\n👨‍🏫 Tutor: ${tutor.firstName} ${tutor.lastName}\n📅 Date: ${new Date(session.startTime).toLocaleDateString()}\n⏰ Time: ${new Date(session.startTime).toLocaleTimeString()}\n⏱️ Duration: ${session.duration} minutes\n\nPlease confirm your attendance.\n\nBest regards,\nEducation Management Team`;
+const sendBookingConfirmationEmail = async (email, session, student, tutor, options = {}) => {
+  const subject = options.pendingApproval ? '🕒 Booking Requested' : '✅ Session Booked';
+  const intro = options.pendingApproval
+    ? `Your booking request has been sent to ${tutor.firstName}. We'll let you know as soon as it is approved:`
+    : 'Your session is booked:';
+  const paymentLine = options.payment
+    ? `💵 Amount due: ${options.payment.currency} ${options.payment.amount} (invoice ${options.payment.invoiceNumber})`
+    : '';
+
+  const text = `Hi ${student.firstName},\n\n${intro}\n\n📚 Topic: ${session.topic}\n👨‍🏫 Tutor: ${tutor.firstName} ${tutor.lastName}\n📅 Date: ${formatDate(session.startTime, student, session.timezone)}\n⏰ Time: ${formatTime(session.startTime, student, session.timezone)}\n⏱️ Duration: ${session.duration} minutes${paymentLine ? `\n${paymentLine}` : ''}\n\nBest regards,\nEducation Management Team`;
 
   const html = `
     <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
-      <h2 style="color: #2196F3;">🎓 New Session Invitation</h2>
+      <h2 style="color: #4CAF50;">${subject}</h2>
       <p>Hi ${student.firstName},</p>
-      <p>You have been invited to a new session:</p>
+      <p>${intro}</p>
       <div style="background: #f5f5f5; padding: 20px; border-radius: 8px; margin: 20px 0;">
         <p><strong>📚 Topic:</strong> ${session.topic}</p>
         <p><strong>👨‍🏫 Tutor:</strong> ${tutor.firstName} ${tutor.lastName}</p>
-        <p><strong>📅 Date:</strong> ${new Date(session.startTime).toLocaleDateString()}</p>
-        <p><strong>⏰ Time:</strong> ${new Date(session.startTime).toLocaleTimeString()}</p>
+        <p><strong>📅 Date:</strong> ${formatDate(session.startTime, student, session.timezone)}</p>
+        <p><strong>⏰ Time:</strong> ${formatTime(session.startTime, student, session.timezone)}</p>
+        <p><strong>⏱️ Duration:</strong> ${session.duration} minutes</p>
+        ${paymentLine ? `<p><strong>💵 Amount due:</strong> ${options.payment.currency} ${options.payment.amount} (invoice ${options.payment.invoiceNumber})</p>` : ''}
+      </div>
+      <p>Best regards,<br>Education Management Team</p>
+    </div>
+  `;
+
+  return await sendEmail(email, subject, text, html);
+};
+
+/**
+ * Tell a tutor a student has booked them, or asked to
+ * @param {string} email - Tutor email
+ * @param {object} session - Session details
+ * @param {object} student - Student details
+ * @param {object} tutor - Tutor details
+ * @param {object} options - { pendingApproval } when the tutor has to approve
+ * @returns {Promise<object>} - Email result
+ */
+const sendBookingRequestEmail = async (email, session, student, tutor, options = {}) => {
+  const subject = options.pendingApproval ? '📥 New Booking Request' : '📥 New Booking';
+  const intro = options.pendingApproval
+    ? `${student.firstName} ${student.lastName} would like to book a one-on-one session with you. Please approve or decline it:`
+    : `${student.firstName} ${student.lastName} has booked a one-on-one session with you:`;
+
+  const text = `Hi ${tutor.firstName},\n\n${intro}\n\n📚 Topic: ${session.topic}\n📅 Date: ${formatDate(session.startTime, tutor, session.timezone)}\n⏰ Time: ${formatTime(session.startTime, tutor, session.timezone)}\n⏱️ Duration: ${session.duration} minutes\n\nBest regards,\nEducation Management Team`;
+
+  const html = `
+    <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+      <h2 style="color: #2196F3;">${subject}</h2>
+      <p>Hi ${tutor.firstName},</p>
+      <p>${intro}</p>
+      <div style="background: #f5f5f5; padding: 20px; border-radius: 8px; margin: 20px 0;">
+        <p><strong>📚 Topic:</strong> ${session.topic}</p>
+        <p><strong>📅 Date:</strong> ${formatDate(session.startTime, tutor, session.timezone)}</p>
+        <p><strong>⏰ Time:</strong> ${formatTime(session.startTime, tutor, session.timezone)}</p>
         <p><strong>⏱️ Duration:</strong> ${session.duration} minutes</p>
       </div>
-      <p>Please confirm your attendance.</p>
       <p>Best regards,<br>Education Management Team</p>
     </div>
   `;
@@ -105,7 +381,7 @@ const sendSessionInvitationEmail = async (email, session, student, tutor) => {
  */
 const sendSessionReminderEmail = async (email, session, student) => {
   const subject = '⏰ Session Reminder';
-  const text = `Hi ${student.firstName},\n\nThis is a reminder for your upcoming session:\n\n📚 Topic: ${session.topic}\n📅 Date: ${new Date(session.startTime).toLocaleDateString()}\n⏰ Time: ${new Date(session.startTime).toLocaleTimeString()}\n⏱️ Duration: ${session.duration} minutes\n\nPlease be on time!\n\nBest regards,\nEducation Management Team`;
+  const text = `Hi ${student.firstName},\n\nThis is a reminder for your upcoming session:\n\n📚 Topic: ${session.topic}\n📅 Date: ${formatDate(session.startTime, student, session.timezone)}\n⏰ Time: ${formatTime(session.startTime, student, session.timezone)}\n⏱️ Duration: ${session.duration} minutes\n\nPlease be on time!\n\nBest regards,\nEducation Management Team`;
 
   const html = `
     <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
@@ -114,8 +390,8 @@ const sendSessionReminderEmail = async (email, session, student) => {
       <p>This is a reminder for your upcoming session:</p>
       <div style="background: #fff3e0; padding: 20px; border-radius: 8px; margin: 20px 0;">
         <p><strong>📚 Topic:</strong> ${session.topic}</p>
-        <p><strong>📅 Date:</strong> ${new Date(session.startTime).toLocaleDateString()}</p>
-        <p><strong>⏰ Time:</strong> ${new Date(session.startTime).toLocaleTimeString()}</p>
+        <p><strong>📅 Date:</strong> ${formatDate(session.startTime, student, session.timezone)}</p>
+        <p><strong>⏰ Time:</strong> ${formatTime(session.startTime, student, session.timezone)}</p>
         <p><strong>⏱️ Duration:</strong> ${session.duration} minutes</p>
       </div>
       <p>Please be on time!</p>
@@ -135,7 +411,7 @@ const sendSessionReminderEmail = async (email, session, student) => {
  */
 const sendPaymentReminderEmail = async (email, payment, student) => {
   const subject = '💰 Payment Reminder';
-  const text = `Hi ${student.firstName},\n\nThis is a friendly reminder about your pending payment:\n\n📋 Invoice: ${payment.invoiceNumber}\n💵 Amount: ${payment.currency} ${payment.amount}\n📅 Due Date: ${new Date(payment.dueDate).toLocaleDateString()}\n\nPlease complete your payment to avoid any service interruptions.\n\nBest regards,\nEducation Management Team`;
+  const text = `Hi ${student.firstName},\n\nThis is a friendly reminder about your pending payment:\n\n📋 Invoice: ${payment.invoiceNumber}\n💵 Amount: ${payment.currency} ${payment.amount}\n📅 Due Date: ${formatDate(payment.dueDate, student)}\n\nPlease complete your payment to avoid any service interruptions.\n\nBest regards,\nEducation Management Team`;
 
   const html = `
     <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
@@ -145,7 +421,7 @@ const sendPaymentReminderEmail = async (email, payment, student) => {
       <div style="background: #e8f5e8; padding: 20px; border-radius: 8px; margin: 20px 0;">
         <p><strong>📋 Invoice:</strong> ${payment.invoiceNumber}</p>
         <p><strong>💵 Amount:</strong> ${payment.currency} ${payment.amount}</p>
-        <p><strong>📅 Due Date:</strong> ${new Date(payment.dueDate).toLocaleDateString()}</p>
+        <p><strong>📅 Due Date:</strong> ${formatDate(payment.dueDate, student)}</p>
       </div>
       <p>Please complete your payment to avoid any service interruptions.</p>
       <p>Best regards,<br>Education Management Team</p>
@@ -165,7 +441,7 @@ const sendPaymentReminderEmail = async (email, payment, student) => {
 const sendOverduePaymentAlertEmail = async (email, payment, student) => {
   const daysOverdue = payment.getDaysOverdue();
   const subject = '⚠️ Payment Overdue';
-  const text = `Hi ${student.firstName},\n\nYour payment is overdue by ${daysOverdue} day${daysOverdue > 1 ? 's' : ''}:\n\n📋 Invoice: ${payment.invoiceNumber}\n💵 Amount: ${payment.currency} ${payment.amount}\n📅 Due Date: ${new Date(payment.dueDate).toLocaleDateString()}\n\nPlease complete your payment immediately to restore access to services.\n\nBest regards,\nEducation Management Team`;
+  const text = `Hi ${student.firstName},\n\nYour payment is overdue by ${daysOverdue} day${daysOverdue > 1 ? 's' : ''}:\n\n📋 Invoice: ${payment.invoiceNumber}\n💵 Amount: ${payment.currency} ${payment.amount}\n📅 Due Date: ${formatDate(payment.dueDate, student)}\n\nPlease complete your payment immediately to restore access to services.\n\nBest regards,\nEducation Management Team`;
 
   const html = `
     <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
@@ -175,7 +451,7 @@ const sendOverduePaymentAlertEmail = async (email, payment, student) => {
       <div style="background: #ffebee; padding: 20px; border-radius: 8px; margin: 20px 0;">
         <p><strong>📋 Invoice:</strong> ${payment.invoiceNumber}</p>
         <p><strong>💵 Amount:</strong> ${payment.currency} ${payment.amount}</p>
-        <p><strong>📅 Due Date:</strong> ${new Date(payment.dueDate).toLocaleDateString()}</p>
+        <p><strong>📅 Due Date:</strong> ${formatDate(payment.dueDate, student)}</p>
       </div>
       <p>Please complete your payment immediately to restore access to services.</p>
       <p>Best regards,<br>Education Management Team</p>
@@ -202,7 +478,7 @@ const sendAttendanceConfirmationEmail = async (email, attendance, session, stude
   };
 
   const subject = `${statusEmoji[attendance.status]} Attendance Confirmed`;
-  const text = `Hi ${student.firstName},\n\nYour attendance has been recorded for:\n\n📚 Topic: ${session.topic}\n📅 Date: ${new Date(session.startTime).toLocaleDateString()}\n⏰ Time: ${new Date(session.startTime).toLocaleTimeString()}\n📊 Status: ${attendance.status.charAt(0).toUpperCase() + attendance.status.slice(1)}\n\nThank you for attending!\n\nBest regards,\nEducation Management Team`;
+  const text = `Hi ${student.firstName},\n\nYour attendance has been recorded for:\n\n📚 Topic: ${session.topic}\n📅 Date: ${formatDate(session.startTime, student, session.timezone)}\n⏰ Time: ${formatTime(session.startTime, student, session.timezone)}\n📊 Status: ${attendance.status.charAt(0).toUpperCase() + attendance.status.slice(1)}\n\nThank you for attending!\n\nBest regards,\nEducation Management Team`;
 
   const html = `
     <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
@@ -211,8 +487,8 @@ const sendAttendanceConfirmationEmail = async (email, attendance, session, stude
       <p>Your attendance has been recorded for:</p>
       <div style="background: #e8f5e8; padding: 20px; border-radius: 8px; margin: 20px 0;">
         <p><strong>📚 Topic:</strong> ${session.topic}</p>
-        <p><strong>📅 Date:</strong> ${new Date(session.startTime).toLocaleDateString()}</p>
-        <p><strong>⏰ Time:</strong> ${new Date(session.startTime).toLocaleTimeString()}</p>
+        <p><strong>📅 Date:</strong> ${formatDate(session.startTime, student, session.timezone)}</p>
+        <p><strong>⏰ Time:</strong> ${formatTime(session.startTime, student, session.timezone)}</p>
         <p><strong>📊 Status:</strong> ${attendance.status.charAt(0).toUpperCase() + attendance.status.slice(1)}</p>
       </div>
       <p>Thank you for attending!</p>
@@ -288,7 +564,7 @@ const sendBulkEmails = async (recipients, subject, message, options = {}) => {
  */
 const sendSessionCancellationEmail = async (email, session, student, reason = '') => {
   const subject = '❌ Session Cancelled';
-  const text = `Hi ${student.firstName},\n\nYour session has been cancelled:\n\n📚 Topic: ${session.topic}\n📅 Date: ${new Date(session.startTime).toLocaleDateString()}\n⏰ Time: ${new Date(session.startTime).toLocaleTimeString()}\n\n${reason ? `Reason: ${reason}\n\n` : ''}We apologize for any inconvenience. A new session will be scheduled soon.\n\nBest regards,\nEducation Management Team`;
+  const text = `Hi ${student.firstName},\n\nYour session has been cancelled:\n\n📚 Topic: ${session.topic}\n📅 Date: ${formatDate(session.startTime, student, session.timezone)}\n⏰ Time: ${formatTime(session.startTime, student, session.timezone)}\n\n${reason ? `Reason: ${reason}\n\n` : ''}We apologize for any inconvenience. A new session will be scheduled soon.\n\nBest regards,\nEducation Management Team`;
 
   const html = `
     <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
@@ -297,8 +573,8 @@ const sendSessionCancellationEmail = async (email, session, student, reason = ''
       <p>Your session has been cancelled:</p>
       <div style="background: #ffebee; padding: 20px; border-radius: 8px; margin: 20px 0;">
         <p><strong>📚 Topic:</strong> ${session.topic}</p>
-        <p><strong>📅 Date:</strong> ${new Date(session.startTime).toLocaleDateString()}</p>
-        <p><strong>⏰ Time:</strong> ${new Date(session.startTime).toLocaleTimeString()}</p>
+        <p><strong>📅 Date:</strong> ${formatDate(session.startTime, student, session.timezone)}</p>
+        <p><strong>⏰ Time:</strong> ${formatTime(session.startTime, student, session.timezone)}</p>
         ${reason ? `<p><strong>Reason:</strong> ${reason}</p>` : ''}
       </div>
       <p>We apologize for any inconvenience. A new session will be scheduled soon.</p>
@@ -318,7 +594,7 @@ const sendSessionCancellationEmail = async (email, session, student, reason = ''
  */
 const sendFeedbackRequestEmail = async (email, session, student) => {
   const subject = '📝 Feedback Request';
-  const text = `Hi ${student.firstName},\n\nWe hope you enjoyed your recent session:\n\n📚 Topic: ${session.topic}\n📅 Date: ${new Date(session.startTime).toLocaleDateString()}\n\nPlease take a moment to share your feedback. Your input helps us improve our services.\n\nBest regards,\nEducation Management Team`;
+  const text = `Hi ${student.firstName},\n\nWe hope you enjoyed your recent session:\n\n📚 Topic: ${session.topic}\n📅 Date: ${formatDate(session.startTime, student, session.timezone)}\n\nPlease take a moment to share your feedback. Your input helps us improve our services.\n\nBest regards,\nEducation Management Team`;
 
   const html = `
     <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
@@ -327,7 +603,7 @@ const sendFeedbackRequestEmail = async (email, session, student) => {
       <p>We hope you enjoyed your recent session:</p>
       <div style="background: #f3e5f5; padding: 20px; border-radius: 8px; margin: 20px 0;">
         <p><strong>📚 Topic:</strong> ${session.topic}</p>
-        <p><strong>📅 Date:</strong> ${new Date(session.startTime).toLocaleDateString()}</p>
+        <p><strong>📅 Date:</strong> ${formatDate(session.startTime, student, session.timezone)}</p>
       </div>
       <p>Please take a moment to share your feedback. Your input helps us improve our services.</p>
       <p>Best regards,<br>Education Management Team</p>
@@ -339,7 +615,16 @@ const sendFeedbackRequestEmail = async (email, session, student) => {
 
 module.exports = {
   sendEmail,
+  sendWelcomeEmail,
+  sendEmailVerificationEmail,
+  sendMagicLinkEmail,
+  sendPasswordResetEmail,
+  sendPasswordResetConfirmationEmail,
+  sendAccountLockedEmail,
+  sendAccountInvitationEmail,
   sendSessionInvitationEmail,
+  sendBookingConfirmationEmail,
+  sendBookingRequestEmail,
   sendSessionReminderEmail,
   sendPaymentReminderEmail,
   sendOverduePaymentAlertEmail,
@@ -0,0 +1,276 @@
+const crypto = require('crypto');
+const { sequelize } = require('../config/database');
+const User = require('../models/User');
+const Invitation = require('../models/Invitation');
+const { sendAccountInvitationEmail } = require('./emailService');
+const { sendAccountInvitation } = require('./whatsappService');
+const { canAssignRole } = require('./rolePolicyService');
+const { assertPasswordAllowed } = require('./passwordPolicyService');
+const { recordAudit } = require('./auditService');
+require('dotenv').config();
+
+const INVITATION_EXPIRY_MS = parseInt(process.env.INVITATION_EXPIRY_MS) || 7 * 24 * 60 * 60 * 1000;
+const INVITATION_RESEND_INTERVAL_MS = parseInt(process.env.INVITATION_RESEND_INTERVAL_MS) || 60 * 1000;
+
+/**
+ * Build an error carrying the HTTP status the route should answer with
+ * @param {number} statusCode - HTTP status code
+ * @param {string} message - Error message
+ * @returns {Error} - Error with statusCode
+ */
+const invitationError = (statusCode, message) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+/**
+ * Build the frontend link the invitee opens to set their password
+ * @param {string} token - Plain invitation token
+ * @returns {string} - Accept URL
+ */
+const buildInviteUrl = (token) => {
+  return `${process.env.FRONTEND_URL || 'http://localhost:3000'}/accept-invite?token=${token}`;
+};
+
+/**
+ * Public view of an invitation (never includes the token hash)
+ * @param {object} invitation - Invitation instance
+ * @returns {object} - Serialized invitation
+ */
+const serializeInvitation = (invitation) => ({
+  id: invitation.id,
+  email: invitation.email,
+  phone: invitation.phone,
+  firstName: invitation.firstName,
+  lastName: invitation.lastName,
+  role: invitation.role,
+  channel: invitation.channel,
+  status: invitation.getStatus(),
+  invitedBy: invitation.invitedBy,
+  expiresAt: invitation.expiresAt,
+  sendCount: invitation.sendCount,
+  lastSentAt: invitation.lastSentAt,
+  acceptedAt: invitation.acceptedAt,
+  revokedAt: invitation.revokedAt,
+  createdAt: invitation.createdAt
+});
+
+/**
+ * Deliver the invite link over the invitation's channel
+ * @param {object} invitation - Invitation instance
+ * @param {string} token - Plain invitation token
+ * @param {object} inviter - Admin sending the invitation
+ * @returns {Promise<void>}
+ */
+const deliverInvitation = async (invitation, token, inviter) => {
+  const inviteUrl = buildInviteUrl(token);
+
+  if (invitation.channel === 'whatsapp') {
+    await sendAccountInvitation(invitation.phone, invitation, inviter, inviteUrl);
+  } else {
+    await sendAccountInvitationEmail(invitation.email, invitation, inviter, inviteUrl);
+  }
+};
+
+/**
+ * Invite someone to create an account with a pre-assigned role
+ * @param {object} inviter - Admin creating the invitation
+ * @param {object} data - { email, phone, firstName, lastName, role, channel }
+ * @param {Request} req - Express request (for the audit log)
+ * @returns {Promise<object>} - Created Invitation
+ */
+const createInvitation = async (inviter, data, req) => {
+  const { email, phone, firstName, lastName, role } = data;
+  const channel = data.channel || 'email';
+
+  if (!(await canAssignRole(inviter, role))) {
+    throw invitationError(403, 'You are not allowed to invite users with this role');
+  }
+
+  if (channel === 'whatsapp' && !phone) {
+    throw invitationError(400, 'A phone number is required to invite by WhatsApp');
+  }
+
+  if (await User.findByEmail(email)) {
+    throw invitationError(409, 'User with this email already exists');
+  }
+
+  if (await Invitation.findPendingForEmail(email)) {
+    throw invitationError(409, 'A pending invitation already exists for this email');
+  }
+
+  const token = crypto.randomBytes(32).toString('hex');
+  const invitation = await Invitation.create({
+    email,
+    phone,
+    firstName,
+    lastName,
+    role,
+    channel,
+    tokenHash: Invitation.hashToken(token),
+    invitedBy: inviter.id,
+    expiresAt: new Date(Date.now() + INVITATION_EXPIRY_MS),
+    lastSentAt: new Date()
+  });
+
+  await deliverInvitation(invitation, token, inviter);
+
+  await recordAudit({
+    action: 'invitation.created',
+    entityType: 'invitation',
+    entityId: invitation.id,
+    newValues: { email, phone, role, channel, expiresAt: invitation.expiresAt }
+  }, req);
+
+  return invitation;
+};
+
+/**
+ * Send a pending invitation again with a fresh link and expiry.
+ * The previous link stops working.
+ * @param {object} invitation - Invitation instance
+ * @param {object} inviter - Admin resending it
+ * @param {Request} req - Express request (for the audit log)
+ * @returns {Promise<object>} - Updated Invitation
+ */
+const resendInvitation = async (invitation, inviter, req) => {
+  if (invitation.acceptedAt || invitation.revokedAt) {
+    throw invitationError(400, `Invitation has already been ${invitation.getStatus()}`);
+  }
+
+  if (!(await canAssignRole(inviter, invitation.role))) {
+    throw invitationError(403, 'You are not allowed to invite users with this role');
+  }
+
+  if (invitation.lastSentAt && Date.now() - new Date(invitation.lastSentAt).getTime() < INVITATION_RESEND_INTERVAL_MS) {
+    throw invitationError(429, 'Invitation was sent recently. Please wait before resending.');
+  }
+
+  const token = crypto.randomBytes(32).toString('hex');
+  invitation.tokenHash = Invitation.hashToken(token);
+  invitation.expiresAt = new Date(Date.now() + INVITATION_EXPIRY_MS);
+  invitation.lastSentAt = new Date();
+  invitation.sendCount += 1;
+  await invitation.save();
+
+  await deliverInvitation(invitation, token, inviter);
+
+  await recordAudit({
+    action: 'invitation.resent',
+    entityType: 'invitation',
+    entityId: invitation.id,
+    newValues: { expiresAt: invitation.expiresAt, sendCount: invitation.sendCount }
+  }, req);
+
+  return invitation;
+};
+
+/**
+ * Revoke a pending invitation so its link can no longer be used
+ * @param {object} invitation - Invitation instance
+ * @param {object} actor - Admin revoking it
+ * @param {Request} req - Express request (for the audit log)
+ * @returns {Promise<object>} - Updated Invitation
+ */
+const revokeInvitation = async (invitation, actor, req) => {
+  if (invitation.acceptedAt) {
+    throw invitationError(400, 'Invitation has already been accepted');
+  }
+
+  if (!(await canAssignRole(actor, invitation.role))) {
+    throw invitationError(403, 'You are not allowed to manage invitations for this role');
+  }
+
+  if (!invitation.revokedAt) {
+    invitation.revokedAt = new Date();
+    await invitation.save();
+
+    await recordAudit({
+      action: 'invitation.revoked',
+      entityType: 'invitation',
+      entityId: invitation.id
+    }, req);
+  }
+
+  return invitation;
+};
+
+/**
+ * Look up a usable invitation from the token in an invite link
+ * @param {string} token - Plain invitation token
+ * @returns {Promise<object>} - Pending Invitation
+ */
+const findPendingInvitation = async (token) => {
+  const invitation = await Invitation.findByToken(token);
+  if (!invitation || !invitation.isPending()) {
+    throw invitationError(400, 'Invitation link is invalid or has expired');
+  }
+  return invitation;
+};
+
+/**
+ * Create the invitee's account with the invited role. The invitation is
+ * consumed in the same transaction, so a link can only ever create one account.
+ * @param {string} token - Plain invitation token
+ * @param {object} data - { password, firstName, lastName, phone }
+ * @param {Request} req - Express request (for the audit log)
+ * @returns {Promise<object>} - Created User
+ */
+const acceptInvitation = async (token, data, req) => {
+  const invitation = await findPendingInvitation(token);
+
+  if (await User.findByEmail(invitation.email)) {
+    throw invitationError(409, 'User with this email already exists');
+  }
+
+  const firstName = data.firstName || invitation.firstName;
+  const lastName = data.lastName || invitation.lastName;
+  if (!firstName || !lastName) {
+    throw invitationError(400, 'First and last name are required');
+  }
+
+  const phone = data.phone || invitation.phone;
+
+  await assertPasswordAllowed(data.password);
+
+  const user = await sequelize.transaction(async (transaction) => {
+    const created = await User.create({
+      email: invitation.email,
+      password: data.password,
+      firstName,
+      lastName,
+      phone,
+      role: invitation.role,
+      status: 'active',
+      // Opening the link proves control of the address it was sent to
+      emailVerified: invitation.channel === 'email',
+      phoneVerified: invitation.channel === 'whatsapp' && phone === invitation.phone
+    }, { transaction });
+
+    if (!(await invitation.markAccepted(created.id, { transaction }))) {
+      throw invitationError(400, 'Invitation link is invalid or has expired');
+    }
+
+    return created;
+  });
+
+  await recordAudit({
+    userId: user.id,
+    action: 'invitation.accepted',
+    entityType: 'invitation',
+    entityId: invitation.id,
+    newValues: { userId: user.id, role: user.role }
+  }, req);
+
+  return user;
+};
+
+module.exports = {
+  serializeInvitation,
+  createInvitation,
+  resendInvitation,
+  revokeInvitation,
+  findPendingInvitation,
+  acceptInvitation
+};
@@ -0,0 +1,173 @@
+const { Op } = require('sequelize');
+const { sequelize } = require('../config/database');
+const User = require('../models/User');
+const LoginAttempt = require('../models/LoginAttempt');
+const { sendAccountLockedEmail } = require('./emailService');
+require('dotenv').config();
+
+// Failures allowed before progressive delays kick in
+const DELAY_AFTER_ATTEMPTS = parseInt(process.env.LOGIN_DELAY_AFTER_ATTEMPTS) || 3;
+// Account failures that trigger a temporary lock
+const LOCKOUT_THRESHOLD = parseInt(process.env.LOGIN_LOCKOUT_THRESHOLD) || 10;
+const LOCKOUT_DURATION_MS = parseInt(process.env.LOGIN_LOCKOUT_DURATION_MS) || 30 * 60 * 1000;
+// IP failures are counted over a sliding window and allowed more slack (shared NATs, classrooms)
+const IP_WINDOW_MS = parseInt(process.env.LOGIN_IP_WINDOW_MS) || 15 * 60 * 1000;
+const IP_DELAY_AFTER_ATTEMPTS = parseInt(process.env.LOGIN_IP_DELAY_AFTER_ATTEMPTS) || 10;
+const BASE_DELAY_MS = 1000;
+const MAX_DELAY_MS = 60 * 1000;
+
+/**
+ * Build an error carrying the HTTP status the route should answer with
+ * @param {number} statusCode - HTTP status code
+ * @param {string} message - Error message
+ * @param {number} retryAfter - Seconds until the client may retry
+ * @returns {Error} - Error with statusCode and retryAfter
+ */
+const loginError = (statusCode, message, retryAfter) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  error.retryAfter = retryAfter;
+  return error;
+};
+
+/**
+ * Delay required before the next attempt after a run of failures
+ * (1s, 2s, 4s, ... capped at one minute)
+ * @param {number} failures - Consecutive failures
+ * @param {number} freeAttempts - Failures allowed without delay
+ * @returns {number} - Delay in milliseconds
+ */
+const getProgressiveDelay = (failures, freeAttempts) => {
+  if (failures < freeAttempts) return 0;
+  return Math.min(BASE_DELAY_MS * 2 ** (failures - freeAttempts), MAX_DELAY_MS);
+};
+
+/**
+ * Seconds left before a delay since lastFailedAt has elapsed
+ * @param {Date} lastFailedAt - Time of the last failure
+ * @param {number} delayMs - Required delay
+ * @returns {number} - Seconds to wait (0 if none)
+ */
+const getRemainingWait = (lastFailedAt, delayMs) => {
+  if (!lastFailedAt || delayMs === 0) return 0;
+  const remaining = new Date(lastFailedAt).getTime() + delayMs - Date.now();
+  return remaining > 0 ? Math.ceil(remaining / 1000) : 0;
+};
+
+/**
+ * Reject the attempt if the IP or the account is throttled or locked.
+ * Call before checking the password so throttled guesses are never evaluated.
+ * @param {object|null} user - Account being logged into (null if unknown email)
+ * @param {string} ipAddress - Client IP
+ * @returns {Promise<void>}
+ */
+const assertLoginAllowed = async (user, ipAddress) => {
+  const ipFailures = await LoginAttempt.getRecentFailuresByIp(ipAddress, new Date(Date.now() - IP_WINDOW_MS));
+  const ipWait = getRemainingWait(
+    ipFailures.lastFailedAt,
+    getProgressiveDelay(ipFailures.count, IP_DELAY_AFTER_ATTEMPTS)
+  );
+  if (ipWait > 0) {
+    throw loginError(429, `Too many failed login attempts. Please wait ${ipWait} seconds.`, ipWait);
+  }
+
+  if (!user) return;
+
+  if (user.isLocked()) {
+    const retryAfter = Math.ceil((new Date(user.lockedUntil).getTime() - Date.now()) / 1000);
+    throw loginError(423, 'Account temporarily locked due to repeated failed logins. Please try again later or contact support.', retryAfter);
+  }
+
+  const accountWait = getRemainingWait(
+    user.lastFailedLoginAt,
+    getProgressiveDelay(user.failedLoginAttempts, DELAY_AFTER_ATTEMPTS)
+  );
+  if (accountWait > 0) {
+    throw loginError(429, `Too many failed login attempts. Please wait ${accountWait} seconds.`, accountWait);
+  }
+};
+
+/**
+ * Record a failed attempt and lock the account once the threshold is reached
+ * @param {object|null} user - Account being logged into (null if unknown email)
+ * @param {string} email - Email that was tried
+ * @param {Request} req - Express request
+ * @returns {Promise<void>}
+ */
+const recordFailedLogin = async (user, email, req) => {
+  await LoginAttempt.create({
+    email,
+    userId: user ? user.id : null,
+    ipAddress: req.ip,
+    successful: false,
+    userAgent: req.get('User-Agent')
+  });
+
+  if (!user) return;
+
+  // Count the failure atomically so parallel guesses can't overwrite each
+  // other's increments, then decide on the lock from the stored count
+  await User.update(
+    { failedLoginAttempts: sequelize.literal('failed_login_attempts + 1'), lastFailedLoginAt: new Date() },
+    { where: { id: user.id } }
+  );
+  await user.reload({ attributes: ['failedLoginAttempts', 'lastFailedLoginAt', 'lockedUntil'] });
+  if (user.failedLoginAttempts < LOCKOUT_THRESHOLD) return;
+
+  // Only the request that crosses the threshold locks the account and sends the email
+  const lockedUntil = new Date(Date.now() + LOCKOUT_DURATION_MS);
+  const [locked] = await User.update(
+    { lockedUntil, failedLoginAttempts: 0 },
+    { where: { id: user.id, failedLoginAttempts: { [Op.gte]: LOCKOUT_THRESHOLD } } }
+  );
+  if (locked !== 1) return;
+
+  user.lockedUntil = lockedUntil;
+  user.failedLoginAttempts = 0;
+
+  try {
+    await sendAccountLockedEmail(user.email, user, user.lockedUntil, req.ip);
+  } catch (error) {
+    console.error('Account locked email failed:', error);
+  }
+};
+
+/**
+ * Record a successful login and clear the account's failure counters
+ * (the caller saves the user along with its other login updates)
+ * @param {object} user - Account that logged in
+ * @param {Request} req - Express request
+ * @returns {Promise<void>}
+ */
+const recordSuccessfulLogin = async (user, req) => {
+  await LoginAttempt.create({
+    email: user.email,
+    userId: user.id,
+    ipAddress: req.ip,
+    successful: true,
+    userAgent: req.get('User-Agent')
+  });
+
+  user.failedLoginAttempts = 0;
+  user.lastFailedLoginAt = null;
+  user.lockedUntil = null;
+};
+
+/**
+ * Lift a lock early (admin action)
+ * @param {object} user - Locked account
+ * @returns {Promise<object>} - Saved user
+ */
+const unlockAccount = async (user) => {
+  user.failedLoginAttempts = 0;
+  user.lastFailedLoginAt = null;
+  user.lockedUntil = null;
+  return await user.save();
+};
+
+module.exports = {
+  assertLoginAllowed,
+  recordFailedLogin,
+  recordSuccessfulLogin,
+  unlockAccount
+};
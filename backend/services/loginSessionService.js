@@ -0,0 +1,181 @@
+const LoginSession = require('../models/LoginSession');
+const RefreshToken = require('../models/RefreshToken');
+require('dotenv').config();
+
+// How often a login's "last seen" is written; every request would be too many writes
+const TOUCH_INTERVAL_MS = parseInt(process.env.LOGIN_SESSION_TOUCH_INTERVAL_MS) || 60 * 1000;
+
+/**
+ * Build an error carrying the HTTP status the route should answer with
+ * @param {number} statusCode - HTTP status code
+ * @param {string} message - Error message
+ * @returns {Error} - Error with statusCode
+ */
+const loginSessionError = (statusCode, message) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+/**
+ * Short human-readable device label from a user agent, e.g. "Chrome on Windows"
+ * @param {string} userAgent - User-Agent header
+ * @returns {string} - Device label
+ */
+const describeDevice = (userAgent) => {
+  if (!userAgent) return 'Unknown device';
+
+  const browsers = [
+    ['Edge', /Edg\//],
+    ['Opera', /OPR\//],
+    ['Chrome', /Chrome\//],
+    ['Firefox', /Firefox\//],
+    ['Safari', /Safari\//]
+  ];
+  const systems = [
+    ['Android', /Android/],
+    ['iOS', /iPhone|iPad|iPod/],
+    ['Windows', /Windows/],
+    ['macOS', /Mac OS X/],
+    ['Linux', /Linux/]
+  ];
+
+  const browser = browsers.find(([, pattern]) => pattern.test(userAgent));
+  const system = systems.find(([, pattern]) => pattern.test(userAgent));
+
+  if (!browser && !system) return userAgent.slice(0, 100);
+  if (!browser) return system[0];
+  if (!system) return browser[0];
+  return `${browser[0]} on ${system[0]}`;
+};
+
+/**
+ * Record a new sign-in for a refresh token family
+ * @param {object} user - User who signed in
+ * @param {string} familyId - Refresh token family id
+ * @param {Date} expiresAt - Expiry of the family's first refresh token
+ * @param {Request} req - Express request (optional)
+ * @returns {Promise<object>} - Created LoginSession
+ */
+const startLoginSession = (user, familyId, expiresAt, req = null) => {
+  const userAgent = req ? req.get('User-Agent') : null;
+
+  return LoginSession.create({
+    id: familyId,
+    userId: user.id,
+    deviceName: describeDevice(userAgent),
+    userAgent,
+    ipAddress: req ? req.ip : null,
+    lastIpAddress: req ? req.ip : null,
+    lastSeenAt: new Date(),
+    expiresAt
+  });
+};
+
+/**
+ * Extend a login after its refresh token rotated
+ * @param {string} familyId - Refresh token family id
+ * @param {Date} expiresAt - Expiry of the new refresh token
+ * @param {Request} req - Express request (optional)
+ * @returns {Promise<void>}
+ */
+const extendLoginSession = async (familyId, expiresAt, req = null) => {
+  const values = { expiresAt, lastSeenAt: new Date() };
+  if (req) values.lastIpAddress = req.ip;
+
+  await LoginSession.update(values, { where: { id: familyId } });
+};
+
+/**
+ * Update a login's last-seen time and IP, at most once per interval
+ * @param {object} session - LoginSession instance
+ * @param {Request} req - Express request
+ * @returns {Promise<void>}
+ */
+const touchLoginSession = async (session, req) => {
+  const lastSeen = session.lastSeenAt ? new Date(session.lastSeenAt).getTime() : 0;
+  if (Date.now() - lastSeen < TOUCH_INTERVAL_MS && session.lastIpAddress === req.ip) {
+    return;
+  }
+
+  session.lastSeenAt = new Date();
+  session.lastIpAddress = req.ip;
+  await session.save();
+};
+
+/**
+ * End one login: its refresh tokens stop rotating and its access tokens stop working
+ * @param {string} familyId - Refresh token family id
+ * @param {string} reason - Revocation reason
+ * @returns {Promise<void>}
+ */
+const revokeLogin = async (familyId, reason = 'logout') => {
+  await RefreshToken.revokeFamily(familyId, reason);
+  await LoginSession.revokeById(familyId, reason);
+};
+
+/**
+ * End one of a user's logins by id
+ * @param {string} userId - Owner of the login
+ * @param {string} loginId - LoginSession id
+ * @param {string} reason - Revocation reason
+ * @returns {Promise<object>} - Revoked LoginSession
+ */
+const revokeUserLogin = async (userId, loginId, reason = 'device_revoked') => {
+  const session = await LoginSession.findOne({ where: { id: loginId, userId } });
+  if (!session || !session.isActive()) {
+    throw loginSessionError(404, 'Active login not found');
+  }
+
+  await revokeLogin(session.id, reason);
+  await session.reload();
+  return session;
+};
+
+/**
+ * End every login a user has except one (usually the current device)
+ * @param {string} userId - Owner of the logins
+ * @param {string} keepLoginId - LoginSession id to keep (optional)
+ * @param {string} reason - Revocation reason
+ * @returns {Promise<number>} - Number of logins ended
+ */
+const revokeOtherLogins = async (userId, keepLoginId, reason = 'device_revoked') => {
+  const sessions = await LoginSession.findActiveForUser(userId);
+  const others = sessions.filter(session => session.id !== keepLoginId);
+
+  for (const session of others) {
+    await revokeLogin(session.id, reason);
+  }
+
+  return others.length;
+};
+
+/**
+ * Public view of a login
+ * @param {object} session - LoginSession instance
+ * @param {string} currentLoginId - Login the request was made from (optional)
+ * @returns {object} - Serialized login
+ */
+const serializeLoginSession = (session, currentLoginId = null) => ({
+  id: session.id,
+  familyId: session.id,
+  deviceName: session.deviceName,
+  userAgent: session.userAgent,
+  ipAddress: session.ipAddress,
+  lastIpAddress: session.lastIpAddress,
+  signedInAt: session.createdAt,
+  lastSeenAt: session.lastSeenAt,
+  expiresAt: session.expiresAt,
+  current: session.id === currentLoginId
+});
+
+module.exports = {
+  describeDevice,
+  startLoginSession,
+  extendLoginSession,
+  touchLoginSession,
+  revokeLogin,
+  revokeUserLogin,
+  revokeOtherLogins,
+  serializeLoginSession
+};
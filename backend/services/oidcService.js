@@ -0,0 +1,407 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const { sequelize } = require('../config/database');
+const { OIDC_PROVIDERS, getOidcProvider } = require('../config/oidc');
+const User = require('../models/User');
+const UserIdentity = require('../models/UserIdentity');
+const OidcLoginRequest = require('../models/OidcLoginRequest');
+const { recordAudit } = require('./auditService');
+require('dotenv').config();
+
+const OIDC_LOGIN_REQUEST_EXPIRY_MS = parseInt(process.env.OIDC_LOGIN_REQUEST_EXPIRY_MS) || 10 * 60 * 1000;
+const OIDC_DISCOVERY_CACHE_TTL_MS = parseInt(process.env.OIDC_DISCOVERY_CACHE_TTL_MS) || 60 * 60 * 1000;
+const OIDC_HTTP_TIMEOUT_MS = parseInt(process.env.OIDC_HTTP_TIMEOUT_MS) || 10 * 1000;
+
+// Signature algorithms accepted on ID tokens; "none" and HMAC are never accepted
+const ID_TOKEN_ALGORITHMS = ['RS256', 'RS384', 'RS512', 'PS256', 'PS384', 'PS512', 'ES256', 'ES384', 'ES512'];
+
+// Discovery documents and key sets, keyed by issuer / jwks_uri
+const discoveryCache = new Map();
+const jwksCache = new Map();
+
+/**
+ * Build an error carrying the HTTP status the route should answer with
+ * @param {number} statusCode - HTTP status code
+ * @param {string} message - Error message
+ * @returns {Error} - Error with statusCode
+ */
+const oidcError = (statusCode, message) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+/**
+ * Where providers send the user back to: the frontend, which posts the code to us
+ * @returns {string} - Redirect URI registered with every provider
+ */
+const buildRedirectUri = () => {
+  return `${process.env.FRONTEND_URL || 'http://localhost:3000'}/oidc/callback`;
+};
+
+/**
+ * Fetch JSON from a provider, failing with 502 when it is unreachable or errors
+ * @param {string} url - URL to fetch
+ * @param {object} options - fetch options
+ * @returns {Promise<object>} - Parsed response body
+ */
+const fetchJson = async (url, options = {}) => {
+  let response;
+  try {
+    response = await fetch(url, { ...options, signal: AbortSignal.timeout(OIDC_HTTP_TIMEOUT_MS) });
+  } catch (error) {
+    console.error(`OIDC request to ${url} failed:`, error);
+    throw oidcError(502, 'Identity provider is unavailable. Please try again later.');
+  }
+
+  const body = await response.json().catch(() => null);
+  if (!response.ok || !body) {
+    console.error(`OIDC request to ${url} returned ${response.status}:`, body);
+    throw oidcError(502, 'Identity provider rejected the sign-in. Please try again.');
+  }
+  return body;
+};
+
+/**
+ * Load (and cache) a provider's OpenID configuration
+ * @param {object} provider - Provider from config/oidc
+ * @returns {Promise<object>} - Discovery document
+ */
+const discover = async (provider) => {
+  const cached = discoveryCache.get(provider.issuer);
+  if (cached && Date.now() - cached.fetchedAt < OIDC_DISCOVERY_CACHE_TTL_MS) {
+    return cached.document;
+  }
+
+  const document = await fetchJson(`${provider.issuer}/.well-known/openid-configuration`);
+  if (document.issuer && document.issuer.replace(/\/+$/, '') !== provider.issuer) {
+    throw oidcError(502, 'Identity provider configuration does not match its issuer');
+  }
+
+  discoveryCache.set(provider.issuer, { document, fetchedAt: Date.now() });
+  return document;
+};
+
+/**
+ * Find the key an ID token was signed with, refetching the key set once
+ * when the key id is unknown (providers rotate keys)
+ * @param {string} jwksUri - Provider's jwks_uri
+ * @param {string} kid - Key id from the token header
+ * @returns {Promise<KeyObject>} - Public key
+ */
+const getSigningKey = async (jwksUri, kid) => {
+  const findKey = (keys) => keys.find(key => (kid ? key.kid === kid : true) && (!key.use || key.use === 'sig'));
+
+  let cached = jwksCache.get(jwksUri);
+  let jwk = cached && findKey(cached.keys);
+
+  if (!jwk) {
+    const jwks = await fetchJson(jwksUri);
+    cached = { keys: Array.isArray(jwks.keys) ? jwks.keys : [], fetchedAt: Date.now() };
+    jwksCache.set(jwksUri, cached);
+    jwk = findKey(cached.keys);
+  }
+
+  if (!jwk) {
+    throw oidcError(401, 'Identity token was signed with an unknown key');
+  }
+
+  return crypto.createPublicKey({ key: jwk, format: 'jwk' });
+};
+
+/**
+ * Providers users can pick on the login page
+ * @returns {Array<object>} - [{ id, name }]
+ */
+const listOidcProviders = () => OIDC_PROVIDERS.map(provider => ({ id: provider.id, name: provider.name }));
+
+/**
+ * Begin an authorization-code + PKCE sign-in
+ * @param {string} providerId - Provider id
+ * @param {Request} req - Express request (optional)
+ * @returns {Promise<object>} - { authorizationUrl, state }
+ */
+const startOidcLogin = async (providerId, req = null) => {
+  const provider = getOidcProvider(providerId);
+  if (!provider) {
+    throw oidcError(404, 'Sign-in provider not found');
+  }
+
+  const configuration = await discover(provider);
+
+  const state = crypto.randomBytes(32).toString('base64url');
+  const nonce = crypto.randomBytes(32).toString('base64url');
+  const codeVerifier = crypto.randomBytes(48).toString('base64url');
+  const codeChallenge = crypto.createHash('sha256').update(codeVerifier).digest('base64url');
+  const redirectUri = buildRedirectUri();
+
+  await OidcLoginRequest.create({
+    providerId: provider.id,
+    stateHash: OidcLoginRequest.hashState(state),
+    nonce,
+    codeVerifier,
+    redirectUri,
+    expiresAt: new Date(Date.now() + OIDC_LOGIN_REQUEST_EXPIRY_MS),
+    ipAddress: req ? req.ip : null
+  });
+
+  const params = new URLSearchParams({
+    response_type: 'code',
+    client_id: provider.clientId,
+    redirect_uri: redirectUri,
+    scope: provider.scopes,
+    state,
+    nonce,
+    code_challenge: codeChallenge,
+    code_challenge_method: 'S256'
+  });
+
+  return {
+    authorizationUrl: `${configuration.authorization_endpoint}?${params.toString()}`,
+    state
+  };
+};
+
+/**
+ * Swap an authorization code for the provider's tokens
+ * @param {object} provider - Provider from config/oidc
+ * @param {object} configuration - Discovery document
+ * @param {string} code - Authorization code
+ * @param {object} request - OidcLoginRequest the code belongs to
+ * @returns {Promise<object>} - Token response
+ */
+const exchangeCode = (provider, configuration, code, request) => {
+  const params = new URLSearchParams({
+    grant_type: 'authorization_code',
+    code,
+    redirect_uri: request.redirectUri,
+    client_id: provider.clientId,
+    code_verifier: request.codeVerifier
+  });
+
+  // Public clients rely on PKCE alone
+  if (provider.clientSecret) {
+    params.set('client_secret', provider.clientSecret);
+  }
+
+  return fetchJson(configuration.token_endpoint, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/x-www-form-urlencoded',
+      Accept: 'application/json'
+    },
+    body: params.toString()
+  });
+};
+
+/**
+ * Verify an ID token's signature, issuer, audience, expiry and nonce
+ * @param {object} provider - Provider from config/oidc
+ * @param {object} configuration - Discovery document
+ * @param {string} idToken - Encoded ID token
+ * @param {string} nonce - Nonce sent with the authorization request
+ * @returns {Promise<object>} - Verified claims
+ */
+const verifyIdToken = async (provider, configuration, idToken, nonce) => {
+  const decoded = idToken ? jwt.decode(idToken, { complete: true }) : null;
+  if (!decoded) {
+    throw oidcError(401, 'Identity provider did not return a valid identity token');
+  }
+
+  const key = await getSigningKey(configuration.jwks_uri, decoded.header.kid);
+
+  let claims;
+  try {
+    claims = jwt.verify(idToken, key, {
+      algorithms: ID_TOKEN_ALGORITHMS,
+      issuer: configuration.issuer || provider.issuer,
+      audience: provider.clientId,
+      clockTolerance: 60
+    });
+  } catch (error) {
+    throw oidcError(401, `Identity token rejected: ${error.message}`);
+  }
+
+  if (claims.nonce !== nonce) {
+    throw oidcError(401, 'Identity token rejected: nonce mismatch');
+  }
+
+  if (!claims.sub) {
+    throw oidcError(401, 'Identity token rejected: missing subject');
+  }
+
+  return claims;
+};
+
+/**
+ * Pick the role for a new account from the provider's role claim
+ * @param {object} provider - Provider from config/oidc
+ * @param {object} claims - Verified ID token claims
+ * @returns {string|null} - Mapped role, the provider default, or null
+ */
+const mapRoleFromClaims = (provider, claims) => {
+  const raw = claims[provider.roleClaim];
+  const values = (Array.isArray(raw) ? raw : [raw]).filter(value => value !== undefined && value !== null).map(String);
+
+  const match = Object.keys(provider.roleMapping).find(value => values.includes(value));
+  return match ? provider.roleMapping[match] : provider.defaultRole;
+};
+
+/**
+ * Whether the provider vouches for the email in the claims
+ * @param {object} provider - Provider from config/oidc
+ * @param {object} claims - Verified ID token claims
+ * @returns {boolean}
+ */
+const isEmailVerified = (provider, claims) => {
+  return claims.email_verified === true || claims.email_verified === 'true' || provider.trustEmailVerified;
+};
+
+/**
+ * Name for a provisioned account, falling back to the email's local part
+ * (User requires 2-100 characters)
+ * @param {string} value - Claim value
+ * @param {string} fallback - Fallback value
+ * @returns {string} - Usable name
+ */
+const nameFromClaim = (value, fallback) => {
+  const name = String(value || '').trim();
+  return (name.length >= 2 ? name : fallback).slice(0, 100);
+};
+
+/**
+ * Find the local account for a verified identity: an already linked account,
+ * else an existing account with the same verified email (which gets linked),
+ * else a new account when the provider allows sign-up
+ * @param {object} provider - Provider from config/oidc
+ * @param {object} claims - Verified ID token claims
+ * @param {Request} req - Express request (for the audit log)
+ * @returns {Promise<object>} - User
+ */
+const resolveUser = async (provider, claims, req) => {
+  const email = claims.email ? String(claims.email).toLowerCase() : null;
+
+  const identity = await UserIdentity.findBySubject(provider.id, String(claims.sub));
+  if (identity) {
+    identity.email = email;
+    identity.lastLoginAt = new Date();
+    await identity.save();
+
+    const user = await User.findByPk(identity.userId);
+    if (user && email === user.email && isEmailVerified(provider, claims)) {
+      // Saved with the rest of the login
+      user.emailVerified = true;
+    }
+    return user;
+  }
+
+  // Linking or creating by email is only safe when the provider vouches for the address
+  if (!email || !isEmailVerified(provider, claims)) {
+    throw oidcError(403, `${provider.name} did not confirm your email address, so it can't be used to sign in here`);
+  }
+
+  const domain = email.split('@')[1];
+  if (provider.allowedDomains.length && !provider.allowedDomains.includes(domain)) {
+    throw oidcError(403, `Accounts from ${domain} can't sign in with ${provider.name}`);
+  }
+
+  const existing = await User.findByEmail(email);
+  if (existing) {
+    const linked = await UserIdentity.create({
+      userId: existing.id,
+      provider: provider.id,
+      subject: String(claims.sub),
+      email,
+      lastLoginAt: new Date()
+    });
+
+    existing.emailVerified = true;
+
+    await recordAudit({
+      userId: existing.id,
+      action: 'user_identity.linked',
+      entityType: 'user_identity',
+      entityId: linked.id,
+      newValues: { provider: provider.id, email }
+    }, req);
+
+    return existing;
+  }
+
+  if (!provider.allowSignup) {
+    throw oidcError(403, 'No account exists for this email. Ask an administrator for an invitation.');
+  }
+
+  const role = mapRoleFromClaims(provider, claims);
+  if (!role) {
+    throw oidcError(403, `Your ${provider.name} account isn't assigned a role in this system. Please contact an administrator.`);
+  }
+
+  const localPart = email.split('@')[0];
+  const [givenFromName, ...familyFromName] = String(claims.name || '').trim().split(/\s+/);
+
+  const user = await sequelize.transaction(async (transaction) => {
+    const created = await User.create({
+      email,
+      // Never shown to anyone; the account signs in through its provider
+      // until the user sets a password with "forgot password"
+      password: crypto.randomBytes(32).toString('hex'),
+      firstName: nameFromClaim(claims.given_name || givenFromName, localPart),
+      lastName: nameFromClaim(claims.family_name || familyFromName.join(' '), provider.name),
+      role,
+      status: 'active',
+      emailVerified: true
+    }, { transaction });
+
+    await UserIdentity.create({
+      userId: created.id,
+      provider: provider.id,
+      subject: String(claims.sub),
+      email,
+      lastLoginAt: new Date()
+    }, { transaction });
+
+    return created;
+  });
+
+  await recordAudit({
+    userId: user.id,
+    action: 'user.provisioned',
+    entityType: 'user',
+    entityId: user.id,
+    newValues: { email, role, provider: provider.id }
+  }, req);
+
+  return user;
+};
+
+/**
+ * Finish a sign-in when the provider redirects back with a code
+ * @param {string} code - Authorization code
+ * @param {string} state - State returned by the provider
+ * @param {Request} req - Express request (for the audit log)
+ * @returns {Promise<object>} - Signed-in User
+ */
+const completeOidcLogin = async (code, state, req) => {
+  const request = await OidcLoginRequest.findByState(state);
+  if (!request || !request.isUsable()) {
+    throw oidcError(400, 'Sign-in request is invalid or has expired. Please try again.');
+  }
+
+  const provider = getOidcProvider(request.providerId);
+  if (!provider || !(await request.consume())) {
+    throw oidcError(400, 'Sign-in request is invalid or has expired. Please try again.');
+  }
+
+  const configuration = await discover(provider);
+  const tokens = await exchangeCode(provider, configuration, code, request);
+  const claims = await verifyIdToken(provider, configuration, tokens.id_token, request.nonce);
+
+  return resolveUser(provider, claims, req);
+};
+
+module.exports = {
+  listOidcProviders,
+  startOidcLogin,
+  completeOidcLogin
+};
@@ -0,0 +1,131 @@
+const crypto = require('crypto');
+const { Op } = require('sequelize');
+const { sequelize } = require('../config/database');
+const OneTimeCode = require('../models/OneTimeCode');
+require('dotenv').config();
+
+const OTP_EXPIRY_MS = parseInt(process.env.OTP_EXPIRY_MS) || 10 * 60 * 1000;
+const OTP_MAX_ATTEMPTS = parseInt(process.env.OTP_MAX_ATTEMPTS) || 5;
+const OTP_RESEND_INTERVAL_MS = parseInt(process.env.OTP_RESEND_INTERVAL_MS) || 60 * 1000;
+const OTP_MAX_PER_HOUR = parseInt(process.env.OTP_MAX_PER_HOUR) || 5;
+
+/**
+ * Build an error carrying the HTTP status the route should answer with
+ * @param {number} statusCode - HTTP status code
+ * @param {string} message - Error message
+ * @param {object} extra - Extra fields for the response (e.g. retryAfter)
+ * @returns {Error} - Error with statusCode
+ */
+const otpError = (statusCode, message, extra = {}) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  Object.assign(error, extra);
+  return error;
+};
+
+/**
+ * Hash a code with a server-side key so a leaked table can't be brute-forced offline
+ * @param {string} userId - Owner of the code
+ * @param {string} purpose - Code purpose
+ * @param {string} code - Plain code
+ * @returns {string} - HMAC-SHA256 hex digest
+ */
+const hashCode = (userId, purpose, code) => {
+  return crypto
+    .createHmac('sha256', process.env.JWT_SECRET)
+    .update(`${userId}:${purpose}:${code}`)
+    .digest('hex');
+};
+
+/**
+ * Issue a new code, enforcing the resend interval and hourly cap
+ * @param {object} user - User the code is for
+ * @param {string} purpose - Code purpose (e.g. 'phone_verification')
+ * @param {string} target - Phone number or email it will be sent to
+ * @param {object} options - format 'digits' (6-digit code, default) or 'token'
+ *   (long random token for links), expiryMs to override OTP_EXPIRY_MS
+ * @returns {Promise<string>} - Plain code to deliver to the user
+ */
+const issueOneTimeCode = async (user, purpose, target, options = {}) => {
+  const latest = await OneTimeCode.findOne({
+    where: { userId: user.id, purpose },
+    order: [['createdAt', 'DESC']]
+  });
+
+  if (latest) {
+    const elapsed = Date.now() - new Date(latest.createdAt).getTime();
+    if (elapsed < OTP_RESEND_INTERVAL_MS) {
+      const retryAfter = Math.ceil((OTP_RESEND_INTERVAL_MS - elapsed) / 1000);
+      throw otpError(429, `Please wait ${retryAfter} seconds before requesting another code`, { retryAfter });
+    }
+  }
+
+  const sentLastHour = await OneTimeCode.countSentSince(user.id, purpose, new Date(Date.now() - 60 * 60 * 1000));
+  if (sentLastHour >= OTP_MAX_PER_HOUR) {
+    throw otpError(429, 'Too many codes requested. Please try again later.', { retryAfter: 3600 });
+  }
+
+  const code = options.format === 'token'
+    ? crypto.randomBytes(32).toString('hex')
+    : String(crypto.randomInt(0, 1000000)).padStart(6, '0');
+
+  await OneTimeCode.invalidateActive(user.id, purpose);
+  await OneTimeCode.create({
+    userId: user.id,
+    purpose,
+    target,
+    codeHash: hashCode(user.id, purpose, code),
+    maxAttempts: OTP_MAX_ATTEMPTS,
+    expiresAt: new Date(Date.now() + (options.expiryMs || OTP_EXPIRY_MS))
+  });
+
+  return code;
+};
+
+/**
+ * Check a code against the user's latest active code and consume it on success.
+ * Every check counts as an attempt; the code dies after maxAttempts failures.
+ * @param {object} user - User submitting the code
+ * @param {string} purpose - Code purpose
+ * @param {string} code - Code entered by the user
+ * @returns {Promise<object>} - The consumed OneTimeCode record
+ */
+const verifyOneTimeCode = async (user, purpose, code) => {
+  const record = await OneTimeCode.findLatestActive(user.id, purpose);
+  if (!record) {
+    throw otpError(400, 'Code expired or not found. Please request a new one.');
+  }
+
+  // Count the attempt atomically so parallel guesses can't exceed the limit
+  const [counted] = await OneTimeCode.update(
+    { attempts: sequelize.literal('attempts + 1') },
+    { where: { id: record.id, attempts: { [Op.lt]: record.maxAttempts } } }
+  );
+  if (counted !== 1) {
+    throw otpError(429, 'Too many incorrect attempts. Please request a new code.');
+  }
+
+  const expected = Buffer.from(record.codeHash, 'hex');
+  const actual = Buffer.from(hashCode(user.id, purpose, String(code || '').trim()), 'hex');
+  if (!crypto.timingSafeEqual(expected, actual)) {
+    const remaining = record.maxAttempts - record.attempts - 1;
+    throw otpError(400, remaining > 0
+      ? `Invalid code. ${remaining} attempt${remaining > 1 ? 's' : ''} remaining.`
+      : 'Too many incorrect attempts. Please request a new code.');
+  }
+
+  const [consumed] = await OneTimeCode.update(
+    { consumedAt: new Date() },
+    { where: { id: record.id, consumedAt: null } }
+  );
+  if (consumed !== 1) {
+    throw otpError(400, 'Code expired or not found. Please request a new one.');
+  }
+
+  return record;
+};
+
+module.exports = {
+  issueOneTimeCode,
+  verifyOneTimeCode
+};
@@ -0,0 +1,158 @@
+const fs = require('fs');
+const path = require('path');
+const bcrypt = require('bcryptjs');
+const OrganizationSetting = require('../models/OrganizationSetting');
+const PasswordHistory = require('../models/PasswordHistory');
+require('dotenv').config();
+
+// User.password is validated as 6-255 characters before hashing; policies can't go lower
+const MIN_ALLOWED_LENGTH = 6;
+
+const DEFAULT_POLICY = {
+  minLength: Math.max(parseInt(process.env.PASSWORD_MIN_LENGTH) || 8, MIN_ALLOWED_LENGTH),
+  requireUppercase: true,
+  requireLowercase: true,
+  requireNumber: true,
+  requireSymbol: false,
+  historyCount: 5,
+  blockCommon: true
+};
+
+const COMMON_PASSWORDS_FILE = path.join(__dirname, '..', 'data', 'common-passwords.txt');
+
+// Loaded on first use
+let commonPasswords = null;
+
+/**
+ * Build an error carrying the HTTP status the route should answer with and
+ * express-validator style field errors
+ * @param {string} field - Request field the password came from
+ * @param {Array<string>} messages - Failed rules
+ * @returns {Error} - Error with statusCode and errors
+ */
+const passwordPolicyError = (field, messages) => {
+  const error = new Error('Password does not meet the password policy');
+  error.statusCode = 400;
+  error.errors = messages.map(msg => ({ type: 'field', location: 'body', path: field, msg }));
+  return error;
+};
+
+/**
+ * Set of bundled common/breached passwords, lowercased
+ * @returns {Set<string>}
+ */
+const getCommonPasswords = () => {
+  if (!commonPasswords) {
+    commonPasswords = new Set(
+      fs.readFileSync(COMMON_PASSWORDS_FILE, 'utf8')
+        .split(/\r?\n/)
+        .map(line => line.trim())
+        .filter(line => line && !line.startsWith('#'))
+        .map(line => line.toLowerCase())
+    );
+  }
+  return commonPasswords;
+};
+
+/**
+ * The organization's password policy (setting `password_policy`) over the defaults
+ * @returns {Promise<object>} - { minLength, requireUppercase, requireLowercase,
+ *   requireNumber, requireSymbol, historyCount, blockCommon }
+ */
+const getPasswordPolicy = async () => {
+  const configured = await OrganizationSetting.getValue('password_policy', {});
+  const policy = { ...DEFAULT_POLICY, ...(configured && typeof configured === 'object' ? configured : {}) };
+
+  return {
+    minLength: Math.max(parseInt(policy.minLength) || DEFAULT_POLICY.minLength, MIN_ALLOWED_LENGTH),
+    requireUppercase: !!policy.requireUppercase,
+    requireLowercase: !!policy.requireLowercase,
+    requireNumber: !!policy.requireNumber,
+    requireSymbol: !!policy.requireSymbol,
+    historyCount: Math.min(Math.max(parseInt(policy.historyCount) || 0, 0), PasswordHistory.MAX_HISTORY),
+    blockCommon: policy.blockCommon !== false
+  };
+};
+
+/**
+ * Whether the password is one of the user's last `count` passwords
+ * @param {object} user - User changing their password
+ * @param {string} password - Candidate password
+ * @param {number} count - How many previous passwords to check
+ * @returns {Promise<boolean>}
+ */
+const isRecentPassword = async (user, password, count) => {
+  if (!count) return false;
+
+  // The current password counts even for accounts created before history was kept
+  const hashes = (await PasswordHistory.findRecentForUser(user.id, count)).map(entry => entry.passwordHash);
+  if (user.password && !hashes.includes(user.password)) {
+    hashes.unshift(user.password);
+  }
+
+  for (const hash of hashes.slice(0, count)) {
+    if (await bcrypt.compare(password, hash)) return true;
+  }
+  return false;
+};
+
+/**
+ * List the policy rules a password breaks
+ * @param {string} password - Candidate password
+ * @param {object} context - { user } for the reuse check (existing accounts)
+ * @returns {Promise<Array<string>>} - Messages, empty when the password is allowed
+ */
+const checkPassword = async (password, context = {}) => {
+  const policy = await getPasswordPolicy();
+  const value = String(password || '');
+  const messages = [];
+
+  if (value.length < policy.minLength) {
+    messages.push(`Password must be at least ${policy.minLength} characters`);
+  }
+  if (value.length > 255) {
+    messages.push('Password must be at most 255 characters');
+  }
+  if (policy.requireUppercase && !/[A-Z]/.test(value)) {
+    messages.push('Password must contain an uppercase letter');
+  }
+  if (policy.requireLowercase && !/[a-z]/.test(value)) {
+    messages.push('Password must contain a lowercase letter');
+  }
+  if (policy.requireNumber && !/\d/.test(value)) {
+    messages.push('Password must contain a number');
+  }
+  if (policy.requireSymbol && !/[^A-Za-z0-9]/.test(value)) {
+    messages.push('Password must contain a symbol');
+  }
+  if (policy.blockCommon && getCommonPasswords().has(value.toLowerCase())) {
+    messages.push('This password is too common or has appeared in a data breach. Choose a different one.');
+  }
+
+  // Only worth the bcrypt comparisons once everything else passes
+  if (!messages.length && context.user && await isRecentPassword(context.user, value, policy.historyCount)) {
+    messages.push(`Password must not match any of your last ${policy.historyCount} passwords`);
+  }
+
+  return messages;
+};
+
+/**
+ * Throw a 400 with field-level errors when a password breaks the policy
+ * @param {string} password - Candidate password
+ * @param {object} context - { user } for the reuse check, { field } to name
+ *   the request field in errors (default 'password')
+ * @returns {Promise<void>}
+ */
+const assertPasswordAllowed = async (password, context = {}) => {
+  const messages = await checkPassword(password, context);
+  if (messages.length) {
+    throw passwordPolicyError(context.field || 'password', messages);
+  }
+};
+
+module.exports = {
+  getPasswordPolicy,
+  checkPassword,
+  assertPasswordAllowed
+};
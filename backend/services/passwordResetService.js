@@ -0,0 +1,124 @@
+const crypto = require('crypto');
+const { sequelize } = require('../config/database');
+const User = require('../models/User');
+const PasswordResetToken = require('../models/PasswordResetToken');
+const { sendPasswordResetEmail, sendPasswordResetConfirmationEmail } = require('./emailService');
+const { revokeAllUserTokens } = require('./tokenService');
+const { assertPasswordAllowed } = require('./passwordPolicyService');
+const { recordAudit } = require('./auditService');
+require('dotenv').config();
+
+const PASSWORD_RESET_EXPIRY_MS = parseInt(process.env.PASSWORD_RESET_EXPIRY_MS) || 60 * 60 * 1000;
+
+/**
+ * Build an error carrying the HTTP status the route should answer with
+ * @param {number} statusCode - HTTP status code
+ * @param {string} message - Error message
+ * @returns {Error} - Error with statusCode
+ */
+const resetError = (statusCode, message) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+/**
+ * Issue a single-use reset link and email it. Older unused links stop working.
+ * Unknown emails are audited but otherwise ignored, so callers can answer the
+ * same way whether or not the account exists.
+ * @param {string} email - Email the reset was requested for
+ * @param {Request} req - Express request
+ * @returns {Promise<void>}
+ */
+const requestPasswordReset = async (email, req) => {
+  const user = await User.findByEmail(email);
+
+  await recordAudit({
+    userId: user ? user.id : null,
+    action: 'password_reset.requested',
+    entityType: 'user',
+    entityId: user ? user.id : null,
+    newValues: { email, accountFound: !!user }
+  }, req);
+
+  if (!user) return;
+
+  const token = crypto.randomBytes(32).toString('hex');
+
+  await sequelize.transaction(async (transaction) => {
+    await PasswordResetToken.invalidateActive(user.id, { transaction });
+    await PasswordResetToken.create({
+      userId: user.id,
+      tokenHash: PasswordResetToken.hashToken(token),
+      expiresAt: new Date(Date.now() + PASSWORD_RESET_EXPIRY_MS),
+      ipAddress: req.ip,
+      userAgent: req.get('User-Agent')
+    }, { transaction });
+  });
+
+  const resetUrl = `${process.env.FRONTEND_URL || 'http://localhost:3000'}/reset-password?token=${token}`;
+
+  try {
+    await sendPasswordResetEmail(user.email, user, resetUrl, Math.round(PASSWORD_RESET_EXPIRY_MS / 60000));
+  } catch (error) {
+    console.error('Password reset email failed:', error);
+  }
+};
+
+/**
+ * Set a new password from a reset link. The token is consumed together with
+ * the password change, and every session the user had is revoked afterwards.
+ * @param {string} token - Plain reset token from the link
+ * @param {string} password - New password
+ * @param {Request} req - Express request
+ * @returns {Promise<object>} - Updated User
+ */
+const resetPassword = async (token, password, req) => {
+  const record = await PasswordResetToken.findByToken(token);
+  if (!record || !record.isUsable()) {
+    throw resetError(400, 'Invalid or expired reset token');
+  }
+
+  const user = await User.findByPk(record.userId);
+  if (!user) {
+    throw resetError(400, 'Invalid or expired reset token');
+  }
+
+  // Checked before the token is consumed so the user can pick another password
+  await assertPasswordAllowed(password, { user });
+
+  await sequelize.transaction(async (transaction) => {
+    if (!(await record.consume({ transaction }))) {
+      throw resetError(400, 'Invalid or expired reset token');
+    }
+
+    user.password = password;
+    // Proving control of the mailbox also lifts a failed-login lock
+    user.failedLoginAttempts = 0;
+    user.lastFailedLoginAt = null;
+    user.lockedUntil = null;
+    await user.save({ transaction });
+  });
+
+  await revokeAllUserTokens(user, 'password_reset');
+
+  await recordAudit({
+    userId: user.id,
+    action: 'password_reset.completed',
+    entityType: 'user',
+    entityId: user.id
+  }, req);
+
+  try {
+    await sendPasswordResetConfirmationEmail(user.email, user);
+  } catch (error) {
+    console.error('Password reset confirmation email failed:', error);
+  }
+
+  return user;
+};
+
+module.exports = {
+  requestPasswordReset,
+  resetPassword
+};
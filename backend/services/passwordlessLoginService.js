@@ -0,0 +1,85 @@
+const User = require('../models/User');
+const { issueOneTimeCode, verifyOneTimeCode } = require('./otpService');
+const { sendMagicLinkEmail } = require('./emailService');
+const { sendLoginCode } = require('./whatsappService');
+require('dotenv').config();
+
+const MAGIC_LINK_EXPIRY_MS = parseInt(process.env.MAGIC_LINK_EXPIRY_MS) || 15 * 60 * 1000;
+
+// Email links carry a long token; WhatsApp messages carry a 6-digit code
+const PURPOSES = {
+  email: 'login_link',
+  whatsapp: 'login_code'
+};
+
+/**
+ * Build an error carrying the HTTP status the route should answer with
+ * @param {number} statusCode - HTTP status code
+ * @param {string} message - Error message
+ * @returns {Error} - Error with statusCode
+ */
+const passwordlessError = (statusCode, message) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+/**
+ * Send a one-time sign-in link by email or a code by WhatsApp. Does nothing
+ * for unknown or inactive accounts, or WhatsApp without a verified number,
+ * so callers can answer the same way in every case.
+ * @param {string} email - Account email
+ * @param {string} channel - 'email' or 'whatsapp'
+ * @returns {Promise<boolean>} - Whether something was sent
+ */
+const startPasswordlessLogin = async (email, channel) => {
+  const user = await User.findByEmail(email);
+  if (!user || user.status !== 'active') return false;
+
+  if (channel === 'whatsapp') {
+    if (!user.phone || !user.phoneVerified) return false;
+
+    const code = await issueOneTimeCode(user, PURPOSES.whatsapp, user.phone);
+    await sendLoginCode(user.phone, code, user);
+    return true;
+  }
+
+  const token = await issueOneTimeCode(user, PURPOSES.email, user.email, {
+    format: 'token',
+    expiryMs: MAGIC_LINK_EXPIRY_MS
+  });
+  const loginUrl = `${process.env.FRONTEND_URL || 'http://localhost:3000'}/magic-login?email=${encodeURIComponent(user.email)}&token=${token}`;
+  await sendMagicLinkEmail(user.email, user, loginUrl, Math.round(MAGIC_LINK_EXPIRY_MS / 60000));
+  return true;
+};
+
+/**
+ * Check a sign-in link token or WhatsApp code and return the user it signs in
+ * @param {object} user - Account being signed into
+ * @param {object} credentials - { token } from an email link or { code } from WhatsApp
+ * @returns {Promise<object>} - The user, with emailVerified set for email links
+ */
+const verifyPasswordlessLogin = async (user, credentials) => {
+  const channel = credentials.token ? 'email' : 'whatsapp';
+
+  try {
+    await verifyOneTimeCode(user, PURPOSES[channel], credentials.token || credentials.code);
+  } catch (error) {
+    if (channel === 'email' && error.statusCode) {
+      throw passwordlessError(401, 'Sign-in link is invalid or has expired. Please request a new one.');
+    }
+    throw error;
+  }
+
+  // Opening the emailed link proves control of the address
+  if (channel === 'email' && !user.emailVerified) {
+    user.emailVerified = true;
+  }
+
+  return user;
+};
+
+module.exports = {
+  startPasswordlessLogin,
+  verifyPasswordlessLogin
+};
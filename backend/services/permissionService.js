@@ -0,0 +1,126 @@
+const Role = require('../models/Role');
+const { PERMISSIONS, DEFAULT_ROLE_PERMISSIONS, API_KEY_SCOPES } = require('../config/permissions');
+require('dotenv').config();
+
+// Role permissions are read on every protected request, so keep them in memory briefly
+const PERMISSION_CACHE_TTL_MS = parseInt(process.env.PERMISSION_CACHE_TTL_MS) || 60 * 1000;
+const cache = new Map();
+
+/**
+ * Permissions granted to a role, from the roles table (falling back to the
+ * built-in defaults when the role has no row)
+ * @param {string} roleName - Role name
+ * @returns {Promise<Array<string>>} - Granted permissions
+ */
+const getPermissionsForRole = async (roleName) => {
+  const cached = cache.get(roleName);
+  if (cached && cached.expiresAt > Date.now()) {
+    return cached.permissions;
+  }
+
+  const role = await Role.findByName(roleName);
+  const permissions = role && Array.isArray(role.permissions)
+    ? role.permissions
+    : (DEFAULT_ROLE_PERMISSIONS[roleName] || []);
+
+  cache.set(roleName, { permissions, expiresAt: Date.now() + PERMISSION_CACHE_TTL_MS });
+  return permissions;
+};
+
+/**
+ * Forget cached permissions after a role is edited
+ * @param {string} roleName - Role name (clears every role if omitted)
+ */
+const invalidatePermissionCache = (roleName) => {
+  if (roleName) {
+    cache.delete(roleName);
+  } else {
+    cache.clear();
+  }
+};
+
+/**
+ * Whether a set of granted permissions satisfies a required permission.
+ * Supports `*`, `<resource>.*` and `.any` grants covering `.own` checks.
+ * @param {Array<string>} granted - Granted permissions
+ * @param {string} required - Permission being checked
+ * @returns {boolean} - Whether it is granted
+ */
+const permissionMatches = (granted, required) => {
+  const candidates = [required];
+  if (required.endsWith('.own')) {
+    candidates.push(`${required.slice(0, -4)}.any`);
+  }
+
+  return granted.some(grant => {
+    if (grant === '*') return true;
+    if (grant.endsWith('.*')) {
+      return candidates.some(candidate => candidate.startsWith(grant.slice(0, -1)));
+    }
+    return candidates.includes(grant);
+  });
+};
+
+/**
+ * Whether a user holds a permission through their role
+ * @param {object} user - User instance
+ * @param {string} permission - Permission being checked
+ * @returns {Promise<boolean>} - Whether it is granted
+ */
+const userHasPermission = async (user, permission) => {
+  const granted = await getPermissionsForRole(user.role);
+  return permissionMatches(granted, permission);
+};
+
+/**
+ * Permissions bundled into a set of API key scopes
+ * @param {Array<string>} scopes - API key scopes
+ * @returns {Array<string>} - Permissions the scopes cover
+ */
+const getPermissionsForScopes = (scopes) => {
+  const permissions = new Set();
+  (scopes || []).forEach(scope => {
+    (API_KEY_SCOPES[scope] ? API_KEY_SCOPES[scope].permissions : []).forEach(permission => permissions.add(permission));
+  });
+  return [...permissions];
+};
+
+/**
+ * Whether the caller of a request holds a permission. API key calls need it
+ * in the key's scopes as well as in the role of the admin who created the key.
+ * @param {Request} req - Express request after authenticateToken
+ * @param {string} permission - Permission being checked
+ * @returns {Promise<boolean>} - Whether it is granted
+ */
+const requestHasPermission = async (req, permission) => {
+  if (req.apiKey && !permissionMatches(getPermissionsForScopes(req.apiKey.scopes), permission)) {
+    return false;
+  }
+  return userHasPermission(req.user, permission);
+};
+
+/**
+ * Reject permission names that are not in the catalog
+ * @param {Array<string>} permissions - Permissions to validate
+ * @returns {Array<string>} - Unknown permissions (empty if all are valid)
+ */
+const findUnknownPermissions = (permissions) => {
+  return permissions.filter(permission => {
+    if (permission === '*') return false;
+    if (permission.endsWith('.*')) {
+      const prefix = permission.slice(0, -1);
+      return !Object.keys(PERMISSIONS).some(known => known.startsWith(prefix));
+    }
+    return !PERMISSIONS[permission];
+  });
+};
+
+module.exports = {
+  getPermissionsForRole,
+  invalidatePermissionCache,
+  permissionMatches,
+  userHasPermission,
+  getPermissionsForScopes,
+  requestHasPermission,
+  findUnknownPermissions
+};
@@ -0,0 +1,102 @@
+const OrganizationSetting = require('../models/OrganizationSetting');
+const { getPermissionsForRole, permissionMatches } = require('./permissionService');
+
+const ALL_ROLES = ['student', 'tutor', 'admin', 'super_admin'];
+
+// Staff roles are never self-service, whatever the settings say
+const PRIVILEGED_ROLES = ['admin', 'super_admin'];
+
+const DEFAULT_SELF_REGISTRATION_ROLES = ['student'];
+
+/**
+ * Build an error carrying the HTTP status the route should answer with
+ * @param {number} statusCode - HTTP status code
+ * @param {string} message - Error message
+ * @returns {Error} - Error with statusCode
+ */
+const policyError = (statusCode, message) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+/**
+ * Roles a visitor may give themselves through public sign-up
+ * (organization setting `self_registration_roles`, never admin roles)
+ * @returns {Promise<Array<string>>} - Allowed roles
+ */
+const getSelfRegistrationRoles = async () => {
+  const configured = await OrganizationSetting.getValue('self_registration_roles', DEFAULT_SELF_REGISTRATION_ROLES);
+  const roles = Array.isArray(configured) ? configured : DEFAULT_SELF_REGISTRATION_ROLES;
+
+  return roles.filter(role => ALL_ROLES.includes(role) && !PRIVILEGED_ROLES.includes(role));
+};
+
+/**
+ * Role suggested by the email domain (organization setting `email_domain_roles`,
+ * e.g. {"std.com": "student"}), falling back to `default_registration_role`
+ * @param {string} email - Email address
+ * @returns {Promise<string>} - Role
+ */
+const getRoleForEmail = async (email) => {
+  const domainRoles = await OrganizationSetting.getValue('email_domain_roles', {});
+  const domain = email.split('@').pop().toLowerCase();
+
+  if (domainRoles && typeof domainRoles === 'object' && ALL_ROLES.includes(domainRoles[domain])) {
+    return domainRoles[domain];
+  }
+
+  const defaultRole = await OrganizationSetting.getValue('default_registration_role', 'student');
+  return ALL_ROLES.includes(defaultRole) ? defaultRole : 'student';
+};
+
+/**
+ * Decide the role for a public sign-up. An explicit role wins over the
+ * domain mapping and must be self-registrable; a domain suggestion that
+ * isn't falls back to the first self-registrable role.
+ * @param {string} email - Email address
+ * @param {string} requestedRole - Role asked for in the request (optional)
+ * @returns {Promise<string>} - Role to create the user with
+ */
+const resolveSelfRegistrationRole = async (email, requestedRole) => {
+  const allowedRoles = await getSelfRegistrationRoles();
+  let role = requestedRole;
+
+  if (!role) {
+    const suggested = await getRoleForEmail(email);
+    role = allowedRoles.includes(suggested) ? suggested : (allowedRoles[0] || suggested);
+  }
+
+  if (!allowedRoles.includes(role)) {
+    const label = role.replace('_', ' ');
+    throw policyError(403, `${label.charAt(0).toUpperCase() + label.slice(1)} accounts can only be created by invitation or by an administrator`);
+  }
+
+  return role;
+};
+
+/**
+ * Whether a user may create or assign a role. Nobody can hand out a role
+ * that grants permissions they don't hold themselves.
+ * @param {object} actor - User performing the action
+ * @param {string} role - Role being granted
+ * @returns {Promise<boolean>} - Whether it is allowed
+ */
+const canAssignRole = async (actor, role) => {
+  if (!ALL_ROLES.includes(role)) return false;
+
+  const [actorPermissions, rolePermissions] = await Promise.all([
+    getPermissionsForRole(actor.role),
+    getPermissionsForRole(role)
+  ]);
+
+  return rolePermissions.every(permission => permissionMatches(actorPermissions, permission));
+};
+
+module.exports = {
+  ALL_ROLES,
+  getSelfRegistrationRoles,
+  getRoleForEmail,
+  resolveSelfRegistrationRole,
+  canAssignRole
+};
@@ -0,0 +1,597 @@
+const { Op } = require('sequelize');
+const { sequelize } = require('../config/database');
+const Session = require('../models/Session');
+const SessionSeries = require('../models/SessionSeries');
+const SessionStudent = require('../models/SessionStudent');
+const {
+  sessionError,
+  pickEditableFields,
+  resolveTutorId,
+  resolveSessionTimezone,
+  validateSchedule,
+  lockSession,
+  syncSeatCount,
+  reserveSeat,
+  releaseSeat,
+  cancelLockedSession
+} = require('./sessionService');
+const { offerFreedSeats, notifyOffers } = require('./waitlistService');
+const { findConflicts, resolveConflicts, recordOverride } = require('./conflictService');
+const { loadAvailability } = require('./availabilityService');
+const { getZonedParts, zonedTimeToUtc, shiftWallClock, wallClockDifference } = require('./timezoneService');
+const { recordAudit } = require('./auditService');
+require('dotenv').config();
+
+// Every occurrence is created up front, so a series has to end
+const MAX_SERIES_OCCURRENCES = parseInt(process.env.MAX_SERIES_OCCURRENCES) || 100;
+
+// Rule steps (days, weeks or months) to try before giving up on filling a series
+const MAX_RULE_STEPS = 5000;
+
+// Occurrences can only be edited or cancelled as part of a series before they start
+const UPCOMING_STATUSES = ['scheduled', 'rescheduled'];
+
+/**
+ * Public view of a series
+ * @param {object} series - SessionSeries instance
+ * @returns {object} - Serialized series, with its rule as an RRULE string
+ */
+const serializeSeries = (series) => ({
+  id: series.id,
+  tutorId: series.tutorId,
+  title: series.title,
+  startTime: series.startTime,
+  duration: series.duration,
+  timezone: series.timezone,
+  frequency: series.frequency,
+  interval: series.interval,
+  byWeekday: series.byWeekday,
+  count: series.count,
+  until: series.until,
+  rrule: series.toRRule(),
+  status: series.status,
+  parentSeriesId: series.parentSeriesId,
+  createdAt: series.createdAt
+});
+
+/**
+ * Check a recurrence rule and fill in its defaults
+ * @param {object} recurrence - { frequency, interval, byWeekday, count, until }
+ * @param {Date} startTime - Start of the first occurrence
+ * @param {string} timezone - IANA timezone the rule repeats in
+ * @returns {object} - Normalized rule
+ */
+const normalizeRule = (recurrence = {}, startTime, timezone) => {
+  const frequency = recurrence.frequency;
+  if (!['daily', 'weekly', 'monthly'].includes(frequency)) {
+    throw sessionError(400, 'recurrence.frequency must be daily, weekly or monthly');
+  }
+
+  const interval = parseInt(recurrence.interval) || 1;
+  const count = recurrence.count ? parseInt(recurrence.count) : null;
+  const until = recurrence.until ? new Date(recurrence.until) : null;
+
+  if (!count && !until) {
+    throw sessionError(400, 'A series needs recurrence.count or recurrence.until');
+  }
+  if (count && count > MAX_SERIES_OCCURRENCES) {
+    throw sessionError(400, `A series can have at most ${MAX_SERIES_OCCURRENCES} occurrences`);
+  }
+  if (until && until <= startTime) {
+    throw sessionError(400, 'recurrence.until must be after the first occurrence');
+  }
+
+  // Weekly rules default to the weekday of the first occurrence
+  let byWeekday = null;
+  if (frequency === 'weekly') {
+    const days = recurrence.byWeekday && recurrence.byWeekday.length
+      ? recurrence.byWeekday
+      : [SessionSeries.WEEKDAYS[getZonedParts(startTime, timezone).weekday]];
+    byWeekday = SessionSeries.WEEKDAYS.filter(day => days.includes(day));
+  }
+
+  return { frequency, interval, byWeekday, count, until, timezone };
+};
+
+/**
+ * Expand a rule into occurrence start times, RRULE style: DTSTART is the
+ * first candidate, COUNT and UNTIL both end the series, and monthly rules skip
+ * months without the start's day of the month. Dates are stepped in the
+ * rule's timezone, so every occurrence starts at the same clock time there
+ * whether or not DST is in force.
+ * @param {object} rule - Normalized rule plus startTime
+ * @param {number} max - Stop after this many occurrences
+ * @returns {Array<Date>} - Start times, in order
+ */
+const expandOccurrences = (rule, max) => {
+  const timezone = rule.timezone || 'UTC';
+  const start = new Date(rule.startTime);
+  const first = getZonedParts(start, timezone);
+  const limit = Math.min(rule.count || max, max);
+  const untilTime = rule.until ? new Date(rule.until).getTime() : Infinity;
+  const occurrences = [];
+
+  // The first occurrence's clock time on a local date, given as days (and
+  // months) from the first occurrence's date
+  const at = (days, months = 0) => zonedTimeToUtc({
+    year: first.year,
+    month: first.month + months,
+    day: first.day + days,
+    hour: first.hour,
+    minute: first.minute
+  }, timezone);
+
+  // Returns false once the series is complete
+  const add = (date) => {
+    if (date < start) return true;
+    if (date.getTime() > untilTime) return false;
+    occurrences.push(date);
+    return occurrences.length < limit;
+  };
+
+  for (let step = 0; step < MAX_RULE_STEPS; step++) {
+    const offset = step * rule.interval;
+
+    if (rule.frequency === 'daily') {
+      if (!add(at(offset))) break;
+    } else if (rule.frequency === 'weekly') {
+      const weekStart = offset * 7 - first.weekday;
+      const more = rule.byWeekday.every(day => add(at(weekStart + SessionSeries.WEEKDAYS.indexOf(day))));
+      if (!more) break;
+    } else {
+      const month = new Date(Date.UTC(first.year, first.month - 1 + offset, first.day));
+      if (month.getUTCDate() !== first.day) continue;
+      if (!add(at(0, offset))) break;
+    }
+  }
+
+  return occurrences;
+};
+
+/**
+ * Occurrences of a series an edit or cancellation applies to: the one
+ * session, it and every later one, or all of them. Only occurrences that
+ * haven't started are touched.
+ * @param {object} session - Occurrence the caller acted on
+ * @param {string} scope - 'following' or 'all'
+ * @returns {Promise<Array<object>>} - Sessions, earliest first
+ */
+const findScopeOccurrences = (session, scope) => {
+  const startTime = { [Op.gt]: new Date() };
+  if (scope === 'following') {
+    startTime[Op.gte] = session.startTime;
+  }
+
+  return Session.findAll({
+    where: { seriesId: session.seriesId, status: UPCOMING_STATUSES, startTime },
+    order: [['startTime', 'ASC'], ['id', 'ASC']]
+  });
+};
+
+/**
+ * Upcoming occurrences of a series that can still be booked
+ * @param {string} seriesId - Series ID
+ * @returns {Promise<Array<object>>} - Sessions, earliest first
+ */
+const findBookableOccurrences = (seriesId) => {
+  return Session.findAll({
+    where: { seriesId, status: 'scheduled', startTime: { [Op.gt]: new Date() } },
+    order: [['startTime', 'ASC'], ['id', 'ASC']]
+  });
+};
+
+/**
+ * Schedule a recurring series and create all of its occurrences
+ * @param {Request} req - Express request after authenticateToken
+ * @param {object} data - Session fields for every occurrence, the first
+ *   occurrence's startTime/endTime, optional tutorId, recurrence
+ *   { frequency, interval, byWeekday, count, until }, and
+ *   overrideConflicts/overrideReason
+ * @returns {Promise<object>} - { series, occurrences }
+ */
+const createSeries = async (req, data) => {
+  const tutorId = await resolveTutorId(req, data.tutorId);
+
+  const startTime = new Date(data.startTime);
+  const endTime = new Date(data.endTime);
+  const duration = validateSchedule(startTime, endTime);
+
+  const timezone = await resolveSessionTimezone(data.timezone, tutorId);
+  const rule = normalizeRule(data.recurrence, startTime, timezone);
+  const starts = expandOccurrences({ ...rule, startTime }, MAX_SERIES_OCCURRENCES + 1);
+  if (!starts.length) {
+    throw sessionError(400, 'The recurrence rule produces no occurrences');
+  }
+  if (starts.length > MAX_SERIES_OCCURRENCES) {
+    throw sessionError(400, `A series can have at most ${MAX_SERIES_OCCURRENCES} occurrences; end it sooner`);
+  }
+
+  // Every occurrence is checked; one override covers the whole series
+  const lastEnd = new Date(starts[starts.length - 1].getTime() + duration * 60000);
+  const availability = await loadAvailability(tutorId, starts[0], lastEnd);
+  const conflicts = [];
+  for (const start of starts) {
+    const end = new Date(start.getTime() + duration * 60000);
+    conflicts.push(...await findConflicts({ tutorId, startTime: start, endTime: end }, { availability }));
+  }
+  const override = await resolveConflicts(req, conflicts, data);
+
+  const fields = pickEditableFields(data);
+  delete fields.startTime;
+  delete fields.endTime;
+
+  const { series, occurrences } = await sequelize.transaction(async (transaction) => {
+    const created = await SessionSeries.create({
+      tutorId,
+      title: data.title,
+      startTime,
+      duration,
+      ...rule
+    }, { transaction });
+
+    const sessions = await Session.bulkCreate(starts.map(start => ({
+      ...fields,
+      startTime: start,
+      endTime: new Date(start.getTime() + duration * 60000),
+      duration,
+      timezone,
+      tutorId,
+      seriesId: created.id,
+      isRecurring: true,
+      recurringPattern: rule.frequency,
+      recurringEndDate: starts[starts.length - 1]
+    })), { transaction, validate: true });
+
+    return { series: created, occurrences: sessions };
+  });
+
+  await recordAudit({
+    action: 'session_series.created',
+    entityType: 'session_series',
+    entityId: series.id,
+    newValues: { title: series.title, tutorId, rrule: series.toRRule(), occurrences: occurrences.length }
+  }, req);
+  await recordOverride(req, 'session_series', series.id, override);
+
+  return { series, occurrences };
+};
+
+/**
+ * Load a series with its occurrences
+ * @param {string} seriesId - Series ID
+ * @returns {Promise<object>} - { series, occurrences }
+ */
+const getSeries = async (seriesId) => {
+  const series = await SessionSeries.findByPk(seriesId);
+  if (!series) {
+    throw sessionError(404, 'Series not found');
+  }
+
+  const occurrences = await Session.findAll({
+    where: { seriesId },
+    order: [['startTime', 'ASC']]
+  });
+
+  return { series, occurrences };
+};
+
+/**
+ * Move the rest of a series, from one occurrence on, into a new series so a
+ * "this and following" change leaves the earlier occurrences alone
+ * @param {object} series - SessionSeries being split
+ * @param {object} session - First occurrence of the new series
+ * @param {object} transaction - Sequelize transaction
+ * @returns {Promise<object>} - The new SessionSeries
+ */
+const splitSeries = async (series, session, transaction) => {
+  const earlier = await Session.count({
+    where: { seriesId: series.id, startTime: { [Op.lt]: session.startTime } },
+    transaction
+  });
+
+  const following = await SessionSeries.create({
+    tutorId: series.tutorId,
+    title: series.title,
+    startTime: session.startTime,
+    duration: series.duration,
+    timezone: series.timezone,
+    frequency: series.frequency,
+    interval: series.interval,
+    byWeekday: series.byWeekday,
+    count: series.count ? series.count - earlier : null,
+    until: series.until,
+    parentSeriesId: series.id
+  }, { transaction });
+
+  await series.update({
+    count: series.count ? earlier : null,
+    until: new Date(new Date(session.startTime).getTime() - 1000)
+  }, { transaction });
+
+  await Session.update(
+    { seriesId: following.id },
+    { where: { seriesId: series.id, startTime: { [Op.gte]: session.startTime } }, transaction }
+  );
+
+  return following;
+};
+
+/**
+ * Edit an occurrence and the rest of its series ('following') or the whole
+ * series ('all'). A new start time moves every occurrence by the same
+ * amount of clock time in the series' timezone (so a series spanning a DST
+ * change keeps its clock time); a new end time sets every occurrence's length.
+ * @param {object} session - Occurrence the caller edited
+ * @param {object} data - Fields to change (see EDITABLE_FIELDS), plus
+ *   overrideConflicts/overrideReason
+ * @param {string} scope - 'following' or 'all'
+ * @param {Request} req - Express request after authenticateToken
+ * @returns {Promise<object>} - { series, occurrences } after the edit
+ */
+const updateSeriesOccurrences = async (session, data, scope, req) => {
+  if (!UPCOMING_STATUSES.includes(session.status) || new Date(session.startTime) <= new Date()) {
+    throw sessionError(409, 'Only occurrences that haven\'t started can be edited with the rest of their series');
+  }
+
+  const changes = pickEditableFields(data);
+  delete changes.startTime;
+  delete changes.endTime;
+
+  const newStart = data.startTime ? new Date(data.startTime) : new Date(session.startTime);
+  const newEnd = data.endTime
+    ? new Date(data.endTime)
+    : new Date(newStart.getTime() + session.duration * 60000);
+  const retimed = !!(data.startTime || data.endTime);
+  const duration = retimed ? validateSchedule(newStart, newEnd) : session.duration;
+
+  let series = await SessionSeries.findByPk(session.seriesId);
+  const timezone = changes.timezone || series.timezone;
+  const shift = wallClockDifference(session.startTime, newStart, timezone);
+  const targets = await findScopeOccurrences(session, scope);
+
+  // Occurrences moving together can't conflict with each other
+  let override = null;
+  if (retimed) {
+    const ignoreSessionIds = targets.map(target => target.id);
+    const moved = targets.map(target => shiftWallClock(target.startTime, shift, timezone));
+    const availability = targets.length && await loadAvailability(
+      session.tutorId,
+      moved[0],
+      new Date(moved[moved.length - 1].getTime() + duration * 60000)
+    );
+    const conflicts = [];
+    for (let index = 0; index < targets.length; index++) {
+      conflicts.push(...await findConflicts({
+        tutorId: targets[index].tutorId,
+        startTime: moved[index],
+        endTime: new Date(moved[index].getTime() + duration * 60000),
+        sessionId: targets[index].id
+      }, { availability, ignoreSessionIds }));
+    }
+    override = await resolveConflicts(req, conflicts, data);
+  }
+
+  const offered = [];
+  await sequelize.transaction(async (transaction) => {
+    const isFirst = targets.length && targets[0].id === session.id
+      && !(await Session.count({ where: { seriesId: series.id, startTime: { [Op.lt]: session.startTime } }, transaction }));
+    if (scope === 'following' && !isFirst) {
+      series = await splitSeries(series, session, transaction);
+    }
+
+    const seriesChanges = {};
+    if (changes.title) seriesChanges.title = changes.title;
+    if (changes.timezone) seriesChanges.timezone = changes.timezone;
+    if (retimed) {
+      seriesChanges.startTime = shiftWallClock(series.startTime, shift, timezone);
+      seriesChanges.duration = duration;
+    }
+    await series.update(seriesChanges, { transaction });
+
+    for (const target of targets) {
+      const locked = await lockSession(target.id, transaction);
+      const update = { ...changes };
+
+      if (retimed) {
+        update.startTime = shiftWallClock(locked.startTime, shift, timezone);
+        update.endTime = new Date(update.startTime.getTime() + duration * 60000);
+        update.duration = validateSchedule(update.startTime, update.endTime);
+      }
+
+      if (update.maxStudents !== undefined) {
+        const seats = await syncSeatCount(locked, transaction);
+        if (update.maxStudents < seats) {
+          throw sessionError(409, `${seats} students are already booked into the occurrence on ${new Date(locked.startTime).toISOString()}; maxStudents can't be lower`);
+        }
+      }
+
+      await locked.update(update, { transaction });
+      offered.push({ session: locked, entries: await offerFreedSeats(locked, transaction) });
+    }
+  });
+
+  for (const { session: occurrence, entries } of offered) {
+    await notifyOffers(occurrence, entries);
+  }
+
+  await recordAudit({
+    action: 'session_series.updated',
+    entityType: 'session_series',
+    entityId: series.id,
+    newValues: { scope, fromSessionId: session.id, occurrences: targets.length, changes: pickEditableFields(data) }
+  }, req);
+  await recordOverride(req, 'session_series', series.id, override);
+
+  return getSeries(series.id);
+};
+
+/**
+ * Cancel an occurrence and the rest of its series ('following') or every
+ * upcoming occurrence ('all'). The rule is shortened (or the series marked
+ * cancelled) so it matches what is left.
+ * @param {object} session - Occurrence the caller cancelled
+ * @param {string} reason - Optional reason, kept in each session's metadata
+ * @param {string} scope - 'following' or 'all'
+ * @param {Request} req - Express request (for the audit log)
+ * @returns {Promise<object>} - { series, occurrences } after the cancellation
+ */
+const cancelSeriesOccurrences = async (session, reason, scope, req) => {
+  if (!UPCOMING_STATUSES.includes(session.status) || new Date(session.startTime) <= new Date()) {
+    throw sessionError(409, 'Only occurrences that haven\'t started can be cancelled with the rest of their series');
+  }
+
+  const series = await SessionSeries.findByPk(session.seriesId);
+  const targets = await findScopeOccurrences(session, scope);
+
+  await sequelize.transaction(async (transaction) => {
+    for (const target of targets) {
+      const locked = await lockSession(target.id, transaction);
+      await cancelLockedSession(locked, reason, transaction);
+    }
+
+    const remaining = await Session.count({
+      where: { seriesId: series.id, status: { [Op.ne]: 'cancelled' } },
+      transaction
+    });
+
+    if (!remaining) {
+      await series.update({ status: 'cancelled' }, { transaction });
+    } else if (scope === 'following') {
+      const earlier = await Session.count({
+        where: { seriesId: series.id, startTime: { [Op.lt]: session.startTime } },
+        transaction
+      });
+      await series.update({
+        count: series.count ? earlier : null,
+        until: new Date(new Date(session.startTime).getTime() - 1000)
+      }, { transaction });
+    }
+  });
+
+  await recordAudit({
+    action: 'session_series.cancelled',
+    entityType: 'session_series',
+    entityId: series.id,
+    newValues: { scope, fromSessionId: session.id, occurrences: targets.length, reason: reason || null }
+  }, req);
+
+  return getSeries(series.id);
+};
+
+/**
+ * Book the signed-in student into every upcoming occurrence of a series.
+ * All or nothing: if any occurrence is full, nothing is booked.
+ * @param {object} series - SessionSeries instance
+ * @param {object} student - Student booking
+ * @param {Request} req - Express request (for the audit log)
+ * @returns {Promise<Array<object>>} - SessionStudent enrollments made
+ */
+const joinSeries = async (series, student, req) => {
+  if (series.status !== 'active') {
+    throw sessionError(409, 'This series has been cancelled');
+  }
+  if (series.tutorId === student.id) {
+    throw sessionError(400, 'You can\'t book a seat in your own series');
+  }
+
+  const occurrences = await findBookableOccurrences(series.id);
+  if (!occurrences.length) {
+    throw sessionError(409, 'This series has no upcoming occurrences to book');
+  }
+
+  const offered = [];
+  const enrollments = await sequelize.transaction(async (transaction) => {
+    const seats = [];
+    const full = [];
+
+    for (const occurrence of occurrences) {
+      const locked = await lockSession(occurrence.id, transaction);
+      if (locked.status !== 'scheduled' || new Date(locked.startTime) <= new Date()) continue;
+
+      const existing = await SessionStudent.findEnrollment(locked.id, student.id, { transaction });
+      if (existing && existing.status !== 'cancelled') continue;
+
+      const reservation = await reserveSeat(locked, student, existing, transaction);
+      offered.push({ session: locked, entries: reservation.offered });
+      if (reservation.seat) {
+        seats.push(reservation.seat);
+      } else {
+        full.push(new Date(locked.startTime).toISOString());
+      }
+    }
+
+    if (full.length) {
+      throw sessionError(409, `Some occurrences are full, so nothing was booked: ${full.join(', ')}`);
+    }
+    if (!seats.length) {
+      throw sessionError(409, 'You are already booked into every upcoming occurrence');
+    }
+    return seats;
+  });
+
+  for (const { session, entries } of offered) {
+    await notifyOffers(session, entries.filter(entry => entry.studentId !== student.id));
+  }
+
+  await recordAudit({
+    action: 'session_series.joined',
+    entityType: 'session_series',
+    entityId: series.id,
+    newValues: { studentId: student.id, occurrences: enrollments.length }
+  }, req);
+
+  return enrollments;
+};
+
+/**
+ * Give up the signed-in student's seats in every upcoming occurrence of a series
+ * @param {object} series - SessionSeries instance
+ * @param {object} student - Student leaving
+ * @param {Request} req - Express request (for the audit log)
+ * @returns {Promise<number>} - Seats released
+ */
+const leaveSeries = async (series, student, req) => {
+  const occurrences = await findBookableOccurrences(series.id);
+
+  const offered = [];
+  const released = await sequelize.transaction(async (transaction) => {
+    let count = 0;
+    for (const occurrence of occurrences) {
+      const locked = await lockSession(occurrence.id, transaction);
+      const seat = await SessionStudent.findEnrollment(locked.id, student.id, { transaction });
+      if (!seat || !seat.isEnrolled()) continue;
+
+      offered.push({ session: locked, entries: await releaseSeat(locked, seat, transaction) });
+      count++;
+    }
+    return count;
+  });
+
+  if (!released) {
+    throw sessionError(409, 'You are not booked into any upcoming occurrence of this series');
+  }
+
+  for (const { session, entries } of offered) {
+    await notifyOffers(session, entries);
+  }
+
+  await recordAudit({
+    action: 'session_series.left',
+    entityType: 'session_series',
+    entityId: series.id,
+    newValues: { studentId: student.id, occurrences: released }
+  }, req);
+
+  return released;
+};
+
+module.exports = {
+  serializeSeries,
+  expandOccurrences,
+  createSeries,
+  getSeries,
+  updateSeriesOccurrences,
+  cancelSeriesOccurrences,
+  joinSeries,
+  leaveSeries
+};
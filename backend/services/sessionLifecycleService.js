@@ -0,0 +1,287 @@
+const { Op } = require('sequelize');
+const { sequelize } = require('../config/database');
+const Session = require('../models/Session');
+const SessionStudent = require('../models/SessionStudent');
+const SessionWaitlistEntry = require('../models/SessionWaitlistEntry');
+const Attendance = require('../models/Attendance');
+const TutorEarning = require('../models/TutorEarning');
+const User = require('../models/User');
+const OrganizationSetting = require('../models/OrganizationSetting');
+const { sessionError, lockSession } = require('./sessionService');
+const { expireBooking } = require('./bookingService');
+const { sendFeedbackRequestEmail } = require('./emailService');
+const { sendFeedbackRequest } = require('./whatsappService');
+const { recordAudit } = require('./auditService');
+
+// Sessions moved per step of a sweep, so one sweep can't run for too long
+const LIFECYCLE_BATCH_SIZE = 100;
+
+// Statuses a session waits in until its start time
+const STARTABLE_STATUSES = ['scheduled', 'rescheduled'];
+
+let sweeping = false;
+
+/**
+ * Open the register when a session starts: a pending attendance row for
+ * every booked student who doesn't have one
+ * @param {object} session - Session instance, locked in the transaction
+ * @param {object} transaction - Sequelize transaction
+ * @returns {Promise<void>}
+ */
+const openAttendance = async (session, transaction) => {
+  const seats = await SessionStudent.findAll({
+    where: { sessionId: session.id, status: 'enrolled' },
+    attributes: ['studentId'],
+    transaction
+  });
+  const recorded = await Attendance.findAll({
+    where: { sessionId: session.id },
+    attributes: ['studentId'],
+    transaction
+  });
+
+  const recordedIds = new Set(recorded.map(row => row.studentId));
+  const missing = seats.filter(seat => !recordedIds.has(seat.studentId));
+  if (missing.length) {
+    await Attendance.bulkCreate(
+      missing.map(seat => ({ sessionId: session.id, studentId: seat.studentId, status: 'pending' })),
+      { transaction }
+    );
+  }
+};
+
+/**
+ * Close the register when a session completes: students still unmarked are
+ * absent, and each booked seat records whether its student came
+ * @param {object} session - Session instance, locked in the transaction
+ * @param {object} transaction - Sequelize transaction
+ * @returns {Promise<void>}
+ */
+const finalizeAttendance = async (session, transaction) => {
+  await openAttendance(session, transaction);
+  await Attendance.update(
+    { status: 'absent', reason: 'Not marked before the session ended', markedAt: new Date() },
+    { where: { sessionId: session.id, status: 'pending' }, transaction }
+  );
+
+  const attended = await Attendance.findAll({
+    where: { sessionId: session.id, status: ['present', 'late'] },
+    attributes: ['studentId'],
+    transaction
+  });
+  if (attended.length) {
+    await SessionStudent.update(
+      { status: 'attended' },
+      { where: { sessionId: session.id, status: 'enrolled', studentId: attended.map(row => row.studentId) }, transaction }
+    );
+  }
+  await SessionStudent.update(
+    { status: 'no_show' },
+    { where: { sessionId: session.id, status: 'enrolled' }, transaction }
+  );
+};
+
+/**
+ * Close the waitlist once a session starts: no seat can be taken in a session
+ * that is already running, so entries still waiting or holding an offer lapse
+ * @param {object} session - Session instance, locked in the transaction
+ * @param {object} transaction - Sequelize transaction
+ * @returns {Promise<void>}
+ */
+const closeWaitlist = async (session, transaction) => {
+  await SessionWaitlistEntry.update(
+    { status: 'expired', respondedAt: new Date() },
+    { where: { sessionId: session.id, status: SessionWaitlistEntry.ACTIVE_STATUSES }, transaction }
+  );
+};
+
+/**
+ * Record what the tutor earned for a completed session: its price for every
+ * seat held, less the organization's commission (the `tutor_commission_rate`
+ * setting, a percentage). Free sessions earn nothing and get no row.
+ * @param {object} session - Session instance, locked in the transaction
+ * @param {object} transaction - Sequelize transaction
+ * @returns {Promise<void>}
+ */
+const recordTutorEarning = async (session, transaction) => {
+  const seats = await SessionStudent.countHeldSeats(session.id, { transaction });
+  const amount = Math.round(parseFloat(session.price) * seats * 100) / 100;
+  if (!(amount > 0)) return;
+
+  if (await TutorEarning.findOne({ where: { sessionId: session.id }, transaction })) return;
+
+  const configured = parseFloat(await OrganizationSetting.getValue('tutor_commission_rate', 0)) || 0;
+  const commissionRate = Math.min(Math.max(configured, 0), 100);
+  const commissionAmount = Math.round(amount * commissionRate) / 100;
+
+  await TutorEarning.create({
+    tutorId: session.tutorId,
+    sessionId: session.id,
+    amount,
+    currency: session.currency,
+    commissionRate,
+    commissionAmount,
+    netAmount: Math.round((amount - commissionAmount) * 100) / 100
+  }, { transaction });
+};
+
+/**
+ * Ask the students who came to a completed session for feedback, by email
+ * and WhatsApp
+ * @param {object} session - Completed session
+ * @returns {Promise<void>}
+ */
+const requestFeedback = async (session) => {
+  const seats = await SessionStudent.findAll({
+    where: { sessionId: session.id, status: 'attended' },
+    include: [{ model: User, as: 'student' }]
+  });
+
+  for (const { student } of seats) {
+    if (!student) continue;
+
+    try {
+      await sendFeedbackRequestEmail(student.email, session, student);
+      if (student.phone) {
+        await sendFeedbackRequest(student.phone, session, student);
+      }
+    } catch (error) {
+      console.error('Feedback request failed:', error);
+    }
+  }
+};
+
+// Run in the transaction that changes the status, so a failure rolls the
+// change back
+const TRANSITION_HOOKS = {
+  ongoing: [openAttendance, closeWaitlist],
+  completed: [finalizeAttendance, recordTutorEarning, closeWaitlist]
+};
+
+// Run once the change is committed; a failure is logged and doesn't undo it
+const AFTER_TRANSITION_HOOKS = {
+  completed: [requestFeedback]
+};
+
+/**
+ * Move a session to a new status, if Session.TRANSITIONS allows it, and run
+ * the hooks for the status it enters. Cancellation has its own path
+ * (cancelSession), which also releases seats.
+ * @param {object} session - Session instance
+ * @param {string} status - Status to move to
+ * @param {Request} req - Express request, or null when the scheduler moves it
+ * @returns {Promise<object>} - Updated Session
+ */
+const transitionSession = async (session, status, req = null) => {
+  const previous = await sequelize.transaction(async (transaction) => {
+    const locked = await lockSession(session.id, transaction);
+    if (!locked.canTransitionTo(status)) {
+      throw sessionError(409, `A ${locked.status} session can't become ${status}`);
+    }
+
+    const from = locked.status;
+    await locked.update({ status }, { transaction });
+    for (const hook of TRANSITION_HOOKS[status] || []) {
+      await hook(locked, transaction);
+    }
+    return from;
+  });
+  await session.reload();
+
+  await recordAudit({
+    action: 'session.status_changed',
+    entityType: 'session',
+    entityId: session.id,
+    oldValues: { status: previous },
+    newValues: { status, automatic: !req }
+  }, req);
+
+  for (const hook of AFTER_TRANSITION_HOOKS[status] || []) {
+    try {
+      await hook(session);
+    } catch (error) {
+      console.error(`Session ${status} hook failed:`, error);
+    }
+  }
+
+  return session;
+};
+
+/**
+ * Move each due session on by one step. Another server may have moved a
+ * session first, which is not an error.
+ * @param {Array<object>} sessions - Sessions to move
+ * @param {string} status - Status to move them to
+ * @returns {Promise<number>} - How many moved
+ */
+const advanceAll = async (sessions, status) => {
+  let moved = 0;
+  for (const session of sessions) {
+    try {
+      await transitionSession(session, status);
+      moved++;
+    } catch (error) {
+      if (error.statusCode !== 409) {
+        console.error(`Failed to move session ${session.id} to ${status}:`, error);
+      }
+    }
+  }
+  return moved;
+};
+
+/**
+ * Start sessions whose start time has come and complete those whose end time
+ * has passed. A session that was missed entirely (say the server was down)
+ * is started and then completed in the same sweep, so every hook still runs.
+ * Booking requests still waiting for approval at their start time are
+ * cancelled with their pending payment.
+ * @param {Date} now - Current time
+ * @returns {Promise<object>} - { expired, started, completed }
+ */
+const advanceSessions = async (now = new Date()) => {
+  // A sweep still running when the next is due finishes alone
+  if (sweeping) return { expired: 0, started: 0, completed: 0 };
+  sweeping = true;
+
+  try {
+    const unanswered = await Session.findAll({
+      where: { status: 'requested', startTime: { [Op.lte]: now } },
+      order: [['startTime', 'ASC']],
+      limit: LIFECYCLE_BATCH_SIZE
+    });
+    let expired = 0;
+    for (const session of unanswered) {
+      try {
+        await expireBooking(session);
+        expired++;
+      } catch (error) {
+        if (error.statusCode !== 409) {
+          console.error(`Failed to expire booking request ${session.id}:`, error);
+        }
+      }
+    }
+
+    const due = await Session.findAll({
+      where: { status: STARTABLE_STATUSES, startTime: { [Op.lte]: now } },
+      order: [['startTime', 'ASC']],
+      limit: LIFECYCLE_BATCH_SIZE
+    });
+    const started = await advanceAll(due, 'ongoing');
+
+    const ended = await Session.findAll({
+      where: { status: 'ongoing', endTime: { [Op.lte]: now } },
+      order: [['endTime', 'ASC']],
+      limit: LIFECYCLE_BATCH_SIZE
+    });
+    const completed = await advanceAll(ended, 'completed');
+
+    return { expired, started, completed };
+  } finally {
+    sweeping = false;
+  }
+};
+
+module.exports = {
+  transitionSession,
+  advanceSessions
+};
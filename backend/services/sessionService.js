@@ -0,0 +1,699 @@
+const { Op } = require('sequelize');
+const { sequelize } = require('../config/database');
+const Session = require('../models/Session');
+const SessionStudent = require('../models/SessionStudent');
+const SessionWaitlistEntry = require('../models/SessionWaitlistEntry');
+const User = require('../models/User');
+const { requestHasPermission } = require('./permissionService');
+const { recordAudit } = require('./auditService');
+const { findConflicts, resolveConflicts, recordOverride } = require('./conflictService');
+const { WAITLIST_SESSION_TYPES, offerFreedSeats, notifyOffers } = require('./waitlistService');
+const { DEFAULT_TIMEZONE, isValidTimezone, resolveDisplaySettings, toZonedISOString } = require('./timezoneService');
+
+// Session.duration is validated to this range (minutes)
+const MIN_DURATION_MINUTES = 15;
+const MAX_DURATION_MINUTES = 480;
+
+// Fields a tutor may set when creating or editing a session
+const EDITABLE_FIELDS = [
+  'title', 'description', 'topic', 'startTime', 'endTime', 'sessionType',
+  'maxStudents', 'location', 'meetingLink', 'materials', 'notes', 'price',
+  'currency', 'tags', 'timezone'
+];
+
+const TUTOR_ATTRIBUTES = ['id', 'firstName', 'lastName', 'profilePicture'];
+
+// Statuses a session can still be moved to a new start time in; once it is
+// running only its end time can change
+const RESCHEDULABLE_STATUSES = ['requested', 'scheduled', 'rescheduled'];
+
+// Session types listed to everyone who can book a seat; one-on-ones are
+// private bookings. Full sessions stay listed so students can join the waitlist.
+const OPEN_SESSION_TYPES = ['group', 'workshop'];
+
+// What people who neither teach nor attend a session see of it: enough to
+// decide whether to book, but not its join details or the tutor's notes
+const PUBLIC_SESSION_FIELDS = [
+  'id', 'title', 'description', 'topic', 'startTime', 'endTime', 'duration',
+  'status', 'sessionType', 'maxStudents', 'currentStudents', 'price',
+  'currency', 'tags', 'timezone', 'tutorId', 'seriesId', 'tutor'
+];
+
+/**
+ * Build an error carrying the HTTP status the route should answer with
+ * @param {number} statusCode - HTTP status code
+ * @param {string} message - Error message
+ * @returns {Error} - Error with statusCode
+ */
+const sessionError = (statusCode, message) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+/**
+ * A session as JSON, with its times also given in the viewer's timezone (the
+ * session's own for viewers who haven't set one)
+ * @param {object} session - Session instance
+ * @param {object} viewer - User the response is for
+ * @param {object} options - { restricted } for viewers who neither teach nor
+ *   attend the session, who only get PUBLIC_SESSION_FIELDS
+ * @returns {object} - Session fields plus local { timezone, startTime, endTime }
+ */
+const serializeSession = (session, viewer, options = {}) => {
+  const { timezone } = resolveDisplaySettings(viewer, session.timezone);
+  const fields = session.toJSON();
+
+  return {
+    ...(options.restricted
+      ? Object.fromEntries(PUBLIC_SESSION_FIELDS.filter(field => field in fields).map(field => [field, fields[field]]))
+      : fields),
+    local: {
+      timezone,
+      startTime: toZonedISOString(session.startTime, timezone),
+      endTime: toZonedISOString(session.endTime, timezone)
+    }
+  };
+};
+
+/**
+ * Opaque list cursor pointing just after a session
+ * @param {object} session - Last session on the page
+ * @returns {string} - base64url cursor
+ */
+const encodeCursor = (session) => {
+  return Buffer.from(JSON.stringify({
+    startTime: new Date(session.startTime).toISOString(),
+    id: session.id
+  })).toString('base64url');
+};
+
+/**
+ * Read a cursor produced by encodeCursor
+ * @param {string} cursor - base64url cursor
+ * @returns {object} - { startTime, id }
+ */
+const decodeCursor = (cursor) => {
+  try {
+    const { startTime, id } = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+    if (!id || isNaN(new Date(startTime).getTime())) throw new Error('Malformed cursor');
+    return { startTime: new Date(startTime), id: String(id) };
+  } catch (error) {
+    throw sessionError(400, 'Invalid cursor');
+  }
+};
+
+/**
+ * Turn a comma-separated query value (or repeated parameter) into a list
+ * @param {string|Array<string>} value - Query value
+ * @returns {Array<string>} - Non-empty trimmed entries
+ */
+const parseList = (value) => {
+  const values = Array.isArray(value) ? value : [value];
+  return values
+    .flatMap(entry => String(entry || '').split(','))
+    .map(entry => entry.trim())
+    .filter(Boolean);
+};
+
+/**
+ * Whether the caller may change a session: `.any`, or `.own` as its tutor
+ * @param {Request} req - Express request after authenticateToken
+ * @param {object} session - Session instance
+ * @param {string} action - 'update' or 'cancel'
+ * @returns {Promise<boolean>}
+ */
+const canManageSession = async (req, session, action) => {
+  if (await requestHasPermission(req, `sessions.${action}.any`)) return true;
+  if (req.apiKey || session.tutorId !== req.user.id) return false;
+  return requestHasPermission(req, `sessions.${action}.own`);
+};
+
+/**
+ * Check start/end times and work out the duration the model stores
+ * @param {Date} startTime - Session start
+ * @param {Date} endTime - Session end
+ * @param {object} options - { started } for a session already running, whose
+ *   start is in the past and whose end must still be ahead
+ * @returns {number} - Duration in minutes
+ */
+const validateSchedule = (startTime, endTime, options = {}) => {
+  if (options.started) {
+    if (endTime <= new Date()) {
+      throw sessionError(400, 'End time must be in the future');
+    }
+  } else if (startTime <= new Date()) {
+    throw sessionError(400, 'Start time must be in the future');
+  }
+  if (endTime <= startTime) {
+    throw sessionError(400, 'End time must be after start time');
+  }
+
+  const duration = Math.round((endTime - startTime) / 60000);
+  if (duration < MIN_DURATION_MINUTES || duration > MAX_DURATION_MINUTES) {
+    throw sessionError(400, `Sessions must last between ${MIN_DURATION_MINUTES} minutes and ${MAX_DURATION_MINUTES / 60} hours`);
+  }
+  return duration;
+};
+
+/**
+ * The editable fields present in a request body
+ * @param {object} data - Request body
+ * @returns {object} - Fields from EDITABLE_FIELDS that were given
+ */
+const pickEditableFields = (data) => {
+  const fields = {};
+  EDITABLE_FIELDS.forEach(field => {
+    if (data[field] !== undefined) fields[field] = data[field];
+  });
+  return fields;
+};
+
+/**
+ * Work out who teaches a new session. Tutors schedule their own; staff who
+ * can edit any session may schedule for another active tutor.
+ * @param {Request} req - Express request after authenticateToken
+ * @param {string} tutorId - Requested tutor, if any
+ * @returns {Promise<string>} - Tutor ID
+ */
+const resolveTutorId = async (req, tutorId) => {
+  const resolved = tutorId || (req.user.isTutor() ? req.user.id : null);
+  if (!resolved) {
+    throw sessionError(400, 'tutorId is required');
+  }
+
+  if (resolved !== req.user.id) {
+    if (!(await requestHasPermission(req, 'sessions.update.any'))) {
+      throw sessionError(403, 'You can only schedule your own sessions');
+    }
+
+    const tutor = await User.findByPk(resolved);
+    if (!tutor || !tutor.isTutor() || tutor.status !== 'active') {
+      throw sessionError(400, 'tutorId must be an active tutor');
+    }
+  }
+
+  return resolved;
+};
+
+/**
+ * The timezone a new session is scheduled in: the one asked for, otherwise
+ * its tutor's
+ * @param {string} timezone - Requested IANA timezone, if any
+ * @param {string} tutorId - Tutor ID
+ * @returns {Promise<string>} - IANA timezone
+ */
+const resolveSessionTimezone = async (timezone, tutorId) => {
+  if (timezone) return timezone;
+
+  const tutor = await User.findByPk(tutorId, { attributes: ['id', 'timezone'] });
+  return tutor && isValidTimezone(tutor.timezone) ? tutor.timezone : DEFAULT_TIMEZONE;
+};
+
+/**
+ * Lock a session's row for the rest of a transaction, so seat changes on it
+ * happen one at a time
+ * @param {string} sessionId - Session ID
+ * @param {object} transaction - Sequelize transaction
+ * @returns {Promise<object>} - Locked Session
+ */
+const lockSession = async (sessionId, transaction) => {
+  const session = await Session.lockForUpdate(sessionId, transaction);
+  if (!session) {
+    throw sessionError(404, 'Session not found');
+  }
+  return session;
+};
+
+/**
+ * Recount the seats taken in session_students and store the result in
+ * currentStudents, so the counter can't drift from the enrollments
+ * @param {object} session - Session instance, locked in the transaction
+ * @param {object} transaction - Sequelize transaction
+ * @returns {Promise<number>} - Seats taken
+ */
+const syncSeatCount = async (session, transaction) => {
+  const seats = await SessionStudent.countHeldSeats(session.id, { transaction });
+  if (session.currentStudents !== seats) {
+    await session.update({ currentStudents: seats }, { transaction });
+  }
+  return seats;
+};
+
+/**
+ * The sessions in a list a viewer neither teaches nor holds a seat in; they
+ * only see those with { restricted: true }
+ * @param {Array<object>} sessions - Sessions being shown
+ * @param {string} viewerId - User the response is for
+ * @param {Array<string>} enrolledIds - Sessions the viewer holds a seat in
+ * @returns {Array<string>} - Session IDs
+ */
+const findNonParticipantIds = (sessions, viewerId, enrolledIds) => {
+  return sessions
+    .filter(session => session.tutorId !== viewerId && !enrolledIds.includes(session.id))
+    .map(session => session.id);
+};
+
+/**
+ * List the sessions a caller can see, oldest start first (or newest with
+ * order 'desc'), one page at a time
+ * @param {Request} req - Express request after authenticateToken
+ * @param {object} filters - { tutorId, seriesId, topic, tags, status,
+ *   sessionType, from, to, mine, order, cursor, limit }
+ * @returns {Promise<object>} - { sessions, nextCursor, openSessionIds } where
+ *   openSessionIds are the listed sessions the caller only sees because they
+ *   are open for booking (serialize those with { restricted: true })
+ */
+const listSessions = async (req, filters = {}) => {
+  const conditions = [];
+  let enrolledIds = null;
+
+  // Without oversight, callers see what they teach or attend, plus upcoming
+  // group sessions if they can book one
+  const seesAll = await requestHasPermission(req, 'sessions.view.any');
+  if (!seesAll || filters.mine) {
+    enrolledIds = await SessionStudent.findEnrolledSessionIds(req.user.id);
+    const visible = [
+      { tutorId: req.user.id },
+      { id: enrolledIds }
+    ];
+    if (!filters.mine && await requestHasPermission(req, 'sessions.join')) {
+      visible.push({ status: 'scheduled', sessionType: OPEN_SESSION_TYPES, startTime: { [Op.gt]: new Date() } });
+    }
+    conditions.push({ [Op.or]: visible });
+  }
+
+  if (filters.tutorId) conditions.push({ tutorId: filters.tutorId });
+  if (filters.seriesId) conditions.push({ seriesId: filters.seriesId });
+  if (filters.topic) conditions.push({ topic: filters.topic });
+  if (filters.sessionType) conditions.push({ sessionType: filters.sessionType });
+
+  const statuses = parseList(filters.status);
+  if (statuses.length) conditions.push({ status: statuses });
+
+  // Sessions must carry every requested tag
+  const tags = parseList(filters.tags);
+  if (tags.length) {
+    conditions.push(sequelize.where(
+      sequelize.fn('JSON_CONTAINS', sequelize.col('tags'), JSON.stringify(tags)),
+      1
+    ));
+  }
+
+  if (filters.from) conditions.push({ startTime: { [Op.gte]: new Date(filters.from) } });
+  if (filters.to) conditions.push({ startTime: { [Op.lte]: new Date(filters.to) } });
+
+  const descending = filters.order === 'desc';
+  if (filters.cursor) {
+    const cursor = decodeCursor(filters.cursor);
+    const beyond = descending ? Op.lt : Op.gt;
+    conditions.push({
+      [Op.or]: [
+        { startTime: { [beyond]: cursor.startTime } },
+        { startTime: cursor.startTime, id: { [beyond]: cursor.id } }
+      ]
+    });
+  }
+
+  const limit = filters.limit || 20;
+  const direction = descending ? 'DESC' : 'ASC';
+
+  // One extra row tells us whether there is another page
+  const rows = await Session.findAll({
+    where: { [Op.and]: conditions },
+    include: [{ model: User, as: 'tutor', attributes: TUTOR_ATTRIBUTES }],
+    order: [['startTime', direction], ['id', direction]],
+    limit: limit + 1
+  });
+
+  const sessions = rows.slice(0, limit);
+  return {
+    sessions,
+    nextCursor: rows.length > limit ? encodeCursor(sessions[sessions.length - 1]) : null,
+    openSessionIds: enrolledIds ? findNonParticipantIds(sessions, req.user.id, enrolledIds) : []
+  };
+};
+
+/**
+ * Load a session with its tutor, and its roster for callers who run it
+ * @param {Request} req - Express request after requireSessionAccess
+ * @param {string} sessionId - Session ID
+ * @returns {Promise<object>} - { session, students } (students is null for attendees)
+ */
+const getSessionDetails = async (req, sessionId) => {
+  const session = await Session.findByPk(sessionId, {
+    include: [{ model: User, as: 'tutor', attributes: TUTOR_ATTRIBUTES }]
+  });
+  if (!session) {
+    throw sessionError(404, 'Session not found');
+  }
+
+  const runsSession = (!req.apiKey && session.tutorId === req.user.id)
+    || await requestHasPermission(req, 'sessions.view.any');
+
+  let students = null;
+  if (runsSession) {
+    students = await SessionStudent.findAll({
+      where: { sessionId, status: SessionStudent.HELD_STATUSES },
+      include: [{ model: User, as: 'student', attributes: ['id', 'firstName', 'lastName', 'email', 'profilePicture'] }],
+      order: [['enrollmentDate', 'ASC']]
+    });
+  }
+
+  return { session, students };
+};
+
+/**
+ * Take a seat for a student in a locked session, unless it is full. Free
+ * seats go to the front of the waitlist first; a student holding an offer
+ * claims it here.
+ * @param {object} locked - Session instance, locked in the transaction
+ * @param {object} student - Student booking the seat
+ * @param {object} existing - The student's earlier (cancelled) enrollment, if any
+ * @param {object} transaction - Sequelize transaction
+ * @returns {Promise<object>} - { seat, offered }; seat is null when the session is full
+ */
+const reserveSeat = async (locked, student, existing, transaction) => {
+  const offered = await offerFreedSeats(locked, transaction);
+  const entry = await SessionWaitlistEntry.findEntry(locked.id, student.id, { transaction });
+  const holdsOffer = !!entry && entry.isOfferOpen();
+
+  const seats = await SessionStudent.countHeldSeats(locked.id, { transaction });
+  const offers = await SessionWaitlistEntry.countOpenOffers(locked.id, { transaction });
+  if (seats + offers - (holdsOffer ? 1 : 0) >= locked.maxStudents) {
+    return { seat: null, offered };
+  }
+
+  let seat = existing;
+  if (seat) {
+    await seat.update({ status: 'enrolled', enrollmentDate: new Date() }, { transaction });
+  } else {
+    seat = await SessionStudent.create({ sessionId: locked.id, studentId: student.id }, { transaction });
+  }
+
+  if (entry && entry.isActive()) {
+    await entry.update({ status: 'claimed', respondedAt: new Date() }, { transaction });
+  }
+
+  await syncSeatCount(locked, transaction);
+  return { seat, offered };
+};
+
+/**
+ * Give up a seat in a locked session and offer it to the waitlist
+ * @param {object} locked - Session instance, locked in the transaction
+ * @param {object} seat - SessionStudent enrollment being released
+ * @param {object} transaction - Sequelize transaction
+ * @returns {Promise<Array<object>>} - Waitlist entries offered the seat
+ */
+const releaseSeat = async (locked, seat, transaction) => {
+  await seat.update({ status: 'cancelled' }, { transaction });
+  await syncSeatCount(locked, transaction);
+  return offerFreedSeats(locked, transaction);
+};
+
+/**
+ * Cancel a locked session, its bookings and its waitlist
+ * @param {object} locked - Session instance, locked in the transaction
+ * @param {string} reason - Optional reason, kept in the session's metadata
+ * @param {object} transaction - Sequelize transaction
+ * @returns {Promise<void>}
+ */
+const cancelLockedSession = async (locked, reason, transaction) => {
+  if (!locked.canTransitionTo('cancelled')) {
+    throw sessionError(409, `Session is already ${locked.status}`);
+  }
+
+  await SessionStudent.update(
+    { status: 'cancelled' },
+    { where: { sessionId: locked.id, status: 'enrolled' }, transaction }
+  );
+  await SessionWaitlistEntry.update(
+    { status: 'cancelled', respondedAt: new Date() },
+    { where: { sessionId: locked.id, status: SessionWaitlistEntry.ACTIVE_STATUSES }, transaction }
+  );
+
+  await locked.update({
+    status: 'cancelled',
+    metadata: { ...(locked.metadata || {}), cancellationReason: reason || null, cancelledAt: new Date() }
+  }, { transaction });
+  await syncSeatCount(locked, transaction);
+};
+
+/**
+ * Schedule a one-off session
+ * @param {Request} req - Express request after authenticateToken
+ * @param {object} data - Session fields, plus optional tutorId and
+ *   overrideConflicts/overrideReason
+ * @returns {Promise<object>} - Created Session
+ */
+const createSession = async (req, data) => {
+  const tutorId = await resolveTutorId(req, data.tutorId);
+
+  const startTime = new Date(data.startTime);
+  const endTime = new Date(data.endTime);
+  const duration = validateSchedule(startTime, endTime);
+
+  const conflicts = await findConflicts({ tutorId, startTime, endTime });
+  const override = await resolveConflicts(req, conflicts, data);
+
+  const session = await Session.create({
+    ...pickEditableFields(data),
+    startTime,
+    endTime,
+    duration,
+    timezone: await resolveSessionTimezone(data.timezone, tutorId),
+    tutorId
+  });
+
+  await recordAudit({
+    action: 'session.created',
+    entityType: 'session',
+    entityId: session.id,
+    newValues: { title: session.title, tutorId, startTime, endTime }
+  }, req);
+  await recordOverride(req, 'session', session.id, override);
+
+  return session;
+};
+
+/**
+ * Throw unless a session may be moved to a new start time
+ * @param {object} session - Session instance
+ * @returns {void}
+ */
+const assertReschedulable = (session) => {
+  if (!RESCHEDULABLE_STATUSES.includes(session.status)) {
+    throw sessionError(409, `A session that is ${session.status} can't be moved; only its end time can change`);
+  }
+};
+
+/**
+ * Edit a session that hasn't finished. A new time is checked for conflicts
+ * like a new session, including with other sessions its students are booked
+ * into. Once a session is running only its end time can move, and only to a
+ * time still ahead.
+ * @param {object} session - Session instance
+ * @param {object} data - Fields to change (see EDITABLE_FIELDS), plus
+ *   overrideConflicts/overrideReason
+ * @param {Request} req - Express request after authenticateToken
+ * @returns {Promise<object>} - Updated Session
+ */
+const updateSession = async (session, data, req) => {
+  if (['completed', 'cancelled'].includes(session.status)) {
+    throw sessionError(409, `A ${session.status} session can't be edited`);
+  }
+
+  const changes = pickEditableFields(data);
+
+  // A start time sent back unchanged alongside a new end time isn't a move
+  const moved = !!changes.startTime && new Date(changes.startTime).getTime() !== new Date(session.startTime).getTime();
+  if (moved) assertReschedulable(session);
+
+  let override = null;
+  if (changes.startTime || changes.endTime) {
+    changes.startTime = new Date(changes.startTime || session.startTime);
+    changes.endTime = new Date(changes.endTime || session.endTime);
+    changes.duration = validateSchedule(changes.startTime, changes.endTime, {
+      started: !RESCHEDULABLE_STATUSES.includes(session.status)
+    });
+
+    const conflicts = await findConflicts({
+      tutorId: session.tutorId,
+      startTime: changes.startTime,
+      endTime: changes.endTime,
+      sessionId: session.id
+    });
+    override = await resolveConflicts(req, conflicts, data);
+  }
+
+  const oldValues = {};
+  Object.keys(changes).forEach(field => { oldValues[field] = session[field]; });
+
+  // Capacity is checked under the same lock joins take; extra seats go to the waitlist
+  const offered = await sequelize.transaction(async (transaction) => {
+    const locked = await lockSession(session.id, transaction);
+    // The session may have started since it was loaded
+    if (moved) assertReschedulable(locked);
+    if (changes.maxStudents !== undefined) {
+      const seats = await syncSeatCount(locked, transaction);
+      if (changes.maxStudents < seats) {
+        throw sessionError(409, `${seats} students are already booked; maxStudents can't be lower`);
+      }
+    }
+    await locked.update(changes, { transaction });
+    return offerFreedSeats(locked, transaction);
+  });
+  await session.reload();
+  await notifyOffers(session, offered);
+
+  await recordAudit({
+    action: 'session.updated',
+    entityType: 'session',
+    entityId: session.id,
+    oldValues,
+    newValues: changes
+  }, req);
+  await recordOverride(req, 'session', session.id, override);
+
+  return session;
+};
+
+/**
+ * Cancel a session, releasing its seats and closing its waitlist
+ * @param {object} session - Session instance
+ * @param {string} reason - Optional reason, kept in the session's metadata
+ * @param {Request} req - Express request (for the audit log)
+ * @returns {Promise<object>} - Updated Session
+ */
+const cancelSession = async (session, reason, req) => {
+  if (['completed', 'cancelled'].includes(session.status)) {
+    throw sessionError(409, `Session is already ${session.status}`);
+  }
+
+  await sequelize.transaction(async (transaction) => {
+    const locked = await lockSession(session.id, transaction);
+    await cancelLockedSession(locked, reason, transaction);
+  });
+  await session.reload();
+
+  await recordAudit({
+    action: 'session.cancelled',
+    entityType: 'session',
+    entityId: session.id,
+    newValues: { reason: reason || null }
+  }, req);
+
+  return session;
+};
+
+/**
+ * Book the signed-in student into a session. The seat check and the booking
+ * run under a lock on the session row, so concurrent joins can't overbook it.
+ * Seats offered to waitlisted students are held for them until the offer
+ * runs out; a student holding an offer claims it by joining.
+ * @param {object} session - Session instance
+ * @param {object} student - Student booking the seat
+ * @param {Request} req - Express request (for the audit log)
+ * @returns {Promise<object>} - SessionStudent enrollment
+ */
+const joinSession = async (session, student, req) => {
+  if (session.tutorId === student.id) {
+    throw sessionError(400, 'You can\'t book a seat in your own session');
+  }
+
+  let offered = [];
+  const enrollment = await sequelize.transaction(async (transaction) => {
+    const locked = await lockSession(session.id, transaction);
+    if (locked.status !== 'scheduled' || new Date(locked.startTime) <= new Date()) {
+      throw sessionError(409, 'This session is not open for booking');
+    }
+
+    const existing = await SessionStudent.findEnrollment(locked.id, student.id, { transaction });
+    if (existing && existing.status !== 'cancelled') {
+      throw sessionError(409, 'You are already booked into this session');
+    }
+
+    // A full session commits (keeping any offers just made) and answers 409 afterwards
+    const reservation = await reserveSeat(locked, student, existing, transaction);
+    offered = reservation.offered;
+    return reservation.seat;
+  });
+  await session.reload();
+  await notifyOffers(session, offered.filter(entry => !enrollment || entry.studentId !== student.id));
+
+  if (!enrollment) {
+    throw sessionError(409, WAITLIST_SESSION_TYPES.includes(session.sessionType)
+      ? 'This session is full. Join the waitlist to be offered the next free seat.'
+      : 'This session is full');
+  }
+
+  await recordAudit({
+    action: 'session.joined',
+    entityType: 'session',
+    entityId: session.id,
+    newValues: { studentId: student.id }
+  }, req);
+
+  return enrollment;
+};
+
+/**
+ * Give up the signed-in student's seat before the session starts; it is
+ * offered to the next student on the waitlist
+ * @param {object} session - Session instance
+ * @param {object} student - Student leaving
+ * @param {Request} req - Express request (for the audit log)
+ * @returns {Promise<object>} - Cancelled SessionStudent enrollment
+ */
+const leaveSession = async (session, student, req) => {
+  let offered = [];
+  const enrollment = await sequelize.transaction(async (transaction) => {
+    const locked = await lockSession(session.id, transaction);
+
+    const seat = await SessionStudent.findEnrollment(locked.id, student.id, { transaction });
+    if (!seat || !seat.isEnrolled()) {
+      throw sessionError(409, 'You are not booked into this session');
+    }
+    if (locked.status !== 'scheduled' || new Date(locked.startTime) <= new Date()) {
+      throw sessionError(409, 'You can only leave a session before it starts');
+    }
+
+    offered = await releaseSeat(locked, seat, transaction);
+    return seat;
+  });
+  await session.reload();
+  await notifyOffers(session, offered);
+
+  await recordAudit({
+    action: 'session.left',
+    entityType: 'session',
+    entityId: session.id,
+    newValues: { studentId: student.id }
+  }, req);
+
+  return enrollment;
+};
+
+module.exports = {
+  sessionError,
+  serializeSession,
+  pickEditableFields,
+  resolveTutorId,
+  resolveSessionTimezone,
+  validateSchedule,
+  lockSession,
+  syncSeatCount,
+  reserveSeat,
+  releaseSeat,
+  cancelLockedSession,
+  canManageSession,
+  findNonParticipantIds,
+  listSessions,
+  getSessionDetails,
+  createSession,
+  updateSession,
+  cancelSession,
+  joinSession,
+  leaveSession
+};
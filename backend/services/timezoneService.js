@@ -0,0 +1,258 @@
+// Converting between UTC instants and wall-clock times in IANA timezones,
+// and showing times to people in their own zone and locale, using the Intl
+// data built into Node rather than a timezone library
+require('dotenv').config();
+
+// Zone and locale for people (and sessions) that haven't set their own
+const DEFAULT_TIMEZONE = process.env.DEFAULT_TIMEZONE || 'UTC';
+const DEFAULT_LOCALE = process.env.DEFAULT_LOCALE || 'en-US';
+
+// How dates and times are written in messages, in the reader's locale
+const DISPLAY_STYLES = {
+  date: { weekday: 'short', year: 'numeric', month: 'short', day: 'numeric' },
+  time: { hour: 'numeric', minute: '2-digit', timeZoneName: 'short' },
+  dateTime: { weekday: 'short', year: 'numeric', month: 'short', day: 'numeric', hour: 'numeric', minute: '2-digit', timeZoneName: 'short' }
+};
+
+const formatters = new Map();
+const displayFormatters = new Map();
+
+const getFormatter = (timezone) => {
+  if (!formatters.has(timezone)) {
+    formatters.set(timezone, new Intl.DateTimeFormat('en-US', {
+      timeZone: timezone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: 'numeric',
+      day: 'numeric',
+      hour: 'numeric',
+      minute: 'numeric',
+      second: 'numeric'
+    }));
+  }
+  return formatters.get(timezone);
+};
+
+/**
+ * Whether a string names a timezone Node knows, e.g. 'Europe/London'
+ * @param {string} timezone - IANA timezone name
+ * @returns {boolean}
+ */
+const isValidTimezone = (timezone) => {
+  if (!timezone || typeof timezone !== 'string') return false;
+  try {
+    getFormatter(timezone);
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+/**
+ * The wall-clock date and time of an instant in a timezone
+ * @param {Date} date - Instant
+ * @param {string} timezone - IANA timezone name
+ * @returns {object} - { year, month (1-12), day, hour, minute, second, weekday (0 = Sunday) }
+ */
+const getZonedParts = (date, timezone) => {
+  const parts = {};
+  getFormatter(timezone).formatToParts(new Date(date)).forEach(({ type, value }) => {
+    if (type !== 'literal') parts[type] = parseInt(value);
+  });
+  return {
+    year: parts.year,
+    month: parts.month,
+    day: parts.day,
+    hour: parts.hour,
+    minute: parts.minute,
+    second: parts.second,
+    weekday: new Date(Date.UTC(parts.year, parts.month - 1, parts.day)).getUTCDay()
+  };
+};
+
+/**
+ * How far a timezone is ahead of UTC at an instant
+ * @param {Date} date - Instant
+ * @param {string} timezone - IANA timezone name
+ * @returns {number} - Offset in minutes (negative west of UTC)
+ */
+const getOffsetMinutes = (date, timezone) => {
+  const parts = getZonedParts(date, timezone);
+  const asUtc = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+  return Math.round((asUtc - Math.floor(new Date(date).getTime() / 1000) * 1000) / 60000);
+};
+
+/**
+ * The instant a wall-clock time happens in a timezone. Out-of-range fields
+ * roll over like Date.UTC (minute 1440 is midnight the next day). Near a DST
+ * change, a time that happens twice resolves to the first, and a time
+ * skipped by the change moves forward by the length of the gap.
+ * @param {object} local - { year, month (1-12), day, hour, minute }
+ * @param {string} timezone - IANA timezone name
+ * @returns {Date} - UTC instant
+ */
+const zonedTimeToUtc = ({ year, month, day, hour = 0, minute = 0 }, timezone) => {
+  const wallClock = Date.UTC(year, month - 1, day, hour, minute);
+  const DAY_MS = 24 * 60 * 60 * 1000;
+
+  // A day either side of the wall clock reading, the zone is on the offsets
+  // in force before and after any DST change near it
+  const candidates = [...new Set([
+    getOffsetMinutes(new Date(wallClock - DAY_MS), timezone),
+    getOffsetMinutes(new Date(wallClock + DAY_MS), timezone)
+  ])].map(offset => ({ offset, instant: wallClock - offset * 60000 }));
+
+  const matching = candidates
+    .filter(({ offset, instant }) => getOffsetMinutes(new Date(instant), timezone) === offset)
+    .map(({ instant }) => instant);
+  if (matching.length) return new Date(Math.min(...matching));
+
+  // No offset gives back this clock reading, so it falls in a DST gap;
+  // reading it with the offset from before the gap lands after it
+  return new Date(Math.max(...candidates.map(({ instant }) => instant)));
+};
+
+/**
+ * Whether a string is a locale Node can format dates in, e.g. 'en-GB'
+ * @param {string} locale - BCP 47 language tag
+ * @returns {boolean}
+ */
+const isValidLocale = (locale) => {
+  if (!locale || typeof locale !== 'string') return false;
+  try {
+    return Intl.DateTimeFormat.supportedLocalesOf(locale).length > 0;
+  } catch (error) {
+    return false;
+  }
+};
+
+/**
+ * The zone and locale to show times in for someone: their own preference,
+ * otherwise the zone the session (or whatever is being shown) runs in,
+ * otherwise DEFAULT_TIMEZONE/DEFAULT_LOCALE
+ * @param {object} recipient - User, or any { timezone, locale }; may be null
+ * @param {string} fallbackTimezone - Zone to use when the recipient has none
+ * @returns {object} - { timezone, locale }
+ */
+const resolveDisplaySettings = (recipient, fallbackTimezone = null) => {
+  let timezone = DEFAULT_TIMEZONE;
+  if (recipient && isValidTimezone(recipient.timezone)) {
+    timezone = recipient.timezone;
+  } else if (isValidTimezone(fallbackTimezone)) {
+    timezone = fallbackTimezone;
+  }
+
+  return {
+    timezone,
+    locale: recipient && isValidLocale(recipient.locale) ? recipient.locale : DEFAULT_LOCALE
+  };
+};
+
+const formatFor = (style, date, recipient, fallbackTimezone) => {
+  const { timezone, locale } = resolveDisplaySettings(recipient, fallbackTimezone);
+  const key = `${style}|${locale}|${timezone}`;
+  if (!displayFormatters.has(key)) {
+    displayFormatters.set(key, new Intl.DateTimeFormat(locale, { ...DISPLAY_STYLES[style], timeZone: timezone }));
+  }
+  return displayFormatters.get(key).format(new Date(date));
+};
+
+/**
+ * An instant's date as the recipient reads it, e.g. 'Tue, Mar 10, 2026'
+ * @param {Date} date - Instant
+ * @param {object} recipient - User, or any { timezone, locale }
+ * @param {string} fallbackTimezone - Zone to use when the recipient has none
+ * @returns {string}
+ */
+const formatDate = (date, recipient, fallbackTimezone) => formatFor('date', date, recipient, fallbackTimezone);
+
+/**
+ * An instant's time of day as the recipient reads it, with the zone, e.g.
+ * '3:30 PM EDT'
+ * @param {Date} date - Instant
+ * @param {object} recipient - User, or any { timezone, locale }
+ * @param {string} fallbackTimezone - Zone to use when the recipient has none
+ * @returns {string}
+ */
+const formatTime = (date, recipient, fallbackTimezone) => formatFor('time', date, recipient, fallbackTimezone);
+
+/**
+ * Date and time together, e.g. 'Tue, Mar 10, 2026, 3:30 PM EDT'
+ * @param {Date} date - Instant
+ * @param {object} recipient - User, or any { timezone, locale }
+ * @param {string} fallbackTimezone - Zone to use when the recipient has none
+ * @returns {string}
+ */
+const formatDateTime = (date, recipient, fallbackTimezone) => formatFor('dateTime', date, recipient, fallbackTimezone);
+
+/**
+ * An instant as ISO 8601 with the zone's offset, e.g.
+ * '2026-03-10T15:30:00-04:00', so clients get the local reading and the
+ * instant in one string
+ * @param {Date} date - Instant
+ * @param {string} timezone - IANA timezone name
+ * @returns {string}
+ */
+const toZonedISOString = (date, timezone) => {
+  const parts = getZonedParts(date, timezone);
+  const offset = getOffsetMinutes(date, timezone);
+  const pad = (value, length = 2) => String(value).padStart(length, '0');
+  const sign = offset < 0 ? '-' : '+';
+
+  return `${pad(parts.year, 4)}-${pad(parts.month)}-${pad(parts.day)}T${pad(parts.hour)}:${pad(parts.minute)}:${pad(parts.second)}`
+    + `${sign}${pad(Math.floor(Math.abs(offset) / 60))}:${pad(Math.abs(offset) % 60)}`;
+};
+
+/**
+ * Move an instant by a wall-clock amount in a timezone, so "a week later" or
+ * "an hour later" keeps the same clock time across a DST change
+ * @param {Date} date - Instant
+ * @param {number} shiftMs - Amount to move the wall-clock reading by
+ * @param {string} timezone - IANA timezone name
+ * @returns {Date} - UTC instant
+ */
+const shiftWallClock = (date, shiftMs, timezone) => {
+  const parts = getZonedParts(date, timezone);
+  const moved = new Date(Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute) + shiftMs);
+
+  return zonedTimeToUtc({
+    year: moved.getUTCFullYear(),
+    month: moved.getUTCMonth() + 1,
+    day: moved.getUTCDate(),
+    hour: moved.getUTCHours(),
+    minute: moved.getUTCMinutes()
+  }, timezone);
+};
+
+/**
+ * How far apart two instants' wall-clock readings are in a timezone; the
+ * amount shiftWallClock needs to move one onto the other
+ * @param {Date} from - Instant
+ * @param {Date} to - Instant
+ * @param {string} timezone - IANA timezone name
+ * @returns {number} - Milliseconds
+ */
+const wallClockDifference = (from, to, timezone) => {
+  const reading = (date) => {
+    const parts = getZonedParts(date, timezone);
+    return Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+  };
+  return reading(to) - reading(from);
+};
+
+module.exports = {
+  DEFAULT_TIMEZONE,
+  DEFAULT_LOCALE,
+  isValidTimezone,
+  isValidLocale,
+  getZonedParts,
+  getOffsetMinutes,
+  zonedTimeToUtc,
+  shiftWallClock,
+  wallClockDifference,
+  resolveDisplaySettings,
+  formatDate,
+  formatTime,
+  formatDateTime,
+  toZonedISOString
+};
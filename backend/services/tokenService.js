@@ -0,0 +1,188 @@
+const jwt = require('jsonwebtoken');
+const { v4: uuidv4 } = require('uuid');
+const User = require('../models/User');
+const RefreshToken = require('../models/RefreshToken');
+const LoginSession = require('../models/LoginSession');
+const { generateToken, generateRefreshToken } = require('../middleware/auth');
+const { sendEmail } = require('./emailService');
+const { startLoginSession, extendLoginSession, revokeLogin } = require('./loginSessionService');
+
+/**
+ * Build an error carrying the HTTP status the route should answer with
+ * @param {number} statusCode - HTTP status code
+ * @param {string} message - Error message
+ * @returns {Error} - Error with statusCode
+ */
+const tokenError = (statusCode, message) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+/**
+ * Issue a refresh token and persist it in its family
+ * @param {object} user - User the token belongs to
+ * @param {object} options - familyId to continue a family (new family if omitted), req for client details
+ * @returns {Promise<string>} - Signed refresh token
+ */
+const issueRefreshToken = async (user, options = {}) => {
+  const familyId = options.familyId || uuidv4();
+  const token = generateRefreshToken(user, familyId);
+  const decoded = jwt.decode(token);
+  const expiresAt = new Date(decoded.exp * 1000);
+
+  // A new family is a new login; a rotation keeps the login alive
+  if (options.familyId) {
+    await extendLoginSession(familyId, expiresAt, options.req);
+  } else {
+    await startLoginSession(user, familyId, expiresAt, options.req);
+  }
+
+  await RefreshToken.create({
+    jti: decoded.jti,
+    familyId,
+    userId: user.id,
+    expiresAt,
+    ipAddress: options.req ? options.req.ip : null,
+    userAgent: options.req ? options.req.get('User-Agent') : null
+  });
+
+  return token;
+};
+
+/**
+ * Issue an access token and a refresh token starting a new family
+ * @param {object} user - User to sign in
+ * @param {Request} req - Express request (for IP and user agent)
+ * @returns {Promise<object>} - { accessToken, refreshToken }
+ */
+const issueTokenPair = async (user, req) => {
+  const refreshToken = await issueRefreshToken(user, { req });
+  const accessToken = generateToken(user, jwt.decode(refreshToken).familyId);
+
+  return { accessToken, refreshToken };
+};
+
+/**
+ * Tell the user their refresh token was replayed and the login was ended
+ * @param {object} user - Affected user
+ * @param {object} record - Reused refresh token record
+ * @param {Request} req - Request that presented the reused token
+ * @returns {Promise<void>}
+ */
+const notifyRefreshTokenReuse = async (user, record, req) => {
+  try {
+    await sendEmail(
+      user.email,
+      'Security Alert: Your session was signed out',
+      `Hi ${user.firstName},\n\nWe detected an attempt to reuse an old sign-in token for your account and signed that session out everywhere as a precaution.\n\nTime: ${new Date().toISOString()}\nIP address: ${req.ip || 'unknown'}\nDevice: ${req.get('User-Agent') || 'unknown'}\nOriginal sign-in IP: ${record.ipAddress || 'unknown'}\n\nIf this wasn't you, please change your password immediately.\n\nBest regards,\nEducation Management Team`
+    );
+  } catch (error) {
+    console.error('Refresh token reuse email failed:', error);
+  }
+};
+
+/**
+ * Exchange a refresh token for a new token pair. Each refresh token works
+ * once; presenting an already-used token revokes its whole family.
+ * @param {string} refreshToken - Refresh token presented by the client
+ * @param {Request} req - Express request
+ * @returns {Promise<object>} - { user, accessToken, refreshToken }
+ */
+const rotateRefreshToken = async (refreshToken, req) => {
+  let decoded;
+  try {
+    decoded = jwt.verify(refreshToken, process.env.JWT_REFRESH_SECRET);
+  } catch (error) {
+    throw tokenError(401, 'Invalid refresh token');
+  }
+
+  if (decoded.type !== 'refresh') {
+    throw tokenError(400, 'Invalid token type');
+  }
+
+  const record = decoded.jti ? await RefreshToken.findByJti(decoded.jti) : null;
+  if (!record || record.userId !== decoded.userId) {
+    throw tokenError(401, 'Invalid refresh token');
+  }
+
+  const user = await User.findByPk(decoded.userId);
+  if (!user || user.status !== 'active') {
+    throw tokenError(401, 'User not found or inactive');
+  }
+
+  if (record.isRevoked() || user.isTokenRevoked(decoded)) {
+    throw tokenError(401, 'Refresh token has been revoked');
+  }
+
+  if (record.isUsed()) {
+    await revokeLogin(record.familyId, 'reuse_detected');
+    await notifyRefreshTokenReuse(user, record, req);
+    throw tokenError(401, 'Refresh token reuse detected. Please log in again.');
+  }
+
+  const accessToken = generateToken(user, record.familyId);
+  const newRefreshToken = await issueRefreshToken(user, { familyId: record.familyId, req });
+
+  // A concurrent request may have consumed or revoked the token between the
+  // check and here
+  if (!(await record.consume(jwt.decode(newRefreshToken).jti))) {
+    await record.reload();
+
+    // Revoked by a logout or device revoke racing this rotation: not reuse,
+    // but the token just issued into the family must not outlive it
+    if (record.isRevoked() && !record.isUsed()) {
+      await RefreshToken.revokeFamily(record.familyId, record.revokedReason || 'logout');
+      throw tokenError(401, 'Refresh token has been revoked');
+    }
+
+    await revokeLogin(record.familyId, 'reuse_detected');
+    await notifyRefreshTokenReuse(user, record, req);
+    throw tokenError(401, 'Refresh token reuse detected. Please log in again.');
+  }
+
+  return { user, accessToken, refreshToken: newRefreshToken };
+};
+
+/**
+ * Revoke the family a refresh token belongs to (single-device logout)
+ * @param {string} refreshToken - Refresh token presented by the client
+ * @param {string} userId - Only revoke if the token belongs to this user
+ * @returns {Promise<boolean>} - Whether a family was revoked
+ */
+const revokeRefreshTokenFamily = async (refreshToken, userId) => {
+  let decoded;
+  try {
+    decoded = jwt.verify(refreshToken, process.env.JWT_REFRESH_SECRET);
+  } catch (error) {
+    // Expired or malformed refresh tokens are already unusable
+    return false;
+  }
+
+  if (decoded.userId !== userId || !decoded.familyId) {
+    return false;
+  }
+
+  await revokeLogin(decoded.familyId, 'logout');
+  return true;
+};
+
+/**
+ * Revoke every access and refresh token a user holds
+ * @param {object} user - User instance
+ * @param {string} reason - Revocation reason recorded on refresh tokens
+ * @returns {Promise<void>}
+ */
+const revokeAllUserTokens = async (user, reason = 'logout_all') => {
+  await user.revokeAllTokens();
+  await RefreshToken.revokeAllForUser(user.id, reason);
+  await LoginSession.revokeAllForUser(user.id, reason);
+};
+
+module.exports = {
+  issueRefreshToken,
+  issueTokenPair,
+  rotateRefreshToken,
+  revokeRefreshTokenFamily,
+  revokeAllUserTokens
+};
@@ -0,0 +1,185 @@
+const crypto = require('crypto');
+require('dotenv').config();
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+const TOTP_PERIOD = 30; // seconds
+const TOTP_DIGITS = 6;
+
+/**
+ * Encode a buffer as RFC 4648 base32 (no padding)
+ * @param {Buffer} buffer - Bytes to encode
+ * @returns {string} - Base32 string
+ */
+const base32Encode = (buffer) => {
+  let bits = 0;
+  let value = 0;
+  let output = '';
+
+  for (const byte of buffer) {
+    value = (value << 8) | byte;
+    bits += 8;
+
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+
+  if (bits > 0) {
+    output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  }
+
+  return output;
+};
+
+/**
+ * Decode an RFC 4648 base32 string
+ * @param {string} input - Base32 string (case and padding insensitive)
+ * @returns {Buffer} - Decoded bytes
+ */
+const base32Decode = (input) => {
+  const cleaned = input.toUpperCase().replace(/=+$/, '').replace(/\s/g, '');
+  let bits = 0;
+  let value = 0;
+  const output = [];
+
+  for (const char of cleaned) {
+    const index = BASE32_ALPHABET.indexOf(char);
+    if (index === -1) {
+      throw new Error('Invalid base32 character');
+    }
+
+    value = (value << 5) | index;
+    bits += 5;
+
+    if (bits >= 8) {
+      output.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+
+  return Buffer.from(output);
+};
+
+/**
+ * Generate a new TOTP shared secret
+ * @returns {string} - Base32-encoded 160-bit secret
+ */
+const generateSecret = () => {
+  return base32Encode(crypto.randomBytes(20));
+};
+
+/**
+ * Compute the HOTP code for a time step (RFC 4226 / RFC 6238)
+ * @param {string} secret - Base32 secret
+ * @param {number} step - Time step counter
+ * @returns {string} - Zero-padded code
+ */
+const generateCode = (secret, step) => {
+  const counter = Buffer.alloc(8);
+  counter.writeBigUInt64BE(BigInt(step));
+
+  const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(counter).digest();
+  const offset = hmac[hmac.length - 1] & 0x0f;
+  const binary = ((hmac[offset] & 0x7f) << 24) |
+    (hmac[offset + 1] << 16) |
+    (hmac[offset + 2] << 8) |
+    hmac[offset + 3];
+
+  return String(binary % 10 ** TOTP_DIGITS).padStart(TOTP_DIGITS, '0');
+};
+
+/**
+ * Current TOTP time step
+ * @param {number} timestamp - Milliseconds since epoch
+ * @returns {number} - Time step
+ */
+const getTimeStep = (timestamp = Date.now()) => {
+  return Math.floor(timestamp / 1000 / TOTP_PERIOD);
+};
+
+/**
+ * Verify a TOTP code, allowing one step of clock drift either way
+ * @param {string} secret - Base32 secret
+ * @param {string} code - Code entered by the user
+ * @param {object} options - window (steps of drift), lastUsedStep (reject replays)
+ * @returns {number|null} - Matched time step, or null if invalid
+ */
+const verifyCode = (secret, code, options = {}) => {
+  const { window = 1, lastUsedStep = null } = options;
+  const normalized = String(code || '').replace(/\s/g, '');
+
+  if (!secret || !new RegExp(`^\\d{${TOTP_DIGITS}}$`).test(normalized)) {
+    return null;
+  }
+
+  const currentStep = getTimeStep();
+  for (let step = currentStep - window; step <= currentStep + window; step++) {
+    if (lastUsedStep !== null && step <= lastUsedStep) continue;
+
+    const expected = generateCode(secret, step);
+    if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(normalized))) {
+      return step;
+    }
+  }
+
+  return null;
+};
+
+/**
+ * Build the otpauth:// URI authenticator apps scan from a QR code
+ * @param {string} secret - Base32 secret
+ * @param {string} accountName - Usually the user's email
+ * @returns {string} - otpauth URI
+ */
+const buildOtpauthUrl = (secret, accountName) => {
+  const issuer = process.env.TWO_FACTOR_ISSUER || 'Education Management System';
+  const label = encodeURIComponent(`${issuer}:${accountName}`);
+  const params = new URLSearchParams({
+    secret,
+    issuer,
+    algorithm: 'SHA1',
+    digits: String(TOTP_DIGITS),
+    period: String(TOTP_PERIOD)
+  });
+
+  return `otpauth://totp/${label}?${params.toString()}`;
+};
+
+/**
+ * Hash a recovery code for storage
+ * @param {string} code - Plain recovery code
+ * @returns {string} - SHA-256 hex digest of the normalized code
+ */
+const hashRecoveryCode = (code) => {
+  const normalized = String(code || '').toLowerCase().replace(/[^a-z0-9]/g, '');
+  return crypto.createHash('sha256').update(normalized).digest('hex');
+};
+
+/**
+ * Generate one-time recovery codes
+ * @param {number} count - Number of codes
+ * @returns {object} - { codes: plain codes to show once, hashes: values to store }
+ */
+const generateRecoveryCodes = (count = 10) => {
+  const codes = [];
+  for (let i = 0; i < count; i++) {
+    const raw = crypto.randomBytes(5).toString('hex');
+    codes.push(`${raw.slice(0, 5)}-${raw.slice(5)}`);
+  }
+
+  return {
+    codes,
+    hashes: codes.map(hashRecoveryCode)
+  };
+};
+
+module.exports = {
+  generateSecret,
+  generateCode,
+  getTimeStep,
+  verifyCode,
+  buildOtpauthUrl,
+  hashRecoveryCode,
+  generateRecoveryCodes
+};
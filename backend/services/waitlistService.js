@@ -0,0 +1,296 @@
+const { Op } = require('sequelize');
+const { sequelize } = require('../config/database');
+const Session = require('../models/Session');
+const SessionStudent = require('../models/SessionStudent');
+const SessionWaitlistEntry = require('../models/SessionWaitlistEntry');
+const User = require('../models/User');
+const { sendSessionInvitationEmail } = require('./emailService');
+const { sendSessionInvitation } = require('./whatsappService');
+const { recordAudit } = require('./auditService');
+require('dotenv').config();
+
+// How long a promoted student has to book the seat they were offered
+const WAITLIST_CLAIM_WINDOW_MS = parseInt(process.env.WAITLIST_CLAIM_WINDOW_MS) || 2 * 60 * 60 * 1000;
+
+// Only sessions with several seats keep a waitlist
+const WAITLIST_SESSION_TYPES = ['group', 'workshop'];
+
+/**
+ * Build an error carrying the HTTP status the route should answer with
+ * @param {number} statusCode - HTTP status code
+ * @param {string} message - Error message
+ * @returns {Error} - Error with statusCode
+ */
+const waitlistError = (statusCode, message) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+/**
+ * Whether a session keeps a waitlist and is still taking bookings
+ * @param {object} session - Session instance
+ * @returns {boolean}
+ */
+const isWaitlistOpen = (session) => {
+  return WAITLIST_SESSION_TYPES.includes(session.sessionType)
+    && session.status === 'scheduled'
+    && new Date(session.startTime) > new Date();
+};
+
+/**
+ * Public view of a waitlist entry, with its place in the queue
+ * @param {object} entry - SessionWaitlistEntry instance
+ * @returns {Promise<object>} - Serialized entry
+ */
+const serializeWaitlistEntry = async (entry) => ({
+  id: entry.id,
+  sessionId: entry.sessionId,
+  studentId: entry.studentId,
+  status: entry.status === 'offered' && !entry.isOfferOpen() ? 'expired' : entry.status,
+  position: await SessionWaitlistEntry.getQueuePosition(entry),
+  offerExpiresAt: entry.status === 'offered' ? entry.offerExpiresAt : null,
+  createdAt: entry.createdAt,
+  ...(entry.session ? { session: entry.session } : {}),
+  ...(entry.student ? { student: entry.student } : {})
+});
+
+/**
+ * Hand free seats to the front of the queue. Offers that ran out are closed
+ * first, so their seats pass on. Call inside a transaction holding the
+ * session's row lock.
+ * @param {object} session - Session instance, locked in the transaction
+ * @param {object} transaction - Sequelize transaction
+ * @returns {Promise<Array<object>>} - Entries that were just offered a seat
+ */
+const offerFreedSeats = async (session, transaction) => {
+  await SessionWaitlistEntry.update(
+    { status: 'expired', respondedAt: new Date() },
+    { where: { sessionId: session.id, status: 'offered', offerExpiresAt: { [Op.lte]: new Date() } }, transaction }
+  );
+
+  if (!isWaitlistOpen(session)) return [];
+
+  const seats = await SessionStudent.countHeldSeats(session.id, { transaction });
+  const offers = await SessionWaitlistEntry.countOpenOffers(session.id, { transaction });
+  const free = session.maxStudents - seats - offers;
+  if (free <= 0) return [];
+
+  const offeredAt = new Date();
+  const offerExpiresAt = new Date(Math.min(offeredAt.getTime() + WAITLIST_CLAIM_WINDOW_MS, new Date(session.startTime).getTime()));
+
+  const entries = await SessionWaitlistEntry.findNextWaiting(session.id, free, { transaction });
+  for (const entry of entries) {
+    await entry.update({ status: 'offered', offeredAt, offerExpiresAt }, { transaction });
+  }
+  return entries;
+};
+
+/**
+ * Tell promoted students about their seat by email and WhatsApp. Call after
+ * the transaction commits; delivery failures are logged, not thrown.
+ * @param {object} session - Session the seats are in
+ * @param {Array<object>} entries - Entries returned by offerFreedSeats
+ * @returns {Promise<void>}
+ */
+const notifyOffers = async (session, entries) => {
+  if (!entries.length) return;
+
+  const tutor = await User.findByPk(session.tutorId);
+  for (const entry of entries) {
+    try {
+      const student = await User.findByPk(entry.studentId);
+      if (!student) continue;
+
+      const options = { claimBy: entry.offerExpiresAt };
+      await sendSessionInvitationEmail(student.email, session, student, tutor, options);
+      if (student.phone) {
+        await sendSessionInvitation(student.phone, session, student, tutor, options);
+      }
+    } catch (error) {
+      console.error('Waitlist offer notification failed:', error);
+    }
+  }
+};
+
+/**
+ * Offer any seats that are free on a session to its waitlist, then notify
+ * @param {string} sessionId - Session ID
+ * @returns {Promise<number>} - Seats offered
+ */
+const promoteWaitlist = async (sessionId) => {
+  let session;
+  const offered = await sequelize.transaction(async (transaction) => {
+    session = await Session.lockForUpdate(sessionId, transaction);
+    return session ? offerFreedSeats(session, transaction) : [];
+  });
+
+  await notifyOffers(session, offered);
+  return offered.length;
+};
+
+/**
+ * Pass on seats whose offers ran out without being claimed. Meant to run
+ * on an interval.
+ * @returns {Promise<number>} - Seats offered to the next students
+ */
+const processExpiredOffers = async () => {
+  const stale = await SessionWaitlistEntry.findAll({
+    where: { status: 'offered', offerExpiresAt: { [Op.lte]: new Date() } },
+    attributes: ['sessionId'],
+    group: ['sessionId']
+  });
+
+  let offered = 0;
+  for (const { sessionId } of stale) {
+    try {
+      offered += await promoteWaitlist(sessionId);
+    } catch (error) {
+      console.error('Waitlist promotion failed:', error);
+    }
+  }
+  return offered;
+};
+
+/**
+ * Put the signed-in student at the back of a full session's waitlist
+ * @param {object} session - Session instance
+ * @param {object} student - Student joining the queue
+ * @param {Request} req - Express request (for the audit log)
+ * @returns {Promise<object>} - SessionWaitlistEntry
+ */
+const joinWaitlist = async (session, student, req) => {
+  if (!WAITLIST_SESSION_TYPES.includes(session.sessionType)) {
+    throw waitlistError(400, 'Only group sessions and workshops have a waitlist');
+  }
+  if (session.tutorId === student.id) {
+    throw waitlistError(400, 'You can\'t join the waitlist for your own session');
+  }
+
+  let offered = [];
+  const entry = await sequelize.transaction(async (transaction) => {
+    const locked = await Session.lockForUpdate(session.id, transaction);
+    if (!isWaitlistOpen(locked)) {
+      throw waitlistError(409, 'This session is not open for booking');
+    }
+
+    const enrollment = await SessionStudent.findEnrollment(locked.id, student.id, { transaction });
+    if (enrollment && enrollment.status !== 'cancelled') {
+      throw waitlistError(409, 'You are already booked into this session');
+    }
+
+    const existing = await SessionWaitlistEntry.findEntry(locked.id, student.id, { transaction });
+    if (existing && existing.isActive()) {
+      throw waitlistError(409, 'You are already on the waitlist for this session');
+    }
+
+    // Seats may have freed up since the student saw the session as full
+    offered = await offerFreedSeats(locked, transaction);
+    const seats = await SessionStudent.countHeldSeats(locked.id, { transaction });
+    const offers = await SessionWaitlistEntry.countOpenOffers(locked.id, { transaction });
+    // Commit (keeping any offers just made) and answer 409 afterwards
+    if (seats + offers < locked.maxStudents) {
+      return null;
+    }
+
+    const position = await SessionWaitlistEntry.nextPosition(locked.id, { transaction });
+    const values = { position, status: 'waiting', offeredAt: null, offerExpiresAt: null, respondedAt: null };
+    if (existing) {
+      return existing.update(values, { transaction });
+    }
+    return SessionWaitlistEntry.create({ sessionId: locked.id, studentId: student.id, ...values }, { transaction });
+  });
+
+  await notifyOffers(session, offered);
+
+  if (!entry) {
+    throw waitlistError(409, 'This session has free seats; book one directly');
+  }
+
+  await recordAudit({
+    action: 'session.waitlist_joined',
+    entityType: 'session',
+    entityId: session.id,
+    newValues: { studentId: student.id, position: entry.position }
+  }, req);
+
+  return entry;
+};
+
+/**
+ * Take the signed-in student off a waitlist, declining any seat they were
+ * offered (it passes to the next student)
+ * @param {object} session - Session instance
+ * @param {object} student - Student leaving the queue
+ * @param {Request} req - Express request (for the audit log)
+ * @returns {Promise<object>} - Withdrawn SessionWaitlistEntry
+ */
+const leaveWaitlist = async (session, student, req) => {
+  let offered = [];
+  const entry = await sequelize.transaction(async (transaction) => {
+    const locked = await Session.lockForUpdate(session.id, transaction);
+
+    const existing = await SessionWaitlistEntry.findEntry(locked.id, student.id, { transaction });
+    if (!existing || !existing.isActive()) {
+      throw waitlistError(409, 'You are not on the waitlist for this session');
+    }
+
+    await existing.update({ status: 'withdrawn', respondedAt: new Date() }, { transaction });
+    offered = await offerFreedSeats(locked, transaction);
+    return existing;
+  });
+
+  await notifyOffers(session, offered);
+
+  await recordAudit({
+    action: 'session.waitlist_left',
+    entityType: 'session',
+    entityId: session.id,
+    newValues: { studentId: student.id }
+  }, req);
+
+  return entry;
+};
+
+/**
+ * The queue for a session, front first, including open offers
+ * @param {string} sessionId - Session ID
+ * @returns {Promise<Array<object>>} - SessionWaitlistEntry instances with students
+ */
+const listSessionWaitlist = (sessionId) => {
+  return SessionWaitlistEntry.findAll({
+    where: { sessionId, status: SessionWaitlistEntry.ACTIVE_STATUSES },
+    include: [{ model: User, as: 'student', attributes: ['id', 'firstName', 'lastName', 'email', 'profilePicture'] }],
+    order: [['position', 'ASC']]
+  });
+};
+
+/**
+ * Waitlists a student is on, for their dashboard
+ * @param {string} studentId - Student ID
+ * @returns {Promise<Array<object>>} - SessionWaitlistEntry instances with sessions
+ */
+const listStudentWaitlists = (studentId) => {
+  return SessionWaitlistEntry.findAll({
+    where: { studentId, status: SessionWaitlistEntry.ACTIVE_STATUSES },
+    include: [{
+      model: Session,
+      as: 'session',
+      attributes: ['id', 'title', 'topic', 'startTime', 'endTime', 'sessionType', 'status', 'maxStudents', 'currentStudents']
+    }],
+    order: [[{ model: Session, as: 'session' }, 'startTime', 'ASC']]
+  });
+};
+
+module.exports = {
+  WAITLIST_SESSION_TYPES,
+  serializeWaitlistEntry,
+  offerFreedSeats,
+  notifyOffers,
+  promoteWaitlist,
+  processExpiredOffers,
+  joinWaitlist,
+  leaveWaitlist,
+  listSessionWaitlist,
+  listStudentWaitlists
+};
@@ -1,4 +1,5 @@
 const twilio = require('twilio');
+const { formatDate, formatTime, formatDateTime } = require('./timezoneService');
 require('dotenv').config();
 
 // Initialize Twilio client
@@ -49,16 +50,131 @@ const sendWhatsAppMessage = async (to, message, options = {}) => {
   }
 };
 
+/**
+ * Session and payment alerts only go to numbers the recipient has verified
+ * @param {object} recipient - User the alert is addressed to
+ * @param {string} alertName - Alert name for logging
+ * @returns {boolean} - Whether the alert may be sent
+ */
+const canReceiveAlerts = (recipient, alertName) => {
+  if (recipient && recipient.phoneVerified) return true;
+
+  console.warn(`Skipping ${alertName} WhatsApp alert - phone number not verified`);
+  return false;
+};
+
+/**
+ * Send phone verification code via WhatsApp
+ * @param {string} phone - Phone number being verified
+ * @param {string} code - One-time code
+ * @param {object} user - User details
+ * @returns {Promise<object>} - Message result
+ */
+const sendPhoneVerificationCode = async (phone, code, user) => {
+  const expiryMinutes = Math.round((parseInt(process.env.OTP_EXPIRY_MS) || 10 * 60 * 1000) / 60000);
+  const message = `🔐 Verification Code\n\nHi ${user.firstName},\n\nYour Education Management System verification code is: ${code}\n\nThis code expires in ${expiryMinutes} minutes. Do not share it with anyone.`;
+
+  return await sendWhatsAppMessage(phone, message);
+};
+
+/**
+ * Send passwordless sign-in code via WhatsApp
+ * @param {string} phone - Verified phone number
+ * @param {string} code - One-time code
+ * @param {object} user - User details
+ * @returns {Promise<object>} - Message result
+ */
+const sendLoginCode = async (phone, code, user) => {
+  const expiryMinutes = Math.round((parseInt(process.env.OTP_EXPIRY_MS) || 10 * 60 * 1000) / 60000);
+  const message = `🔑 Sign-In Code\n\nHi ${user.firstName},\n\nYour Education Management System sign-in code is: ${code}\n\nThis code expires in ${expiryMinutes} minutes. Do not share it with anyone.`;
+
+  return await sendWhatsAppMessage(phone, message);
+};
+
+/**
+ * Send account invitation via WhatsApp
+ * @param {string} phone - Invitee phone number
+ * @param {object} invitation - Invitation details
+ * @param {object} inviter - Admin who sent the invitation
+ * @param {string} inviteUrl - Link to accept the invitation and set a password
+ * @returns {Promise<object>} - Message result
+ */
+const sendAccountInvitation = async (phone, invitation, inviter, inviteUrl) => {
+  const roleLabel = invitation.role.charAt(0).toUpperCase() + invitation.role.slice(1).replace('_', ' ');
+  const greeting = invitation.firstName ? `Hi ${invitation.firstName}` : 'Hello';
+  const message = `🎓 You're Invited!\n\n${greeting},\n\n${inviter.firstName} ${inviter.lastName} has invited you to join the Education Management System as ${roleLabel}.\n\n🔗 Set your password here: ${inviteUrl}\n\n⏰ Expires: ${formatDateTime(invitation.expiresAt)}\n\nThis link can only be used once.`;
+
+  return await sendWhatsAppMessage(phone, message);
+};
+
 /**
  * Send session invitation via WhatsApp
  * @param {string} phone - Student phone number
  * @param {object} session - Session details
  * @param {object} student - Student details
  * @param {object} tutor - Tutor details
+ * @param {object} options - { claimBy } when offering a waitlisted student a seat
+ * @returns {Promise<object>} - Message result
+ */
+const sendSessionInvitation = async (phone, session, student, tutor, options = {}) => {
+  if (!canReceiveAlerts(student, 'session invitation')) return null;
+
+  const intro = options.claimBy
+    ? 'A seat has opened up in a session you are waitlisted for:'
+    : 'You have been invited to a new session:';
+  const closing = options.claimBy
+    ? `Book it before ${formatDateTime(options.claimBy, student, session.timezone)} or it goes to the next student on the waitlist.`
+    : 'Please confirm your attendance.';
+
+  const message = `🎓 Session Invitation\n\nHi ${student.firstName},\n\n${intro}\n\n📚 Topic: ${session.topic}\n👨‍🏫 Tutor: ${tutor.firstName} ${tutor.lastName}\n📅 Date: ${formatDate(session.startTime, student, session.timezone)}\n⏰ Time: ${formatTime(session.startTime, student, session.timezone)}\n⏱️ Duration: ${session.duration} minutes\n\n${closing}\n\nBest regards,\nEducation Management Team`;
+
+  return await sendWhatsAppMessage(phone, message);
+};
+
+/**
+ * Send a student's booking confirmation (or request acknowledgement) via WhatsApp
+ * @param {string} phone - Student phone number
+ * @param {object} session - Session details
+ * @param {object} student - Student details
+ * @param {object} tutor - Tutor details
+ * @param {object} options - { payment } pending payment for the session,
+ *   { pendingApproval } when the tutor still has to approve
+ * @returns {Promise<object>} - Message result
+ */
+const sendBookingConfirmation = async (phone, session, student, tutor, options = {}) => {
+  if (!canReceiveAlerts(student, 'booking confirmation')) return null;
+
+  const title = options.pendingApproval ? '🕒 Booking Requested' : '✅ Session Booked';
+  const intro = options.pendingApproval
+    ? `Your booking request has been sent to ${tutor.firstName}. We'll let you know as soon as it is approved:`
+    : 'Your session is booked:';
+  const paymentLine = options.payment
+    ? `\n💵 Amount due: ${options.payment.currency} ${options.payment.amount}`
+    : '';
+
+  const message = `${title}\n\nHi ${student.firstName},\n\n${intro}\n\n📚 Topic: ${session.topic}\n👨‍🏫 Tutor: ${tutor.firstName} ${tutor.lastName}\n📅 Date: ${formatDate(session.startTime, student, session.timezone)}\n⏰ Time: ${formatTime(session.startTime, student, session.timezone)}\n⏱️ Duration: ${session.duration} minutes${paymentLine}\n\nBest regards,\nEducation Management Team`;
+
+  return await sendWhatsAppMessage(phone, message);
+};
+
+/**
+ * Tell a tutor a student has booked them, or asked to, via WhatsApp
+ * @param {string} phone - Tutor phone number
+ * @param {object} session - Session details
+ * @param {object} student - Student details
+ * @param {object} tutor - Tutor details
+ * @param {object} options - { pendingApproval } when the tutor has to approve
  * @returns {Promise<object>} - Message result
  */
-const sendSessionInvitation = async (phone, session, student, tutor) => {
-  const message = `🎓 Session Invitation\n\nHi ${student.firstName},\n\nYou have been invited to a new session:\n\n📚 Topic: ${session.topic}\n👨‍🏫 Tutor: ${tutor.firstName} ${tutor.lastName}\n📅 Date: ${new Date(session.startTime).toLocaleDateString()}\n⏰ Time: ${new Date(session.startTime).toLocaleTimeString()}\n⏱️ Duration: ${session.duration} minutes\n\nPlease confirm your attendance.\n\nBest regards,\nEducation Management Team`;
+const sendBookingRequest = async (phone, session, student, tutor, options = {}) => {
+  if (!canReceiveAlerts(tutor, 'booking request')) return null;
+
+  const title = options.pendingApproval ? '📥 New Booking Request' : '📥 New Booking';
+  const intro = options.pendingApproval
+    ? `${student.firstName} ${student.lastName} would like to book a one-on-one session with you. Please approve or decline it:`
+    : `${student.firstName} ${student.lastName} has booked a one-on-one session with you:`;
+
+  const message = `${title}\n\nHi ${tutor.firstName},\n\n${intro}\n\n📚 Topic: ${session.topic}\n📅 Date: ${formatDate(session.startTime, tutor, session.timezone)}\n⏰ Time: ${formatTime(session.startTime, tutor, session.timezone)}\n⏱️ Duration: ${session.duration} minutes\n\nBest regards,\nEducation Management Team`;
 
   return await sendWhatsAppMessage(phone, message);
 };
@@ -71,7 +187,9 @@ const sendSessionInvitation = async (phone, session, student, tutor) => {
  * @returns {Promise<object>} - Message result
  */
 const sendSessionReminder = async (phone, session, student) => {
-  const message = `⏰ Session Reminder\n\nHi ${student.firstName},\n\nThis is a reminder for your upcoming session:\n\n📚 Topic: ${session.topic}\n📅 Date: ${new Date(session.startTime).toLocaleDateString()}\n⏰ Time: ${new Date(session.startTime).toLocaleTimeString()}\n⏱️ Duration: ${session.duration} minutes\n\nPlease be on time!\n\nBest regards,\nEducation Management Team`;
+  if (!canReceiveAlerts(student, 'session reminder')) return null;
+
+  const message = `⏰ Session Reminder\n\nHi ${student.firstName},\n\nThis is a reminder for your upcoming session:\n\n📚 Topic: ${session.topic}\n📅 Date: ${formatDate(session.startTime, student, session.timezone)}\n⏰ Time: ${formatTime(session.startTime, student, session.timezone)}\n⏱️ Duration: ${session.duration} minutes\n\nPlease be on time!\n\nBest regards,\nEducation Management Team`;
 
   return await sendWhatsAppMessage(phone, message);
 };
@@ -84,7 +202,9 @@ const sendSessionReminder = async (phone, session, student) => {
  * @returns {Promise<object>} - Message result
  */
 const sendPaymentReminder = async (phone, payment, student) => {
-  const message = `💰 Payment Reminder\n\nHi ${student.firstName},\n\nThis is a friendly reminder about your pending payment:\n\n📋 Invoice: ${payment.invoiceNumber}\n💵 Amount: ${payment.currency} ${payment.amount}\n📅 Due Date: ${new Date(payment.dueDate).toLocaleDateString()}\n\nPlease complete your payment to avoid any service interruptions.\n\nBest regards,\nEducation Management Team`;
+  if (!canReceiveAlerts(student, 'payment reminder')) return null;
+
+  const message = `💰 Payment Reminder\n\nHi ${student.firstName},\n\nThis is a friendly reminder about your pending payment:\n\n📋 Invoice: ${payment.invoiceNumber}\n💵 Amount: ${payment.currency} ${payment.amount}\n📅 Due Date: ${formatDate(payment.dueDate, student)}\n\nPlease complete your payment to avoid any service interruptions.\n\nBest regards,\nEducation Management Team`;
 
   return await sendWhatsAppMessage(phone, message);
 };
@@ -97,8 +217,10 @@ const sendPaymentReminder = async (phone, payment, student) => {
  * @returns {Promise<object>} - Message result
  */
 const sendOverduePaymentAlert = async (phone, payment, student) => {
+  if (!canReceiveAlerts(student, 'overdue payment')) return null;
+
   const daysOverdue = payment.getDaysOverdue();
-  const message = `⚠️ Payment Overdue\n\nHi ${student.firstName},\n\nYour payment is overdue by ${daysOverdue} day${daysOverdue > 1 ? 's' : ''}:\n\n📋 Invoice: ${payment.invoiceNumber}\n💵 Amount: ${payment.currency} ${payment.amount}\n📅 Due Date: ${new Date(payment.dueDate).toLocaleDateString()}\n\nPlease complete your payment immediately to restore access to services.\n\nBest regards,\nEducation Management Team`;
+  const message = `⚠️ Payment Overdue\n\nHi ${student.firstName},\n\nYour payment is overdue by ${daysOverdue} day${daysOverdue > 1 ? 's' : ''}:\n\n📋 Invoice: ${payment.invoiceNumber}\n💵 Amount: ${payment.currency} ${payment.amount}\n📅 Due Date: ${formatDate(payment.dueDate, student)}\n\nPlease complete your payment immediately to restore access to services.\n\nBest regards,\nEducation Management Team`;
 
   return await sendWhatsAppMessage(phone, message);
 };
@@ -112,6 +234,8 @@ const sendOverduePaymentAlert = async (phone, payment, student) => {
  * @returns {Promise<object>} - Message result
  */
 const sendAttendanceConfirmation = async (phone, attendance, session, student) => {
+  if (!canReceiveAlerts(student, 'attendance confirmation')) return null;
+
   const statusEmoji = {
     present: '✅',
     absent: '❌',
@@ -119,7 +243,7 @@ const sendAttendanceConfirmation = async (phone, attendance, session, student) =
     excused: '📝'
   };
 
-  const message = `${statusEmoji[attendance.status]} Attendance Confirmed\n\nHi ${student.firstName},\n\nYour attendance has been recorded for:\n\n📚 Topic: ${session.topic}\n📅 Date: ${new Date(session.startTime).toLocaleDateString()}\n⏰ Time: ${new Date(session.startTime).toLocaleTimeString()}\n📊 Status: ${attendance.status.charAt(0).toUpperCase() + attendance.status.slice(1)}\n\nThank you for attending!\n\nBest regards,\nEducation Management Team`;
+  const message = `${statusEmoji[attendance.status]} Attendance Confirmed\n\nHi ${student.firstName},\n\nYour attendance has been recorded for:\n\n📚 Topic: ${session.topic}\n📅 Date: ${formatDate(session.startTime, student, session.timezone)}\n⏰ Time: ${formatTime(session.startTime, student, session.timezone)}\n📊 Status: ${attendance.status.charAt(0).toUpperCase() + attendance.status.slice(1)}\n\nThank you for attending!\n\nBest regards,\nEducation Management Team`;
 
   return await sendWhatsAppMessage(phone, message);
 };
@@ -175,7 +299,9 @@ const sendBulkWhatsAppMessages = async (recipients, message, options = {}) => {
  * @returns {Promise<object>} - Message result
  */
 const sendSessionCancellation = async (phone, session, student, reason = '') => {
-  const message = `❌ Session Cancelled\n\nHi ${student.firstName},\n\nYour session has been cancelled:\n\n📚 Topic: ${session.topic}\n📅 Date: ${new Date(session.startTime).toLocaleDateString()}\n⏰ Time: ${new Date(session.startTime).toLocaleTimeString()}\n\n${reason ? `Reason: ${reason}\n\n` : ''}We apologize for any inconvenience. A new session will be scheduled soon.\n\nBest regards,\nEducation Management Team`;
+  if (!canReceiveAlerts(student, 'session cancellation')) return null;
+
+  const message = `❌ Session Cancelled\n\nHi ${student.firstName},\n\nYour session has been cancelled:\n\n📚 Topic: ${session.topic}\n📅 Date: ${formatDate(session.startTime, student, session.timezone)}\n⏰ Time: ${formatTime(session.startTime, student, session.timezone)}\n\n${reason ? `Reason: ${reason}\n\n` : ''}We apologize for any inconvenience. A new session will be scheduled soon.\n\nBest regards,\nEducation Management Team`;
 
   return await sendWhatsAppMessage(phone, message);
 };
@@ -189,7 +315,9 @@ const sendSessionCancellation = async (phone, session, student, reason = '') =>
  * @returns {Promise<object>} - Message result
  */
 const sendSessionRescheduling = async (phone, oldSession, newSession, student) => {
-  const message = `🔄 Session Rescheduled\n\nHi ${student.firstName},\n\nYour session has been rescheduled:\n\n📚 Topic: ${oldSession.topic}\n\n📅 Old Date: ${new Date(oldSession.startTime).toLocaleDateString()}\n⏰ Old Time: ${new Date(oldSession.startTime).toLocaleTimeString()}\n\n📅 New Date: ${new Date(newSession.startTime).toLocaleDateString()}\n⏰ New Time: ${new Date(newSession.startTime).toLocaleTimeString()}\n\nPlease update your calendar accordingly.\n\nBest regards,\nEducation Management Team`;
+  if (!canReceiveAlerts(student, 'session rescheduling')) return null;
+
+  const message = `🔄 Session Rescheduled\n\nHi ${student.firstName},\n\nYour session has been rescheduled:\n\n📚 Topic: ${oldSession.topic}\n\n📅 Old Date: ${formatDate(oldSession.startTime, student, oldSession.timezone)}\n⏰ Old Time: ${formatTime(oldSession.startTime, student, oldSession.timezone)}\n\n📅 New Date: ${formatDate(newSession.startTime, student, newSession.timezone)}\n⏰ New Time: ${formatTime(newSession.startTime, student, newSession.timezone)}\n\nPlease update your calendar accordingly.\n\nBest regards,\nEducation Management Team`;
 
   return await sendWhatsAppMessage(phone, message);
 };
@@ -202,14 +330,21 @@ const sendSessionRescheduling = async (phone, oldSession, newSession, student) =
  * @returns {Promise<object>} - Message result
  */
 const sendFeedbackRequest = async (phone, session, student) => {
-  const message = `📝 Feedback Request\n\nHi ${student.firstName},\n\nWe hope you enjoyed your recent session:\n\n📚 Topic: ${session.topic}\n📅 Date: ${new Date(session.startTime).toLocaleDateString()}\n\nPlease take a moment to share your feedback. Your input helps us improve our services.\n\nBest regards,\nEducation Management Team`;
+  if (!canReceiveAlerts(student, 'feedback request')) return null;
+
+  const message = `📝 Feedback Request\n\nHi ${student.firstName},\n\nWe hope you enjoyed your recent session:\n\n📚 Topic: ${session.topic}\n📅 Date: ${formatDate(session.startTime, student, session.timezone)}\n\nPlease take a moment to share your feedback. Your input helps us improve our services.\n\nBest regards,\nEducation Management Team`;
 
   return await sendWhatsAppMessage(phone, message);
 };
 
 module.exports = {
   sendWhatsAppMessage,
+  sendPhoneVerificationCode,
+  sendLoginCode,
+  sendAccountInvitation,
   sendSessionInvitation,
+  sendBookingConfirmation,
+  sendBookingRequest,
   sendSessionReminder,
   sendPaymentReminder,
   sendOverduePaymentAlert,
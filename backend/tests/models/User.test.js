@@ -0,0 +1,158 @@
+process.env.JWT_SECRET = 'test-access-secret';
+process.env.JWT_REFRESH_SECRET = 'test-refresh-secret';
+
+const jwt = require('jsonwebtoken');
+const { sequelize } = require('../../config/database');
+const User = require('../../models/User');
+const { generateToken, generateRefreshToken, generateImpersonationToken } = require('../../middleware/auth');
+const { generateCode, getTimeStep, hashRecoveryCode } = require('../../services/totpService');
+
+const SECRET = 'GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ';
+
+const buildUser = (values = {}) => User.build({
+  id: '11111111-1111-1111-1111-111111111111',
+  email: 'ann@example.com',
+  twoFactorSecret: SECRET,
+  ...values
+}, { isNewRecord: false });
+
+describe('User token revocation', () => {
+  let user;
+  let stored;
+
+  beforeEach(() => {
+    user = buildUser({ role: 'student', tokenVersion: 0 });
+    // Stands in for the users row: the SQL increment runs on save
+    stored = { tokenVersion: 0 };
+    jest.spyOn(user, 'save').mockImplementation(async () => {
+      stored.tokenVersion += 1;
+      return user;
+    });
+    jest.spyOn(user, 'reload').mockImplementation(async () => {
+      user.set(stored, { raw: true });
+      return user;
+    });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('rejects every token issued before a logout-all', async () => {
+    const access = jwt.decode(generateToken(user));
+    const refresh = jwt.decode(generateRefreshToken(user, '22222222-2222-2222-2222-222222222222'));
+
+    await user.revokeAllTokens();
+
+    expect(user.tokensRevokedAt).toBeInstanceOf(Date);
+    expect(user.isTokenRevoked(access)).toBe(true);
+    expect(user.isTokenRevoked(refresh)).toBe(true);
+  });
+
+  it('accepts a token issued in the same second as the logout-all', async () => {
+    jest.useFakeTimers({ now: new Date('2026-03-10T12:00:00.200Z') });
+    try {
+      const before = jwt.decode(generateToken(user));
+      await user.revokeAllTokens();
+      jest.setSystemTime(new Date('2026-03-10T12:00:00.700Z'));
+      const after = jwt.decode(generateToken(user));
+
+      expect(after.iat).toBe(before.iat);
+      expect(user.isTokenRevoked(before)).toBe(true);
+      expect(user.isTokenRevoked(after)).toBe(false);
+    } finally {
+      jest.useRealTimers();
+    }
+  });
+
+  it('counts the bump in SQL so concurrent revocations both take effect', async () => {
+    let saved;
+    user.save.mockImplementation(async function() {
+      saved = user.tokenVersion;
+      stored.tokenVersion += 1;
+      return user;
+    });
+
+    await user.revokeAllTokens();
+
+    expect(saved).toEqual(sequelize.literal('token_version + 1'));
+    expect(user.tokenVersion).toBe(1);
+  });
+
+  it('ends impersonation when the impersonator logs out everywhere', async () => {
+    const impersonator = buildUser({ id: '33333333-3333-3333-3333-333333333333', role: 'super_admin', tokenVersion: 4 });
+    const token = jwt.decode(generateImpersonationToken(user, impersonator));
+
+    expect(impersonator.isTokenRevoked(token.act)).toBe(false);
+    impersonator.tokenVersion = 5;
+    expect(impersonator.isTokenRevoked(token.act)).toBe(true);
+    expect(user.isTokenRevoked(token)).toBe(false);
+  });
+});
+
+describe('User second factor', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('verifyTwoFactorCode', () => {
+    it('claims the code\'s step with a conditional update', async () => {
+      const user = buildUser({ twoFactorLastUsedStep: null });
+      const update = jest.spyOn(User, 'update').mockResolvedValue([1]);
+      jest.spyOn(user, 'reload').mockResolvedValue(user);
+
+      const step = getTimeStep();
+      await expect(user.verifyTwoFactorCode(generateCode(SECRET, step))).resolves.toBe(true);
+
+      const [values, { where }] = update.mock.calls[0];
+      expect(values).toEqual({ twoFactorLastUsedStep: step });
+      expect(where.id).toBe(user.id);
+    });
+
+    it('fails when a concurrent login claimed the step first', async () => {
+      const user = buildUser({ twoFactorLastUsedStep: null });
+      jest.spyOn(User, 'update').mockResolvedValue([0]);
+      jest.spyOn(user, 'reload').mockResolvedValue(user);
+
+      await expect(user.verifyTwoFactorCode(generateCode(SECRET, getTimeStep()))).resolves.toBe(false);
+    });
+
+    it('rejects a wrong code without touching the database', async () => {
+      const user = buildUser();
+      const update = jest.spyOn(User, 'update');
+
+      await expect(user.verifyTwoFactorCode('000000')).resolves.toBe(false);
+      expect(update).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('useRecoveryCode', () => {
+    const transaction = { LOCK: { UPDATE: 'UPDATE' } };
+
+    beforeEach(() => {
+      jest.spyOn(sequelize, 'transaction').mockImplementation(async (callback) => callback(transaction));
+    });
+
+    it('removes the code from the locked row', async () => {
+      const user = buildUser();
+      const stored = [hashRecoveryCode('aaaaa-11111'), hashRecoveryCode('bbbbb-22222')];
+      const findByPk = jest.spyOn(User, 'findByPk').mockResolvedValue(buildUser({ twoFactorRecoveryCodes: stored }));
+      const update = jest.spyOn(User, 'update').mockResolvedValue([1]);
+      jest.spyOn(user, 'reload').mockResolvedValue(user);
+
+      await expect(user.useRecoveryCode('AAAAA-11111')).resolves.toBe(true);
+      expect(findByPk.mock.calls[0][1]).toMatchObject({ transaction, lock: 'UPDATE' });
+      expect(update.mock.calls[0][0]).toEqual({ twoFactorRecoveryCodes: [stored[1]] });
+    });
+
+    it('rejects a code already spent by the time the lock is held', async () => {
+      const user = buildUser({ twoFactorRecoveryCodes: [hashRecoveryCode('aaaaa-11111')] });
+      jest.spyOn(User, 'findByPk').mockResolvedValue(buildUser({ twoFactorRecoveryCodes: [] }));
+      const update = jest.spyOn(User, 'update');
+      jest.spyOn(user, 'reload').mockResolvedValue(user);
+
+      await expect(user.useRecoveryCode('aaaaa-11111')).resolves.toBe(false);
+      expect(update).not.toHaveBeenCalled();
+    });
+  });
+});
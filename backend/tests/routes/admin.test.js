@@ -0,0 +1,172 @@
+jest.mock('../../services/whatsappService', () => ({
+  sendAccountInvitation: jest.fn()
+}));
+jest.mock('../../services/tokenService', () => ({
+  revokeAllUserTokens: jest.fn()
+}));
+jest.mock('../../services/auditService', () => ({
+  recordAudit: jest.fn()
+}));
+
+const express = require('express');
+const request = require('supertest');
+const Role = require('../../models/Role');
+const User = require('../../models/User');
+const { revokeAllUserTokens } = require('../../services/tokenService');
+const { recordAudit } = require('../../services/auditService');
+const { invalidatePermissionCache } = require('../../services/permissionService');
+const adminRoutes = require('../../routes/admin');
+
+const SUPER_ADMIN_ID = '11111111-1111-1111-1111-111111111111';
+const TARGET_ID = '22222222-2222-2222-2222-222222222222';
+
+// Stands in for authenticateToken, which server.js mounts in front of the
+// router; apiKey is set the way it is for calls made with an API key
+const buildApp = (viewer, apiKey = null) => {
+  const app = express();
+  app.use(express.json());
+  app.use((req, res, next) => {
+    req.user = viewer;
+    if (apiKey) req.apiKey = apiKey;
+    next();
+  });
+  app.use('/api/admin', adminRoutes);
+  return app;
+};
+
+describe('admin routes', () => {
+  let superAdmin;
+  let target;
+
+  beforeEach(() => {
+    superAdmin = User.build({ id: SUPER_ADMIN_ID, email: 'root@example.com', role: 'super_admin', status: 'active' });
+    target = User.build({ id: TARGET_ID, email: 'tina@example.com', role: 'student', status: 'active' }, { isNewRecord: false });
+
+    // No roles rows: every role gets its built-in permissions
+    jest.spyOn(Role, 'findByName').mockResolvedValue(null);
+    jest.spyOn(User, 'findByPk').mockResolvedValue(target);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    jest.clearAllMocks();
+    invalidatePermissionCache();
+  });
+
+  describe('with a users:write API key made by a super admin', () => {
+    const apiKey = { id: '33333333-3333-3333-3333-333333333333', scopes: ['users:write'] };
+
+    it('can\'t create accounts', async () => {
+      const create = jest.spyOn(User, 'create');
+
+      const res = await request(buildApp(superAdmin, apiKey))
+        .post('/api/admin/users')
+        .send({ email: 'new@example.com', password: 'Sup3r-long-passphrase!', firstName: 'New', lastName: 'Admin', role: 'super_admin' });
+
+      expect(res.status).toBe(403);
+      expect(create).not.toHaveBeenCalled();
+    });
+
+    it('can\'t change roles', async () => {
+      const res = await request(buildApp(superAdmin, apiKey))
+        .put(`/api/admin/users/${TARGET_ID}/role`)
+        .send({ role: 'super_admin' });
+
+      expect(res.status).toBe(403);
+      expect(target.role).toBe('student');
+      expect(revokeAllUserTokens).not.toHaveBeenCalled();
+    });
+
+    it('can\'t suspend another super admin', async () => {
+      target.role = 'super_admin';
+
+      const res = await request(buildApp(superAdmin, apiKey)).post(`/api/admin/users/${TARGET_ID}/suspend`);
+
+      expect(res.status).toBe(403);
+      expect(target.status).toBe('active');
+      expect(revokeAllUserTokens).not.toHaveBeenCalled();
+    });
+
+    it('can still suspend other accounts', async () => {
+      const res = await request(buildApp(superAdmin, apiKey)).post(`/api/admin/users/${TARGET_ID}/suspend`);
+
+      expect(res.status).toBe(200);
+      expect(target.status).toBe('suspended');
+      expect(revokeAllUserTokens).toHaveBeenCalledWith(target, 'suspended');
+    });
+  });
+
+  it('lets a signed-in super admin suspend another super admin', async () => {
+    target.role = 'super_admin';
+
+    const res = await request(buildApp(superAdmin)).post(`/api/admin/users/${TARGET_ID}/suspend`);
+
+    expect(res.status).toBe(200);
+    expect(target.status).toBe('suspended');
+  });
+
+  it('lets a signed-in super admin change a role', async () => {
+    const res = await request(buildApp(superAdmin))
+      .put(`/api/admin/users/${TARGET_ID}/role`)
+      .send({ role: 'tutor' });
+
+    expect(res.status).toBe(200);
+    expect(target.role).toBe('tutor');
+    expect(revokeAllUserTokens).toHaveBeenCalledWith(target, 'role_changed');
+    expect(recordAudit).toHaveBeenCalledWith(expect.objectContaining({
+      action: 'user.role_changed',
+      oldValues: { role: 'student' },
+      newValues: { role: 'tutor' }
+    }), expect.anything());
+  });
+
+  describe('editing role permissions', () => {
+    let roleManager;
+    let save;
+
+    beforeEach(() => {
+      roleManager = User.build({ id: TARGET_ID, email: 'ada@example.com', role: 'admin', status: 'active' });
+      // The admin role has been given roles.manage on top of a few basics
+      Role.findByName.mockImplementation(async (name) => (name === 'admin'
+        ? Role.build({ name: 'admin', permissions: ['roles.manage', 'users.view', 'sessions.view.any'] })
+        : null));
+      save = jest.spyOn(Role.prototype, 'save').mockImplementation(async function() { return this; });
+    });
+
+    it('won\'t grant a permission the editor doesn\'t hold', async () => {
+      const res = await request(buildApp(roleManager))
+        .put('/api/admin/roles/tutor')
+        .send({ permissions: ['*'] });
+
+      expect(res.status).toBe(403);
+      expect(save).not.toHaveBeenCalled();
+    });
+
+    it('won\'t let an admin edit their own role', async () => {
+      const res = await request(buildApp(roleManager))
+        .put('/api/admin/roles/admin')
+        .send({ permissions: ['roles.manage', 'users.view'] });
+
+      expect(res.status).toBe(403);
+      expect(save).not.toHaveBeenCalled();
+    });
+
+    it('grants permissions the editor holds', async () => {
+      const res = await request(buildApp(roleManager))
+        .put('/api/admin/roles/tutor')
+        .send({ permissions: ['users.view', 'sessions.view.any'] });
+
+      expect(res.status).toBe(200);
+      expect(res.body.data.role.permissions).toEqual(['users.view', 'sessions.view.any']);
+    });
+
+    it('lets a super admin edit any unlocked role', async () => {
+      const res = await request(buildApp(superAdmin))
+        .put('/api/admin/roles/admin')
+        .send({ permissions: ['roles.manage', 'users.*'] });
+
+      expect(res.status).toBe(200);
+      expect(save).toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,151 @@
+jest.mock('../../services/whatsappService', () => ({
+  sendSessionInvitation: jest.fn()
+}));
+
+const express = require('express');
+const { Op } = require('sequelize');
+const request = require('supertest');
+const Role = require('../../models/Role');
+const Session = require('../../models/Session');
+const SessionSeries = require('../../models/SessionSeries');
+const SessionStudent = require('../../models/SessionStudent');
+const User = require('../../models/User');
+const sessionRoutes = require('../../routes/sessions');
+
+const TUTOR_ID = '11111111-1111-1111-1111-111111111111';
+const STUDENT_ID = '22222222-2222-2222-2222-222222222222';
+const SERIES_ID = '44444444-4444-4444-4444-444444444444';
+
+const buildSession = (values = {}) => Session.build({
+  id: '33333333-3333-3333-3333-333333333333',
+  title: 'Algebra drop-in',
+  startTime: new Date(Date.now() + 24 * 60 * 60 * 1000),
+  endTime: new Date(Date.now() + 25 * 60 * 60 * 1000),
+  duration: 60,
+  status: 'scheduled',
+  sessionType: 'group',
+  maxStudents: 10,
+  currentStudents: 3,
+  price: '15.00',
+  location: 'Room 4',
+  meetingLink: 'https://meet.example.com/algebra',
+  notes: 'Bring the worksheet answers',
+  timezone: 'UTC',
+  tutorId: TUTOR_ID,
+  ...values
+}, { isNewRecord: false });
+
+// Stands in for authenticateToken, which server.js mounts in front of the router
+const buildApp = (viewer) => {
+  const app = express();
+  app.use(express.json());
+  app.use((req, res, next) => {
+    req.user = viewer;
+    next();
+  });
+  app.use('/api/sessions', sessionRoutes);
+  return app;
+};
+
+describe('sessions routes', () => {
+  let student;
+
+  beforeEach(() => {
+    student = User.build({ id: STUDENT_ID, email: 'sam@example.com', role: 'student', status: 'active' });
+    // No roles rows: every role gets its built-in permissions
+    jest.spyOn(Role, 'findByName').mockResolvedValue(null);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('GET /api/sessions', () => {
+    it('lists open group sessions without their join details', async () => {
+      jest.spyOn(SessionStudent, 'findEnrolledSessionIds').mockResolvedValue([]);
+      jest.spyOn(Session, 'findAll').mockResolvedValue([buildSession()]);
+
+      const res = await request(buildApp(student)).get('/api/sessions');
+
+      expect(res.status).toBe(200);
+      const [listed] = res.body.data.sessions;
+      expect(listed).toMatchObject({ title: 'Algebra drop-in', price: '15.00', currentStudents: 3 });
+      expect(listed).not.toHaveProperty('meetingLink');
+      expect(listed).not.toHaveProperty('location');
+      expect(listed).not.toHaveProperty('notes');
+    });
+
+    it('gives enrolled students the full session', async () => {
+      const session = buildSession();
+      jest.spyOn(SessionStudent, 'findEnrolledSessionIds').mockResolvedValue([session.id]);
+      jest.spyOn(Session, 'findAll').mockResolvedValue([session]);
+
+      const res = await request(buildApp(student)).get('/api/sessions');
+
+      expect(res.body.data.sessions[0]).toMatchObject({
+        meetingLink: 'https://meet.example.com/algebra',
+        location: 'Room 4'
+      });
+    });
+
+    it('only offers group sessions to students who aren\'t booked', async () => {
+      jest.spyOn(SessionStudent, 'findEnrolledSessionIds').mockResolvedValue([]);
+      const findAll = jest.spyOn(Session, 'findAll').mockResolvedValue([]);
+
+      await request(buildApp(student)).get('/api/sessions');
+
+      const [visible] = findAll.mock.calls[0][0].where[Op.and];
+      expect(visible[Op.or]).toContainEqual(expect.objectContaining({
+        status: 'scheduled',
+        sessionType: ['group', 'workshop']
+      }));
+    });
+  });
+
+  describe('GET /api/sessions/series/:seriesId', () => {
+    const booked = '55555555-5555-5555-5555-555555555555';
+    const unbooked = '66666666-6666-6666-6666-666666666666';
+
+    beforeEach(() => {
+      jest.spyOn(SessionSeries, 'findByPk').mockResolvedValue(SessionSeries.build({
+        id: SERIES_ID,
+        tutorId: TUTOR_ID,
+        title: 'Algebra drop-in',
+        startTime: new Date(),
+        duration: 60,
+        frequency: 'weekly',
+        interval: 1,
+        byWeekday: ['MO'],
+        count: 2
+      }));
+      jest.spyOn(Session, 'findAll').mockResolvedValue([
+        buildSession({ id: booked, seriesId: SERIES_ID }),
+        buildSession({ id: unbooked, seriesId: SERIES_ID })
+      ]);
+    });
+
+    const occurrence = (res, id) => res.body.data.occurrences.find(item => item.id === id);
+
+    it('hides the join details of occurrences a student hasn\'t booked', async () => {
+      jest.spyOn(SessionStudent, 'findEnrolledSessionIds').mockResolvedValue([booked]);
+
+      const res = await request(buildApp(student)).get(`/api/sessions/series/${SERIES_ID}`);
+
+      expect(res.status).toBe(200);
+      expect(occurrence(res, booked).meetingLink).toBe('https://meet.example.com/algebra');
+      expect(occurrence(res, unbooked)).not.toHaveProperty('meetingLink');
+      expect(occurrence(res, unbooked)).not.toHaveProperty('notes');
+      expect(occurrence(res, unbooked)).toMatchObject({ title: 'Algebra drop-in', seriesId: SERIES_ID });
+    });
+
+    it('shows the tutor every occurrence in full', async () => {
+      jest.spyOn(SessionStudent, 'findEnrolledSessionIds').mockResolvedValue([]);
+      const tutor = User.build({ id: TUTOR_ID, email: 'tom@example.com', role: 'tutor', status: 'active' });
+
+      const res = await request(buildApp(tutor)).get(`/api/sessions/series/${SERIES_ID}`);
+
+      expect(res.status).toBe(200);
+      res.body.data.occurrences.forEach(item => expect(item.meetingLink).toBe('https://meet.example.com/algebra'));
+    });
+  });
+});
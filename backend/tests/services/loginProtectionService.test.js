@@ -0,0 +1,180 @@
+jest.mock('../../services/emailService', () => ({
+  sendAccountLockedEmail: jest.fn()
+}));
+
+const { Op } = require('sequelize');
+const User = require('../../models/User');
+const LoginAttempt = require('../../models/LoginAttempt');
+const { sendAccountLockedEmail } = require('../../services/emailService');
+const {
+  assertLoginAllowed,
+  recordFailedLogin,
+  recordSuccessfulLogin,
+  unlockAccount
+} = require('../../services/loginProtectionService');
+
+// Defaults from loginProtectionService
+const DELAY_AFTER_ATTEMPTS = 3;
+const LOCKOUT_THRESHOLD = 10;
+const IP_DELAY_AFTER_ATTEMPTS = 10;
+
+const USER_ID = '11111111-1111-1111-1111-111111111111';
+
+const req = { ip: '203.0.113.7', get: () => 'jest' };
+
+const buildUser = (values = {}) => User.build({
+  id: USER_ID,
+  email: 'ann@example.com',
+  failedLoginAttempts: 0,
+  ...values
+}, { isNewRecord: false });
+
+describe('loginProtectionService', () => {
+  beforeEach(() => {
+    jest.spyOn(LoginAttempt, 'getRecentFailuresByIp').mockResolvedValue({ count: 0, lastFailedAt: null });
+    jest.spyOn(LoginAttempt, 'create').mockResolvedValue({});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    jest.clearAllMocks();
+  });
+
+  describe('assertLoginAllowed', () => {
+    it('lets a clean account and IP through', async () => {
+      await expect(assertLoginAllowed(buildUser(), req.ip)).resolves.toBeUndefined();
+    });
+
+    it('slows an IP down once it passes its free attempts', async () => {
+      LoginAttempt.getRecentFailuresByIp.mockResolvedValue({ count: IP_DELAY_AFTER_ATTEMPTS + 2, lastFailedAt: new Date() });
+
+      await expect(assertLoginAllowed(null, req.ip)).rejects.toMatchObject({ statusCode: 429, retryAfter: 4 });
+    });
+
+    it('refuses a locked account until the lock runs out', async () => {
+      const lockedUntil = new Date(Date.now() + 5 * 60 * 1000);
+
+      await expect(assertLoginAllowed(buildUser({ lockedUntil }), req.ip))
+        .rejects.toMatchObject({ statusCode: 423, retryAfter: 300 });
+      await expect(assertLoginAllowed(buildUser({ lockedUntil: new Date(Date.now() - 1000) }), req.ip))
+        .resolves.toBeUndefined();
+    });
+
+    it.each([
+      [DELAY_AFTER_ATTEMPTS, 1],
+      [DELAY_AFTER_ATTEMPTS + 1, 2],
+      [DELAY_AFTER_ATTEMPTS + 3, 8],
+      [DELAY_AFTER_ATTEMPTS + 20, 60]
+    ])('after %i failures makes the account wait %i seconds', async (failures, seconds) => {
+      const user = buildUser({ failedLoginAttempts: failures, lastFailedLoginAt: new Date() });
+
+      await expect(assertLoginAllowed(user, req.ip)).rejects.toMatchObject({ statusCode: 429, retryAfter: seconds });
+    });
+
+    it('lets the account try again once the delay has passed', async () => {
+      const user = buildUser({
+        failedLoginAttempts: DELAY_AFTER_ATTEMPTS + 1,
+        lastFailedLoginAt: new Date(Date.now() - 3000)
+      });
+
+      await expect(assertLoginAllowed(user, req.ip)).resolves.toBeUndefined();
+    });
+  });
+
+  describe('recordFailedLogin', () => {
+    // Stands in for the users row, applying updates the way MySQL would
+    let stored;
+
+    beforeEach(() => {
+      stored = { failedLoginAttempts: 0, lastFailedLoginAt: null, lockedUntil: null };
+
+      jest.spyOn(User, 'update').mockImplementation(async (values, { where }) => {
+        const threshold = where.failedLoginAttempts && where.failedLoginAttempts[Op.gte];
+        if (threshold !== undefined && stored.failedLoginAttempts < threshold) return [0];
+
+        Object.entries(values).forEach(([field, value]) => {
+          stored[field] = field === 'failedLoginAttempts' && typeof value === 'object'
+            ? stored.failedLoginAttempts + 1
+            : value;
+        });
+        return [1];
+      });
+      jest.spyOn(User.prototype, 'reload').mockImplementation(async function() {
+        this.set({ ...stored }, { raw: true });
+        return this;
+      });
+    });
+
+    it('logs the attempt and counts the failure in the database', async () => {
+      stored.failedLoginAttempts = 4;
+      const user = buildUser({ failedLoginAttempts: 4 });
+
+      await recordFailedLogin(user, user.email, req);
+
+      expect(LoginAttempt.create).toHaveBeenCalledWith(expect.objectContaining({
+        email: user.email,
+        userId: USER_ID,
+        ipAddress: req.ip,
+        successful: false
+      }));
+      expect(user.failedLoginAttempts).toBe(5);
+      expect(user.lockedUntil).toBeNull();
+      expect(sendAccountLockedEmail).not.toHaveBeenCalled();
+    });
+
+    it('only logs the attempt for unknown emails', async () => {
+      await recordFailedLogin(null, 'nobody@example.com', req);
+
+      expect(LoginAttempt.create).toHaveBeenCalledWith(expect.objectContaining({ userId: null }));
+      expect(User.update).not.toHaveBeenCalled();
+    });
+
+    it('locks the account when the failure reaches the threshold', async () => {
+      stored.failedLoginAttempts = LOCKOUT_THRESHOLD - 1;
+      const user = buildUser({ failedLoginAttempts: LOCKOUT_THRESHOLD - 1 });
+
+      await recordFailedLogin(user, user.email, req);
+
+      expect(stored.lockedUntil).toBeInstanceOf(Date);
+      expect(stored.failedLoginAttempts).toBe(0);
+      expect(user.isLocked()).toBe(true);
+      expect(sendAccountLockedEmail).toHaveBeenCalledTimes(1);
+    });
+
+    it('counts every one of many parallel guesses and locks exactly once', async () => {
+      // Each request loaded the user before any failure was recorded
+      const attempts = LOCKOUT_THRESHOLD + 2;
+      await Promise.all(Array.from({ length: attempts }, () => {
+        const user = buildUser();
+        return recordFailedLogin(user, user.email, req);
+      }));
+
+      const increments = User.update.mock.calls.filter(([values]) => typeof values.failedLoginAttempts === 'object');
+      expect(increments).toHaveLength(attempts);
+      expect(stored.lockedUntil).toBeInstanceOf(Date);
+      expect(sendAccountLockedEmail).toHaveBeenCalledTimes(1);
+    });
+  });
+
+  describe('clearing failures', () => {
+    it('resets the counters on a successful login', async () => {
+      const user = buildUser({ failedLoginAttempts: 5, lastFailedLoginAt: new Date() });
+
+      await recordSuccessfulLogin(user, req);
+
+      expect(LoginAttempt.create).toHaveBeenCalledWith(expect.objectContaining({ successful: true }));
+      expect(user.failedLoginAttempts).toBe(0);
+      expect(user.lastFailedLoginAt).toBeNull();
+    });
+
+    it('lifts a lock when an admin unlocks the account', async () => {
+      const user = buildUser({ failedLoginAttempts: 2, lockedUntil: new Date(Date.now() + 60000) });
+      jest.spyOn(user, 'save').mockResolvedValue(user);
+
+      await unlockAccount(user);
+
+      expect(user.isLocked()).toBe(false);
+      expect(user.failedLoginAttempts).toBe(0);
+    });
+  });
+});
@@ -0,0 +1,147 @@
+process.env.JWT_SECRET = 'test-access-secret';
+
+const { Op } = require('sequelize');
+const OneTimeCode = require('../../models/OneTimeCode');
+const { issueOneTimeCode, verifyOneTimeCode } = require('../../services/otpService');
+
+// Defaults from otpService
+const OTP_MAX_ATTEMPTS = 5;
+const OTP_MAX_PER_HOUR = 5;
+
+const PURPOSE = 'phone_verification';
+const user = { id: '11111111-1111-1111-1111-111111111111' };
+
+describe('otpService', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('issueOneTimeCode', () => {
+    let created;
+
+    beforeEach(() => {
+      created = null;
+      jest.spyOn(OneTimeCode, 'findOne').mockResolvedValue(null);
+      jest.spyOn(OneTimeCode, 'countSentSince').mockResolvedValue(0);
+      jest.spyOn(OneTimeCode, 'invalidateActive').mockResolvedValue([0]);
+      jest.spyOn(OneTimeCode, 'create').mockImplementation(async (values) => {
+        created = values;
+        return values;
+      });
+    });
+
+    it('stores only a hash of a new six-digit code', async () => {
+      const code = await issueOneTimeCode(user, PURPOSE, '+15555550100');
+
+      expect(code).toMatch(/^\d{6}$/);
+      expect(created).toMatchObject({ userId: user.id, purpose: PURPOSE, target: '+15555550100', maxAttempts: OTP_MAX_ATTEMPTS });
+      expect(created.codeHash).toMatch(/^[0-9a-f]{64}$/);
+      expect(created.codeHash).not.toContain(code);
+      expect(OneTimeCode.invalidateActive).toHaveBeenCalledWith(user.id, PURPOSE);
+    });
+
+    it('issues long tokens with their own expiry for links', async () => {
+      const code = await issueOneTimeCode(user, 'login_link', 'ann@example.com', {
+        format: 'token',
+        expiryMs: 24 * 60 * 60 * 1000
+      });
+
+      expect(code).toMatch(/^[0-9a-f]{64}$/);
+      expect(created.expiresAt.getTime() - Date.now()).toBeGreaterThan(23 * 60 * 60 * 1000);
+    });
+
+    it('makes the user wait between resends', async () => {
+      OneTimeCode.findOne.mockResolvedValue({ createdAt: new Date(Date.now() - 15 * 1000) });
+
+      await expect(issueOneTimeCode(user, PURPOSE, '+15555550100')).rejects.toMatchObject({
+        statusCode: 429,
+        retryAfter: 45
+      });
+      expect(OneTimeCode.create).not.toHaveBeenCalled();
+    });
+
+    it('caps how many codes are sent in an hour', async () => {
+      OneTimeCode.findOne.mockResolvedValue({ createdAt: new Date(Date.now() - 5 * 60 * 1000) });
+      OneTimeCode.countSentSince.mockResolvedValue(OTP_MAX_PER_HOUR);
+
+      await expect(issueOneTimeCode(user, PURPOSE, '+15555550100')).rejects.toMatchObject({
+        statusCode: 429,
+        retryAfter: 3600
+      });
+      expect(OneTimeCode.create).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('verifyOneTimeCode', () => {
+    let code;
+    let record;
+    let update;
+
+    beforeEach(async () => {
+      jest.spyOn(OneTimeCode, 'findOne').mockResolvedValue(null);
+      jest.spyOn(OneTimeCode, 'countSentSince').mockResolvedValue(0);
+      jest.spyOn(OneTimeCode, 'invalidateActive').mockResolvedValue([0]);
+      jest.spyOn(OneTimeCode, 'create').mockImplementation(async (values) => {
+        record = OneTimeCode.build({ id: '22222222-2222-2222-2222-222222222222', attempts: 0, ...values });
+        return record;
+      });
+      code = await issueOneTimeCode(user, PURPOSE, '+15555550100');
+
+      jest.spyOn(OneTimeCode, 'findLatestActive').mockImplementation(async () => record);
+      update = jest.spyOn(OneTimeCode, 'update').mockResolvedValue([1]);
+    });
+
+    it('counts the attempt atomically and consumes a correct code once', async () => {
+      await expect(verifyOneTimeCode(user, PURPOSE, ` ${code} `)).resolves.toBe(record);
+
+      const [[counted, { where: countWhere }], [consumed, { where: consumeWhere }]] = update.mock.calls;
+      expect(typeof counted.attempts).toBe('object');
+      expect(countWhere).toEqual({ id: record.id, attempts: { [Op.lt]: OTP_MAX_ATTEMPTS } });
+      expect(consumed.consumedAt).toBeInstanceOf(Date);
+      expect(consumeWhere).toEqual({ id: record.id, consumedAt: null });
+    });
+
+    it('tells the user how many attempts a wrong code leaves', async () => {
+      const wrong = code === '000000' ? '000001' : '000000';
+
+      await expect(verifyOneTimeCode(user, PURPOSE, wrong)).rejects.toMatchObject({
+        statusCode: 400,
+        message: `Invalid code. ${OTP_MAX_ATTEMPTS - 1} attempts remaining.`
+      });
+
+      record.attempts = OTP_MAX_ATTEMPTS - 1;
+      await expect(verifyOneTimeCode(user, PURPOSE, wrong)).rejects.toMatchObject({
+        statusCode: 400,
+        message: 'Too many incorrect attempts. Please request a new code.'
+      });
+      expect(update).toHaveBeenCalledTimes(2);
+    });
+
+    it('refuses to check a code once its attempts are used up', async () => {
+      update.mockResolvedValueOnce([0]);
+
+      await expect(verifyOneTimeCode(user, PURPOSE, code)).rejects.toMatchObject({ statusCode: 429 });
+      expect(update).toHaveBeenCalledTimes(1);
+    });
+
+    it('rejects a code a parallel request consumed first', async () => {
+      update.mockResolvedValueOnce([1]).mockResolvedValueOnce([0]);
+
+      await expect(verifyOneTimeCode(user, PURPOSE, code)).rejects.toMatchObject({ statusCode: 400 });
+    });
+
+    it('rejects a code issued for another purpose', async () => {
+      await expect(verifyOneTimeCode(user, 'login_link', code)).rejects.toMatchObject({ statusCode: 400 });
+    });
+
+    it('asks for a new code when none is active', async () => {
+      OneTimeCode.findLatestActive.mockResolvedValue(null);
+
+      await expect(verifyOneTimeCode(user, PURPOSE, code)).rejects.toMatchObject({
+        statusCode: 400,
+        message: 'Code expired or not found. Please request a new one.'
+      });
+      expect(update).not.toHaveBeenCalled();
+    });
+  });
+});
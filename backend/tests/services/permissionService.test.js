@@ -0,0 +1,48 @@
+const Role = require('../../models/Role');
+const {
+  permissionMatches,
+  getPermissionsForScopes,
+  requestHasPermission,
+  invalidatePermissionCache
+} = require('../../services/permissionService');
+
+describe('permissionService', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+    invalidatePermissionCache();
+  });
+
+  describe('permissionMatches', () => {
+    it.each([
+      [['*'], 'roles.manage', true],
+      [['sessions.*'], 'sessions.view.any', true],
+      [['sessions.view.any'], 'sessions.view.own', true],
+      [['sessions.view.own'], 'sessions.view.any', false],
+      [['users.view'], 'users.update', false]
+    ])('%j covers %s: %p', (granted, required, expected) => {
+      expect(permissionMatches(granted, required)).toBe(expected);
+    });
+  });
+
+  describe('API key scopes', () => {
+    const superAdmin = { id: '11111111-1111-1111-1111-111111111111', role: 'super_admin' };
+
+    beforeEach(() => {
+      jest.spyOn(Role, 'findByName').mockResolvedValue(null);
+    });
+
+    it('limits a key to its scopes even when its admin holds everything', async () => {
+      const req = { user: superAdmin, apiKey: { scopes: ['users:write'] } };
+
+      await expect(requestHasPermission(req, 'users.suspend')).resolves.toBe(true);
+      await expect(requestHasPermission(req, 'roles.manage')).resolves.toBe(false);
+    });
+
+    it('keeps account creation and role changes out of every scope', () => {
+      const permissions = getPermissionsForScopes(['users:read', 'users:write']);
+
+      expect(permissions).not.toContain('users.create');
+      expect(permissions).not.toContain('users.role.assign');
+    });
+  });
+});
@@ -0,0 +1,38 @@
+const OrganizationSetting = require('../../models/OrganizationSetting');
+const { resolveSelfRegistrationRole } = require('../../services/rolePolicyService');
+
+describe('rolePolicyService', () => {
+  describe('resolveSelfRegistrationRole', () => {
+    // The seeded settings: tutors have a domain but can't sign themselves up
+    let settings;
+
+    beforeEach(() => {
+      settings = {
+        self_registration_roles: ['student'],
+        email_domain_roles: { 'std.com': 'student', 'tut.com': 'tutor' },
+        default_registration_role: 'student'
+      };
+      jest.spyOn(OrganizationSetting, 'getValue').mockImplementation(async (key, defaultValue) => (
+        key in settings ? settings[key] : defaultValue
+      ));
+    });
+
+    afterEach(() => {
+      jest.restoreAllMocks();
+    });
+
+    it('uses the role suggested by the email domain', async () => {
+      settings.self_registration_roles = ['student', 'tutor'];
+
+      await expect(resolveSelfRegistrationRole('tom@tut.com')).resolves.toBe('tutor');
+    });
+
+    it('falls back to a self-registrable role when the domain suggests one that isn\'t', async () => {
+      await expect(resolveSelfRegistrationRole('tom@tut.com')).resolves.toBe('student');
+    });
+
+    it('still refuses a role asked for explicitly that isn\'t self-registrable', async () => {
+      await expect(resolveSelfRegistrationRole('tom@tut.com', 'tutor')).rejects.toMatchObject({ statusCode: 403 });
+    });
+  });
+});
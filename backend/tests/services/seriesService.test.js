@@ -0,0 +1,101 @@
+jest.mock('../../services/whatsappService', () => ({
+  sendSessionInvitation: jest.fn()
+}));
+
+const { expandOccurrences } = require('../../services/seriesService');
+
+const iso = dates => dates.map(date => date.toISOString());
+
+describe('expandOccurrences', () => {
+  it('steps daily rules by their interval', () => {
+    const rule = { frequency: 'daily', interval: 2, count: 4, startTime: '2026-01-01T09:00:00Z' };
+
+    expect(iso(expandOccurrences(rule, 100))).toEqual([
+      '2026-01-01T09:00:00.000Z',
+      '2026-01-03T09:00:00.000Z',
+      '2026-01-05T09:00:00.000Z',
+      '2026-01-07T09:00:00.000Z'
+    ]);
+  });
+
+  it('repeats weekly rules on each listed weekday, from the start onwards', () => {
+    // A Wednesday; the Monday of its week is before the start and is skipped
+    const rule = { frequency: 'weekly', interval: 1, byWeekday: ['MO', 'WE'], count: 4, startTime: '2026-01-07T09:00:00Z' };
+
+    expect(iso(expandOccurrences(rule, 100))).toEqual([
+      '2026-01-07T09:00:00.000Z',
+      '2026-01-12T09:00:00.000Z',
+      '2026-01-14T09:00:00.000Z',
+      '2026-01-19T09:00:00.000Z'
+    ]);
+  });
+
+  it('skips weeks between weekly occurrences', () => {
+    const rule = { frequency: 'weekly', interval: 2, byWeekday: ['TU'], count: 3, startTime: '2026-01-06T16:30:00Z' };
+
+    expect(iso(expandOccurrences(rule, 100))).toEqual([
+      '2026-01-06T16:30:00.000Z',
+      '2026-01-20T16:30:00.000Z',
+      '2026-02-03T16:30:00.000Z'
+    ]);
+  });
+
+  it('skips months without the start\'s day of the month', () => {
+    const rule = { frequency: 'monthly', interval: 1, count: 4, startTime: '2026-01-31T09:00:00Z' };
+
+    expect(iso(expandOccurrences(rule, 100))).toEqual([
+      '2026-01-31T09:00:00.000Z',
+      '2026-03-31T09:00:00.000Z',
+      '2026-05-31T09:00:00.000Z',
+      '2026-07-31T09:00:00.000Z'
+    ]);
+  });
+
+  it('ends at until, including an occurrence on it', () => {
+    const rule = { frequency: 'daily', interval: 1, until: '2026-01-03T09:00:00Z', startTime: '2026-01-01T09:00:00Z' };
+
+    expect(expandOccurrences(rule, 100)).toHaveLength(3);
+  });
+
+  it('ends at whichever of count and until comes first', () => {
+    const rule = { frequency: 'daily', interval: 1, count: 2, until: '2026-01-10T09:00:00Z', startTime: '2026-01-01T09:00:00Z' };
+
+    expect(expandOccurrences(rule, 100)).toHaveLength(2);
+  });
+
+  it('never returns more than max', () => {
+    const counted = { frequency: 'daily', interval: 1, count: 50, startTime: '2026-01-01T09:00:00Z' };
+    const open = { frequency: 'weekly', interval: 1, byWeekday: ['MO', 'TU', 'WE'], until: '2030-01-01T00:00:00Z', startTime: '2026-01-05T09:00:00Z' };
+
+    expect(expandOccurrences(counted, 5)).toHaveLength(5);
+    expect(expandOccurrences(open, 7)).toHaveLength(7);
+  });
+
+  it('keeps the local start time when DST begins', () => {
+    // New York moves to EDT on 8 March 2026
+    const rule = {
+      frequency: 'weekly',
+      interval: 1,
+      byWeekday: ['MO'],
+      count: 3,
+      timezone: 'America/New_York',
+      startTime: '2026-03-02T14:00:00Z'
+    };
+
+    expect(iso(expandOccurrences(rule, 100))).toEqual([
+      '2026-03-02T14:00:00.000Z',
+      '2026-03-09T13:00:00.000Z',
+      '2026-03-16T13:00:00.000Z'
+    ]);
+  });
+
+  it('keeps the local start time when DST ends', () => {
+    // London moves back to GMT on 25 October 2026
+    const rule = { frequency: 'daily', interval: 1, count: 2, timezone: 'Europe/London', startTime: '2026-10-24T17:00:00Z' };
+
+    expect(iso(expandOccurrences(rule, 100))).toEqual([
+      '2026-10-24T17:00:00.000Z',
+      '2026-10-25T18:00:00.000Z'
+    ]);
+  });
+});
@@ -0,0 +1,101 @@
+jest.mock('../../services/whatsappService', () => ({
+  sendSessionInvitation: jest.fn(),
+  sendFeedbackRequest: jest.fn()
+}));
+jest.mock('../../services/emailService', () => ({
+  sendFeedbackRequestEmail: jest.fn()
+}));
+jest.mock('../../services/auditService', () => ({
+  recordAudit: jest.fn()
+}));
+
+const { sequelize } = require('../../config/database');
+const Session = require('../../models/Session');
+const SessionStudent = require('../../models/SessionStudent');
+const SessionWaitlistEntry = require('../../models/SessionWaitlistEntry');
+const Attendance = require('../../models/Attendance');
+const { recordAudit } = require('../../services/auditService');
+const { transitionSession } = require('../../services/sessionLifecycleService');
+
+const SESSION_ID = '11111111-1111-1111-1111-111111111111';
+
+const buildSession = (values = {}) => Session.build({
+  id: SESSION_ID,
+  title: 'Algebra drop-in',
+  startTime: new Date(Date.now() - 30 * 60 * 1000),
+  endTime: new Date(Date.now() + 30 * 60 * 1000),
+  duration: 60,
+  sessionType: 'group',
+  maxStudents: 10,
+  price: '0.00',
+  tutorId: '22222222-2222-2222-2222-222222222222',
+  ...values
+}, { isNewRecord: false });
+
+describe('transitionSession', () => {
+  const transaction = { LOCK: { UPDATE: 'UPDATE' } };
+  let locked;
+
+  const lockAs = (status) => {
+    locked = buildSession({ status });
+    jest.spyOn(locked, 'update').mockImplementation(async (values) => {
+      locked.set(values);
+      return locked;
+    });
+    jest.spyOn(Session, 'lockForUpdate').mockResolvedValue(locked);
+  };
+
+  beforeEach(() => {
+    jest.spyOn(sequelize, 'transaction').mockImplementation(async (callback) => callback(transaction));
+    jest.spyOn(SessionStudent, 'findAll').mockResolvedValue([]);
+    jest.spyOn(SessionStudent, 'update').mockResolvedValue([0]);
+    jest.spyOn(SessionStudent, 'countHeldSeats').mockResolvedValue(0);
+    jest.spyOn(Attendance, 'findAll').mockResolvedValue([]);
+    jest.spyOn(Attendance, 'update').mockResolvedValue([0]);
+    jest.spyOn(SessionWaitlistEntry, 'update').mockResolvedValue([2]);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    jest.clearAllMocks();
+  });
+
+  const waitlistClosures = () => SessionWaitlistEntry.update.mock.calls.filter(([values, { where }]) => (
+    values.status === 'expired' && where.sessionId === SESSION_ID && where.status === SessionWaitlistEntry.ACTIVE_STATUSES
+  ));
+
+  it('closes the waitlist inside the transaction when the session starts', async () => {
+    lockAs('scheduled');
+    const session = buildSession({ status: 'scheduled' });
+    jest.spyOn(session, 'reload').mockResolvedValue(session);
+
+    await transitionSession(session, 'ongoing');
+
+    expect(locked.status).toBe('ongoing');
+    const closures = waitlistClosures();
+    expect(closures).toHaveLength(1);
+    expect(closures[0][1].transaction).toBe(transaction);
+    expect(recordAudit).toHaveBeenCalledWith(expect.objectContaining({
+      action: 'session.status_changed',
+      newValues: { status: 'ongoing', automatic: true }
+    }), null);
+  });
+
+  it('closes anything left on the waitlist when the session completes', async () => {
+    lockAs('ongoing');
+    const session = buildSession({ status: 'ongoing' });
+    jest.spyOn(session, 'reload').mockResolvedValue(session);
+
+    await transitionSession(session, 'completed');
+
+    expect(locked.status).toBe('completed');
+    expect(waitlistClosures()).toHaveLength(1);
+  });
+
+  it('leaves the waitlist alone when the move isn\'t allowed', async () => {
+    lockAs('cancelled');
+
+    await expect(transitionSession(buildSession(), 'ongoing')).rejects.toMatchObject({ statusCode: 409 });
+    expect(SessionWaitlistEntry.update).not.toHaveBeenCalled();
+  });
+});
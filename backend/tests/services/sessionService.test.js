@@ -0,0 +1,132 @@
+jest.mock('../../services/waitlistService', () => ({
+  WAITLIST_SESSION_TYPES: ['group', 'workshop'],
+  offerFreedSeats: jest.fn().mockResolvedValue([]),
+  notifyOffers: jest.fn()
+}));
+jest.mock('../../services/conflictService', () => ({
+  findConflicts: jest.fn().mockResolvedValue([]),
+  resolveConflicts: jest.fn().mockResolvedValue(null),
+  recordOverride: jest.fn()
+}));
+jest.mock('../../services/auditService', () => ({
+  recordAudit: jest.fn()
+}));
+
+const { sequelize } = require('../../config/database');
+const Session = require('../../models/Session');
+const { validateSchedule, updateSession } = require('../../services/sessionService');
+
+const HOUR_MS = 60 * 60 * 1000;
+const SESSION_ID = '11111111-1111-1111-1111-111111111111';
+const req = { user: { id: '22222222-2222-2222-2222-222222222222' } };
+
+const buildSession = (values = {}) => Session.build({
+  id: SESSION_ID,
+  title: 'Algebra drop-in',
+  duration: 60,
+  sessionType: 'group',
+  maxStudents: 10,
+  tutorId: req.user.id,
+  ...values
+}, { isNewRecord: false });
+
+describe('sessionService', () => {
+  describe('validateSchedule', () => {
+    const later = (ms) => new Date(Date.now() + ms);
+
+    it('returns the duration of a future session', () => {
+      expect(validateSchedule(later(HOUR_MS), later(2.5 * HOUR_MS))).toBe(90);
+    });
+
+    it('requires a future start for a session that hasn\'t started', () => {
+      expect(() => validateSchedule(later(-HOUR_MS), later(HOUR_MS))).toThrow('Start time must be in the future');
+    });
+
+    it('lets a running session keep its past start but not end in the past', () => {
+      expect(validateSchedule(later(-HOUR_MS), later(HOUR_MS), { started: true })).toBe(120);
+      expect(() => validateSchedule(later(-2 * HOUR_MS), later(-HOUR_MS), { started: true }))
+        .toThrow('End time must be in the future');
+    });
+
+    it('rejects an end before the start', () => {
+      expect(() => validateSchedule(later(2 * HOUR_MS), later(HOUR_MS))).toThrow('End time must be after start time');
+    });
+  });
+
+  describe('updateSession', () => {
+    const transaction = { LOCK: { UPDATE: 'UPDATE' } };
+    let session;
+    let locked;
+
+    const load = (status, startOffset) => {
+      const times = {
+        status,
+        startTime: new Date(Date.now() + startOffset),
+        endTime: new Date(Date.now() + startOffset + HOUR_MS)
+      };
+      session = buildSession(times);
+      locked = buildSession(times);
+      jest.spyOn(session, 'reload').mockResolvedValue(session);
+      jest.spyOn(locked, 'update').mockResolvedValue(locked);
+      jest.spyOn(Session, 'lockForUpdate').mockResolvedValue(locked);
+    };
+
+    beforeEach(() => {
+      jest.spyOn(sequelize, 'transaction').mockImplementation(async (callback) => callback(transaction));
+    });
+
+    afterEach(() => {
+      jest.restoreAllMocks();
+    });
+
+    it('moves a scheduled session to a new time', async () => {
+      load('scheduled', 24 * HOUR_MS);
+      const startTime = new Date(Date.now() + 48 * HOUR_MS);
+      const endTime = new Date(startTime.getTime() + 2 * HOUR_MS);
+
+      await updateSession(session, { startTime, endTime }, req);
+
+      expect(locked.update).toHaveBeenCalledWith(expect.objectContaining({ startTime, endTime, duration: 120 }), { transaction });
+    });
+
+    it('won\'t move a running session to a new start', async () => {
+      load('ongoing', -30 * 60 * 1000);
+
+      await expect(updateSession(session, { startTime: new Date(Date.now() + 24 * HOUR_MS) }, req))
+        .rejects.toMatchObject({ statusCode: 409 });
+      expect(locked.update).not.toHaveBeenCalled();
+    });
+
+    it('extends a running session', async () => {
+      load('ongoing', -30 * 60 * 1000);
+      const endTime = new Date(session.endTime.getTime() + HOUR_MS);
+
+      await updateSession(session, { startTime: session.startTime.toISOString(), endTime }, req);
+
+      expect(locked.update).toHaveBeenCalledWith(expect.objectContaining({ endTime, duration: 120 }), { transaction });
+    });
+
+    it('won\'t end a running session in the past', async () => {
+      load('ongoing', -90 * 60 * 1000);
+
+      await expect(updateSession(session, { endTime: new Date(Date.now() - 60 * 1000) }, req))
+        .rejects.toMatchObject({ statusCode: 400, message: 'End time must be in the future' });
+    });
+
+    it('won\'t move a session that started after it was loaded', async () => {
+      load('scheduled', 24 * HOUR_MS);
+      locked.status = 'ongoing';
+      const startTime = new Date(Date.now() + 48 * HOUR_MS);
+
+      await expect(updateSession(session, { startTime, endTime: new Date(startTime.getTime() + HOUR_MS) }, req))
+        .rejects.toMatchObject({ statusCode: 409 });
+      expect(locked.update).not.toHaveBeenCalled();
+    });
+
+    it('won\'t edit a finished session', async () => {
+      load('completed', -2 * HOUR_MS);
+
+      await expect(updateSession(session, { title: 'Renamed' }, req)).rejects.toMatchObject({ statusCode: 409 });
+    });
+  });
+});
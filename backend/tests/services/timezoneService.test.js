@@ -0,0 +1,143 @@
+const {
+  DEFAULT_TIMEZONE,
+  isValidTimezone,
+  getZonedParts,
+  getOffsetMinutes,
+  zonedTimeToUtc,
+  shiftWallClock,
+  wallClockDifference,
+  resolveDisplaySettings,
+  toZonedISOString
+} = require('../../services/timezoneService');
+
+// New York springs forward at 02:00 on 8 March 2026 and falls back at 02:00
+// on 1 November 2026
+const NEW_YORK = 'America/New_York';
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+
+describe('timezoneService', () => {
+  describe('isValidTimezone', () => {
+    it.each([
+      ['Europe/London', true],
+      ['UTC', true],
+      ['Mars/Olympus_Mons', false],
+      ['', false],
+      [null, false],
+      [42, false]
+    ])('says %p is valid: %p', (timezone, expected) => {
+      expect(isValidTimezone(timezone)).toBe(expected);
+    });
+  });
+
+  describe('getOffsetMinutes', () => {
+    it.each([
+      ['2026-01-15T12:00:00Z', NEW_YORK, -300],
+      ['2026-07-15T12:00:00Z', NEW_YORK, -240],
+      ['2026-07-15T12:00:00Z', 'Europe/London', 60],
+      ['2026-07-15T12:00:00Z', 'Asia/Kolkata', 330],
+      ['2026-07-15T12:00:00Z', 'Asia/Kathmandu', 345]
+    ])('at %s in %s is %i', (instant, timezone, expected) => {
+      expect(getOffsetMinutes(new Date(instant), timezone)).toBe(expected);
+    });
+
+    it('changes at the moment DST begins', () => {
+      expect(getOffsetMinutes(new Date('2026-03-08T06:59:00Z'), NEW_YORK)).toBe(-300);
+      expect(getOffsetMinutes(new Date('2026-03-08T07:00:00Z'), NEW_YORK)).toBe(-240);
+    });
+  });
+
+  describe('getZonedParts', () => {
+    it('reads the local date, time and weekday', () => {
+      expect(getZonedParts(new Date('2026-03-10T03:30:00Z'), NEW_YORK)).toEqual({
+        year: 2026, month: 3, day: 9, hour: 23, minute: 30, second: 0, weekday: 1
+      });
+    });
+  });
+
+  describe('zonedTimeToUtc', () => {
+    it('converts with the offset in force on the day', () => {
+      expect(zonedTimeToUtc({ year: 2026, month: 1, day: 15, hour: 9 }, NEW_YORK).toISOString())
+        .toBe('2026-01-15T14:00:00.000Z');
+      expect(zonedTimeToUtc({ year: 2026, month: 7, day: 15, hour: 9 }, NEW_YORK).toISOString())
+        .toBe('2026-07-15T13:00:00.000Z');
+    });
+
+    it('converts the hours either side of a DST change', () => {
+      expect(zonedTimeToUtc({ year: 2026, month: 3, day: 8, hour: 1, minute: 30 }, NEW_YORK).toISOString())
+        .toBe('2026-03-08T06:30:00.000Z');
+      expect(zonedTimeToUtc({ year: 2026, month: 3, day: 8, hour: 3, minute: 30 }, NEW_YORK).toISOString())
+        .toBe('2026-03-08T07:30:00.000Z');
+    });
+
+    it('moves a time skipped by the spring change forward by the gap', () => {
+      expect(zonedTimeToUtc({ year: 2026, month: 3, day: 8, hour: 2, minute: 30 }, NEW_YORK).toISOString())
+        .toBe('2026-03-08T07:30:00.000Z');
+    });
+
+    it('resolves a time repeated by the autumn change to its first occurrence', () => {
+      expect(zonedTimeToUtc({ year: 2026, month: 11, day: 1, hour: 1, minute: 30 }, NEW_YORK).toISOString())
+        .toBe('2026-11-01T05:30:00.000Z');
+    });
+
+    it('rolls out-of-range fields over', () => {
+      expect(zonedTimeToUtc({ year: 2026, month: 1, day: 31, hour: 0, minute: 1440 }, 'UTC').toISOString())
+        .toBe('2026-02-01T00:00:00.000Z');
+      expect(zonedTimeToUtc({ year: 2026, month: 13, day: 1 }, 'UTC').toISOString())
+        .toBe('2027-01-01T00:00:00.000Z');
+    });
+
+    it('gives back the instant getZonedParts read', () => {
+      const instant = new Date('2026-11-01T07:15:00Z');
+      expect(zonedTimeToUtc(getZonedParts(instant, NEW_YORK), NEW_YORK)).toEqual(instant);
+    });
+  });
+
+  describe('toZonedISOString', () => {
+    it.each([
+      ['2026-03-10T19:30:00Z', NEW_YORK, '2026-03-10T15:30:00-04:00'],
+      ['2026-01-10T19:30:00Z', NEW_YORK, '2026-01-10T14:30:00-05:00'],
+      ['2026-01-10T19:30:00Z', 'Asia/Kolkata', '2026-01-11T01:00:00+05:30'],
+      ['2026-01-10T19:30:00Z', 'UTC', '2026-01-10T19:30:00+00:00']
+    ])('writes %s in %s as %s', (instant, timezone, expected) => {
+      expect(toZonedISOString(new Date(instant), timezone)).toBe(expected);
+    });
+  });
+
+  describe('shiftWallClock and wallClockDifference', () => {
+    // 09:00 EST on the Saturday before DST begins
+    const before = new Date('2026-03-07T14:00:00Z');
+
+    it('keeps the clock time when a day crosses the spring change', () => {
+      const next = shiftWallClock(before, DAY_MS, NEW_YORK);
+
+      expect(next.toISOString()).toBe('2026-03-08T13:00:00.000Z');
+      expect(next - before).toBe(23 * HOUR_MS);
+      expect(wallClockDifference(before, next, NEW_YORK)).toBe(DAY_MS);
+    });
+
+    it('keeps the clock time when a week crosses the autumn change', () => {
+      const start = new Date('2026-10-29T13:00:00Z');
+      const next = shiftWallClock(start, 7 * DAY_MS, NEW_YORK);
+
+      expect(next.toISOString()).toBe('2026-11-05T14:00:00.000Z');
+      expect(wallClockDifference(start, next, NEW_YORK)).toBe(7 * DAY_MS);
+    });
+
+    it('undoes a shift when given the difference back', () => {
+      const later = new Date('2026-04-02T20:45:00Z');
+      const difference = wallClockDifference(before, later, NEW_YORK);
+
+      expect(shiftWallClock(before, difference, NEW_YORK)).toEqual(later);
+    });
+  });
+
+  describe('resolveDisplaySettings', () => {
+    it('prefers the recipient\'s zone, then the fallback, then the default', () => {
+      expect(resolveDisplaySettings({ timezone: 'Asia/Tokyo', locale: 'ja-JP' }, NEW_YORK))
+        .toEqual({ timezone: 'Asia/Tokyo', locale: 'ja-JP' });
+      expect(resolveDisplaySettings({ timezone: 'Not/A_Zone' }, NEW_YORK).timezone).toBe(NEW_YORK);
+      expect(resolveDisplaySettings(null).timezone).toBe(DEFAULT_TIMEZONE);
+    });
+  });
+});
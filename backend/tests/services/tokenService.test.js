@@ -0,0 +1,155 @@
+process.env.JWT_SECRET = 'test-access-secret';
+process.env.JWT_REFRESH_SECRET = 'test-refresh-secret';
+
+jest.mock('../../services/loginSessionService', () => ({
+  startLoginSession: jest.fn(),
+  extendLoginSession: jest.fn(),
+  revokeLogin: jest.fn(),
+  touchLoginSession: jest.fn()
+}));
+jest.mock('../../services/emailService', () => ({
+  sendEmail: jest.fn()
+}));
+
+const jwt = require('jsonwebtoken');
+const User = require('../../models/User');
+const RefreshToken = require('../../models/RefreshToken');
+const { generateRefreshToken } = require('../../middleware/auth');
+const { extendLoginSession, revokeLogin } = require('../../services/loginSessionService');
+const { sendEmail } = require('../../services/emailService');
+const { rotateRefreshToken } = require('../../services/tokenService');
+
+const FAMILY_ID = '22222222-2222-2222-2222-222222222222';
+
+const req = { ip: '203.0.113.7', get: () => 'jest' };
+
+describe('rotateRefreshToken', () => {
+  let user;
+  let token;
+  let record;
+
+  beforeEach(() => {
+    user = User.build({
+      id: '11111111-1111-1111-1111-111111111111',
+      email: 'ann@example.com',
+      firstName: 'Ann',
+      role: 'student',
+      status: 'active'
+    });
+    token = generateRefreshToken(user, FAMILY_ID);
+    record = RefreshToken.build({
+      id: '33333333-3333-3333-3333-333333333333',
+      jti: jwt.decode(token).jti,
+      familyId: FAMILY_ID,
+      userId: user.id,
+      expiresAt: new Date(Date.now() + 60 * 60 * 1000)
+    });
+
+    jest.spyOn(User, 'findByPk').mockResolvedValue(user);
+    jest.spyOn(RefreshToken, 'findByJti').mockResolvedValue(record);
+    jest.spyOn(RefreshToken, 'create').mockImplementation(async (values) => values);
+    jest.spyOn(RefreshToken, 'revokeFamily').mockResolvedValue([1]);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    jest.clearAllMocks();
+  });
+
+  it('swaps the token for a new pair in the same family', async () => {
+    const consume = jest.spyOn(record, 'consume').mockResolvedValue(true);
+
+    const result = await rotateRefreshToken(token, req);
+
+    const next = jwt.decode(result.refreshToken);
+    expect(next.familyId).toBe(FAMILY_ID);
+    expect(next.jti).not.toBe(record.jti);
+    expect(jwt.decode(result.accessToken)).toMatchObject({ userId: user.id, sid: FAMILY_ID });
+    expect(consume).toHaveBeenCalledWith(next.jti);
+    expect(extendLoginSession).toHaveBeenCalledWith(FAMILY_ID, expect.any(Date), req);
+    expect(revokeLogin).not.toHaveBeenCalled();
+  });
+
+  it('ends the login and warns the user when a used token comes back', async () => {
+    record.usedAt = new Date();
+
+    await expect(rotateRefreshToken(token, req)).rejects.toMatchObject({
+      statusCode: 401,
+      message: 'Refresh token reuse detected. Please log in again.'
+    });
+    expect(revokeLogin).toHaveBeenCalledWith(FAMILY_ID, 'reuse_detected');
+    expect(sendEmail).toHaveBeenCalledWith(user.email, expect.stringContaining('Security Alert'), expect.any(String));
+    expect(RefreshToken.create).not.toHaveBeenCalled();
+  });
+
+  it('treats losing the race to another rotation as reuse', async () => {
+    jest.spyOn(record, 'consume').mockResolvedValue(false);
+    jest.spyOn(record, 'reload').mockImplementation(async () => {
+      record.usedAt = new Date();
+      return record;
+    });
+
+    await expect(rotateRefreshToken(token, req)).rejects.toMatchObject({ statusCode: 401 });
+    expect(revokeLogin).toHaveBeenCalledWith(FAMILY_ID, 'reuse_detected');
+    expect(sendEmail).toHaveBeenCalled();
+  });
+
+  it('answers a rotation that raced a logout with a plain 401', async () => {
+    jest.spyOn(record, 'consume').mockResolvedValue(false);
+    jest.spyOn(record, 'reload').mockImplementation(async () => {
+      record.revokedAt = new Date();
+      record.revokedReason = 'device_revoked';
+      return record;
+    });
+
+    await expect(rotateRefreshToken(token, req)).rejects.toMatchObject({
+      statusCode: 401,
+      message: 'Refresh token has been revoked'
+    });
+    // The token issued during the race is revoked along with the family
+    expect(RefreshToken.revokeFamily).toHaveBeenCalledWith(FAMILY_ID, 'device_revoked');
+    expect(revokeLogin).not.toHaveBeenCalled();
+    expect(sendEmail).not.toHaveBeenCalled();
+  });
+
+  it('rejects a revoked token without a reuse alert', async () => {
+    record.revokedAt = new Date();
+
+    await expect(rotateRefreshToken(token, req)).rejects.toMatchObject({
+      statusCode: 401,
+      message: 'Refresh token has been revoked'
+    });
+    expect(sendEmail).not.toHaveBeenCalled();
+  });
+
+  it('rejects tokens issued before the user logged out everywhere', async () => {
+    user.tokenVersion = 1;
+
+    await expect(rotateRefreshToken(token, req)).rejects.toMatchObject({ statusCode: 401 });
+    expect(RefreshToken.create).not.toHaveBeenCalled();
+  });
+
+  it('rejects tokens it has no record of, or that belong to someone else', async () => {
+    RefreshToken.findByJti.mockResolvedValueOnce(null);
+    await expect(rotateRefreshToken(token, req)).rejects.toMatchObject({ statusCode: 401 });
+
+    record.userId = '44444444-4444-4444-4444-444444444444';
+    await expect(rotateRefreshToken(token, req)).rejects.toMatchObject({ statusCode: 401 });
+  });
+
+  it('rejects tokens with a bad signature or of the wrong type', async () => {
+    await expect(rotateRefreshToken(`${token}x`, req)).rejects.toMatchObject({ statusCode: 401 });
+
+    const access = jwt.sign({ userId: user.id, type: 'access' }, process.env.JWT_REFRESH_SECRET);
+    await expect(rotateRefreshToken(access, req)).rejects.toMatchObject({ statusCode: 400 });
+  });
+
+  it('refuses suspended users', async () => {
+    user.status = 'suspended';
+
+    await expect(rotateRefreshToken(token, req)).rejects.toMatchObject({
+      statusCode: 401,
+      message: 'User not found or inactive'
+    });
+  });
+});
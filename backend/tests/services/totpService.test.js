@@ -0,0 +1,121 @@
+const {
+  generateSecret,
+  generateCode,
+  getTimeStep,
+  verifyCode,
+  buildOtpauthUrl,
+  hashRecoveryCode,
+  generateRecoveryCodes
+} = require('../../services/totpService');
+
+// The RFC 6238 SHA-1 test secret, "12345678901234567890", in base32
+const RFC_SECRET = 'GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ';
+
+describe('totpService', () => {
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  describe('generateCode', () => {
+    // RFC 6238 appendix B (SHA-1), last six of the eight published digits
+    it.each([
+      [59, '287082'],
+      [1111111109, '081804'],
+      [1111111111, '050471'],
+      [1234567890, '005924'],
+      [2000000000, '279037'],
+      [20000000000, '353130']
+    ])('matches the RFC 6238 vector at T=%i', (seconds, expected) => {
+      expect(generateCode(RFC_SECRET, getTimeStep(seconds * 1000))).toBe(expected);
+    });
+
+    it('reads secrets in any case, with padding and spaces', () => {
+      const expected = generateCode(RFC_SECRET, 1);
+      expect(generateCode(RFC_SECRET.toLowerCase(), 1)).toBe(expected);
+      expect(generateCode(`${RFC_SECRET}======`, 1)).toBe(expected);
+      expect(generateCode(RFC_SECRET.replace(/(.{4})/g, '$1 '), 1)).toBe(expected);
+    });
+
+    it('rejects characters outside the base32 alphabet', () => {
+      expect(() => generateCode('GEZDGNB1', 1)).toThrow('Invalid base32 character');
+    });
+  });
+
+  describe('generateSecret', () => {
+    it('returns 160 bits of base32 that codes can be generated from', () => {
+      const secret = generateSecret();
+      expect(secret).toMatch(/^[A-Z2-7]{32}$/);
+      expect(generateCode(secret, 1)).toMatch(/^\d{6}$/);
+      expect(generateSecret()).not.toBe(secret);
+    });
+  });
+
+  describe('verifyCode', () => {
+    const now = 1111111111 * 1000;
+    const step = getTimeStep(now);
+
+    beforeEach(() => {
+      jest.useFakeTimers({ now });
+    });
+
+    it('accepts the current code and returns its step', () => {
+      expect(verifyCode(RFC_SECRET, generateCode(RFC_SECRET, step))).toBe(step);
+    });
+
+    it('allows one step of clock drift either way', () => {
+      expect(verifyCode(RFC_SECRET, generateCode(RFC_SECRET, step - 1))).toBe(step - 1);
+      expect(verifyCode(RFC_SECRET, generateCode(RFC_SECRET, step + 1))).toBe(step + 1);
+      expect(verifyCode(RFC_SECRET, generateCode(RFC_SECRET, step - 2))).toBeNull();
+    });
+
+    it('rejects a step at or before the last one used', () => {
+      const code = generateCode(RFC_SECRET, step);
+      expect(verifyCode(RFC_SECRET, code, { lastUsedStep: step })).toBeNull();
+      expect(verifyCode(RFC_SECRET, code, { lastUsedStep: step - 1 })).toBe(step);
+    });
+
+    it('ignores spaces in the code', () => {
+      const code = generateCode(RFC_SECRET, step);
+      expect(verifyCode(RFC_SECRET, `${code.slice(0, 3)} ${code.slice(3)}`)).toBe(step);
+    });
+
+    it.each([
+      ['a short code', '12345'],
+      ['letters', 'abcdef'],
+      ['no code', undefined]
+    ])('rejects %s', (label, code) => {
+      expect(verifyCode(RFC_SECRET, code)).toBeNull();
+    });
+
+    it('rejects every code without a secret', () => {
+      expect(verifyCode(null, generateCode(RFC_SECRET, step))).toBeNull();
+    });
+  });
+
+  describe('buildOtpauthUrl', () => {
+    it('describes the secret, issuer and code format', () => {
+      const uri = buildOtpauthUrl(RFC_SECRET, 'ann@example.com');
+      expect(uri.startsWith(`otpauth://totp/${encodeURIComponent('Education Management System:ann@example.com')}?`)).toBe(true);
+
+      const url = new URL(uri);
+      expect(url.searchParams.get('secret')).toBe(RFC_SECRET);
+      expect(url.searchParams.get('digits')).toBe('6');
+      expect(url.searchParams.get('period')).toBe('30');
+    });
+  });
+
+  describe('recovery codes', () => {
+    it('generates distinct codes with matching hashes', () => {
+      const { codes, hashes } = generateRecoveryCodes(5);
+      expect(codes).toHaveLength(5);
+      expect(new Set(codes).size).toBe(5);
+      codes.forEach(code => expect(code).toMatch(/^[0-9a-f]{5}-[0-9a-f]{5}$/));
+      expect(hashes).toEqual(codes.map(hashRecoveryCode));
+    });
+
+    it('hashes codes the same whatever the case or separators', () => {
+      expect(hashRecoveryCode('AB12C-DE34F')).toBe(hashRecoveryCode('ab12cde34f'));
+      expect(hashRecoveryCode('ab12c-de34f')).not.toBe(hashRecoveryCode('ab12c-de34e'));
+    });
+  });
+});
@@ -27,9 +27,20 @@ CREATE TABLE IF NOT EXISTS users (
     country VARCHAR(100),
     postal_code VARCHAR(20),
     last_login_at TIMESTAMP NULL,
+    failed_login_attempts INT NOT NULL DEFAULT 0,
+    last_failed_login_at TIMESTAMP NULL,
+    locked_until TIMESTAMP NULL,
     email_verified BOOLEAN DEFAULT FALSE,
+    email_verification_sent_at TIMESTAMP NULL,
     phone_verified BOOLEAN DEFAULT FALSE,
     two_factor_enabled BOOLEAN DEFAULT FALSE,
+    two_factor_secret VARCHAR(64),
+    two_factor_recovery_codes JSON COMMENT 'SHA-256 hashes of unused recovery codes',
+    two_factor_last_used_step INT COMMENT 'Last accepted TOTP time step (replay protection)',
+    tokens_revoked_at TIMESTAMP NULL COMMENT 'When every token was last revoked (logout-all, password reset, suspension)',
+    token_version INT NOT NULL DEFAULT 0 COMMENT 'Carried in every token; tokens with an older version are rejected',
+    timezone VARCHAR(64) COMMENT 'IANA timezone times are shown in; NULL uses the session''s or the default',
+    locale VARCHAR(35) COMMENT 'BCP 47 locale dates are written in, e.g. en-GB',
     preferences JSON,
     created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
     updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
@@ -40,6 +51,30 @@ CREATE TABLE IF NOT EXISTS users (
     INDEX idx_created_at (created_at)
 );
 
+-- Recurring session series; each occurrence is a row in sessions
+CREATE TABLE IF NOT EXISTS session_series (
+    id CHAR(36) PRIMARY KEY,
+    tutor_id CHAR(36) NOT NULL,
+    title VARCHAR(255) NOT NULL,
+    start_time DATETIME NOT NULL COMMENT 'Start of the first occurrence (DTSTART)',
+    duration INT NOT NULL COMMENT 'Duration in minutes',
+    timezone VARCHAR(64) NOT NULL DEFAULT 'UTC' COMMENT 'IANA timezone the rule repeats in, so occurrences keep their clock time across DST changes',
+    frequency ENUM('daily', 'weekly', 'monthly') NOT NULL,
+    `interval` INT NOT NULL DEFAULT 1,
+    by_weekday JSON COMMENT 'Weekly rules only, e.g. ["MO", "WE"]',
+    count INT,
+    until DATETIME,
+    status ENUM('active', 'cancelled') NOT NULL DEFAULT 'active',
+    parent_series_id CHAR(36) COMMENT 'Series this one was split from by a "this and following" edit',
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+    
+    FOREIGN KEY (tutor_id) REFERENCES users(id) ON DELETE CASCADE,
+    FOREIGN KEY (parent_series_id) REFERENCES session_series(id) ON DELETE SET NULL,
+    INDEX idx_tutor_id (tutor_id),
+    INDEX idx_status (status)
+);
+
 -- Sessions table
 CREATE TABLE IF NOT EXISTS sessions (
     id CHAR(36) PRIMARY KEY,
@@ -49,7 +84,7 @@ CREATE TABLE IF NOT EXISTS sessions (
     start_time DATETIME NOT NULL,
     end_time DATETIME NOT NULL,
     duration INT NOT NULL COMMENT 'Duration in minutes',
-    status ENUM('scheduled', 'ongoing', 'completed', 'cancelled', 'rescheduled') NOT NULL DEFAULT 'scheduled',
+    status ENUM('requested', 'scheduled', 'ongoing', 'completed', 'cancelled', 'rescheduled') NOT NULL DEFAULT 'scheduled' COMMENT 'requested: a student booking awaiting tutor approval',
     session_type ENUM('one_on_one', 'group', 'workshop', 'assessment') NOT NULL DEFAULT 'one_on_one',
     max_students INT NOT NULL DEFAULT 1,
     current_students INT NOT NULL DEFAULT 0,
@@ -64,12 +99,16 @@ CREATE TABLE IF NOT EXISTS sessions (
     recurring_end_date DATETIME,
     tags JSON,
     metadata JSON,
+    timezone VARCHAR(64) NOT NULL DEFAULT 'UTC' COMMENT 'IANA timezone the session is scheduled in, shown to people without their own',
     tutor_id CHAR(36) NOT NULL,
+    series_id CHAR(36) COMMENT 'Recurring series this session is an occurrence of',
     created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
     updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
     
     FOREIGN KEY (tutor_id) REFERENCES users(id) ON DELETE CASCADE,
+    FOREIGN KEY (series_id) REFERENCES session_series(id) ON DELETE SET NULL,
     INDEX idx_tutor_id (tutor_id),
+    INDEX idx_series_start (series_id, start_time),
     INDEX idx_start_time (start_time),
     INDEX idx_status (status),
     INDEX idx_topic (topic),
@@ -95,6 +134,27 @@ CREATE TABLE IF NOT EXISTS session_students (
     INDEX idx_status (status)
 );
 
+-- Waitlist for full group sessions and workshops
+CREATE TABLE IF NOT EXISTS session_waitlist (
+    id CHAR(36) PRIMARY KEY,
+    session_id CHAR(36) NOT NULL,
+    student_id CHAR(36) NOT NULL,
+    position INT NOT NULL COMMENT 'Queue order within the session; lower goes first',
+    status ENUM('waiting', 'offered', 'claimed', 'expired', 'withdrawn', 'cancelled') NOT NULL DEFAULT 'waiting',
+    offered_at TIMESTAMP NULL,
+    offer_expires_at TIMESTAMP NULL,
+    responded_at TIMESTAMP NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+    
+    FOREIGN KEY (session_id) REFERENCES sessions(id) ON DELETE CASCADE,
+    FOREIGN KEY (student_id) REFERENCES users(id) ON DELETE CASCADE,
+    UNIQUE KEY unique_session_waitlist_student (session_id, student_id),
+    INDEX idx_session_status_position (session_id, status, position),
+    INDEX idx_student_status (student_id, status),
+    INDEX idx_status_offer_expires_at (status, offer_expires_at)
+);
+
 -- Attendance table
 CREATE TABLE IF NOT EXISTS attendance (
     id CHAR(36) PRIMARY KEY,
@@ -256,6 +316,7 @@ CREATE TABLE IF NOT EXISTS tutor_availability (
     start_time TIME NOT NULL,
     end_time TIME NOT NULL,
     is_available BOOLEAN DEFAULT TRUE,
+    timezone VARCHAR(64) NOT NULL DEFAULT 'UTC' COMMENT 'IANA timezone start_time and end_time are read in',
     notes TEXT,
     created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
     updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
@@ -267,6 +328,23 @@ CREATE TABLE IF NOT EXISTS tutor_availability (
     INDEX idx_is_available (is_available)
 );
 
+-- Date-specific time off (holidays, sick days) and extra hours for tutors
+CREATE TABLE IF NOT EXISTS tutor_availability_exceptions (
+    id CHAR(36) PRIMARY KEY,
+    tutor_id CHAR(36) NOT NULL,
+    start_time DATETIME NOT NULL,
+    end_time DATETIME NOT NULL,
+    is_available BOOLEAN NOT NULL DEFAULT FALSE,
+    reason ENUM('holiday', 'sick', 'personal', 'training', 'other'),
+    notes TEXT,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+    
+    FOREIGN KEY (tutor_id) REFERENCES users(id) ON DELETE CASCADE,
+    INDEX idx_tutor_start (tutor_id, start_time),
+    INDEX idx_tutor_end (tutor_id, end_time)
+);
+
 -- Tutor earnings table
 CREATE TABLE IF NOT EXISTS tutor_earnings (
     id CHAR(36) PRIMARY KEY,
@@ -287,7 +365,7 @@ CREATE TABLE IF NOT EXISTS tutor_earnings (
     FOREIGN KEY (tutor_id) REFERENCES users(id) ON DELETE CASCADE,
     FOREIGN KEY (session_id) REFERENCES sessions(id) ON DELETE CASCADE,
     INDEX idx_tutor_id (tutor_id),
-    INDEX idx_session_id (session_id),
+    UNIQUE KEY unique_session (session_id),
     INDEX idx_status (status),
     INDEX idx_created_at (created_at)
 );
@@ -340,6 +418,8 @@ CREATE TABLE IF NOT EXISTS organization_settings (
 CREATE TABLE IF NOT EXISTS audit_logs (
     id CHAR(36) PRIMARY KEY,
     user_id CHAR(36),
+    impersonated_user_id CHAR(36) COMMENT 'User being impersonated when the action was performed',
+    api_key_id CHAR(36) COMMENT 'API key the request was made with',
     action VARCHAR(100) NOT NULL,
     entity_type VARCHAR(50) NOT NULL,
     entity_id CHAR(36),
@@ -350,13 +430,234 @@ CREATE TABLE IF NOT EXISTS audit_logs (
     created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
     
     FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE SET NULL,
+    FOREIGN KEY (impersonated_user_id) REFERENCES users(id) ON DELETE SET NULL,
     INDEX idx_user_id (user_id),
+    INDEX idx_impersonated_user_id (impersonated_user_id),
+    INDEX idx_api_key_id (api_key_id),
     INDEX idx_action (action),
     INDEX idx_entity_type (entity_type),
     INDEX idx_entity_id (entity_id),
     INDEX idx_created_at (created_at)
 );
 
+-- Revoked tokens table (JWT denylist, keyed by jti)
+CREATE TABLE IF NOT EXISTS revoked_tokens (
+    id CHAR(36) PRIMARY KEY,
+    jti VARCHAR(64) NOT NULL UNIQUE,
+    user_id CHAR(36) NOT NULL,
+    token_type ENUM('access', 'refresh') NOT NULL DEFAULT 'access',
+    reason VARCHAR(100),
+    expires_at TIMESTAMP NOT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    
+    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+    INDEX idx_user_id (user_id),
+    INDEX idx_expires_at (expires_at)
+);
+
+-- Refresh tokens table (single-use, grouped into rotation families)
+CREATE TABLE IF NOT EXISTS refresh_tokens (
+    id CHAR(36) PRIMARY KEY,
+    jti VARCHAR(64) NOT NULL UNIQUE,
+    family_id CHAR(36) NOT NULL,
+    user_id CHAR(36) NOT NULL,
+    expires_at TIMESTAMP NOT NULL,
+    used_at TIMESTAMP NULL,
+    replaced_by VARCHAR(64),
+    revoked_at TIMESTAMP NULL,
+    revoked_reason VARCHAR(100),
+    ip_address VARCHAR(45),
+    user_agent TEXT,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+    
+    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+    INDEX idx_family_id (family_id),
+    INDEX idx_user_id (user_id),
+    INDEX idx_expires_at (expires_at)
+);
+
+-- Login sessions table (one row per sign-in / refresh token family, for the device list)
+CREATE TABLE IF NOT EXISTS login_sessions (
+    id CHAR(36) PRIMARY KEY COMMENT 'Refresh token family id',
+    user_id CHAR(36) NOT NULL,
+    device_name VARCHAR(100),
+    user_agent TEXT,
+    ip_address VARCHAR(45) COMMENT 'IP address at sign-in',
+    last_ip_address VARCHAR(45),
+    last_seen_at TIMESTAMP NULL,
+    expires_at TIMESTAMP NOT NULL COMMENT 'Expiry of the newest refresh token in the family',
+    revoked_at TIMESTAMP NULL,
+    revoked_reason VARCHAR(100),
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+    
+    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+    INDEX idx_user_id (user_id),
+    INDEX idx_expires_at (expires_at)
+);
+
+-- Password reset tokens table (hashed, single-use reset links)
+CREATE TABLE IF NOT EXISTS password_reset_tokens (
+    id CHAR(36) PRIMARY KEY,
+    user_id CHAR(36) NOT NULL,
+    token_hash VARCHAR(64) NOT NULL UNIQUE,
+    expires_at TIMESTAMP NOT NULL,
+    used_at TIMESTAMP NULL,
+    invalidated_at TIMESTAMP NULL COMMENT 'Set when a newer token was issued',
+    ip_address VARCHAR(45),
+    user_agent TEXT,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+    
+    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+    INDEX idx_user_id (user_id),
+    INDEX idx_expires_at (expires_at)
+);
+
+-- One-time codes table (hashed OTPs sent by WhatsApp or email)
+CREATE TABLE IF NOT EXISTS one_time_codes (
+    id CHAR(36) PRIMARY KEY,
+    user_id CHAR(36) NOT NULL,
+    purpose ENUM('phone_verification', 'login_link', 'login_code') NOT NULL,
+    target VARCHAR(255) NOT NULL COMMENT 'Phone number or email the code was sent to',
+    code_hash VARCHAR(64) NOT NULL,
+    attempts INT NOT NULL DEFAULT 0,
+    max_attempts INT NOT NULL DEFAULT 5,
+    expires_at TIMESTAMP NOT NULL,
+    consumed_at TIMESTAMP NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+    
+    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+    INDEX idx_user_purpose (user_id, purpose),
+    INDEX idx_expires_at (expires_at)
+);
+
+-- Login attempts table (per-IP throttling and security history)
+CREATE TABLE IF NOT EXISTS login_attempts (
+    id CHAR(36) PRIMARY KEY,
+    email VARCHAR(255),
+    user_id CHAR(36),
+    ip_address VARCHAR(45) NOT NULL,
+    successful BOOLEAN NOT NULL DEFAULT FALSE,
+    user_agent TEXT,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    
+    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE SET NULL,
+    INDEX idx_ip_created_at (ip_address, created_at),
+    INDEX idx_user_id (user_id),
+    INDEX idx_created_at (created_at)
+);
+
+-- Invitations table (admin-issued, single-use sign-up links with a pre-assigned role)
+CREATE TABLE IF NOT EXISTS invitations (
+    id CHAR(36) PRIMARY KEY,
+    email VARCHAR(255) NOT NULL,
+    phone VARCHAR(20),
+    first_name VARCHAR(100),
+    last_name VARCHAR(100),
+    role ENUM('student', 'tutor', 'admin', 'super_admin') NOT NULL,
+    channel ENUM('email', 'whatsapp') NOT NULL DEFAULT 'email',
+    token_hash VARCHAR(64) NOT NULL UNIQUE,
+    invited_by CHAR(36),
+    expires_at TIMESTAMP NOT NULL,
+    send_count INT NOT NULL DEFAULT 1,
+    last_sent_at TIMESTAMP NULL,
+    accepted_at TIMESTAMP NULL,
+    accepted_user_id CHAR(36),
+    revoked_at TIMESTAMP NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+    
+    FOREIGN KEY (invited_by) REFERENCES users(id) ON DELETE SET NULL,
+    FOREIGN KEY (accepted_user_id) REFERENCES users(id) ON DELETE SET NULL,
+    INDEX idx_email (email),
+    INDEX idx_invited_by (invited_by),
+    INDEX idx_expires_at (expires_at)
+);
+
+-- Roles table (the permission set granted to each role; see backend/config/permissions.js)
+CREATE TABLE IF NOT EXISTS roles (
+    id CHAR(36) PRIMARY KEY,
+    name VARCHAR(50) NOT NULL UNIQUE,
+    description TEXT,
+    permissions JSON NOT NULL,
+    is_locked BOOLEAN NOT NULL DEFAULT FALSE COMMENT 'Locked roles cannot be edited through the API',
+    updated_by CHAR(36),
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+    
+    FOREIGN KEY (updated_by) REFERENCES users(id) ON DELETE SET NULL,
+    INDEX idx_name (name)
+);
+
+-- External identities linked to local accounts (OIDC single sign-on)
+CREATE TABLE IF NOT EXISTS user_identities (
+    id CHAR(36) PRIMARY KEY,
+    user_id CHAR(36) NOT NULL,
+    provider VARCHAR(50) NOT NULL COMMENT 'Provider id from OIDC_PROVIDERS',
+    subject VARCHAR(255) NOT NULL COMMENT 'The provider''s stable "sub" claim',
+    email VARCHAR(255) COMMENT 'Email the provider reported at last sign-in',
+    last_login_at TIMESTAMP NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+    
+    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+    UNIQUE KEY unique_provider_subject (provider, subject),
+    INDEX idx_user_id (user_id)
+);
+
+-- In-flight OIDC sign-ins (state, nonce and PKCE verifier until the callback)
+CREATE TABLE IF NOT EXISTS oidc_login_requests (
+    id CHAR(36) PRIMARY KEY,
+    provider_id VARCHAR(50) NOT NULL,
+    state_hash VARCHAR(64) NOT NULL UNIQUE,
+    nonce VARCHAR(64) NOT NULL,
+    code_verifier VARCHAR(128) NOT NULL,
+    redirect_uri VARCHAR(500) NOT NULL,
+    expires_at TIMESTAMP NOT NULL,
+    used_at TIMESTAMP NULL,
+    ip_address VARCHAR(45),
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+    
+    INDEX idx_expires_at (expires_at)
+);
+
+-- Previous password hashes, for the password policy's reuse check
+CREATE TABLE IF NOT EXISTS password_history (
+    id CHAR(36) PRIMARY KEY,
+    user_id CHAR(36) NOT NULL,
+    password_hash VARCHAR(255) NOT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    
+    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+    INDEX idx_user_created (user_id, created_at)
+);
+
+-- API keys for machine-to-machine integrations (only the hash is stored)
+CREATE TABLE IF NOT EXISTS api_keys (
+    id CHAR(36) PRIMARY KEY,
+    name VARCHAR(100) NOT NULL,
+    prefix VARCHAR(16) NOT NULL COMMENT 'Start of the key, shown so admins can tell keys apart',
+    key_hash VARCHAR(64) NOT NULL UNIQUE,
+    scopes JSON NOT NULL,
+    allowed_ips JSON COMMENT 'IP addresses or CIDR ranges; empty allows any address',
+    expires_at TIMESTAMP NULL,
+    last_used_at TIMESTAMP NULL,
+    last_used_ip VARCHAR(45),
+    created_by CHAR(36) NOT NULL,
+    revoked_at TIMESTAMP NULL,
+    revoked_by CHAR(36),
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+    
+    FOREIGN KEY (created_by) REFERENCES users(id) ON DELETE CASCADE,
+    FOREIGN KEY (revoked_by) REFERENCES users(id) ON DELETE SET NULL,
+    INDEX idx_created_by (created_by)
+);
+
 -- Insert default organization settings
 INSERT INTO organization_settings (id, setting_key, setting_value, setting_type, description, is_public) VALUES
 (UUID(), 'organization_name', 'Education Management System', 'string', 'Organization name', TRUE),
@@ -369,7 +670,21 @@ INSERT INTO organization_settings (id, setting_key, setting_value, setting_type,
 (UUID(), 'payment_due_days', '30', 'number', 'Default payment due days', FALSE),
 (UUID(), 'whatsapp_enabled', 'true', 'boolean', 'Enable WhatsApp notifications', FALSE),
 (UUID(), 'email_notifications_enabled', 'true', 'boolean', 'Enable email notifications', FALSE),
-(UUID(), 'maintenance_mode', 'false', 'boolean', 'Enable maintenance mode', FALSE);
+(UUID(), 'maintenance_mode', 'false', 'boolean', 'Enable maintenance mode', FALSE),
+(UUID(), 'require_email_verification', 'false', 'boolean', 'Block unverified email addresses from booking sessions and paying', FALSE),
+(UUID(), 'self_registration_roles', '["student"]', 'json', 'Roles visitors may choose at public sign-up (admin roles are never allowed)', FALSE),
+(UUID(), 'email_domain_roles', '{"std.com": "student", "tut.com": "tutor"}', 'json', 'Role suggested at sign-up for each email domain', FALSE),
+(UUID(), 'default_registration_role', 'student', 'string', 'Role given at sign-up when none is requested or mapped', FALSE),
+(UUID(), 'self_booking', '{"requireApproval": false, "hourlyRate": 0, "currency": "USD", "durations": [30, 60, 90]}', 'json', 'Student self-booking: tutor approval, hourly rate charged and the session lengths offered', FALSE),
+(UUID(), 'tutor_commission_rate', '0', 'number', 'Percentage of a completed session''s price kept by the organization; tutors earn the rest', FALSE),
+(UUID(), 'password_policy', '{"minLength": 8, "requireUppercase": true, "requireLowercase": true, "requireNumber": true, "requireSymbol": false, "historyCount": 5, "blockCommon": true}', 'json', 'Rules for new passwords; historyCount previous passwords can''t be reused', TRUE);
+
+-- Insert default role permissions
+INSERT INTO roles (id, name, description, permissions, is_locked) VALUES
+(UUID(), 'student', 'Attends sessions, pays fees and gives feedback', '["sessions.view.own", "sessions.join", "sessions.book", "payments.view.own", "payments.create", "feedback.submit"]', FALSE),
+(UUID(), 'tutor', 'Runs sessions, marks attendance and manages syllabus', '["sessions.view.own", "sessions.create", "sessions.update.own", "sessions.cancel.own", "availability.manage.own", "attendance.mark", "syllabus.manage"]', FALSE),
+(UUID(), 'admin', 'Institution management and oversight', '["users.view", "users.create", "users.update", "users.suspend", "users.unlock", "users.revoke_tokens", "users.role.assign", "invitations.manage", "api_keys.manage", "sessions.view.own", "sessions.view.any", "sessions.create", "sessions.update.own", "sessions.update.any", "sessions.cancel.own", "sessions.cancel.any", "sessions.override_conflicts", "sessions.join", "sessions.book", "availability.manage.own", "availability.manage.any", "attendance.mark", "attendance.view.any", "payments.view.own", "payments.view.any", "payments.create", "payments.refund", "syllabus.manage", "feedback.submit", "feedback.view.any", "notifications.send", "analytics.view", "audit.view"]', FALSE),
+(UUID(), 'super_admin', 'System maintenance and global settings', '["*"]', TRUE);
 
 -- Create views for common queries
 CREATE OR REPLACE VIEW student_sessions_view AS
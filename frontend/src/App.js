@@ -11,6 +11,7 @@ import { ThemeContext } from './contexts/ThemeContext';
 
 // Components
 import Layout from './components/Layout/Layout';
+import ImpersonationBanner from './components/Layout/ImpersonationBanner';
 import LoadingSpinner from './components/Common/LoadingSpinner';
 import ErrorBoundary from './components/Common/ErrorBoundary';
 
@@ -19,6 +20,10 @@ import Login from './pages/Auth/Login';
 import Register from './pages/Auth/Register';
 import ForgotPassword from './pages/Auth/ForgotPassword';
 import ResetPassword from './pages/Auth/ResetPassword';
+import VerifyEmail from './pages/Auth/VerifyEmail';
+import AcceptInvite from './pages/Auth/AcceptInvite';
+import MagicLogin from './pages/Auth/MagicLogin';
+import OidcCallback from './pages/Auth/OidcCallback';
 
 // Dashboard Pages
 import StudentDashboard from './pages/Dashboard/StudentDashboard';
@@ -26,9 +31,12 @@ import TutorDashboard from './pages/Dashboard/TutorDashboard';
 import AdminDashboard from './pages/Dashboard/AdminDashboard';
 import SuperAdminDashboard from './pages/Dashboard/SuperAdminDashboard';
 
+// Account Pages
+import Devices from './pages/Account/Devices';
+
 // Protected Route Component
-const ProtectedRoute = ({ children, allowedRoles = [] }) => {
-  const { user, loading } = useAuth();
+const ProtectedRoute = ({ children, allowedRoles = [], requiredPermissions = [] }) => {
+  const { user, loading, can } = useAuth();
 
   if (loading) {
     return <LoadingSpinner />;
@@ -42,6 +50,10 @@ const ProtectedRoute = ({ children, allowedRoles = [] }) => {
     return <Navigate to="/unauthorized" replace />;
   }
 
+  if (!requiredPermissions.every((permission) => can(permission))) {
+    return <Navigate to="/unauthorized" replace />;
+  }
+
   return children;
 };
 
@@ -215,6 +227,7 @@ const AppContent = () => {
       <CssBaseline />
       <Box sx={{ minHeight: '100vh', bgcolor: 'background.default' }}>
         <Router>
+          <ImpersonationBanner />
           <AnimatePresence mode="wait">
             <Routes>
               {/* Public Routes */}
@@ -274,6 +287,62 @@ const AppContent = () => {
                   </motion.div>
                 } 
               />
+              <Route 
+                path="/verify-email" 
+                element={
+                  <motion.div
+                    initial="initial"
+                    animate="in"
+                    exit="out"
+                    variants={pageVariants}
+                    transition={pageTransition}
+                  >
+                    <VerifyEmail />
+                  </motion.div>
+                } 
+              />
+              <Route 
+                path="/accept-invite" 
+                element={
+                  <motion.div
+                    initial="initial"
+                    animate="in"
+                    exit="out"
+                    variants={pageVariants}
+                    transition={pageTransition}
+                  >
+                    <AcceptInvite />
+                  </motion.div>
+                } 
+              />
+              <Route 
+                path="/magic-login" 
+                element={
+                  <motion.div
+                    initial="initial"
+                    animate="in"
+                    exit="out"
+                    variants={pageVariants}
+                    transition={pageTransition}
+                  >
+                    <MagicLogin />
+                  </motion.div>
+                } 
+              />
+              <Route 
+                path="/oidc/callback" 
+                element={
+                  <motion.div
+                    initial="initial"
+                    animate="in"
+                    exit="out"
+                    variants={pageVariants}
+                    transition={pageTransition}
+                  >
+                    <OidcCallback />
+                  </motion.div>
+                } 
+              />
 
               {/* Protected Routes */}
               <Route
@@ -298,6 +367,26 @@ const AppContent = () => {
                 }
               />
 
+              {/* Account Routes */}
+              <Route
+                path="/account/devices"
+                element={
+                  <ProtectedRoute>
+                    <Layout>
+                      <motion.div
+                        initial="initial"
+                        animate="in"
+                        exit="out"
+                        variants={pageVariants}
+                        transition={pageTransition}
+                      >
+                        <Devices />
+                      </motion.div>
+                    </Layout>
+                  </ProtectedRoute>
+                }
+              />
+
               {/* Student Routes */}
               <Route
                 path="/student/*"
@@ -0,0 +1,153 @@
+import React, { useCallback, useEffect, useState } from 'react';
+import {
+  Box,
+  Paper,
+  Typography,
+  Button,
+  Alert,
+  Chip,
+  List,
+  ListItem,
+  ListItemText,
+  CircularProgress,
+  Divider,
+} from '@mui/material';
+import { HourglassTop } from '@mui/icons-material';
+import toast from 'react-hot-toast';
+import api, { endpoints } from '../../services/api';
+
+const formatDate = (value) => new Date(value).toLocaleString();
+
+// Student dashboard card: sessions the student is queued for, their place in
+// each queue, and seats on offer waiting to be booked
+const WaitlistCard = () => {
+  const [entries, setEntries] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+  const [busyId, setBusyId] = useState(null);
+
+  const loadWaitlists = useCallback(async () => {
+    try {
+      setError('');
+      const response = await api.get(endpoints.sessions.myWaitlists);
+      setEntries(response.data.data.waitlist);
+    } catch (err) {
+      setError(err.response?.data?.message || 'Failed to load waitlists');
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    loadWaitlists();
+  }, [loadWaitlists]);
+
+  const claimSeat = async (entry) => {
+    try {
+      setBusyId(entry.id);
+      await api.post(endpoints.sessions.join(entry.sessionId));
+      toast.success(`You're booked into ${entry.session.title}`);
+      setEntries((current) => current.filter((item) => item.id !== entry.id));
+    } catch (err) {
+      toast.error(err.response?.data?.message || 'Failed to book seat');
+      loadWaitlists();
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  const leaveWaitlist = async (entry) => {
+    try {
+      setBusyId(entry.id);
+      await api.delete(endpoints.sessions.waitlist(entry.sessionId));
+      toast.success('You have left the waitlist');
+      loadWaitlists();
+    } catch (err) {
+      toast.error(err.response?.data?.message || 'Failed to leave waitlist');
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  const activeEntries = entries.filter((entry) => entry.status !== 'expired');
+
+  return (
+    <Paper elevation={2} sx={{ p: 3, borderRadius: 3 }}>
+      <Box sx={{ display: 'flex', alignItems: 'center', gap: 1, mb: 2 }}>
+        <HourglassTop color="primary" />
+        <Typography variant="h6" sx={{ fontWeight: 600 }}>
+          Waitlists
+        </Typography>
+      </Box>
+
+      {error && (
+        <Alert severity="error" sx={{ mb: 2 }}>
+          {error}
+        </Alert>
+      )}
+
+      {loading ? (
+        <Box sx={{ textAlign: 'center', py: 2 }}>
+          <CircularProgress size={28} />
+        </Box>
+      ) : activeEntries.length === 0 ? (
+        <Typography variant="body2" color="text.secondary">
+          You're not waiting for a seat in any session.
+        </Typography>
+      ) : (
+        <List disablePadding>
+          {activeEntries.map((entry, index) => (
+            <React.Fragment key={entry.id}>
+              {index > 0 && <Divider component="li" />}
+              <ListItem
+                disableGutters
+                secondaryAction={
+                  <Box sx={{ display: 'flex', gap: 1 }}>
+                    {entry.status === 'offered' && (
+                      <Button
+                        variant="contained"
+                        size="small"
+                        onClick={() => claimSeat(entry)}
+                        disabled={busyId !== null}
+                      >
+                        Book seat
+                      </Button>
+                    )}
+                    <Button
+                      size="small"
+                      color="inherit"
+                      onClick={() => leaveWaitlist(entry)}
+                      disabled={busyId !== null}
+                    >
+                      Leave
+                    </Button>
+                  </Box>
+                }
+              >
+                <ListItemText
+                  primary={
+                    <Box sx={{ display: 'flex', alignItems: 'center', gap: 1 }}>
+                      {entry.session.title}
+                      {entry.status === 'offered' ? (
+                        <Chip label="Seat available" color="success" size="small" />
+                      ) : (
+                        <Chip label={`#${entry.position} in line`} size="small" />
+                      )}
+                    </Box>
+                  }
+                  secondary={
+                    entry.status === 'offered'
+                      ? `Book before ${formatDate(entry.offerExpiresAt)} · Starts ${formatDate(entry.session.startTime)}`
+                      : `${entry.session.topic} · Starts ${formatDate(entry.session.startTime)}`
+                  }
+                />
+              </ListItem>
+            </React.Fragment>
+          ))}
+        </List>
+      )}
+    </Paper>
+  );
+};
+
+export default WaitlistCard;
@@ -0,0 +1,49 @@
+import React, { useState } from 'react';
+import { useNavigate } from 'react-router-dom';
+import { Alert, Button } from '@mui/material';
+import { SupervisorAccount } from '@mui/icons-material';
+import toast from 'react-hot-toast';
+import { useAuth } from '../../contexts/AuthContext';
+
+// Shown on every page while a super admin is signed in as another user
+const ImpersonationBanner = () => {
+  const { user, impersonator, stopImpersonation } = useAuth();
+  const [isLeaving, setIsLeaving] = useState(false);
+  const navigate = useNavigate();
+
+  if (!impersonator || !user) {
+    return null;
+  }
+
+  const handleReturn = async () => {
+    try {
+      setIsLeaving(true);
+      await stopImpersonation();
+      toast.success('Back to your account');
+      navigate('/', { replace: true });
+    } catch (error) {
+      toast.error(error.message);
+    } finally {
+      setIsLeaving(false);
+    }
+  };
+
+  return (
+    <Alert
+      severity="warning"
+      icon={<SupervisorAccount />}
+      square
+      sx={{ position: 'sticky', top: 0, zIndex: (theme) => theme.zIndex.appBar + 1 }}
+      action={
+        <Button color="inherit" size="small" onClick={handleReturn} disabled={isLeaving}>
+          Return to my account
+        </Button>
+      }
+    >
+      You are viewing the app as <strong>{user.firstName} {user.lastName}</strong> ({user.role}).
+      Changes you make are recorded under {impersonator.firstName} {impersonator.lastName}.
+    </Alert>
+  );
+};
+
+export default ImpersonationBanner;
@@ -1,12 +1,13 @@
 import React, { createContext, useContext, useReducer, useEffect } from 'react';
 import { jwtDecode } from 'jwt-decode';
-import api from '../services/api';
+import api, { restoreImpersonatorSession } from '../services/api';
 
 // Action types
 const AUTH_ACTIONS = {
   SET_LOADING: 'SET_LOADING',
   SET_USER: 'SET_USER',
   SET_TOKEN: 'SET_TOKEN',
+  SET_IMPERSONATOR: 'SET_IMPERSONATOR',
   LOGOUT: 'LOGOUT',
   UPDATE_USER: 'UPDATE_USER',
   SET_ERROR: 'SET_ERROR',
@@ -16,6 +17,7 @@ const AUTH_ACTIONS = {
 // Initial state
 const initialState = {
   user: null,
+  impersonator: null,
   token: localStorage.getItem('token'),
   loading: true,
   error: null,
@@ -41,6 +43,11 @@ const authReducer = (state, action) => {
         ...state,
         token: action.payload,
       };
+    case AUTH_ACTIONS.SET_IMPERSONATOR:
+      return {
+        ...state,
+        impersonator: action.payload,
+      };
     case AUTH_ACTIONS.UPDATE_USER:
       return {
         ...state,
@@ -50,6 +57,7 @@ const authReducer = (state, action) => {
       return {
         ...state,
         user: null,
+        impersonator: null,
         token: null,
         loading: false,
         error: null,
@@ -70,6 +78,14 @@ const authReducer = (state, action) => {
   }
 };
 
+// Error for a failed request that keeps the server's field-level errors
+// (e.g. password policy) so forms can show them next to the right input
+const requestError = (message, error) => {
+  const err = new Error(message);
+  err.fieldErrors = error.response?.data?.errors || [];
+  return err;
+};
+
 // Auth context
 const AuthContext = createContext();
 
@@ -100,6 +116,7 @@ export const AuthProvider = ({ children }) => {
           
           // Fetch user profile
           const response = await api.get('/auth/profile');
+          dispatch({ type: AUTH_ACTIONS.SET_IMPERSONATOR, payload: response.data.data.impersonator });
           dispatch({ type: AUTH_ACTIONS.SET_USER, payload: response.data.data.user });
         } catch (error) {
           console.error('Token validation failed:', error);
@@ -114,6 +131,20 @@ export const AuthProvider = ({ children }) => {
     initializeAuth();
   }, []);
 
+  // Store tokens and user after a successful sign-in
+  const startSession = (user, accessToken, refreshToken) => {
+    // Store tokens
+    localStorage.setItem('token', accessToken);
+    localStorage.setItem('refreshToken', refreshToken);
+
+    // Set token in API headers
+    api.defaults.headers.common['Authorization'] = `Bearer ${accessToken}`;
+
+    // Update state
+    dispatch({ type: AUTH_ACTIONS.SET_TOKEN, payload: accessToken });
+    dispatch({ type: AUTH_ACTIONS.SET_USER, payload: user });
+  };
+
   // Login function
   const login = async (email, password) => {
     try {
@@ -121,22 +152,118 @@ export const AuthProvider = ({ children }) => {
       dispatch({ type: AUTH_ACTIONS.CLEAR_ERROR });
 
       const response = await api.post('/auth/login', { email, password });
+
+      // Accounts with 2FA get a challenge token instead of a session
+      if (response.data.data.mfaRequired) {
+        dispatch({ type: AUTH_ACTIONS.SET_LOADING, payload: false });
+        return { success: true, mfaRequired: true, mfaToken: response.data.data.mfaToken };
+      }
+
       const { user, accessToken, refreshToken } = response.data.data;
+      startSession(user, accessToken, refreshToken);
 
-      // Store tokens
-      localStorage.setItem('token', accessToken);
-      localStorage.setItem('refreshToken', refreshToken);
+      return { success: true, user };
+    } catch (error) {
+      const errorMessage = error.response?.data?.message || 'Login failed';
+      dispatch({ type: AUTH_ACTIONS.SET_ERROR, payload: errorMessage });
+      throw new Error(errorMessage);
+    }
+  };
 
-      // Set token in API headers
-      api.defaults.headers.common['Authorization'] = `Bearer ${accessToken}`;
+  // Complete login with an authenticator code or recovery code
+  const verifyTwoFactor = async (mfaToken, { code, recoveryCode }) => {
+    try {
+      dispatch({ type: AUTH_ACTIONS.SET_LOADING, payload: true });
+      dispatch({ type: AUTH_ACTIONS.CLEAR_ERROR });
 
-      // Update state
-      dispatch({ type: AUTH_ACTIONS.SET_TOKEN, payload: accessToken });
-      dispatch({ type: AUTH_ACTIONS.SET_USER, payload: user });
+      const response = await api.post('/auth/login/2fa', { mfaToken, code, recoveryCode });
+      const { user, accessToken, refreshToken } = response.data.data;
+      startSession(user, accessToken, refreshToken);
 
       return { success: true, user };
     } catch (error) {
-      const errorMessage = error.response?.data?.message || 'Login failed';
+      const errorMessage = error.response?.data?.message || 'Verification failed';
+      dispatch({ type: AUTH_ACTIONS.SET_ERROR, payload: errorMessage });
+      throw new Error(errorMessage);
+    }
+  };
+
+  // Passwordless login, step 1: email a sign-in link or WhatsApp a code
+  const requestPasswordlessLogin = async (email, channel = 'email') => {
+    try {
+      const response = await api.post('/auth/passwordless/start', { email, channel });
+      return { success: true, message: response.data.message };
+    } catch (error) {
+      const errorMessage = error.response?.data?.message || 'Failed to send sign-in link';
+      throw new Error(errorMessage);
+    }
+  };
+
+  // Passwordless login, step 2: same result shape as login()
+  const verifyPasswordlessLogin = async (email, { token, code }) => {
+    try {
+      dispatch({ type: AUTH_ACTIONS.SET_LOADING, payload: true });
+      dispatch({ type: AUTH_ACTIONS.CLEAR_ERROR });
+
+      const response = await api.post('/auth/passwordless/verify', { email, token, code });
+
+      if (response.data.data.mfaRequired) {
+        dispatch({ type: AUTH_ACTIONS.SET_LOADING, payload: false });
+        return { success: true, mfaRequired: true, mfaToken: response.data.data.mfaToken };
+      }
+
+      const { user, accessToken, refreshToken } = response.data.data;
+      startSession(user, accessToken, refreshToken);
+
+      return { success: true, user };
+    } catch (error) {
+      const errorMessage = error.response?.data?.message || 'Sign-in failed';
+      dispatch({ type: AUTH_ACTIONS.SET_ERROR, payload: errorMessage });
+      throw new Error(errorMessage);
+    }
+  };
+
+  // Single sign-on, step 1: send the browser to the institution's identity provider
+  const startSingleSignOn = async (providerId) => {
+    try {
+      const response = await api.post(`/auth/oidc/${providerId}/start`);
+      const { authorizationUrl, state } = response.data.data;
+
+      // Checked when the provider sends the browser back, so a callback
+      // started elsewhere can't sign this browser in
+      sessionStorage.setItem('oidcState', state);
+      window.location.assign(authorizationUrl);
+    } catch (error) {
+      const errorMessage = error.response?.data?.message || 'Failed to start single sign-on';
+      throw new Error(errorMessage);
+    }
+  };
+
+  // Single sign-on, step 2: same result shape as login()
+  const completeSingleSignOn = async (code, state) => {
+    try {
+      dispatch({ type: AUTH_ACTIONS.SET_LOADING, payload: true });
+      dispatch({ type: AUTH_ACTIONS.CLEAR_ERROR });
+
+      const expectedState = sessionStorage.getItem('oidcState');
+      sessionStorage.removeItem('oidcState');
+      if (!state || state !== expectedState) {
+        throw new Error('Sign-in request did not start in this browser. Please try again.');
+      }
+
+      const response = await api.post('/auth/oidc/callback', { code, state });
+
+      if (response.data.data.mfaRequired) {
+        dispatch({ type: AUTH_ACTIONS.SET_LOADING, payload: false });
+        return { success: true, mfaRequired: true, mfaToken: response.data.data.mfaToken };
+      }
+
+      const { user, accessToken, refreshToken } = response.data.data;
+      startSession(user, accessToken, refreshToken);
+
+      return { success: true, user };
+    } catch (error) {
+      const errorMessage = error.response?.data?.message || error.message || 'Single sign-on failed';
       dispatch({ type: AUTH_ACTIONS.SET_ERROR, payload: errorMessage });
       throw new Error(errorMessage);
     }
@@ -150,48 +277,125 @@ export const AuthProvider = ({ children }) => {
 
       const response = await api.post('/auth/register', userData);
       const { user, accessToken, refreshToken } = response.data.data;
+      startSession(user, accessToken, refreshToken);
 
-      // Store tokens
-      localStorage.setItem('token', accessToken);
-      localStorage.setItem('refreshToken', refreshToken);
+      return { success: true, user };
+    } catch (error) {
+      const errorMessage = error.response?.data?.message || 'Registration failed';
+      dispatch({ type: AUTH_ACTIONS.SET_ERROR, payload: errorMessage });
+      throw requestError(errorMessage, error);
+    }
+  };
 
-      // Set token in API headers
-      api.defaults.headers.common['Authorization'] = `Bearer ${accessToken}`;
+  // Create an invited account and sign in
+  const acceptInvitation = async (token, userData) => {
+    try {
+      dispatch({ type: AUTH_ACTIONS.SET_LOADING, payload: true });
+      dispatch({ type: AUTH_ACTIONS.CLEAR_ERROR });
 
-      // Update state
-      dispatch({ type: AUTH_ACTIONS.SET_TOKEN, payload: accessToken });
-      dispatch({ type: AUTH_ACTIONS.SET_USER, payload: user });
+      const response = await api.post('/auth/accept-invite', { token, ...userData });
+      const { user, accessToken, refreshToken } = response.data.data;
+      startSession(user, accessToken, refreshToken);
 
       return { success: true, user };
     } catch (error) {
-      const errorMessage = error.response?.data?.message || 'Registration failed';
+      const errorMessage = error.response?.data?.message || 'Failed to accept invitation';
       dispatch({ type: AUTH_ACTIONS.SET_ERROR, payload: errorMessage });
-      throw new Error(errorMessage);
+      throw requestError(errorMessage, error);
     }
   };
 
+  // Clear tokens and state locally
+  const clearSession = () => {
+    // Clear local storage
+    localStorage.removeItem('token');
+    localStorage.removeItem('refreshToken');
+    localStorage.removeItem('impersonatorToken');
+    localStorage.removeItem('impersonatorRefreshToken');
+    
+    // Clear API headers
+    delete api.defaults.headers.common['Authorization'];
+    
+    // Update state
+    dispatch({ type: AUTH_ACTIONS.LOGOUT });
+  };
+
   // Logout function
   const logout = async () => {
     try {
-      // Call logout endpoint if needed
+      // Revoke the access token and its refresh token on the server
       if (state.token) {
-        await api.post('/auth/logout');
+        await api.post('/auth/logout', {
+          refreshToken: localStorage.getItem('refreshToken'),
+        });
       }
     } catch (error) {
       console.error('Logout API call failed:', error);
     } finally {
-      // Clear local storage
-      localStorage.removeItem('token');
+      clearSession();
+    }
+  };
+
+  // Logout from every device
+  const logoutAllDevices = async () => {
+    try {
+      await api.post('/auth/logout-all');
+    } catch (error) {
+      console.error('Logout all API call failed:', error);
+      throw new Error(error.response?.data?.message || 'Logout from all devices failed');
+    } finally {
+      clearSession();
+    }
+  };
+
+  // Sign in as another user (super admins only); the admin's own tokens are
+  // parked until impersonation ends
+  const impersonate = async (userId) => {
+    try {
+      const response = await api.post(`/admin/users/${userId}/impersonate`);
+      const { user, impersonator, accessToken } = response.data.data;
+
+      localStorage.setItem('impersonatorToken', localStorage.getItem('token'));
+      localStorage.setItem('impersonatorRefreshToken', localStorage.getItem('refreshToken'));
       localStorage.removeItem('refreshToken');
-      
-      // Clear API headers
-      delete api.defaults.headers.common['Authorization'];
-      
-      // Update state
-      dispatch({ type: AUTH_ACTIONS.LOGOUT });
+      localStorage.setItem('token', accessToken);
+      api.defaults.headers.common['Authorization'] = `Bearer ${accessToken}`;
+
+      dispatch({ type: AUTH_ACTIONS.SET_TOKEN, payload: accessToken });
+      dispatch({ type: AUTH_ACTIONS.SET_IMPERSONATOR, payload: impersonator });
+      dispatch({ type: AUTH_ACTIONS.SET_USER, payload: user });
+
+      return { success: true, user };
+    } catch (error) {
+      const errorMessage = error.response?.data?.message || 'Failed to impersonate user';
+      throw new Error(errorMessage);
     }
   };
 
+  // Return to the super admin's own account
+  const stopImpersonation = async () => {
+    try {
+      await api.post('/auth/impersonation/end');
+    } catch (error) {
+      console.error('End impersonation API call failed:', error);
+    }
+
+    const accessToken = restoreImpersonatorSession();
+    if (!accessToken) {
+      clearSession();
+      return { success: false };
+    }
+
+    api.defaults.headers.common['Authorization'] = `Bearer ${accessToken}`;
+    dispatch({ type: AUTH_ACTIONS.SET_TOKEN, payload: accessToken });
+    dispatch({ type: AUTH_ACTIONS.SET_IMPERSONATOR, payload: null });
+
+    const response = await api.get('/auth/profile');
+    dispatch({ type: AUTH_ACTIONS.SET_USER, payload: response.data.data.user });
+
+    return { success: true, user: response.data.data.user };
+  };
+
   // Refresh token function
   const refreshToken = async () => {
     try {
@@ -269,6 +473,33 @@ export const AuthProvider = ({ children }) => {
     } catch (error) {
       const errorMessage = error.response?.data?.message || 'Password reset failed';
       dispatch({ type: AUTH_ACTIONS.SET_ERROR, payload: errorMessage });
+      throw requestError(errorMessage, error);
+    }
+  };
+
+  // Verify email from the signed link
+  const verifyEmail = async (token) => {
+    try {
+      const response = await api.post('/auth/verify-email', { token });
+
+      if (state.user) {
+        dispatch({ type: AUTH_ACTIONS.UPDATE_USER, payload: { emailVerified: true } });
+      }
+
+      return { success: true, message: response.data.message };
+    } catch (error) {
+      const errorMessage = error.response?.data?.message || 'Email verification failed';
+      throw new Error(errorMessage);
+    }
+  };
+
+  // Resend the verification email
+  const resendVerificationEmail = async () => {
+    try {
+      const response = await api.post('/auth/resend-verification');
+      return { success: true, message: response.data.message };
+    } catch (error) {
+      const errorMessage = error.response?.data?.message || 'Failed to resend verification email';
       throw new Error(errorMessage);
     }
   };
@@ -281,6 +512,24 @@ export const AuthProvider = ({ children }) => {
     return userRoles.includes(state.user.role);
   };
 
+  // Check if user holds a permission (mirrors the backend matching rules:
+  // `*`, `resource.*`, and `.any` grants covering `.own` checks)
+  const can = (permission) => {
+    const granted = state.user?.permissions || [];
+    const candidates = [permission];
+    if (permission.endsWith('.own')) {
+      candidates.push(`${permission.slice(0, -4)}.any`);
+    }
+
+    return granted.some((grant) => {
+      if (grant === '*') return true;
+      if (grant.endsWith('.*')) {
+        return candidates.some((candidate) => candidate.startsWith(grant.slice(0, -1)));
+      }
+      return candidates.includes(grant);
+    });
+  };
+
   // Check if user is student
   const isStudent = () => hasRole('student');
 
@@ -297,21 +546,34 @@ export const AuthProvider = ({ children }) => {
   const value = {
     // State
     user: state.user,
+    impersonator: state.impersonator,
     token: state.token,
     loading: state.loading,
     error: state.error,
     
     // Actions
     login,
+    verifyTwoFactor,
+    requestPasswordlessLogin,
+    verifyPasswordlessLogin,
+    startSingleSignOn,
+    completeSingleSignOn,
     register,
+    acceptInvitation,
     logout,
+    logoutAllDevices,
     refreshToken,
     updateProfile,
     forgotPassword,
     resetPassword,
+    verifyEmail,
+    resendVerificationEmail,
+    impersonate,
+    stopImpersonation,
     
     // Utility functions
     hasRole,
+    can,
     isStudent,
     isTutor,
     isAdmin,
@@ -0,0 +1,158 @@
+import React, { useCallback, useEffect, useState } from 'react';
+import {
+  Box,
+  Paper,
+  Typography,
+  Button,
+  Alert,
+  Chip,
+  List,
+  ListItem,
+  ListItemIcon,
+  ListItemText,
+  IconButton,
+  Tooltip,
+  CircularProgress,
+  Divider,
+} from '@mui/material';
+import { Devices as DevicesIcon, Logout, PhoneIphone, Computer } from '@mui/icons-material';
+import toast from 'react-hot-toast';
+import api, { endpoints } from '../../services/api';
+
+const isMobile = (device) => /Android|iOS/.test(device.deviceName || '');
+
+const formatDate = (value) => (value ? new Date(value).toLocaleString() : 'Never');
+
+// Active logins for the signed-in user, with per-device and bulk sign-out
+const Devices = () => {
+  const [devices, setDevices] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+  const [busyId, setBusyId] = useState(null);
+
+  const loadDevices = useCallback(async () => {
+    try {
+      setError('');
+      const response = await api.get(endpoints.auth.devices);
+      setDevices(response.data.data.devices);
+    } catch (err) {
+      setError(err.response?.data?.message || 'Failed to load devices');
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    loadDevices();
+  }, [loadDevices]);
+
+  const revokeDevice = async (device) => {
+    try {
+      setBusyId(device.id);
+      await api.delete(endpoints.auth.revokeDevice(device.id));
+      toast.success(`Signed out ${device.deviceName}`);
+      setDevices((current) => current.filter((item) => item.id !== device.id));
+    } catch (err) {
+      toast.error(err.response?.data?.message || 'Failed to sign out device');
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  const revokeOthers = async () => {
+    try {
+      setBusyId('others');
+      const response = await api.delete(endpoints.auth.devices);
+      toast.success(response.data.message);
+      setDevices((current) => current.filter((item) => item.current));
+    } catch (err) {
+      toast.error(err.response?.data?.message || 'Failed to sign out other devices');
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  const hasOthers = devices.some((device) => !device.current);
+
+  return (
+    <Box sx={{ maxWidth: 800, mx: 'auto', p: 3 }}>
+      <Paper elevation={2} sx={{ p: 3, borderRadius: 3 }}>
+        <Box sx={{ display: 'flex', alignItems: 'center', justifyContent: 'space-between', mb: 2 }}>
+          <Box sx={{ display: 'flex', alignItems: 'center', gap: 1 }}>
+            <DevicesIcon color="primary" />
+            <Typography variant="h5" sx={{ fontWeight: 600 }}>
+              Where you're signed in
+            </Typography>
+          </Box>
+          <Button
+            variant="outlined"
+            color="error"
+            startIcon={<Logout />}
+            onClick={revokeOthers}
+            disabled={!hasOthers || busyId !== null}
+          >
+            Sign out all other devices
+          </Button>
+        </Box>
+
+        {error && (
+          <Alert severity="error" sx={{ mb: 2 }}>
+            {error}
+          </Alert>
+        )}
+
+        {loading ? (
+          <Box sx={{ textAlign: 'center', py: 4 }}>
+            <CircularProgress />
+          </Box>
+        ) : (
+          <List>
+            {devices.map((device, index) => (
+              <React.Fragment key={device.id}>
+                {index > 0 && <Divider component="li" />}
+                <ListItem
+                  secondaryAction={
+                    !device.current && (
+                      <Tooltip title="Sign out this device">
+                        <span>
+                          <IconButton
+                            edge="end"
+                            onClick={() => revokeDevice(device)}
+                            disabled={busyId !== null}
+                          >
+                            <Logout />
+                          </IconButton>
+                        </span>
+                      </Tooltip>
+                    )
+                  }
+                >
+                  <ListItemIcon>
+                    {isMobile(device) ? <PhoneIphone /> : <Computer />}
+                  </ListItemIcon>
+                  <ListItemText
+                    primary={
+                      <Box sx={{ display: 'flex', alignItems: 'center', gap: 1 }}>
+                        {device.deviceName}
+                        {device.current && <Chip label="This device" color="primary" size="small" />}
+                      </Box>
+                    }
+                    secondary={
+                      <>
+                        IP {device.lastIpAddress || device.ipAddress || 'unknown'} · Last seen {formatDate(device.lastSeenAt)}
+                        <br />
+                        Signed in {formatDate(device.signedInAt)} · {device.userAgent || 'Unknown browser'}
+                      </>
+                    }
+                  />
+                </ListItem>
+              </React.Fragment>
+            ))}
+          </List>
+        )}
+      </Paper>
+    </Box>
+  );
+};
+
+export default Devices;
@@ -0,0 +1,257 @@
+import React, { useEffect, useRef, useState } from 'react';
+import { Link as RouterLink, useNavigate, useSearchParams } from 'react-router-dom';
+import {
+  Container,
+  Box,
+  Paper,
+  Typography,
+  TextField,
+  Button,
+  Alert,
+  Grid,
+  IconButton,
+  InputAdornment,
+  CircularProgress,
+} from '@mui/material';
+import { Visibility, VisibilityOff, Lock, MailOutline, ErrorOutline } from '@mui/icons-material';
+import { motion } from 'framer-motion';
+import { useForm } from 'react-hook-form';
+import toast from 'react-hot-toast';
+import api, { endpoints } from '../../services/api';
+import { useAuth } from '../../contexts/AuthContext';
+
+const formatRole = (role) => role.charAt(0).toUpperCase() + role.slice(1).replace('_', ' ');
+
+const AcceptInvite = () => {
+  const [searchParams] = useSearchParams();
+  const [invitation, setInvitation] = useState(null);
+  const [loadError, setLoadError] = useState('');
+  const [showPassword, setShowPassword] = useState(false);
+  const [isLoading, setIsLoading] = useState(false);
+  const { acceptInvitation } = useAuth();
+  const navigate = useNavigate();
+  const requested = useRef(false);
+  const token = searchParams.get('token');
+
+  const {
+    register,
+    handleSubmit,
+    watch,
+    formState: { errors },
+    setError,
+  } = useForm();
+
+  useEffect(() => {
+    // Guard against double requests in React strict mode
+    if (requested.current) return;
+    requested.current = true;
+
+    if (!token) {
+      setLoadError('Invitation link is missing its token.');
+      return;
+    }
+
+    api.get(endpoints.auth.invitation(token))
+      .then((response) => setInvitation(response.data.data.invitation))
+      .catch((error) => {
+        setLoadError(error.response?.data?.message || 'Invitation link is invalid or has expired');
+      });
+  }, [token]);
+
+  const onSubmit = async (data) => {
+    try {
+      setIsLoading(true);
+      await acceptInvitation(token, {
+        password: data.password,
+        firstName: data.firstName,
+        lastName: data.lastName,
+      });
+
+      toast.success('Welcome aboard! Your account is ready.');
+      navigate('/', { replace: true });
+    } catch (error) {
+      // Password policy failures come back per field, possibly several each
+      const fieldMessages = {};
+      error.fieldErrors.forEach(({ path, msg }) => {
+        fieldMessages[path] = fieldMessages[path] ? `${fieldMessages[path]} • ${msg}` : msg;
+      });
+      Object.entries(fieldMessages).forEach(([field, message]) => {
+        setError(field, { type: 'server', message });
+      });
+      setError('root', {
+        type: 'manual',
+        message: error.message,
+      });
+      toast.error(error.message);
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  return (
+    <Container component="main" maxWidth="sm">
+      <Box
+        sx={{
+          minHeight: '100vh',
+          display: 'flex',
+          flexDirection: 'column',
+          justifyContent: 'center',
+          alignItems: 'center',
+          py: 4,
+        }}
+      >
+        <motion.div
+          initial={{ opacity: 0, y: 20 }}
+          animate={{ opacity: 1, y: 0 }}
+          transition={{ duration: 0.6, ease: 'easeOut' }}
+          style={{ width: '100%' }}
+        >
+          <Paper elevation={8} sx={{ p: 4, borderRadius: 3 }}>
+            {!invitation && !loadError && (
+              <Box sx={{ textAlign: 'center' }}>
+                <CircularProgress sx={{ mb: 2 }} />
+                <Typography variant="h6">Loading your invitation...</Typography>
+              </Box>
+            )}
+
+            {loadError && (
+              <Box sx={{ textAlign: 'center' }}>
+                <ErrorOutline sx={{ fontSize: 64, color: 'error.main', mb: 2 }} />
+                <Typography variant="h5" sx={{ mb: 2 }}>
+                  Invitation unavailable
+                </Typography>
+                <Alert severity="error" sx={{ mb: 3 }}>
+                  {loadError}
+                </Alert>
+                <Button component={RouterLink} to="/login" variant="contained">
+                  Go to sign in
+                </Button>
+              </Box>
+            )}
+
+            {invitation && (
+              <>
+                <Box sx={{ textAlign: 'center', mb: 3 }}>
+                  <MailOutline sx={{ fontSize: 64, color: 'primary.main', mb: 1 }} />
+                  <Typography variant="h5" sx={{ fontWeight: 600 }}>
+                    Accept your invitation
+                  </Typography>
+                  <Typography variant="body1" color="text.secondary">
+                    Join as <strong>{formatRole(invitation.role)}</strong> with {invitation.email}
+                  </Typography>
+                </Box>
+
+                {errors.root && (
+                  <Alert severity="error" sx={{ mb: 3 }}>
+                    {errors.root.message}
+                  </Alert>
+                )}
+
+                <form onSubmit={handleSubmit(onSubmit)}>
+                  <Grid container spacing={3}>
+                    <Grid item xs={12} sm={6}>
+                      <TextField
+                        fullWidth
+                        label="First Name"
+                        defaultValue={invitation.firstName || ''}
+                        {...register('firstName', {
+                          required: 'First name is required',
+                          minLength: {
+                            value: 2,
+                            message: 'First name must be at least 2 characters',
+                          },
+                        })}
+                        error={!!errors.firstName}
+                        helperText={errors.firstName?.message}
+                        disabled={isLoading}
+                      />
+                    </Grid>
+                    <Grid item xs={12} sm={6}>
+                      <TextField
+                        fullWidth
+                        label="Last Name"
+                        defaultValue={invitation.lastName || ''}
+                        {...register('lastName', {
+                          required: 'Last name is required',
+                          minLength: {
+                            value: 2,
+                            message: 'Last name must be at least 2 characters',
+                          },
+                        })}
+                        error={!!errors.lastName}
+                        helperText={errors.lastName?.message}
+                        disabled={isLoading}
+                      />
+                    </Grid>
+
+                    <Grid item xs={12}>
+                      <TextField
+                        fullWidth
+                        label="Password"
+                        type={showPassword ? 'text' : 'password'}
+                        InputProps={{
+                          startAdornment: (
+                            <InputAdornment position="start">
+                              <Lock color="action" />
+                            </InputAdornment>
+                          ),
+                          endAdornment: (
+                            <InputAdornment position="end">
+                              <IconButton
+                                onClick={() => setShowPassword(!showPassword)}
+                                edge="end"
+                                disabled={isLoading}
+                              >
+                                {showPassword ? <VisibilityOff /> : <Visibility />}
+                              </IconButton>
+                            </InputAdornment>
+                          ),
+                        }}
+                        {...register('password', {
+                          required: 'Password is required',
+                        })}
+                        error={!!errors.password}
+                        helperText={errors.password?.message}
+                        disabled={isLoading}
+                      />
+                    </Grid>
+
+                    <Grid item xs={12}>
+                      <TextField
+                        fullWidth
+                        label="Confirm Password"
+                        type={showPassword ? 'text' : 'password'}
+                        {...register('confirmPassword', {
+                          required: 'Please confirm your password',
+                          validate: (value) => value === watch('password') || 'Passwords do not match',
+                        })}
+                        error={!!errors.confirmPassword}
+                        helperText={errors.confirmPassword?.message}
+                        disabled={isLoading}
+                      />
+                    </Grid>
+
+                    <Grid item xs={12}>
+                      <Button
+                        type="submit"
+                        fullWidth
+                        variant="contained"
+                        size="large"
+                        disabled={isLoading}
+                        sx={{ py: 1.5, fontWeight: 600, borderRadius: 2 }}
+                      >
+                        {isLoading ? 'Creating account...' : 'Create Account'}
+                      </Button>
+                    </Grid>
+                  </Grid>
+                </form>
+              </>
+            )}
+          </Paper>
+        </motion.div>
+      </Box>
+    </Container>
+  );
+};
+
+export default AcceptInvite;
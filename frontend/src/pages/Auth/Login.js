@@ -1,4 +1,4 @@
-import React, { useState } from 'react';
+import React, { useEffect, useState } from 'react';
 import { Link as RouterLink, useNavigate, useLocation } from 'react-router-dom';
 import {
   Container,
@@ -21,33 +21,81 @@ import {
   School,
   Email,
   Lock,
+  Security,
+  WhatsApp,
+  Link as LinkIcon,
+  AccountBalance,
 } from '@mui/icons-material';
 import { motion } from 'framer-motion';
 import { useForm } from 'react-hook-form';
 import { useAuth } from '../../contexts/AuthContext';
+import api, { endpoints } from '../../services/api';
 import toast from 'react-hot-toast';
 
 const Login = () => {
   const [showPassword, setShowPassword] = useState(false);
   const [isLoading, setIsLoading] = useState(false);
-  const { login } = useAuth();
+  const [useRecoveryCode, setUseRecoveryCode] = useState(false);
+  // Email a WhatsApp code was sent for; set while the code step is shown
+  const [codeEmail, setCodeEmail] = useState(null);
+  const [linkMessage, setLinkMessage] = useState('');
+  const [ssoProviders, setSsoProviders] = useState([]);
+  const {
+    login,
+    verifyTwoFactor,
+    requestPasswordlessLogin,
+    verifyPasswordlessLogin,
+    startSingleSignOn,
+  } = useAuth();
   const navigate = useNavigate();
   const location = useLocation();
+  // A sign-in link for a 2FA account lands here with the challenge already issued
+  const [mfaToken, setMfaToken] = useState(location.state?.mfaToken || null);
 
   // Get redirect path from location state or default to home
   const from = location.state?.from?.pathname || '/';
 
+  useEffect(() => {
+    api.get(endpoints.auth.oidcProviders)
+      .then((response) => setSsoProviders(response.data.data.providers))
+      .catch(() => setSsoProviders([]));
+  }, []);
+
   const {
     register,
     handleSubmit,
     formState: { errors },
     setError,
+    trigger,
+    getValues,
+  } = useForm();
+
+  const {
+    register: registerMfa,
+    handleSubmit: handleMfaSubmit,
+    formState: { errors: mfaErrors },
+    setError: setMfaError,
+    reset: resetMfa,
+  } = useForm();
+
+  const {
+    register: registerCode,
+    handleSubmit: handleCodeSubmit,
+    formState: { errors: codeErrors },
+    setError: setCodeError,
+    reset: resetCode,
   } = useForm();
 
   const onSubmit = async (data) => {
     try {
       setIsLoading(true);
-      await login(data.email, data.password);
+      const result = await login(data.email, data.password);
+
+      // Second step: ask for the authenticator code
+      if (result.mfaRequired) {
+        setMfaToken(result.mfaToken);
+        return;
+      }
       
       toast.success('Login successful! Welcome back!');
       
@@ -64,6 +112,113 @@ const Login = () => {
     }
   };
 
+  const onMfaSubmit = async (data) => {
+    try {
+      setIsLoading(true);
+      await verifyTwoFactor(
+        mfaToken,
+        useRecoveryCode ? { recoveryCode: data.recoveryCode } : { code: data.code }
+      );
+
+      toast.success('Login successful! Welcome back!');
+      navigate(from, { replace: true });
+    } catch (error) {
+      setMfaError('root', {
+        type: 'manual',
+        message: error.message,
+      });
+      toast.error(error.message);
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  const sendPasswordless = async (email, channel) => {
+    try {
+      setIsLoading(true);
+      setLinkMessage('');
+      const result = await requestPasswordlessLogin(email, channel);
+
+      if (channel === 'whatsapp') {
+        setCodeEmail(email);
+        resetCode();
+        toast.success('Check WhatsApp for your sign-in code');
+      } else {
+        setLinkMessage(result.message);
+      }
+    } catch (error) {
+      setError('root', {
+        type: 'manual',
+        message: error.message,
+      });
+      toast.error(error.message);
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  const onPasswordlessRequest = async (channel) => {
+    // Only the email field matters here; the password may be blank
+    if (await trigger('email')) {
+      await sendPasswordless(getValues('email'), channel);
+    }
+  };
+
+  const onSingleSignOn = async (providerId) => {
+    try {
+      setIsLoading(true);
+      // Navigates away to the provider on success
+      await startSingleSignOn(providerId);
+    } catch (error) {
+      setError('root', {
+        type: 'manual',
+        message: error.message,
+      });
+      toast.error(error.message);
+      setIsLoading(false);
+    }
+  };
+
+  const onCodeSubmit = async (data) => {
+    try {
+      setIsLoading(true);
+      const result = await verifyPasswordlessLogin(codeEmail, { code: data.code });
+
+      if (result.mfaRequired) {
+        setCodeEmail(null);
+        setMfaToken(result.mfaToken);
+        return;
+      }
+
+      toast.success('Login successful! Welcome back!');
+      navigate(from, { replace: true });
+    } catch (error) {
+      setCodeError('root', {
+        type: 'manual',
+        message: error.message,
+      });
+      toast.error(error.message);
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  const cancelCode = () => {
+    setCodeEmail(null);
+    resetCode();
+  };
+
+  const toggleRecoveryCode = () => {
+    setUseRecoveryCode(!useRecoveryCode);
+    resetMfa();
+  };
+
+  const cancelMfa = () => {
+    setMfaToken(null);
+    setUseRecoveryCode(false);
+    resetMfa();
+  };
+
   const togglePasswordVisibility = () => {
     setShowPassword(!showPassword);
   };
@@ -171,177 +326,423 @@ const Login = () => {
                 border: '1px solid rgba(255, 255, 255, 0.2)',
               }}
             >
-              {/* Error Alert */}
-              {errors.root && (
-                <Fade in={!!errors.root}>
-                  <Alert severity="error" sx={{ mb: 3 }}>
-                    {errors.root.message}
-                  </Alert>
-                </Fade>
-              )}
+              {mfaToken ? (
+                <>
+                  {/* Two-Factor Step */}
+                  {mfaErrors.root && (
+                    <Fade in={!!mfaErrors.root}>
+                      <Alert severity="error" sx={{ mb: 3 }}>
+                        {mfaErrors.root.message}
+                      </Alert>
+                    </Fade>
+                  )}
 
-              <form onSubmit={handleSubmit(onSubmit)}>
-                <Grid container spacing={3}>
-                  {/* Email Field */}
-                  <Grid item xs={12}>
-                    <TextField
-                      fullWidth
-                      label="Email Address"
-                      type="email"
-                      variant="outlined"
-                      size="large"
-                      InputProps={{
-                        startAdornment: (
-                          <InputAdornment position="start">
-                            <Email color="action" />
-                          </InputAdornment>
-                        ),
-                      }}
-                      {...register('email', {
-                        required: 'Email is required',
-                        pattern: {
-                          value: /^[A-Z0-9._%+-]+@[A-Z0-9.-]+\.[A-Z]{2,}$/i,
-                          message: 'Invalid email address',
-                        },
-                      })}
-                      error={!!errors.email}
-                      helperText={errors.email?.message}
-                      disabled={isLoading}
-                    />
-                  </Grid>
+                  <Typography variant="body1" color="text.secondary" sx={{ mb: 3 }}>
+                    {useRecoveryCode
+                      ? 'Enter one of your recovery codes. Each code can only be used once.'
+                      : 'Enter the 6-digit code from your authenticator app.'}
+                  </Typography>
 
-                  {/* Password Field */}
-                  <Grid item xs={12}>
-                    <TextField
-                      fullWidth
-                      label="Password"
-                      type={showPassword ? 'text' : 'password'}
-                      variant="outlined"
-                      size="large"
-                      InputProps={{
-                        startAdornment: (
-                          <InputAdornment position="start">
-                            <Lock color="action" />
-                          </InputAdornment>
-                        ),
-                        endAdornment: (
-                          <InputAdornment position="end">
-                            <IconButton
-                              onClick={togglePasswordVisibility}
-                              edge="end"
-                              disabled={isLoading}
-                            >
-                              {showPassword ? <VisibilityOff /> : <Visibility />}
-                            </IconButton>
-                          </InputAdornment>
-                        ),
-                      }}
-                      {...register('password', {
-                        required: 'Password is required',
-                        minLength: {
-                          value: 6,
-                          message: 'Password must be at least 6 characters',
-                        },
-                      })}
-                      error={!!errors.password}
-                      helperText={errors.password?.message}
+                  <form onSubmit={handleMfaSubmit(onMfaSubmit)}>
+                    <Grid container spacing={3}>
+                      <Grid item xs={12}>
+                        {useRecoveryCode ? (
+                          <TextField
+                            fullWidth
+                            autoFocus
+                            label="Recovery Code"
+                            variant="outlined"
+                            InputProps={{
+                              startAdornment: (
+                                <InputAdornment position="start">
+                                  <Security color="action" />
+                                </InputAdornment>
+                              ),
+                            }}
+                            {...registerMfa('recoveryCode', {
+                              required: 'Recovery code is required',
+                            })}
+                            error={!!mfaErrors.recoveryCode}
+                            helperText={mfaErrors.recoveryCode?.message}
+                            disabled={isLoading}
+                          />
+                        ) : (
+                          <TextField
+                            fullWidth
+                            autoFocus
+                            label="Authentication Code"
+                            variant="outlined"
+                            inputProps={{ inputMode: 'numeric', autoComplete: 'one-time-code', maxLength: 6 }}
+                            InputProps={{
+                              startAdornment: (
+                                <InputAdornment position="start">
+                                  <Security color="action" />
+                                </InputAdornment>
+                              ),
+                            }}
+                            {...registerMfa('code', {
+                              required: 'Code is required',
+                              pattern: {
+                                value: /^\d{6}$/,
+                                message: 'Enter the 6-digit code',
+                              },
+                            })}
+                            error={!!mfaErrors.code}
+                            helperText={mfaErrors.code?.message}
+                            disabled={isLoading}
+                          />
+                        )}
+                      </Grid>
+
+                      <Grid item xs={12}>
+                        <Button
+                          type="submit"
+                          fullWidth
+                          variant="contained"
+                          size="large"
+                          disabled={isLoading}
+                          sx={{
+                            py: 1.5,
+                            fontSize: '1.1rem',
+                            fontWeight: 600,
+                            borderRadius: 2,
+                            background: 'linear-gradient(45deg, #2196F3 30%, #21CBF3 90%)',
+                          }}
+                        >
+                          {isLoading ? 'Verifying...' : 'Verify'}
+                        </Button>
+                      </Grid>
+                    </Grid>
+                  </form>
+
+                  <Box sx={{ textAlign: 'center', mt: 3 }}>
+                    <Link component="button" type="button" variant="body2" onClick={toggleRecoveryCode}>
+                      {useRecoveryCode ? 'Use authenticator code instead' : 'Use a recovery code'}
+                    </Link>
+                    <Box sx={{ mt: 1 }}>
+                      <Link component="button" type="button" variant="body2" onClick={cancelMfa}>
+                        Back to sign in
+                      </Link>
+                    </Box>
+                  </Box>
+                </>
+              ) : codeEmail ? (
+                <>
+                  {/* WhatsApp Code Step */}
+                  {codeErrors.root && (
+                    <Fade in={!!codeErrors.root}>
+                      <Alert severity="error" sx={{ mb: 3 }}>
+                        {codeErrors.root.message}
+                      </Alert>
+                    </Fade>
+                  )}
+
+                  <Typography variant="body1" color="text.secondary" sx={{ mb: 3 }}>
+                    Enter the 6-digit code we sent on WhatsApp for {codeEmail}.
+                  </Typography>
+
+                  <form onSubmit={handleCodeSubmit(onCodeSubmit)}>
+                    <Grid container spacing={3}>
+                      <Grid item xs={12}>
+                        <TextField
+                          fullWidth
+                          autoFocus
+                          label="Sign-in Code"
+                          variant="outlined"
+                          inputProps={{ inputMode: 'numeric', autoComplete: 'one-time-code', maxLength: 6 }}
+                          InputProps={{
+                            startAdornment: (
+                              <InputAdornment position="start">
+                                <WhatsApp color="action" />
+                              </InputAdornment>
+                            ),
+                          }}
+                          {...registerCode('code', {
+                            required: 'Code is required',
+                            pattern: {
+                              value: /^\d{6}$/,
+                              message: 'Enter the 6-digit code',
+                            },
+                          })}
+                          error={!!codeErrors.code}
+                          helperText={codeErrors.code?.message}
+                          disabled={isLoading}
+                        />
+                      </Grid>
+
+                      <Grid item xs={12}>
+                        <Button
+                          type="submit"
+                          fullWidth
+                          variant="contained"
+                          size="large"
+                          disabled={isLoading}
+                          sx={{
+                            py: 1.5,
+                            fontSize: '1.1rem',
+                            fontWeight: 600,
+                            borderRadius: 2,
+                            background: 'linear-gradient(45deg, #2196F3 30%, #21CBF3 90%)',
+                          }}
+                        >
+                          {isLoading ? 'Verifying...' : 'Sign In'}
+                        </Button>
+                      </Grid>
+                    </Grid>
+                  </form>
+
+                  <Box sx={{ textAlign: 'center', mt: 3 }}>
+                    <Link
+                      component="button"
+                      type="button"
+                      variant="body2"
+                      onClick={() => sendPasswordless(codeEmail, 'whatsapp')}
                       disabled={isLoading}
-                    />
+                    >
+                      Send a new code
+                    </Link>
+                    <Box sx={{ mt: 1 }}>
+                      <Link component="button" type="button" variant="body2" onClick={cancelCode}>
+                        Back to sign in
+                      </Link>
+                    </Box>
+                  </Box>
+                </>
+              ) : (
+                <>
+                  {/* Error Alert */}
+                  {errors.root && (
+                    <Fade in={!!errors.root}>
+                      <Alert severity="error" sx={{ mb: 3 }}>
+                        {errors.root.message}
+                      </Alert>
+                    </Fade>
+                  )}
+
+                  <form onSubmit={handleSubmit(onSubmit)}>
+                    <Grid container spacing={3}>
+                      {/* Email Field */}
+                      <Grid item xs={12}>
+                        <TextField
+                          fullWidth
+                          label="Email Address"
+                          type="email"
+                          variant="outlined"
+                          size="large"
+                          InputProps={{
+                            startAdornment: (
+                              <InputAdornment position="start">
+                                <Email color="action" />
+                              </InputAdornment>
+                            ),
+                          }}
+                          {...register('email', {
+                            required: 'Email is required',
+                            pattern: {
+                              value: /^[A-Z0-9._%+-]+@[A-Z0-9.-]+\.[A-Z]{2,}$/i,
+                              message: 'Invalid email address',
+                            },
+                          })}
+                          error={!!errors.email}
+                          helperText={errors.email?.message}
+                          disabled={isLoading}
+                        />
+                      </Grid>
+
+                      {/* Password Field */}
+                      <Grid item xs={12}>
+                        <TextField
+                          fullWidth
+                          label="Password"
+                          type={showPassword ? 'text' : 'password'}
+                          variant="outlined"
+                          size="large"
+                          InputProps={{
+                            startAdornment: (
+                              <InputAdornment position="start">
+                                <Lock color="action" />
+                              </InputAdornment>
+                            ),
+                            endAdornment: (
+                              <InputAdornment position="end">
+                                <IconButton
+                                  onClick={togglePasswordVisibility}
+                                  edge="end"
+                                  disabled={isLoading}
+                                >
+                                  {showPassword ? <VisibilityOff /> : <Visibility />}
+                                </IconButton>
+                              </InputAdornment>
+                            ),
+                          }}
+                          {...register('password', {
+                            required: 'Password is required',
+                            minLength: {
+                              value: 6,
+                              message: 'Password must be at least 6 characters',
+                            },
+                          })}
+                          error={!!errors.password}
+                          helperText={errors.password?.message}
+                          disabled={isLoading}
+                        />
+                      </Grid>
+
+                      {/* Submit Button */}
+                      <Grid item xs={12}>
+                        <Button
+                          type="submit"
+                          fullWidth
+                          variant="contained"
+                          size="large"
+                          disabled={isLoading}
+                          sx={{
+                            py: 1.5,
+                            fontSize: '1.1rem',
+                            fontWeight: 600,
+                            borderRadius: 2,
+                            background: 'linear-gradient(45deg, #2196F3 30%, #21CBF3 90%)',
+                            '&:hover': {
+                              background: 'linear-gradient(45deg, #1976D2 30%, #1CB5E0 90%)',
+                              transform: 'translateY(-2px)',
+                              boxShadow: '0 8px 25px rgba(33, 150, 243, 0.3)',
+                            },
+                            transition: 'all 0.3s ease',
+                          }}
+                        >
+                          {isLoading ? 'Signing In...' : 'Sign In'}
+                        </Button>
+                      </Grid>
+                    </Grid>
+                  </form>
+
+                  {/* Divider */}
+                  <Box sx={{ my: 3 }}>
+                    <Divider>
+                      <Typography variant="body2" color="text.secondary">
+                        OR
+                      </Typography>
+                    </Divider>
+                  </Box>
+
+                  {/* Institution Single Sign-On */}
+                  {ssoProviders.length > 0 && (
+                    <Grid container spacing={2} sx={{ mb: 2 }}>
+                      {ssoProviders.map((provider) => (
+                        <Grid item xs={12} key={provider.id}>
+                          <Button
+                            fullWidth
+                            variant="outlined"
+                            size="large"
+                            startIcon={<AccountBalance />}
+                            onClick={() => onSingleSignOn(provider.id)}
+                            disabled={isLoading}
+                            sx={{ borderRadius: 2, fontWeight: 600 }}
+                          >
+                            {ssoProviders.length === 1
+                              ? 'Sign in with your institution'
+                              : `Sign in with ${provider.name}`}
+                          </Button>
+                        </Grid>
+                      ))}
+                    </Grid>
+                  )}
+
+                  {/* Passwordless Sign-in */}
+                  {linkMessage && (
+                    <Fade in={!!linkMessage}>
+                      <Alert severity="success" sx={{ mb: 2 }}>
+                        {linkMessage}
+                      </Alert>
+                    </Fade>
+                  )}
+
+                  <Grid container spacing={2} sx={{ mb: 3 }}>
+                    <Grid item xs={12} sm={6}>
+                      <Button
+                        fullWidth
+                        variant="outlined"
+                        startIcon={<LinkIcon />}
+                        onClick={() => onPasswordlessRequest('email')}
+                        disabled={isLoading}
+                        sx={{ borderRadius: 2 }}
+                      >
+                        Email me a link
+                      </Button>
+                    </Grid>
+                    <Grid item xs={12} sm={6}>
+                      <Button
+                        fullWidth
+                        variant="outlined"
+                        color="success"
+                        startIcon={<WhatsApp />}
+                        onClick={() => onPasswordlessRequest('whatsapp')}
+                        disabled={isLoading}
+                        sx={{ borderRadius: 2 }}
+                      >
+                        Code via WhatsApp
+                      </Button>
+                    </Grid>
                   </Grid>
 
-                  {/* Submit Button */}
-                  <Grid item xs={12}>
-                    <Button
-                      type="submit"
-                      fullWidth
-                      variant="contained"
-                      size="large"
-                      disabled={isLoading}
+                  {/* Demo Accounts Info */}
+                  <Box sx={{ mb: 3 }}>
+                    <Typography variant="body2" color="text.secondary" align="center" gutterBottom>
+                      Demo Accounts (Password: password123)
+                    </Typography>
+                    <Grid container spacing={1} justifyContent="center">
+                      <Grid item>
+                        <Typography variant="caption" color="primary">
+                          Student: student@std.com
+                        </Typography>
+                      </Grid>
+                      <Grid item>
+                        <Typography variant="caption" color="primary">
+                          Tutor: tutor@tut.com
+                        </Typography>
+                      </Grid>
+                      <Grid item>
+                        <Typography variant="caption" color="primary">
+                          Admin: admin@adm.com
+                        </Typography>
+                      </Grid>
+                    </Grid>
+                  </Box>
+
+                  {/* Links */}
+                  <Box sx={{ textAlign: 'center' }}>
+                    <Link
+                      component={RouterLink}
+                      to="/forgot-password"
+                      variant="body2"
                       sx={{
-                        py: 1.5,
-                        fontSize: '1.1rem',
-                        fontWeight: 600,
-                        borderRadius: 2,
-                        background: 'linear-gradient(45deg, #2196F3 30%, #21CBF3 90%)',
-                        '&:hover': {
-                          background: 'linear-gradient(45deg, #1976D2 30%, #1CB5E0 90%)',
-                          transform: 'translateY(-2px)',
-                          boxShadow: '0 8px 25px rgba(33, 150, 243, 0.3)',
-                        },
-                        transition: 'all 0.3s ease',
+                        textDecoration: 'none',
+                        '&:hover': { textDecoration: 'underline' },
                       }}
                     >
-                      {isLoading ? 'Signing In...' : 'Sign In'}
-                    </Button>
-                  </Grid>
-                </Grid>
-              </form>
-
-              {/* Divider */}
-              <Box sx={{ my: 3 }}>
-                <Divider>
-                  <Typography variant="body2" color="text.secondary">
-                    OR
-                  </Typography>
-                </Divider>
-              </Box>
-
-              {/* Demo Accounts Info */}
-              <Box sx={{ mb: 3 }}>
-                <Typography variant="body2" color="text.secondary" align="center" gutterBottom>
-                  Demo Accounts (Password: password123)
-                </Typography>
-                <Grid container spacing={1} justifyContent="center">
-                  <Grid item>
-                    <Typography variant="caption" color="primary">
-                      Student: student@std.com
-                    </Typography>
-                  </Grid>
-                  <Grid item>
-                    <Typography variant="caption" color="primary">
-                      Tutor: tutor@tut.com
-                    </Typography>
-                  </Grid>
-                  <Grid item>
-                    <Typography variant="caption" color="primary">
-                      Admin: admin@adm.com
-                    </Typography>
-                  </Grid>
-                </Grid>
-              </Box>
-
-              {/* Links */}
-              <Box sx={{ textAlign: 'center' }}>
-                <Link
-                  component={RouterLink}
-                  to="/forgot-password"
-                  variant="body2"
-                  sx={{
-                    textDecoration: 'none',
-                    '&:hover': { textDecoration: 'underline' },
-                  }}
-                >
-                  Forgot your password?
-                </Link>
-                
-                <Box sx={{ mt: 2 }}>
-                  <Typography variant="body2" component="span" color="text.secondary">
-                    Don't have an account?{' '}
-                  </Typography>
-                  <Link
-                    component={RouterLink}
-                    to="/register"
-                    variant="body2"
-                    sx={{
-                      textDecoration: 'none',
-                      fontWeight: 600,
-                      '&:hover': { textDecoration: 'underline' },
-                    }}
-                  >
-                    Sign up here
-                  </Link>
-                </Box>
-              </Box>
+                      Forgot your password?
+                    </Link>
+                    
+                    <Box sx={{ mt: 2 }}>
+                      <Typography variant="body2" component="span" color="text.secondary">
+                        Don't have an account?{' '}
+                      </Typography>
+                      <Link
+                        component={RouterLink}
+                        to="/register"
+                        variant="body2"
+                        sx={{
+                          textDecoration: 'none',
+                          fontWeight: 600,
+                          '&:hover': { textDecoration: 'underline' },
+                        }}
+                      >
+                        Sign up here
+                      </Link>
+                    </Box>
+                  </Box>
+                </>
+              )}
             </Paper>
           </motion.div>
         </motion.div>
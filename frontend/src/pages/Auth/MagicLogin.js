@@ -0,0 +1,96 @@
+import React, { useEffect, useRef, useState } from 'react';
+import { Link as RouterLink, useNavigate, useSearchParams } from 'react-router-dom';
+import {
+  Container,
+  Box,
+  Paper,
+  Typography,
+  Button,
+  Alert,
+  CircularProgress,
+} from '@mui/material';
+import { ErrorOutline } from '@mui/icons-material';
+import { motion } from 'framer-motion';
+import toast from 'react-hot-toast';
+import { useAuth } from '../../contexts/AuthContext';
+
+// Landing page for emailed sign-in links
+const MagicLogin = () => {
+  const [searchParams] = useSearchParams();
+  const [error, setError] = useState('');
+  const { verifyPasswordlessLogin } = useAuth();
+  const navigate = useNavigate();
+  const requested = useRef(false);
+  const email = searchParams.get('email');
+  const token = searchParams.get('token');
+
+  useEffect(() => {
+    // Links are single-use, so guard against double requests in React strict mode
+    if (requested.current) return;
+    requested.current = true;
+
+    if (!email || !token) {
+      setError('Sign-in link is incomplete. Please request a new one.');
+      return;
+    }
+
+    verifyPasswordlessLogin(email, { token })
+      .then((result) => {
+        // Accounts with 2FA finish on the login page's authenticator step
+        if (result.mfaRequired) {
+          navigate('/login', { replace: true, state: { mfaToken: result.mfaToken } });
+          return;
+        }
+
+        toast.success('Login successful! Welcome back!');
+        navigate('/', { replace: true });
+      })
+      .catch((err) => setError(err.message));
+  }, [email, token, verifyPasswordlessLogin, navigate]);
+
+  return (
+    <Container component="main" maxWidth="sm">
+      <Box
+        sx={{
+          minHeight: '100vh',
+          display: 'flex',
+          flexDirection: 'column',
+          justifyContent: 'center',
+          alignItems: 'center',
+          py: 4,
+        }}
+      >
+        <motion.div
+          initial={{ opacity: 0, y: 20 }}
+          animate={{ opacity: 1, y: 0 }}
+          transition={{ duration: 0.6, ease: 'easeOut' }}
+          style={{ width: '100%' }}
+        >
+          <Paper elevation={8} sx={{ p: 4, borderRadius: 3, textAlign: 'center' }}>
+            {error ? (
+              <>
+                <ErrorOutline sx={{ fontSize: 64, color: 'error.main', mb: 2 }} />
+                <Typography variant="h5" sx={{ mb: 2 }}>
+                  Sign-in link unavailable
+                </Typography>
+                <Alert severity="error" sx={{ mb: 3 }}>
+                  {error}
+                </Alert>
+                <Button component={RouterLink} to="/login" variant="contained">
+                  Back to sign in
+                </Button>
+              </>
+            ) : (
+              <>
+                <CircularProgress sx={{ mb: 2 }} />
+                <Typography variant="h6">Signing you in...</Typography>
+              </>
+            )}
+          </Paper>
+        </motion.div>
+      </Box>
+    </Container>
+  );
+};
+
+export default MagicLogin;
@@ -0,0 +1,102 @@
+import React, { useEffect, useRef, useState } from 'react';
+import { Link as RouterLink, useNavigate, useSearchParams } from 'react-router-dom';
+import {
+  Container,
+  Box,
+  Paper,
+  Typography,
+  Button,
+  Alert,
+  CircularProgress,
+} from '@mui/material';
+import { ErrorOutline } from '@mui/icons-material';
+import { motion } from 'framer-motion';
+import toast from 'react-hot-toast';
+import { useAuth } from '../../contexts/AuthContext';
+
+// Where identity providers send the browser back after single sign-on
+const OidcCallback = () => {
+  const [searchParams] = useSearchParams();
+  const [error, setError] = useState('');
+  const { completeSingleSignOn } = useAuth();
+  const navigate = useNavigate();
+  const requested = useRef(false);
+  const code = searchParams.get('code');
+  const state = searchParams.get('state');
+  const providerError = searchParams.get('error_description') || searchParams.get('error');
+
+  useEffect(() => {
+    // Codes are single-use, so guard against double requests in React strict mode
+    if (requested.current) return;
+    requested.current = true;
+
+    if (providerError) {
+      setError(`Your institution did not complete the sign-in: ${providerError}`);
+      return;
+    }
+
+    if (!code || !state) {
+      setError('Sign-in response is incomplete. Please try again.');
+      return;
+    }
+
+    completeSingleSignOn(code, state)
+      .then((result) => {
+        // Accounts with 2FA finish on the login page's authenticator step
+        if (result.mfaRequired) {
+          navigate('/login', { replace: true, state: { mfaToken: result.mfaToken } });
+          return;
+        }
+
+        toast.success('Login successful! Welcome back!');
+        navigate('/', { replace: true });
+      })
+      .catch((err) => setError(err.message));
+  }, [code, state, providerError, completeSingleSignOn, navigate]);
+
+  return (
+    <Container component="main" maxWidth="sm">
+      <Box
+        sx={{
+          minHeight: '100vh',
+          display: 'flex',
+          flexDirection: 'column',
+          justifyContent: 'center',
+          alignItems: 'center',
+          py: 4,
+        }}
+      >
+        <motion.div
+          initial={{ opacity: 0, y: 20 }}
+          animate={{ opacity: 1, y: 0 }}
+          transition={{ duration: 0.6, ease: 'easeOut' }}
+          style={{ width: '100%' }}
+        >
+          <Paper elevation={8} sx={{ p: 4, borderRadius: 3, textAlign: 'center' }}>
+            {error ? (
+              <>
+                <ErrorOutline sx={{ fontSize: 64, color: 'error.main', mb: 2 }} />
+                <Typography variant="h5" sx={{ mb: 2 }}>
+                  Single sign-on failed
+                </Typography>
+                <Alert severity="error" sx={{ mb: 3 }}>
+                  {error}
+                </Alert>
+                <Button component={RouterLink} to="/login" variant="contained">
+                  Back to sign in
+                </Button>
+              </>
+            ) : (
+              <>
+                <CircularProgress sx={{ mb: 2 }} />
+                <Typography variant="h6">Signing you in...</Typography>
+              </>
+            )}
+          </Paper>
+        </motion.div>
+      </Box>
+    </Container>
+  );
+};
+
+export default OidcCallback;
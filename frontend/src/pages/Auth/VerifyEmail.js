@@ -0,0 +1,107 @@
+import React, { useEffect, useRef, useState } from 'react';
+import { Link as RouterLink, useSearchParams } from 'react-router-dom';
+import {
+  Container,
+  Box,
+  Paper,
+  Typography,
+  Button,
+  Alert,
+  CircularProgress,
+} from '@mui/material';
+import { MarkEmailRead, ErrorOutline } from '@mui/icons-material';
+import { motion } from 'framer-motion';
+import { useAuth } from '../../contexts/AuthContext';
+
+const VerifyEmail = () => {
+  const [searchParams] = useSearchParams();
+  const [status, setStatus] = useState('verifying');
+  const [message, setMessage] = useState('');
+  const { verifyEmail, user } = useAuth();
+  const requested = useRef(false);
+
+  useEffect(() => {
+    // Guard against double submission in React strict mode
+    if (requested.current) return;
+    requested.current = true;
+
+    const token = searchParams.get('token');
+    if (!token) {
+      setStatus('error');
+      setMessage('Verification link is missing its token.');
+      return;
+    }
+
+    verifyEmail(token)
+      .then((result) => {
+        setStatus('success');
+        setMessage(result.message);
+      })
+      .catch((error) => {
+        setStatus('error');
+        setMessage(error.message);
+      });
+  }, [searchParams, verifyEmail]);
+
+  return (
+    <Container component="main" maxWidth="sm">
+      <Box
+        sx={{
+          minHeight: '100vh',
+          display: 'flex',
+          flexDirection: 'column',
+          justifyContent: 'center',
+          alignItems: 'center',
+          py: 4,
+        }}
+      >
+        <motion.div
+          initial={{ opacity: 0, y: 20 }}
+          animate={{ opacity: 1, y: 0 }}
+          transition={{ duration: 0.6, ease: 'easeOut' }}
+        >
+          <Paper elevation={8} sx={{ p: 4, borderRadius: 3, textAlign: 'center' }}>
+            {status === 'verifying' && (
+              <>
+                <CircularProgress sx={{ mb: 2 }} />
+                <Typography variant="h6">Verifying your email...</Typography>
+              </>
+            )}
+
+            {status === 'success' && (
+              <>
+                <MarkEmailRead sx={{ fontSize: 64, color: 'success.main', mb: 2 }} />
+                <Typography variant="h5" sx={{ mb: 2 }}>
+                  Email verified
+                </Typography>
+                <Alert severity="success" sx={{ mb: 3 }}>
+                  {message}
+                </Alert>
+              </>
+            )}
+
+            {status === 'error' && (
+              <>
+                <ErrorOutline sx={{ fontSize: 64, color: 'error.main', mb: 2 }} />
+                <Typography variant="h5" sx={{ mb: 2 }}>
+                  Verification failed
+                </Typography>
+                <Alert severity="error" sx={{ mb: 3 }}>
+                  {message}
+                </Alert>
+              </>
+            )}
+
+            {status !== 'verifying' && (
+              <Button component={RouterLink} to={user ? '/' : '/login'} variant="contained">
+                {user ? 'Go to dashboard' : 'Go to sign in'}
+              </Button>
+            )}
+          </Paper>
+        </motion.div>
+      </Box>
+    </Container>
+  );
+};
+
+export default VerifyEmail;
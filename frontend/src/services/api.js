@@ -33,6 +33,48 @@ api.interceptors.request.use(
   }
 );
 
+// Refresh tokens are single-use, so concurrent 401s must share one refresh call
+let refreshPromise = null;
+
+const refreshAccessToken = () => {
+  if (!refreshPromise) {
+    const refreshToken = localStorage.getItem('refreshToken');
+
+    refreshPromise = axios
+      .post(
+        `${process.env.REACT_APP_API_URL || 'http://localhost:5000/api'}/auth/refresh-token`,
+        { refreshToken }
+      )
+      .then((response) => {
+        const { accessToken, refreshToken: newRefreshToken } = response.data.data;
+
+        // Store the rotated token pair
+        localStorage.setItem('token', accessToken);
+        localStorage.setItem('refreshToken', newRefreshToken);
+
+        return accessToken;
+      })
+      .finally(() => {
+        refreshPromise = null;
+      });
+  }
+
+  return refreshPromise;
+};
+
+// Put the super admin's own tokens back after impersonation ends
+export const restoreImpersonatorSession = () => {
+  const token = localStorage.getItem('impersonatorToken');
+  if (!token) return null;
+
+  localStorage.setItem('token', token);
+  localStorage.setItem('refreshToken', localStorage.getItem('impersonatorRefreshToken'));
+  localStorage.removeItem('impersonatorToken');
+  localStorage.removeItem('impersonatorRefreshToken');
+
+  return token;
+};
+
 // Response interceptor
 api.interceptors.response.use(
   (response) => {
@@ -45,20 +87,19 @@ api.interceptors.response.use(
     if (error.response?.status === 401 && !originalRequest._retry) {
       originalRequest._retry = true;
       
+      // Impersonation tokens can't be refreshed; go back to the admin's account
+      if (localStorage.getItem('impersonatorToken') && originalRequest.url !== '/auth/impersonation/end') {
+        restoreImpersonatorSession();
+        window.location.href = '/';
+        return Promise.reject(error);
+      }
+
       try {
         // Try to refresh token
         const refreshToken = localStorage.getItem('refreshToken');
         
         if (refreshToken) {
-          const response = await axios.post(
-            `${process.env.REACT_APP_API_URL || 'http://localhost:5000/api'}/auth/refresh-token`,
-            { refreshToken }
-          );
-          
-          const { accessToken } = response.data.data;
-          
-          // Store new token
-          localStorage.setItem('token', accessToken);
+          const accessToken = await refreshAccessToken();
           
           // Update header and retry original request
           originalRequest.headers.Authorization = `Bearer ${accessToken}`;
@@ -82,12 +123,32 @@ export const endpoints = {
   // Auth
   auth: {
     login: '/auth/login',
+    loginTwoFactor: '/auth/login/2fa',
+    passwordlessStart: '/auth/passwordless/start',
+    passwordlessVerify: '/auth/passwordless/verify',
+    oidcProviders: '/auth/oidc/providers',
+    oidcStart: (providerId) => `/auth/oidc/${providerId}/start`,
+    oidcCallback: '/auth/oidc/callback',
     register: '/auth/register',
+    invitation: (token) => `/auth/invitations/${token}`,
+    acceptInvite: '/auth/accept-invite',
     logout: '/auth/logout',
+    logoutAll: '/auth/logout-all',
+    endImpersonation: '/auth/impersonation/end',
+    devices: '/auth/devices',
+    revokeDevice: (id) => `/auth/devices/${id}`,
     refreshToken: '/auth/refresh-token',
     forgotPassword: '/auth/forgot-password',
     resetPassword: '/auth/reset-password',
+    verifyEmail: '/auth/verify-email',
+    resendVerification: '/auth/resend-verification',
+    sendPhoneOtp: '/auth/phone/send-otp',
+    verifyPhoneOtp: '/auth/phone/verify-otp',
     profile: '/auth/profile',
+    twoFactorSetup: '/auth/2fa/setup',
+    twoFactorConfirm: '/auth/2fa/confirm',
+    twoFactorDisable: '/auth/2fa/disable',
+    twoFactorRecoveryCodes: '/auth/2fa/recovery-codes',
   },
   
   // Users
@@ -95,6 +156,7 @@ export const endpoints = {
     profile: '/users/profile',
     updateProfile: '/users/profile',
     changePassword: '/users/change-password',
+    preferences: '/users/preferences',
     uploadAvatar: '/users/avatar',
   },
   
@@ -107,7 +169,29 @@ export const endpoints = {
     delete: (id) => `/sessions/${id}`,
     join: (id) => `/sessions/${id}/join`,
     leave: (id) => `/sessions/${id}/leave`,
+    waitlist: (id) => `/sessions/${id}/waitlist`,
+    myWaitlists: '/sessions/waitlist',
     attendance: (id) => `/sessions/${id}/attendance`,
+    createSeries: '/sessions/series',
+    series: (id) => `/sessions/series/${id}`,
+    joinSeries: (id) => `/sessions/series/${id}/join`,
+    leaveSeries: (id) => `/sessions/series/${id}/leave`,
+    book: '/sessions/book',
+    calendar: '/sessions/calendar.ics',
+    sessionCalendar: (id) => `/sessions/${id}/calendar.ics`,
+    approve: (id) => `/sessions/${id}/approve`,
+    decline: (id) => `/sessions/${id}/decline`,
+    status: (id) => `/sessions/${id}/status`,
+  },
+  
+  // Tutors
+  tutors: {
+    list: '/tutors',
+    availability: (tutorId) => `/tutors/${tutorId}/availability`,
+    availabilityWindow: (tutorId, id) => `/tutors/${tutorId}/availability/${id}`,
+    availabilityExceptions: (tutorId) => `/tutors/${tutorId}/availability/exceptions`,
+    availabilityException: (tutorId, id) => `/tutors/${tutorId}/availability/exceptions/${id}`,
+    slots: (tutorId) => `/tutors/${tutorId}/slots`,
   },
   
   // Attendance
@@ -163,6 +247,22 @@ export const endpoints = {
   // Admin
   admin: {
     users: '/admin/users',
+    roles: '/admin/roles',
+    updateRole: (name) => `/admin/roles/${name}`,
+    permissions: '/admin/permissions',
+    invitations: '/admin/invitations',
+    resendInvitation: (id) => `/admin/invitations/${id}/resend`,
+    revokeInvitation: (id) => `/admin/invitations/${id}`,
+    changeUserRole: (id) => `/admin/users/${id}/role`,
+    userDevices: (id) => `/admin/users/${id}/devices`,
+    revokeUserDevice: (id, deviceId) => `/admin/users/${id}/devices/${deviceId}`,
+    impersonateUser: (id) => `/admin/users/${id}/impersonate`,
+    suspendUser: (id) => `/admin/users/${id}/suspend`,
+    revokeUserTokens: (id) => `/admin/users/${id}/revoke-tokens`,
+    unlockUser: (id) => `/admin/users/${id}/unlock`,
+    apiKeys: '/admin/api-keys',
+    apiKeyScopes: '/admin/api-keys/scopes',
+    revokeApiKey: (id) => `/admin/api-keys/${id}`,
     sessions: '/admin/sessions',
     payments: '/admin/payments',
     attendance: '/admin/attendance',